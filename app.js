@@ -0,0 +1,2188 @@
+// app.js - The Express app and the services behind it; server.js starts it listening
+const express = require('express');
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
+const crypto = require('crypto');
+const { logger, requestContext, httpLogger } = require('./lib/logger');
+const { createStore } = require('./lib/store');
+const { createLifecycleManager, STATES: SUBSCRIPTION_STATES } = require('./lib/lifecycle');
+const {
+  calculatePrice,
+  findPriceMismatches,
+  getPublicCatalog,
+  resourceLimitsForRam,
+  PricingError,
+  DEFAULT_FEATURE_LIMITS,
+  useCatalog
+} = require('./lib/pricing');
+const { createPlacementScheduler } = require('./lib/placement');
+const { createPterodactylClient, PterodactylError } = require('./lib/pterodactyl');
+const { createPlanChangeManager, PlanChangeError } = require('./lib/plan-changes');
+const { createMailer } = require('./lib/mailer');
+const { createAuth, AuthError } = require('./lib/auth');
+const { createCustomerDirectory } = require('./lib/customers');
+const { createPowerController, PowerError } = require('./lib/power');
+const {
+  createServerSettingsManager,
+  validateProperties,
+  PropertiesError,
+  PROPERTY_SCHEMA
+} = require('./lib/server-properties');
+const { resolveServerType, listServerTypes, getLaunchArgs, ServerTypeError } = require('./lib/server-types');
+const { createVersionCatalog, VersionError } = require('./lib/version-catalog');
+const { createJobQueue } = require('./lib/jobs');
+const { createCompensationManager } = require('./lib/compensation');
+const { createNotifier } = require('./lib/notifications');
+const {
+  resolveRuntime,
+  buildStartupCommand,
+  getRuntimeOptions,
+  describeRuntimeTable,
+  useRuntimeTable,
+  RuntimeError
+} = require('./lib/java-runtime');
+const { createPluginCatalog, createPluginInstaller, parsePluginList, PluginError } = require('./lib/plugins');
+const { createMetrics } = require('./lib/metrics');
+const { createHealthCheck } = require('./lib/health');
+const { createAdminAuth, createAdminConsole, AdminError } = require('./lib/admin');
+const { createAuditLog } = require('./lib/audit-log');
+const { createReconciler } = require('./lib/reconciliation');
+const { createPromotions, PromotionError } = require('./lib/promotions');
+const { createReferrals, ReferralError } = require('./lib/referrals');
+const { loadConfig } = require('./lib/config');
+const { validate, sendFieldError, fieldErrorBody, schemas } = require('./lib/validation');
+const { createCredentialManager, CredentialError } = require('./lib/credentials');
+const { createSandbox } = require('./lib/sandbox');
+
+// Every setting comes from lib/config.js. A bad or missing variable throws a
+// ConfigError listing everything to fix; server.js reports it and exits.
+const config = loadConfig();
+
+// Custom plan catalog and Java runtime table, when their paths are configured
+const pricingCatalog = useCatalog(config.pricing.catalogPath);
+useRuntimeTable(config.javaRuntime.tablePath);
+
+// Set by start()
+let httpServer = null;
+
+// SANDBOX=true: fake panel and Stripe on a second port (lib/sandbox.js). Config has
+// already pointed the panel URLs and both sets of keys at it; webhooks come back to
+// this process's own /webhook.
+const sandbox = config.sandbox && createSandbox({
+  port: config.sandbox.port,
+  statePath: config.sandbox.statePath,
+  stateDriver: config.sandbox.stateDriver,
+  installMs: config.sandbox.installMs,
+  webhookUrl: () => `http://127.0.0.1:${httpServer.address().port}/webhook`,
+  pterodactylKeys: { application: config.pterodactyl.apiKey, client: config.pterodactyl.clientApiKey },
+  stripeKeys: { secretKey: config.stripe.secretKey, webhookSecret: config.stripe.webhookSecret }
+});
+
+// Fix: Initialize Stripe properly with error handling
+let stripe;
+try {
+  if (!config.stripe.secretKey) {
+    logger.warn('⚠️ STRIPE_SECRET_KEY not found in environment variables');
+    stripe = null;
+  } else {
+    stripe = require('stripe')(config.stripe.secretKey, sandbox
+      ? { host: '127.0.0.1', port: config.sandbox.port, protocol: 'http' }
+      : undefined);
+    // Ties each Stripe call to the request or job that made it, via Stripe's own request ID
+    stripe.on('response', (event) => {
+      logger.debug('Stripe API call', {
+        method: event.method,
+        path: event.path,
+        status: event.status,
+        stripeRequestId: event.request_id,
+        elapsedMs: event.elapsed
+      });
+    });
+    logger.info('✅ Stripe initialized successfully');
+  }
+} catch (error) {
+  logger.error('❌ Failed to initialize Stripe', { error: error.message });
+  stripe = null;
+}
+
+// Prometheus metrics, served at /metrics. The server and free-allocation gauges
+// are read from the store and the panel when Prometheus scrapes.
+const metrics = createMetrics({
+  countServers: () => countServersByState(),
+  countFreeAllocations: () => placement.countFreeAllocations(),
+  capacityCacheMs: config.metrics.capacityCacheMs
+});
+
+const app = express();
+
+// Rate limits key on the client IP, which behind a load balancer is in X-Forwarded-For
+if (config.trustProxy > 0) {
+  app.set('trust proxy', config.trustProxy);
+}
+
+// Request ID for every log line a request produces, plus the access log
+app.use(requestContext);
+app.use(httpLogger);
+app.use(helmet());
+
+// CORS - MUST be before webhook route
+app.use((req, res, next) => {
+  const allowedOrigins = [
+    'https://beta.goosehosting.com',
+    'https://goosehosting.com',
+    'http://localhost:3000',
+    'http://localhost:5173'
+  ];
+  
+  const origin = req.headers.origin;
+  if (allowedOrigins.includes(origin)) {
+    res.header('Access-Control-Allow-Origin', origin);
+  }
+  
+  res.header('Access-Control-Allow-Credentials', 'true');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.header('Access-Control-Expose-Headers', 'X-Request-Id');
+  
+  if (req.method === 'OPTIONS') {
+    res.sendStatus(200);
+  } else {
+    next();
+  }
+});
+
+// Checkout payment statuses that mean the order is paid for. Trials and 100%-off
+// promo codes complete with nothing to pay.
+const PAID_STATUSES = ['paid', 'no_payment_required'];
+
+// CRITICAL: Webhook route MUST be defined BEFORE express.json() middleware
+app.post('/webhook', express.raw({type: 'application/json'}), async (req, res) => {
+  const sig = req.headers['stripe-signature'];
+  const { webhookSecret } = config.stripe;
+  
+  if (!webhookSecret) {
+    logger.error('❌ STRIPE_WEBHOOK_SECRET not configured');
+    return res.status(400).send('Webhook secret not configured');
+  }
+
+  if (!stripe) {
+    logger.error('❌ Stripe not initialized');
+    return res.status(500).send('Stripe not available');
+  }
+
+  let event;
+
+  try {
+    // Verify the webhook signature
+    event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
+    logger.info('✅ Webhook signature verified', { eventType: event.type });
+  } catch (err) {
+    logger.error('❌ Webhook signature verification failed', { error: err.message });
+    metrics.webhookFailed('invalid_signature');
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  metrics.webhookReceived(event.type);
+  logger.info('📥 Webhook Event Received', {
+    type: event.type,
+    id: event.id,
+    created: new Date(event.created * 1000).toISOString()
+  });
+
+  // Handle the event
+  try {
+    switch (event.type) {
+      case 'checkout.session.completed':
+        const checkoutSession = event.data.object;
+        logger.info('💳 Checkout Session Completed', {
+          sessionId: checkoutSession.id,
+          customerEmail: checkoutSession.customer_details?.email,
+          amountTotal: checkoutSession.amount_total,
+          currency: checkoutSession.currency,
+          paymentStatus: checkoutSession.payment_status
+        });
+
+        // Provision from the webhook so the server is created even if the
+        // customer never returns to the success page
+        if (PAID_STATUSES.includes(checkoutSession.payment_status)) {
+          logger.info('✅ Payment successful - starting server provisioning');
+          provisionSession(checkoutSession).catch(() => {
+            // Failure is recorded on the session record by provisionSession;
+            // retries after that are the provisioning job's business
+          });
+          await promotions.recordRedemption(checkoutSession);
+        }
+        break;
+
+      case 'invoice.payment_succeeded':
+        const invoice = event.data.object;
+        logger.info('💰 Invoice Payment Succeeded', {
+          invoiceId: invoice.id,
+          customerEmail: invoice.customer_email,
+          amountPaid: invoice.amount_paid,
+          subscriptionId: invoice.subscription,
+          billingReason: invoice.billing_reason
+        });
+
+        // Handle subscription renewals
+        if (invoice.billing_reason === 'subscription_cycle') {
+          logger.info('🔄 Subscription renewal payment received');
+        }
+
+        // Lifts a non-payment suspension once a later invoice goes through
+        const paymentOutcome = await lifecycle.handlePaymentSucceeded(invoice);
+        if (paymentOutcome?.action === 'unsuspended') {
+          logger.info(`▶️ Server ${paymentOutcome.serverId} unsuspended after successful payment`);
+        }
+
+        // The first paid invoice of a referred subscription earns the referrer a credit
+        await referrals.handleInvoicePaid(invoice);
+        break;
+
+      case 'invoice.payment_failed':
+        const failedInvoice = event.data.object;
+        logger.info('❌ Invoice Payment Failed', {
+          invoiceId: failedInvoice.id,
+          customerEmail: failedInvoice.customer_email,
+          attemptCount: failedInvoice.attempt_count,
+          subscriptionId: failedInvoice.subscription
+        });
+
+        // Suspends the server after SUSPEND_AFTER_FAILED_ATTEMPTS failed attempts
+        const failureOutcome = await lifecycle.handlePaymentFailed(failedInvoice);
+        if (failureOutcome?.action === 'suspended') {
+          logger.info(`⏸️ Server ${failureOutcome.serverId} suspended after ${failedInvoice.attempt_count} failed payments`);
+          await notifier.suspended(failedInvoice);
+        } else if (failureOutcome?.attemptCount) {
+          await notifier.paymentFailed(failedInvoice, failureOutcome);
+        }
+        break;
+
+      case 'customer.subscription.created':
+        const subscription = event.data.object;
+        logger.info('🆕 Subscription Created', {
+          subscriptionId: subscription.id,
+          customerId: subscription.customer,
+          status: subscription.status,
+          currentPeriodEnd: new Date(subscription.current_period_end * 1000).toISOString()
+        });
+        break;
+
+      case 'customer.subscription.updated':
+        const updatedSubscription = event.data.object;
+        logger.info('🔄 Subscription Updated', {
+          subscriptionId: updatedSubscription.id,
+          status: updatedSubscription.status,
+          previousAttributes: event.data.previous_attributes
+        });
+        break;
+
+      case 'customer.subscription.deleted':
+        const deletedSubscription = event.data.object;
+        logger.info('🗑️ Subscription Cancelled', {
+          subscriptionId: deletedSubscription.id,
+          customerId: deletedSubscription.customer,
+          canceledAt: new Date(deletedSubscription.canceled_at * 1000).toISOString()
+        });
+        
+        // Suspend now; the server is deleted once the grace period runs out
+        const cancellationOutcome = await lifecycle.handleSubscriptionDeleted(deletedSubscription);
+        if (cancellationOutcome?.deleteAfter) {
+          logger.info(`🗓️ Server scheduled for deletion after ${cancellationOutcome.deleteAfter}`);
+          await notifier.cancelled(deletedSubscription, cancellationOutcome);
+        }
+        break;
+
+      case 'payment_method.attached':
+        logger.info('💳 Payment method attached to customer');
+        break;
+
+      default:
+        logger.info(`🤷‍♂️ Unhandled event type: ${event.type}`);
+    }
+
+    // Always respond with success to acknowledge receipt
+    res.json({ received: true, eventType: event.type });
+
+  } catch (error) {
+    logger.error('❌ Error processing webhook', { error: error.message });
+    metrics.webhookFailed(event.type);
+    
+    // Still return 200 to prevent Stripe from retrying
+    // Log the error for investigation
+    res.json({ 
+      received: true, 
+      error: error.message,
+      eventType: event.type 
+    });
+  }
+});
+
+// Regular middleware - MUST come AFTER webhook route
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// Pterodactyl configuration
+const PTERODACTYL_BASE = config.pterodactyl.apiUrl;
+const PTERODACTYL_API_KEY = config.pterodactyl.apiKey;
+const PTERODACTYL_CLIENT_BASE = config.pterodactyl.clientApiUrl;
+const PTERODACTYL_CLIENT_API_KEY = config.pterodactyl.clientApiKey;
+const placementNodeIds = config.pterodactyl.nodeIds;
+
+// Java version, Docker image and startup command for a Minecraft version. The
+// version table and JVM flag profiles live in lib/java-runtime.js; options are
+// { serverType, memoryMb, javaVersion, jvmProfile, launchArgs }.
+const getJavaVersionForMinecraft = (minecraftVersion, options = {}) => {
+  const runtime = resolveRuntime({
+    minecraftVersion: minecraftVersion || '1.21.4',
+    serverType: options.serverType,
+    memoryMb: options.memoryMb || 4096,
+    javaVersion: options.javaVersion,
+    jvmProfile: options.jvmProfile
+  });
+
+  logger.info(`🔍 Java ${runtime.java} with ${runtime.profile} flags for Minecraft ${minecraftVersion} (heap ${runtime.heapMb}M)`);
+
+  return {
+    java: runtime.java,
+    image: runtime.image,
+    profile: runtime.profile,
+    heapMb: runtime.heapMb,
+    startup: buildStartupCommand(runtime, options.launchArgs)
+  };
+};
+
+// Application API (users, servers, nodes) and client API (power, console, files,
+// backups); every panel call goes through one of these two clients
+const panel = createPterodactylClient({
+  api: 'application',
+  baseUrl: PTERODACTYL_BASE,
+  apiKey: PTERODACTYL_API_KEY,
+  metrics,
+  ...config.pterodactyl.client
+});
+const panelClient = createPterodactylClient({
+  api: 'client',
+  baseUrl: PTERODACTYL_CLIENT_BASE,
+  apiKey: PTERODACTYL_CLIENT_API_KEY,
+  metrics,
+  ...config.pterodactyl.client
+});
+
+// Helper function for Pterodactyl API requests
+const pterodactylRequest = (method, endpoint, data = null, options = {}) =>
+  panel.request(method, endpoint, data, options);
+
+// Helper function for Pterodactyl client API requests
+const pterodactylClientRequest = async (method, endpoint, data = null, options = {}) => {
+  if (!PTERODACTYL_CLIENT_API_KEY) {
+    throw new Error('PTERODACTYL_CLIENT_API_KEY is not configured');
+  }
+  return panelClient.request(method, endpoint, data, options);
+};
+
+// Username and password generators
+function generateUsernameFromEmail(email) {
+  let username = email.split('@')[0]
+    .replace(/[^a-z0-9]/gi, '')
+    .toLowerCase()
+    .slice(0, 10);
+
+  if (username.length < 4) {
+    username += 'user';
+  }
+
+  const suffix = Math.floor(Math.random() * 9000 + 1000);
+  return `${username}${suffix}`.slice(0, 16);
+}
+
+function generateRandomPassword(length = 16) {
+  const chars = {
+    lower: 'abcdefghijklmnopqrstuvwxyz',
+    upper: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    numbers: '0123456789',
+    symbols: '!@#$%^&*'
+  };
+  const allChars = Object.values(chars).join('');
+
+  let password = '';
+  password += chars.lower[crypto.randomInt(0, chars.lower.length)];
+  password += chars.upper[crypto.randomInt(0, chars.upper.length)];
+  password += chars.numbers[crypto.randomInt(0, chars.numbers.length)];
+  password += chars.symbols[crypto.randomInt(0, chars.symbols.length)];
+
+  for (let i = password.length; i < length; i++) {
+    password += allChars[crypto.randomInt(0, allChars.length)];
+  }
+
+  return password.split('').sort(() => 0.5 - Math.random()).join('');
+}
+
+// Create User function
+const CreateUser = async (email) => {
+  if (!email || typeof email !== 'string') {
+    throw new Error('Email must be a valid string');
+  }
+
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!emailRegex.test(email)) {
+    throw new Error('Invalid email format');
+  }
+  email = email.trim().toLowerCase();
+
+  try {
+    logger.info(`Starting user creation for: ${email}`);
+
+    // Check for existing user
+    const searchResponse = await pterodactylRequest('GET', `/users?filter[email]=${encodeURIComponent(email)}`, null, { timeout: 5000 });
+
+    if (searchResponse.data.data.length > 0) {
+      const user = searchResponse.data.data[0].attributes;
+      logger.info(`User exists: ${user.username}`);
+      return {
+        success: true,
+        userId: user.id.toString(),
+        username: user.username,
+        email: user.email,
+        existing: true,
+        admin: user.root_admin,
+        password: null
+      };
+    }
+
+    // Generate credentials and create user
+    const username = generateUsernameFromEmail(email);
+    const password = generateRandomPassword(16);
+    logger.info(`Generated credentials - Username: ${username}`);
+
+    const userData = {
+      email: email,
+      username: username,
+      first_name: username.split('.')[0] || username,
+      last_name: 'User',
+      password: password,
+      root_admin: false,
+      language: 'en'
+    };
+
+    logger.info('Creating panel user');
+    const createResponse = await pterodactylRequest('POST', '/users', userData, { timeout: 10000 });
+
+    if (!createResponse.data?.attributes) {
+      throw new Error('Invalid API response format');
+    }
+
+    logger.info(`User created successfully: ${createResponse.data.attributes.username}`);
+    return {
+      success: true,
+      userId: createResponse.data.attributes.id.toString(),
+      username: createResponse.data.attributes.username,
+      email: createResponse.data.attributes.email,
+      password: password,
+      existing: false,
+      admin: createResponse.data.attributes.root_admin
+    };
+
+  } catch (error) {
+    logger.error('User creation failed', { error: error.message });
+    // Panel errors keep their type so provisioning can tell validation failures apart
+    if (error instanceof PterodactylError) {
+      throw error;
+    }
+    throw new Error(`User creation failed: ${error.message}`);
+  }
+};
+
+// Durable session/provisioning store. Each checkout session gets a record in the
+// `sessions` collection holding its Stripe IDs, Pterodactyl user/server IDs and
+// provisioning status ('provisioning', 'completed' or 'failed'); generated
+// passwords live under `secrets` and are encrypted at rest.
+const store = createStore(config.store);
+
+// Subscription lifecycle: suspension on failed payments, deletion after cancellation.
+// Transitions are recorded per subscription in the `subscriptions` collection.
+const lifecycle = createLifecycleManager({
+  store,
+  pterodactylRequest,
+  clientRequest: pterodactylClientRequest,
+  ...config.lifecycle
+});
+
+// Node selection and allocation locking for new servers
+const placement = createPlacementScheduler({
+  store,
+  fetchAllPages: panel.fetchAllPages,
+  nodeIds: placementNodeIds
+});
+
+// Startup command and image for an existing server, e.g. after a resize (the heap
+// size is baked into the command) or a Java/profile change by the customer
+const startupForRecord = (record, { memoryMb, javaVersion, jvmProfile } = {}) => {
+  const metadata = record.metadata || {};
+  return getJavaVersionForMinecraft(metadata.minecraftVersion, {
+    serverType: metadata.serverType || 'paper',
+    memoryMb: memoryMb || (parseInt(metadata.totalRam) || 4) * 1024,
+    javaVersion: javaVersion || record.server?.javaVersion,
+    jvmProfile: jvmProfile || record.server?.jvmProfile,
+    launchArgs: getLaunchArgs(metadata.serverType || 'paper')
+  });
+};
+
+// Plan upgrades/downgrades on existing subscriptions
+const planChanges = createPlanChangeManager({
+  store,
+  stripe,
+  pterodactylRequest,
+  resolveStartup: (record, memoryMb) => startupForRecord(record, { memoryMb }),
+  placement
+});
+
+// Promo codes (created through /admin/promo-codes) and referral credits;
+// REFERRAL_CREDIT_AMOUNT is in cents
+const promotions = createPromotions({
+  store,
+  stripe,
+  currency: pricingCatalog.currency,
+  planIds: Object.keys(pricingCatalog.plans)
+});
+const referrals = createReferrals({
+  store,
+  stripe,
+  creditAmount: config.referrals.creditAmount,
+  currency: pricingCatalog.currency
+});
+
+// Outgoing mail; MAIL_TRANSPORT=file writes messages to MAIL_DIR instead of printing them
+// MAIL_TRANSPORT=smtp uses SMTP_URL, or SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+const mailer = createMailer(config.mail);
+
+// Server-ready and billing emails
+const notifier = createNotifier({
+  store,
+  mailer,
+  appUrl: config.appUrl,
+  panelUrl: config.pterodactyl.panelUrl
+});
+
+// Generated panel passwords: one reveal per order, resets after that
+const credentials = createCredentialManager({
+  store,
+  pterodactylRequest,
+  generatePassword: generateRandomPassword,
+  panelUrl: config.pterodactyl.panelUrl,
+  revealTtlMs: config.credentials.revealTtlMs
+});
+
+// Customer login (magic links + JWT sessions) and "my servers" lookups
+const auth = createAuth({
+  store,
+  mailer,
+  jwtSecret: config.auth.jwtSecret,
+  appUrl: config.appUrl,
+  sessionTtl: config.auth.sessionTtl
+});
+const customers = createCustomerDirectory({ store, stripe, pterodactylRequest });
+
+// Power buttons and console commands, rate limited per server
+const power = createPowerController({
+  clientRequest: pterodactylClientRequest,
+  powerLimit: config.rateLimits.power,
+  commandLimit: config.rateLimits.command
+});
+
+// server.properties: checkout settings after install, and later edits by the customer
+const serverSettings = createServerSettingsManager({
+  store,
+  pterodactylRequest,
+  clientRequest: pterodactylClientRequest
+});
+
+// Minecraft versions per server type: live project APIs, or only the bundled list
+// when VERSION_CATALOG_SOURCE=bundled (VERSION_CATALOG_PATH overrides that file)
+const versionCatalog = createVersionCatalog({
+  source: config.versionCatalog.source,
+  ...(config.versionCatalog.fallbackPath && { fallbackPath: config.versionCatalog.fallbackPath })
+});
+
+// Plugin catalog: PLUGIN_CATALOG_DIR (local directory) or PLUGIN_CATALOG_URL (HTTP mirror)
+const pluginCatalog = createPluginCatalog(config.pluginCatalog);
+const pluginInstaller = createPluginInstaller({
+  store,
+  catalog: pluginCatalog,
+  clientRequest: pterodactylClientRequest,
+  waitForInstall: serverSettings.waitForInstall
+});
+
+// Steps that need the egg install to have finished. Each records its own
+// status on the session record, so one failing does not stop the next.
+const runPostInstallSteps = async (sessionId) => {
+  await serverSettings.applyCheckoutSettings(sessionId).catch(() => {});
+  await pluginInstaller.installCheckoutPlugins(sessionId).catch(() => {});
+};
+
+// Resolves :serverId to one of the logged-in customer's servers or answers 404
+const requireOwnedServer = async (req, res, next) => {
+  try {
+    const server = await customers.findOwnedServer(req.customer.email, req.params.serverId);
+    if (!server || server.status === 'deleted') {
+      return res.status(404).json({ success: false, error: 'Server not found' });
+    }
+    req.server = server;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const sendPowerError = (res, error) => {
+  if (error instanceof PowerError) {
+    if (error.retryAfterMs) {
+      res.set('Retry-After', Math.ceil(error.retryAfterMs / 1000).toString());
+    }
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  logger.error('❌ Server control error', { error: error.message });
+  return res.status(500).json({ success: false, error: error.message });
+};
+
+// Flatten a session record back into the metadata shape the frontend expects.
+// Passwords are left out; they are only handed over by /credentials/reveal.
+const sessionRecordToMetadata = (record) => ({
+  ...record.metadata,
+  ...record.server
+});
+
+// Older orders had their passwords copied onto the Stripe session;
+// `npm run scrub-stripe-credentials` clears them from Stripe itself
+const LEGACY_SECRET_METADATA = ['serverPassword', 'ftpPassword'];
+const withoutSecretMetadata = (metadata) => Object.fromEntries(Object.entries(metadata || {})
+  .filter(([key]) => !LEGACY_SECRET_METADATA.includes(key)));
+
+// 429 with our usual error body. Counted per client IP (see TRUST_PROXY).
+const createRateLimit = ({ windowMs, max, ...options }) => rateLimit({
+  windowMs,
+  max,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, next, { statusCode }) => {
+    logger.warn('⚠️ Rate limit hit', { path: req.path, ip: req.ip });
+    res.status(statusCode).json({ success: false, error: 'Too many requests - try again later' });
+  },
+  ...options
+});
+
+// Checkout session IDs are all that guards an order's details, so only failed
+// lookups count: someone guessing IDs is cut off, a success page polling is not
+const sessionLookupLimit = createRateLimit({ ...config.rateLimits.sessionLookup, skipSuccessfulRequests: true });
+const passwordResetLimit = createRateLimit(config.rateLimits.passwordReset);
+const planChangeLimit = createRateLimit(config.rateLimits.planChange);
+
+// Look up a server previously created for a checkout session (external_id = session ID)
+const findServerByExternalId = async (externalId) => {
+  try {
+    const response = await pterodactylRequest(
+      'GET',
+      `/servers/external/${encodeURIComponent(externalId)}?include=allocations`
+    );
+    return response.data.attributes;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Customer email from a Checkout session, whichever field Stripe filled in
+const checkoutEmail = (session) =>
+  session.customer_details?.email ||
+  session.customer_email ||
+  session.metadata?.customerEmail ||
+  session.customer?.email;
+
+// Egg, environment and Java runtime for an order, from its checkout metadata
+const buildServerConfig = (metadata) => {
+  const totalRam = parseInt(metadata.totalRam) || 4;
+  const minecraftVersion = metadata.minecraftVersion || '1.21.4';
+  const serverType = metadata.serverType || 'paper';
+
+  // Egg and egg variables for this server type (throws for unsupported combinations)
+  const typeConfig = resolveServerType({
+    serverType,
+    minecraftVersion,
+    loaderVersion: metadata.loaderVersion,
+    buildNumber: metadata.buildNumber
+  }, config.pterodactyl.eggIds);
+
+  const javaConfig = getJavaVersionForMinecraft(minecraftVersion, {
+    serverType,
+    memoryMb: totalRam * 1024,
+    javaVersion: metadata.javaVersion,
+    jvmProfile: metadata.jvmProfile,
+    launchArgs: typeConfig.launchArgs
+  });
+
+  return { totalRam, minecraftVersion, serverType, typeConfig, javaConfig };
+};
+
+// Server creation as a job (lib/jobs.js). Each step's output is persisted, so a
+// failure resumes at the step that failed instead of starting over. The job ID
+// is the checkout session ID.
+const provisioningSteps = [
+  {
+    // Fail fast, without retries, on orders that can never be installed
+    name: 'validateOrder',
+    run: async ({ input }) => {
+      const { serverType, minecraftVersion } = buildServerConfig(input.metadata);
+      // Never hand the egg a version it has no build for
+      await versionCatalog.assertSupported({ serverType, minecraftVersion });
+    }
+  },
+  {
+    // Panel account for the customer, reused if the email already has one
+    name: 'createUser',
+    run: async ({ input }) => {
+      const userResult = await CreateUser(input.customerEmail);
+      logger.info('👤 User result', {
+        id: userResult.userId,
+        username: userResult.username,
+        existing: userResult.existing,
+        hasPassword: !!userResult.password
+      });
+
+      return {
+        user: { userId: userResult.userId, username: userResult.username, existing: userResult.existing },
+        ...(userResult.password && { secrets: { password: userResult.password } })
+      };
+    }
+  },
+  {
+    // Node with room for the server plus a locked allocation on it
+    name: 'placeServer',
+    run: async ({ id, input }) => {
+      const { node, allocation } = await placement.placeServer({
+        totalRam: parseInt(input.metadata.totalRam) || 4,
+        location: input.metadata.location,
+        owner: id
+      });
+      logger.info(`🎯 Using node ${node.id}, allocation: ${allocation.id}`);
+
+      return {
+        placement: {
+          nodeId: node.id,
+          nodeFqdn: node.fqdn,
+          allocationId: allocation.id,
+          alias: allocation.alias,
+          port: allocation.port
+        }
+      };
+    }
+  },
+  {
+    name: 'createServer',
+    run: async ({ id, input, context }) => {
+      // An earlier attempt may have created the server and died before recording it
+      const existingServer = await findServerByExternalId(id);
+      if (existingServer) {
+        const existingAllocation = existingServer.relationships?.allocations?.data?.[0]?.attributes;
+        logger.info(`♻️ Server ${existingServer.id} already exists for session ${id}, skipping creation`);
+        return {
+          server: {
+            serverId: existingServer.id,
+            serverUuid: existingServer.uuid,
+            serverAddress: existingAllocation
+              ? `${existingAllocation.alias || 'mc.goosehosting.com'}:${existingAllocation.port}`
+              : null,
+            nodeId: existingServer.node,
+            allocationId: existingServer.allocation,
+            createdAt: existingServer.created_at
+          }
+        };
+      }
+
+      const { totalRam, minecraftVersion, serverType, typeConfig, javaConfig } = buildServerConfig(input.metadata);
+      logger.info('☕ Java configuration', javaConfig);
+
+      // The lock may have expired while the job waited for a retry; place again if the port is gone
+      let placed = context.placement;
+      if (!(await placement.renewAllocation(placed.allocationId, placed.nodeId, id))) {
+        const { node, allocation } = await placement.placeServer({ totalRam, location: input.metadata.location, owner: id });
+        logger.info(`🎯 Allocation ${placed.allocationId} was lost, moved to node ${node.id}, allocation ${allocation.id}`);
+        placed = { nodeId: node.id, nodeFqdn: node.fqdn, allocationId: allocation.id, alias: allocation.alias, port: allocation.port };
+      }
+
+      const serverData = {
+        name: input.metadata.serverName || `Server-${Date.now()}`,
+        user: parseInt(context.user.userId),
+        egg: typeConfig.eggId,
+        docker_image: javaConfig.image, // Use correct Java image
+        startup: javaConfig.startup,     // Use correct startup command
+        environment: {
+          ...typeConfig.environment,
+          SERVER_MEMORY: totalRam * 1024,
+          MAX_PLAYERS: parseInt(input.metadata.maxPlayers) || 20,
+          EULA: 'true',
+          JAVA_VERSION: javaConfig.java.toString() // Store Java version for reference
+        },
+        limits: resourceLimitsForRam(totalRam),
+        feature_limits: {
+          ...DEFAULT_FEATURE_LIMITS,
+          ...pricingCatalog.plans[input.metadata.plan]?.featureLimits
+        },
+        allocation: {
+          default: placed.allocationId
+        },
+        // Ties the server to its checkout session so provisioning can be retried safely
+        external_id: id
+      };
+
+      logger.info('🔨 Creating server with configuration', {
+        name: serverData.name,
+        image: serverData.docker_image,
+        java: javaConfig.java,
+        minecraft: minecraftVersion,
+        type: serverType
+      });
+
+      let response;
+      try {
+        // Installs can keep the panel busy for a while before it answers
+        response = await pterodactylRequest('POST', '/servers', serverData, { timeout: 60000 });
+      } finally {
+        // Once the server exists the panel marks the allocation as assigned, so the lock is no longer needed
+        await placement.releaseAllocation(placed.allocationId, id);
+      }
+
+      const server = {
+        serverId: response.data.attributes.id,
+        serverUuid: response.data.attributes.uuid,
+        serverAddress: `${placed.alias || placed.nodeFqdn || 'mc.goosehosting.com'}:${placed.port}`,
+        nodeId: placed.nodeId,
+        allocationId: placed.allocationId,
+        createdAt: new Date().toISOString()
+      };
+
+      logger.info('🎉 Server created successfully', {
+        id: server.serverId,
+        uuid: server.serverUuid,
+        address: server.serverAddress,
+        java: javaConfig.java,
+        image: javaConfig.image
+      });
+
+      return { placement: placed, server };
+    }
+  },
+  {
+    // The session record is what the customer API, lifecycle and plan changes read
+    name: 'recordServer',
+    run: async ({ id, input, context, secrets: jobSecrets }) => {
+      const { minecraftVersion, serverType, javaConfig } = buildServerConfig(input.metadata);
+      const { user, server } = context;
+
+      const serverInfo = {
+        ...server,
+        pterodactylUserId: user.userId,
+        pterodactylUsername: user.username,
+        ownerEmail: input.customerEmail,
+        userStatus: user.existing ? 'existing' : 'new',
+        javaVersion: javaConfig.java,
+        jvmProfile: javaConfig.profile,
+        dockerImage: javaConfig.image,
+        minecraftVersion,
+        serverType
+      };
+
+      // Only add credentials for new users; passwords are kept apart so they
+      // are only ever written encrypted
+      const secrets = {};
+      if (!user.existing && jobSecrets?.password) {
+        serverInfo.serverUsername = user.username;
+        serverInfo.ftpHost = 'ftp.goosehosting.com';
+        serverInfo.ftpPort = '21';
+        serverInfo.ftpUsername = user.username;
+        secrets.serverPassword = jobSecrets.password;
+        secrets.ftpPassword = jobSecrets.password;
+      }
+
+      await store.update('sessions', id, {
+        sessionId: id,
+        customerEmail: input.customerEmail,
+        stripeCustomerId: input.stripeCustomerId,
+        subscriptionId: input.subscriptionId,
+        metadata: input.metadata,
+        pterodactylUserId: user.userId,
+        pterodactylUsername: user.username,
+        serverId: server.serverId,
+        serverUuid: server.serverUuid,
+        serverAddress: server.serverAddress,
+        server: serverInfo,
+        secrets
+      });
+      logger.info(`💾 Stored server record for session ${id}`);
+
+      // The session now holds the password until it is revealed; the job must
+      // not keep its own copy (job secrets merge key by key, like the store's)
+      return { secrets: { password: null } };
+    }
+  },
+  {
+    // Mirror the non-secret server details onto the Stripe session
+    name: 'updateStripe',
+    run: async ({ id, input, context }) => {
+      if (!stripe) {
+        return;
+      }
+      try {
+        await stripe.checkout.sessions.update(id, {
+          metadata: {
+            ...input.metadata,
+            serverId: context.server.serverId,
+            serverUuid: context.server.serverUuid,
+            serverAddress: context.server.serverAddress,
+            pterodactylUserId: context.user.userId
+          }
+        });
+        logger.info('✅ Updated Stripe session with server details');
+      } catch (stripeError) {
+        // Nothing reads these back any more, so this is not worth failing the job over
+        logger.warn('⚠️ Failed to update Stripe session metadata', { error: stripeError.message });
+      }
+    }
+  }
+];
+
+// What happens to a paid order that could not be provisioned:
+// COMPENSATION_POLICY=refund (default), credit or none
+const compensation = createCompensationManager({
+  store,
+  stripe,
+  pterodactylRequest,
+  findServerByExternalId,
+  releaseAllocation: placement.releaseAllocation,
+  recordTransition: lifecycle.recordTransition,
+  policy: config.provisioning.compensationPolicy
+});
+
+const provisioning = createJobQueue({
+  store,
+  collection: 'provisioningJobs',
+  steps: provisioningSteps,
+  maxAttempts: config.provisioning.maxAttempts,
+  baseDelayMs: config.provisioning.baseDelayMs,
+  // Retrying cannot fix an order for a type/version/runtime we do not offer
+  // A panel validation failure will fail the same way on every attempt
+  isPermanent: (error) =>
+    error instanceof ServerTypeError || error instanceof VersionError || error instanceof RuntimeError ||
+    (error instanceof PterodactylError && error.status === 422),
+  onComplete: async (job) => {
+    metrics.provisioningFinished(job, 'completed');
+    await store.update('sessions', job.id, {
+      status: 'completed',
+      finishedAt: new Date().toISOString(),
+      error: null,
+      settingsStatus: 'pending'
+    });
+    // Gameplay settings and plugins from checkout are applied once the install finishes
+    runPostInstallSteps(job.id);
+    await notifier.serverReady(await store.get('sessions', job.id));
+  },
+  onRetry: async (job) => {
+    metrics.provisioningRetried(job);
+  },
+  onDead: async (job, error) => {
+    metrics.provisioningFinished(job, 'dead');
+    await store.update('sessions', job.id, {
+      status: 'failed',
+      finishedAt: new Date().toISOString(),
+      error: error.message
+    });
+    // The customer paid for a server they are not getting
+    await compensation.compensate(job);
+  }
+});
+
+// Entry point used by the webhook: queues provisioning for a paid checkout session.
+// Idempotent - a session that already has a job or a server is left alone.
+const provisionSession = async (session) => {
+  const sessionId = session.id;
+
+  const existingJob = await provisioning.get(sessionId);
+  if (existingJob) {
+    logger.info(`⏳ Provisioning job for session ${sessionId} is already ${existingJob.status}`);
+    return existingJob;
+  }
+
+  const record = await store.get('sessions', sessionId);
+  if (record?.status === 'completed') {
+    logger.info(`♻️ Session ${sessionId} already provisioned`);
+    return null;
+  }
+
+  // Sessions provisioned before the store existed only carry the server ID in Stripe metadata
+  if (session.metadata?.serverId) {
+    await store.update('sessions', sessionId, {
+      sessionId,
+      status: 'completed',
+      finishedAt: new Date().toISOString(),
+      metadata: session.metadata,
+      serverId: session.metadata.serverId,
+      serverUuid: session.metadata.serverUuid,
+      serverAddress: session.metadata.serverAddress
+    });
+    return null;
+  }
+
+  const customerEmail = checkoutEmail(session);
+  if (!customerEmail || !customerEmail.includes('@')) {
+    logger.error(`❌ Provisioning failed for session ${sessionId}: no valid customer email`);
+    await store.update('sessions', sessionId, {
+      sessionId,
+      status: 'failed',
+      finishedAt: new Date().toISOString(),
+      error: 'Valid customer email is required'
+    });
+    throw new Error('Valid customer email is required');
+  }
+
+  await store.update('sessions', sessionId, {
+    sessionId,
+    status: 'provisioning',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    error: null
+  });
+
+  const { job } = await provisioning.enqueue(sessionId, {
+    customerEmail,
+    stripeCustomerId: typeof session.customer === 'string' ? session.customer : session.customer?.id,
+    subscriptionId: typeof session.subscription === 'string' ? session.subscription : session.subscription?.id,
+    metadata: session.metadata || {}
+  });
+  logger.info(`📋 Provisioning queued for session ${sessionId}`);
+  return job;
+};
+
+// What the success page polls; never includes job input, context or secrets
+const describeProvisioningJob = (job) => ({
+  status: job.status,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  nextRunAt: job.nextRunAt || null,
+  startedAt: job.createdAt,
+  finishedAt: job.finishedAt || null,
+  lastError: job.lastError || null,
+  steps: provisioningSteps.map(({ name }) => ({
+    name,
+    status: job.steps[name]?.status || 'pending',
+    attempts: job.steps[name]?.attempts || 0,
+    error: job.steps[name]?.error || null
+  })),
+  server: job.status === 'completed'
+    ? { id: job.context.server.serverId, address: job.context.server.serverAddress }
+    : null
+});
+
+// Support staff: ADMIN_API_KEYS="name:key,..." enables /admin; every action lands in the audit log
+const adminAuth = createAdminAuth({ apiKeys: config.admin.apiKeys });
+const auditLog = createAuditLog({ store });
+const admin = createAdminConsole({
+  store,
+  stripe,
+  customers,
+  lifecycle,
+  provisioning,
+  provisionSession,
+  notifier,
+  auditLog
+});
+
+// Stripe/panel drift report every RECONCILE_INTERVAL_MS (default 6 hours, 0 turns the
+// schedule off). Scheduled runs only fix what they find with RECONCILE_AUTO_FIX=true.
+const reconciler = createReconciler({
+  store,
+  stripe,
+  fetchAllPages: panel.fetchAllPages,
+  lifecycle,
+  provisioning,
+  provisionSession,
+  auditLog,
+  autoFix: config.reconciliation.autoFix,
+  intervalMs: config.reconciliation.intervalMs
+});
+
+// Get session details endpoint
+app.get('/session-details/:sessionId', sessionLookupLimit, validate({ params: schemas.params.session }), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    logger.info(`\n🔍 Fetching session details for: ${sessionId}`);
+
+    let session = null;
+    let metadata = {};
+
+    if (stripe) {
+      try {
+        session = await stripe.checkout.sessions.retrieve(sessionId);
+        metadata = withoutSecretMetadata(session.metadata);
+        logger.info('📋 Session found from Stripe', {
+          id: session.id,
+          status: session.payment_status,
+          email: session.customer_details?.email,
+          hasCredentials: !!(metadata.serverUsername),
+          hasServer: !!(metadata.serverId)
+        });
+        if (LEGACY_SECRET_METADATA.some((key) => session.metadata?.[key])) {
+          // Setting a metadata key to '' deletes it in Stripe
+          stripe.checkout.sessions.update(sessionId, {
+            metadata: Object.fromEntries(LEGACY_SECRET_METADATA.map((key) => [key, '']))
+          }).catch((scrubError) => logger.warn('⚠️ Failed to clear passwords from Stripe metadata', { error: scrubError.message }));
+        }
+      } catch (stripeError) {
+        logger.warn('⚠️ Failed to retrieve from Stripe', { error: stripeError.message });
+      }
+    }
+
+    const record = await store.get('sessions', sessionId);
+    if (record) {
+      logger.info('💾 Found session record in store');
+      metadata = { ...metadata, ...sessionRecordToMetadata(record) };
+    }
+
+    if (!session && !record) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (!session && record) {
+      session = {
+        id: sessionId,
+        payment_status: 'paid',
+        customer_details: { email: record.customerEmail },
+        metadata: metadata
+      };
+    }
+
+    // Provisioning is driven by the checkout.session.completed webhook; this
+    // endpoint only reports where it stands
+    let provisioning;
+
+    if (record?.status) {
+      provisioning = {
+        status: record.status,
+        startedAt: record.startedAt,
+        finishedAt: record.finishedAt,
+        error: record.error || undefined,
+        compensation: record.compensation || undefined
+      };
+    } else if (metadata.serverId) {
+      provisioning = { status: 'completed' };
+    } else {
+      provisioning = { status: PAID_STATUSES.includes(session.payment_status) ? 'pending' : 'awaiting_payment' };
+    }
+
+    const messages = {
+      completed: 'Server created successfully',
+      provisioning: 'Server is being created',
+      pending: 'Payment successful, server creation will start shortly',
+      failed: 'Payment successful but server creation failed',
+      awaiting_payment: 'Payment pending'
+    };
+
+    const response = {
+      success: provisioning.status !== 'failed',
+      session: {
+        id: session.id,
+        status: session.payment_status,
+        customer_email: session.customer_details?.email,
+        metadata: metadata
+      },
+      provisioning,
+      message: messages[provisioning.status]
+    };
+
+    if (provisioning.status === 'completed') {
+      response.server = {
+        id: metadata.serverId,
+        uuid: metadata.serverUuid,
+        address: metadata.serverAddress
+      };
+      // A one-time reveal token the first time round; POST it to /credentials/reveal
+      if (record) {
+        response.credentials = await credentials.revealStatus(record);
+      }
+    }
+
+    if (provisioning.status === 'failed') {
+      response.error = `Server creation failed: ${provisioning.error}`;
+    }
+
+    return res.json(response);
+
+  } catch (error) {
+    logger.error('❌ Session details error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Step-by-step provisioning progress for the success page to poll
+app.get('/provisioning/:sessionId', sessionLookupLimit, validate({ params: schemas.params.session }), async (req, res) => {
+  try {
+    const job = await provisioning.get(req.params.sessionId);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'No provisioning job for this session' });
+    }
+    // For dead jobs: whether the customer was refunded or credited
+    const compensationRecord = job.status === 'dead' ? await store.get('compensations', job.id) : null;
+    res.json({
+      success: true,
+      provisioning: describeProvisioningJob(job),
+      compensation: compensationRecord
+        ? { policy: compensationRecord.policy, status: compensationRecord.status }
+        : null
+    });
+  } catch (error) {
+    logger.error('❌ Provisioning status error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Plan catalog - the frontend renders prices from here so they match what is charged
+app.get('/plans', (req, res) => {
+  res.json({ success: true, ...getPublicCatalog() });
+});
+
+// Price a configuration without creating a checkout session; `promoCode` is
+// checked and its discount included
+app.get('/plans/quote', validate({ query: schemas.query.quote }), async (req, res) => {
+  try {
+    const { promoCode, ...pricing } = req.query;
+    const quote = calculatePrice(pricing);
+    const promotion = promoCode
+      ? promotions.discountFor(quote, await promotions.resolvePromoCode(promoCode, { planId: quote.planId }))
+      : null;
+    res.json({ success: true, quote, promotion });
+  } catch (error) {
+    if (error instanceof PricingError) {
+      return sendFieldError(res, error.message, error.details.field);
+    }
+    if (error instanceof PromotionError) {
+      return sendFieldError(res, error.message, error.field, error.statusCode);
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Locations a customer can choose at checkout
+app.get('/locations', async (req, res) => {
+  try {
+    const locations = await placement.listLocations();
+    res.json({ success: true, locations });
+  } catch (error) {
+    logger.error('❌ Failed to list locations', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create checkout session endpoint with proper billing intervals. The body is
+// schemas.body.checkout: flat, or the server fields nested under `serverConfig`.
+app.post('/create-checkout-session', validate({ body: schemas.body.checkout }), async (req, res) => {
+  try {
+    if (!stripe) {
+      return res.status(500).json({ error: 'Stripe not configured' });
+    }
+
+    const {
+      serverName,
+      planId,
+      billingCycle,
+      serverType,
+      minecraftVersion,
+      totalRam,
+      maxPlayers,
+      viewDistance,
+      whitelist,
+      pvp,
+      plugins,
+      addons,
+      location,
+      loaderVersion,
+      buildNumber,
+      javaVersion,
+      jvmProfile,
+      totalCost,
+      monthlyCost,
+      promoCode,
+      referralCode
+    } = req.body;
+
+    // The price always comes from the catalog; client-sent amounts are only checked
+    let quote;
+    try {
+      quote = calculatePrice({ planId, totalRam, billingCycle, addons });
+    } catch (pricingError) {
+      if (pricingError instanceof PricingError) {
+        return sendFieldError(res, pricingError.message, pricingError.details.field);
+      }
+      throw pricingError;
+    }
+
+    // Reject type/version combinations we cannot install before the customer pays
+    let typeConfig;
+    try {
+      typeConfig = resolveServerType({ serverType, minecraftVersion, loaderVersion, buildNumber }, config.pterodactyl.eggIds);
+    } catch (typeError) {
+      if (typeError instanceof ServerTypeError) {
+        return sendFieldError(res, typeError.message, typeError.field);
+      }
+      throw typeError;
+    }
+
+    try {
+      await versionCatalog.assertSupported({ serverType: typeConfig.serverType, minecraftVersion });
+    } catch (versionError) {
+      if (versionError instanceof VersionError) {
+        return sendFieldError(res, versionError.message, versionError.field);
+      }
+      throw versionError;
+    }
+
+    // Customer-chosen Java version / flag profile must suit the Minecraft version
+    try {
+      resolveRuntime({
+        minecraftVersion,
+        serverType,
+        memoryMb: quote.totalRam * 1024,
+        javaVersion,
+        jvmProfile
+      });
+    } catch (runtimeError) {
+      if (runtimeError instanceof RuntimeError) {
+        return sendFieldError(res, runtimeError.message, runtimeError.field);
+      }
+      throw runtimeError;
+    }
+
+    if (location) {
+      const locations = await placement.listLocations();
+      const knownLocation = locations.some((candidate) =>
+        String(candidate.id) === String(location) || candidate.short.toLowerCase() === String(location).toLowerCase()
+      );
+      if (!knownLocation) {
+        return sendFieldError(res, `Unknown location: ${location}`, 'location');
+      }
+    }
+
+    // Selected plugins must exist in the catalog and suit the server type/version
+    try {
+      await pluginCatalog.resolvePlugins(parsePluginList(plugins), { serverType, minecraftVersion });
+    } catch (pluginError) {
+      if (pluginError instanceof PluginError) {
+        return sendFieldError(res, pluginError.message, 'plugins');
+      }
+      throw pluginError;
+    }
+
+    // Discounts are decided here, never by the client
+    let promotion = null;
+    let referrer = null;
+    try {
+      if (promoCode) {
+        promotion = await promotions.resolvePromoCode(promoCode, { planId });
+      }
+      if (referralCode) {
+        referrer = await referrals.resolveCode(referralCode);
+      }
+    } catch (discountError) {
+      if (discountError instanceof PromotionError || discountError instanceof ReferralError) {
+        return sendFieldError(res, discountError.message, discountError.field, discountError.statusCode);
+      }
+      throw discountError;
+    }
+
+    const mismatches = findPriceMismatches(quote, { monthlyCost, totalCost });
+    if (mismatches.length > 0) {
+      logger.warn('⚠️ Rejected checkout with client price mismatch', {
+        planId,
+        billingCycle,
+        mismatches,
+        clientMonthlyCost: monthlyCost,
+        clientTotalCost: totalCost
+      });
+      return res.status(400).json({
+        ...fieldErrorBody(mismatches.map((field) => ({ field, message: 'does not match the current price' }))),
+        error: `Price mismatch for ${mismatches.join(', ')} - please refresh pricing`,
+        quote
+      });
+    }
+
+    logger.info('💳 Creating Stripe checkout session', {
+      serverName,
+      plan: planId,
+      billingCycle,
+      totalRam: quote.totalRam,
+      unitAmount: quote.unitAmount / 100,
+      minecraftVersion,
+      serverType
+    });
+
+    const description = `Minecraft Server (${serverType} ${minecraftVersion}) - ${quote.periodLabel}`;
+
+    const session = await stripe.checkout.sessions.create({
+      payment_method_types: ['card'],
+      line_items: [{
+        price_data: {
+          currency: quote.currency,
+          product_data: {
+            name: `${serverName} - ${quote.planName.toUpperCase()} Plan`,
+            description: description
+          },
+          recurring: {
+            interval: quote.interval,
+            interval_count: quote.intervalCount
+          },
+          unit_amount: quote.unitAmount
+        },
+        quantity: 1
+      }],
+      mode: 'subscription',
+      ...(promotion && { discounts: [{ coupon: promotion.stripeCouponId }] }),
+      // The referral code rides on the subscription so invoice webhooks can see it
+      subscription_data: {
+        ...(quote.trialDays > 0 && { trial_period_days: quote.trialDays }),
+        metadata: {
+          ...(referrer && { referralCode: referrer.code }),
+          ...(promotion && { promoCode: promotion.code })
+        }
+      },
+      success_url: `${config.appUrl}/success?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${config.appUrl}/cancel`,
+      metadata: {
+        serverName,
+        plan: planId,
+        serverType,
+        minecraftVersion,
+        loaderVersion: typeConfig.options.loaderVersion || '',
+        buildNumber: typeConfig.options.buildNumber || '',
+        javaVersion: javaVersion ? String(javaVersion) : '',
+        jvmProfile: jvmProfile || '',
+        totalRam: quote.totalRam.toString(),
+        maxPlayers: (maxPlayers || 20).toString(),
+        viewDistance: (viewDistance || 10).toString(),
+        whitelist: (whitelist || false).toString(),
+        pvp: (pvp !== false).toString(),
+        plugins: parsePluginList(plugins).join(',') || 'none',
+        addons: quote.addons.length > 0 ? quote.addons.join(',') : 'none',
+        location: location ? String(location) : '',
+        billingCycle: billingCycle,
+        totalCost: (quote.totalCost / 100).toFixed(2),
+        monthlyCost: (quote.monthlyCost / 100).toFixed(2),
+        effectiveMonthlyRate: (quote.effectiveMonthlyRate / 100).toFixed(2),
+        discount: quote.discount.toString(),
+        savings: (quote.savings / 100).toFixed(2),
+        promoCode: promotion?.code || '',
+        referralCode: referrer?.code || '',
+        trialDays: quote.trialDays.toString()
+      }
+    });
+
+    metrics.checkoutCreated({ plan: planId, serverType });
+    logger.info('✅ Stripe session created', {
+      sessionId: session.id,
+      billingCycle,
+      interval: { interval: quote.interval, interval_count: quote.intervalCount },
+      amount: quote.unitAmount / 100,
+      promoCode: promotion?.code,
+      trialDays: quote.trialDays
+    });
+
+    res.json({
+      success: true,
+      sessionId: session.id,
+      url: session.url,
+      quote,
+      promotion: promotion && promotions.discountFor(quote, promotion)
+    });
+
+  } catch (error) {
+    logger.error('❌ Stripe checkout error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Request a magic login link. Responds the same way whether or not the email has servers.
+app.post('/auth/login', validate({ body: schemas.body.login }), async (req, res) => {
+  try {
+    await auth.requestLoginLink(req.body.email);
+    res.json({ success: true, message: 'If that email has servers with us, a login link is on its way' });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    logger.error('❌ Login request error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Could not send login link' });
+  }
+});
+
+// Exchange a magic-link token for a session token
+app.post('/auth/verify', validate({ body: schemas.body.verify }), async (req, res) => {
+  try {
+    const { token, customer } = await auth.verifyLoginToken(req.body.token);
+    res.json({
+      success: true,
+      token,
+      customer: { email: customer.email }
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    logger.error('❌ Login verification error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Could not verify login link' });
+  }
+});
+
+// Trades the reveal token from /session-details for the panel password, once
+app.post('/credentials/reveal', sessionLookupLimit, validate({ body: schemas.body.credentialReveal }), async (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    res.json({ success: true, credentials: await credentials.reveal(req.body.sessionId, req.body.token) });
+  } catch (error) {
+    if (error instanceof CredentialError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    logger.error('❌ Credential reveal error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Could not reveal credentials' });
+  }
+});
+
+// Logged-in customer's servers, subscriptions and billing standing
+app.get('/me', auth.requireAuth, async (req, res) => {
+  try {
+    const [servers, subscriptions] = await Promise.all([
+      customers.listServers(req.customer.email),
+      customers.listSubscriptions(req.customer.email)
+    ]);
+
+    res.json({
+      success: true,
+      customer: req.customer,
+      servers,
+      subscriptions,
+      billing: customers.getBillingState(subscriptions)
+    });
+  } catch (error) {
+    logger.error('❌ Customer overview error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/me/servers', auth.requireAuth, async (req, res) => {
+  try {
+    const servers = await customers.listServers(req.customer.email);
+    res.json({ success: true, servers });
+  } catch (error) {
+    logger.error('❌ Customer servers error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/me/subscriptions', auth.requireAuth, async (req, res) => {
+  try {
+    const subscriptions = await customers.listSubscriptions(req.customer.email);
+    res.json({
+      success: true,
+      subscriptions,
+      billing: customers.getBillingState(subscriptions)
+    });
+  } catch (error) {
+    logger.error('❌ Customer subscriptions error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// The customer's referral code (made on first request) and what it has earned
+app.get('/me/referral', auth.requireAuth, async (req, res) => {
+  try {
+    const referral = await referrals.summaryFor(req.customer.email);
+    res.json({
+      success: true,
+      ...referral,
+      link: `${config.appUrl}/?ref=${referral.code}`
+    });
+  } catch (error) {
+    logger.error('❌ Referral summary error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Start/stop/restart/kill one of the customer's servers
+app.post('/me/servers/:serverId/power', auth.requireAuth, validate({ params: schemas.params.server, body: schemas.body.power }), requireOwnedServer, async (req, res) => {
+  try {
+    await power.sendPowerSignal(req.server, req.body.signal);
+    res.json({ success: true, signal: req.body.signal });
+  } catch (error) {
+    sendPowerError(res, error);
+  }
+});
+
+// Send a console command to one of the customer's servers
+app.post('/me/servers/:serverId/command', auth.requireAuth, validate({ params: schemas.params.server, body: schemas.body.command }), requireOwnedServer, async (req, res) => {
+  try {
+    await power.sendCommand(req.server, req.body.command);
+    res.json({ success: true });
+  } catch (error) {
+    sendPowerError(res, error);
+  }
+});
+
+// New panel/SFTP password for the account that owns the server, shown in this response only
+app.post('/me/servers/:serverId/reset-password', auth.requireAuth, passwordResetLimit, validate({ params: schemas.params.server }), requireOwnedServer, async (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    res.json({ success: true, credentials: await credentials.resetPassword(req.server) });
+  } catch (error) {
+    if (error instanceof CredentialError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    logger.error('❌ Password reset failed', { error: error.message });
+    res.status(502).json({ success: false, error: 'Could not reset the password' });
+  }
+});
+
+// Change RAM/plan on one of the customer's servers, prorated in Stripe and resized live on the panel
+app.post('/me/servers/:serverId/plan', auth.requireAuth, planChangeLimit, validate({ params: schemas.params.server, body: schemas.body.changePlan }), requireOwnedServer, async (req, res) => {
+  try {
+    if (!stripe) {
+      return res.status(500).json({ error: 'Stripe not configured' });
+    }
+
+    const result = await planChanges.changePlan({
+      ...req.body,
+      serverId: req.server.serverId,
+      customerEmail: req.customer.email
+    });
+
+    res.json({
+      success: true,
+      quote: result.quote,
+      change: result.change,
+      message: 'Plan changed successfully'
+    });
+  } catch (error) {
+    if (error instanceof PricingError) {
+      return sendFieldError(res, error.message, error.details.field);
+    }
+    if (error instanceof PlanChangeError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    logger.error('❌ Plan change error', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Editable server.properties values for one of the customer's servers
+app.get('/me/servers/:serverId/properties', auth.requireAuth, validate({ params: schemas.params.server }), requireOwnedServer, async (req, res) => {
+  try {
+    const properties = await serverSettings.getEditableProperties(req.server.serverUuid);
+    res.json({
+      success: true,
+      properties,
+      schema: Object.fromEntries(Object.entries(PROPERTY_SCHEMA).map(([key, rule]) => [
+        key,
+        { ...rule, pattern: rule.pattern ? rule.pattern.source : undefined }
+      ]))
+    });
+  } catch (error) {
+    logger.error('❌ Failed to read server properties', { error: error.message });
+    res.status(502).json({ success: false, error: 'Could not read server.properties' });
+  }
+});
+
+// Update server.properties; only keys from PROPERTY_SCHEMA are accepted
+app.patch('/me/servers/:serverId/properties', auth.requireAuth, validate({ params: schemas.params.server, body: schemas.body.properties }), requireOwnedServer, async (req, res) => {
+  try {
+    const changes = validateProperties(req.body.properties);
+    await serverSettings.updateProperties(req.server.serverUuid, changes);
+    res.json({
+      success: true,
+      updated: changes,
+      message: 'Saved - restart the server for changes to take effect'
+    });
+  } catch (error) {
+    if (error instanceof PropertiesError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        field: error.fields[0]?.field,
+        fields: error.fields
+      });
+    }
+    logger.error('❌ Failed to update server properties', { error: error.message });
+    res.status(502).json({ success: false, error: 'Could not update server.properties' });
+  }
+});
+
+// Server types that can be bought right now, with their Minecraft version ranges
+app.get('/server-types', (req, res) => {
+  res.json({ success: true, serverTypes: listServerTypes(config.pterodactyl.eggIds) });
+});
+
+// Minecraft versions a server type can install, newest first
+app.get('/versions', validate({ query: schemas.query.versions }), async (req, res) => {
+  try {
+    res.json({ success: true, ...(await versionCatalog.listVersions(req.query.serverType)) });
+  } catch (error) {
+    if (error instanceof VersionError) {
+      return sendFieldError(res, error.message, error.field);
+    }
+    logger.error('❌ Failed to list versions', { error: error.message });
+    res.status(502).json({ success: false, error: 'Version catalog unavailable' });
+  }
+});
+
+// Java versions and JVM flag profiles available for a Minecraft version and server type
+app.get('/runtime-options', validate({ query: schemas.query.runtimeOptions }), (req, res) => {
+  res.json({ success: true, ...getRuntimeOptions(req.query.minecraftVersion, req.query.serverType) });
+});
+
+// Switch Java version and/or JVM flag profile on one of the customer's servers
+app.patch('/me/servers/:serverId/runtime', auth.requireAuth, validate({ params: schemas.params.server, body: schemas.body.runtime }), requireOwnedServer, async (req, res) => {
+  try {
+    const { javaVersion, jvmProfile } = req.body;
+
+    const runtime = startupForRecord(req.server, { javaVersion, jvmProfile });
+    const current = (await pterodactylRequest('GET', `/servers/${req.server.serverId}`)).data.attributes;
+
+    await pterodactylRequest('PATCH', `/servers/${req.server.serverId}/startup`, {
+      startup: runtime.startup,
+      environment: { ...current.container.environment, JAVA_VERSION: runtime.java.toString() },
+      egg: current.egg,
+      image: runtime.image,
+      skip_scripts: true
+    });
+
+    await store.update('sessions', req.server.sessionId, {
+      server: {
+        ...req.server.server,
+        javaVersion: runtime.java,
+        jvmProfile: runtime.profile,
+        dockerImage: runtime.image
+      }
+    });
+
+    res.json({
+      success: true,
+      runtime: { javaVersion: runtime.java, jvmProfile: runtime.profile, image: runtime.image, heapMb: runtime.heapMb },
+      message: 'Saved - restart the server for changes to take effect'
+    });
+  } catch (error) {
+    if (error instanceof RuntimeError) {
+      return sendFieldError(res, error.message, error.field);
+    }
+    logger.error('❌ Runtime change failed', { error: error.message });
+    res.status(502).json({ success: false, error: error.message });
+  }
+});
+
+// Plugin catalog, optionally filtered to what runs on a server type/version
+app.get('/plugins', validate({ query: schemas.query.plugins }), async (req, res) => {
+  try {
+    const plugins = await pluginCatalog.listPlugins(req.query);
+    res.json({ success: true, plugins });
+  } catch (error) {
+    logger.error('❌ Failed to load plugin catalog', { error: error.message });
+    res.status(502).json({ success: false, error: 'Plugin catalog unavailable' });
+  }
+});
+
+const sendPluginError = (res, error) => {
+  if (error instanceof PluginError || error instanceof PterodactylError) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  logger.error('❌ Plugin operation failed', { error: error.message });
+  return res.status(502).json({ success: false, error: error.message });
+};
+
+app.get('/me/servers/:serverId/plugins', auth.requireAuth, validate({ params: schemas.params.server }), requireOwnedServer, (req, res) => {
+  res.json({
+    success: true,
+    plugins: req.server.plugins || [],
+    status: req.server.pluginStatus || null
+  });
+});
+
+app.post('/me/servers/:serverId/plugins', auth.requireAuth, validate({ params: schemas.params.server, body: schemas.body.plugin }), requireOwnedServer, async (req, res) => {
+  try {
+    const plugin = await pluginInstaller.addPlugin(req.server, req.body.slug);
+    res.json({ success: true, plugin, message: 'Installed - restart the server to load it' });
+  } catch (error) {
+    sendPluginError(res, error);
+  }
+});
+
+app.delete('/me/servers/:serverId/plugins/:slug', auth.requireAuth, validate({ params: schemas.params.serverPlugin }), requireOwnedServer, async (req, res) => {
+  try {
+    await pluginInstaller.removePlugin(req.server, req.params.slug);
+    res.json({ success: true, message: 'Removed - restart the server to unload it' });
+  } catch (error) {
+    sendPluginError(res, error);
+  }
+});
+
+// Admin and panel errors keep their own status; anything else is logged and answered as a 500
+const sendAdminError = (res, error) => {
+  if (error instanceof AdminError || error instanceof PterodactylError) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  logger.error('❌ Admin API error', { error: error.message });
+  return res.status(500).json({ success: false, error: error.message });
+};
+
+// Search customers by (part of) their email
+app.get('/admin/customers', adminAuth.requireAdmin, validate({ query: schemas.query.customerSearch }), async (req, res) => {
+  try {
+    const customerList = await admin.searchCustomers(req.query.email, { limit: req.query.limit });
+    res.json({ success: true, customers: customerList });
+  } catch (error) {
+    sendAdminError(res, error);
+  }
+});
+
+app.get('/admin/customers/:email', adminAuth.requireAdmin, validate({ params: schemas.params.customer }), async (req, res) => {
+  try {
+    res.json({ success: true, customer: await admin.getCustomer(req.params.email) });
+  } catch (error) {
+    sendAdminError(res, error);
+  }
+});
+
+app.post('/admin/servers/:serverId/suspend', adminAuth.requireAdmin, validate({ params: schemas.params.server, body: schemas.body.adminNote }), async (req, res) => {
+  try {
+    const result = await admin.suspendServer({ actor: req.admin.name, serverId: req.params.serverId, reason: req.body.reason });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendAdminError(res, error);
+  }
+});
+
+app.post('/admin/servers/:serverId/unsuspend', adminAuth.requireAdmin, validate({ params: schemas.params.server, body: schemas.body.adminNote }), async (req, res) => {
+  try {
+    const result = await admin.unsuspendServer({ actor: req.admin.name, serverId: req.params.serverId, reason: req.body.reason });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendAdminError(res, error);
+  }
+});
+
+app.post('/admin/servers/:serverId/resend-credentials', adminAuth.requireAdmin, validate({ params: schemas.params.server }), async (req, res) => {
+  try {
+    const result = await admin.resendCredentials({ actor: req.admin.name, serverId: req.params.serverId });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendAdminError(res, error);
+  }
+});
+
+app.post('/admin/provisioning/:sessionId/retry', adminAuth.requireAdmin, validate({ params: schemas.params.session }), async (req, res) => {
+  try {
+    const result = await admin.retryProvisioning({ actor: req.admin.name, sessionId: req.params.sessionId });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendAdminError(res, error);
+  }
+});
+
+app.post('/admin/subscriptions/:subscriptionId/comp', adminAuth.requireAdmin, validate({ params: schemas.params.subscription, body: schemas.body.adminNote }), async (req, res) => {
+  try {
+    const result = await admin.compMonth({
+      actor: req.admin.name,
+      subscriptionId: req.params.subscriptionId,
+      reason: req.body.reason
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendAdminError(res, error);
+  }
+});
+
+app.get('/admin/promo-codes', adminAuth.requireAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, promoCodes: await promotions.listPromoCodes() });
+  } catch (error) {
+    sendAdminError(res, error);
+  }
+});
+
+// Body: { code, percentOff | amountOff (cents), duration, durationInMonths, expiresAt, maxRedemptions, plans }
+app.post('/admin/promo-codes', adminAuth.requireAdmin, validate({ body: schemas.body.promoCode }), async (req, res) => {
+  try {
+    const promoCode = await auditLog.audited({
+      actor: req.admin.name,
+      action: 'promo_code.create',
+      target: { type: 'promo_code', id: req.body.code.toUpperCase() },
+      params: req.body
+    }, () => promotions.createPromoCode(req.body));
+    res.status(201).json({ success: true, promoCode });
+  } catch (error) {
+    if (error instanceof PromotionError) {
+      return sendFieldError(res, error.message, error.field, error.statusCode);
+    }
+    sendAdminError(res, error);
+  }
+});
+
+app.post('/admin/promo-codes/:code/deactivate', adminAuth.requireAdmin, validate({ params: schemas.params.promoCode }), async (req, res) => {
+  try {
+    const promoCode = await auditLog.audited({
+      actor: req.admin.name,
+      action: 'promo_code.deactivate',
+      target: { type: 'promo_code', id: req.params.code.toUpperCase() }
+    }, () => promotions.deactivatePromoCode(req.params.code));
+    res.json({ success: true, promoCode });
+  } catch (error) {
+    if (error instanceof PromotionError) {
+      return sendFieldError(res, error.message, error.field, error.statusCode);
+    }
+    sendAdminError(res, error);
+  }
+});
+
+// Runs a reconciliation now and answers with its report; `npm run reconcile` calls this
+app.post('/admin/reconciliation', adminAuth.requireAdmin, validate({ body: schemas.body.reconciliation }), async (req, res) => {
+  if (reconciler.isRunning()) {
+    return res.status(409).json({ success: false, error: 'A reconciliation is already running' });
+  }
+  try {
+    const { autoFix } = req.body;
+    const { id } = await auditLog.audited({
+      actor: req.admin.name,
+      action: 'reconciliation.run',
+      target: { type: 'reconciliation', id: 'stripe-pterodactyl' },
+      params: { autoFix }
+    }, async () => {
+      const report = await reconciler.run({ autoFix, actor: req.admin.name, trigger: 'admin' });
+      return { id: report.id, summary: report.summary };
+    });
+    res.json({ success: true, report: await reconciler.getReport(id) });
+  } catch (error) {
+    sendAdminError(res, error);
+  }
+});
+
+app.get('/admin/reconciliation', adminAuth.requireAdmin, validate({ query: schemas.query.reports }), async (req, res) => {
+  try {
+    const reports = await reconciler.listReports({ limit: req.query.limit });
+    res.json({ success: true, reports });
+  } catch (error) {
+    sendAdminError(res, error);
+  }
+});
+
+app.get('/admin/reconciliation/:reportId', adminAuth.requireAdmin, validate({ params: schemas.params.report }), async (req, res) => {
+  try {
+    const report = await reconciler.getReport(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+    res.json({ success: true, report });
+  } catch (error) {
+    sendAdminError(res, error);
+  }
+});
+
+app.get('/admin/audit-log', adminAuth.requireAdmin, validate({ query: schemas.query.auditLog }), async (req, res) => {
+  try {
+    const { target, ...filters } = req.query;
+    const entries = await auditLog.list({ ...filters, targetId: target });
+    res.json({ success: true, entries });
+  } catch (error) {
+    sendAdminError(res, error);
+  }
+});
+
+// Servers per subscription state for the `goose_servers` gauge; deleted ones are left out
+const countServersByState = async () => {
+  const counts = Object.fromEntries(Object.values(SUBSCRIPTION_STATES)
+    .filter((state) => state !== SUBSCRIPTION_STATES.DELETED)
+    .map((state) => [state, 0]));
+  const subscriptions = await store.list('subscriptions', (record) => record.status in counts);
+  subscriptions.forEach((record) => {
+    counts[record.status]++;
+  });
+  return counts;
+};
+
+// Readiness pings: one cheap authenticated call to each API a checkout needs
+const readiness = createHealthCheck({
+  checks: {
+    stripe: async () => {
+      if (!stripe) {
+        throw new Error('Stripe is not configured');
+      }
+      await stripe.balance.retrieve();
+    },
+    // No retries: a slow answer is what this check is meant to report
+    pterodactyl: () => pterodactylRequest('GET', '/nodes?per_page=1', null, { retries: 0 })
+  },
+  timeoutMs: config.health.timeoutMs
+});
+
+app.get('/metrics', async (req, res) => {
+  try {
+    const { contentType, body } = await metrics.render();
+    res.set('Content-Type', contentType).send(body);
+  } catch (error) {
+    logger.error('❌ Failed to render metrics', { error: error.message });
+    res.status(500).send('Failed to render metrics');
+  }
+});
+
+// 503 until Stripe and the panel both answer, so a load balancer can route around us
+app.get('/health', async (req, res) => {
+  const { ready, checkedAt, checks } = await readiness.check();
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'OK' : 'UNAVAILABLE',
+    timestamp: new Date().toISOString(),
+    service: 'combined-user-server-management',
+    stripe: !!stripe,
+    webhookSecret: !!config.stripe.webhookSecret,
+    storeDriver: store.driver,
+    checkedAt,
+    checks
+  });
+});
+
+// Listens on `port` (PORT by default, 0 for any free port) and starts the
+// background work. Resolves with the http.Server once everything is running.
+const start = (port = config.port) => new Promise((resolve, reject) => {
+  httpServer = app.listen(port, async () => {
+    // Everything below talks to the panel, so the sandbox has to be up first
+    if (sandbox) {
+      try {
+        await sandbox.start();
+      } catch (error) {
+        httpServer.close();
+        return reject(error);
+      }
+    }
+    startBackgroundWork();
+    resolve(httpServer);
+  });
+  httpServer.once('error', reject);
+});
+
+const stop = async () => {
+  lifecycle.stop();
+  provisioning.stop();
+  reconciler.stop();
+  if (sandbox) {
+    await sandbox.stop();
+  }
+  if (httpServer) {
+    await new Promise((resolve) => httpServer.close(resolve));
+    httpServer = null;
+  }
+};
+
+const startBackgroundWork = () => {
+  lifecycle.start();
+  // Resumes jobs interrupted by a restart, then picks up retries as they come due
+  provisioning.start();
+  versionCatalog.refresh();
+  reconciler.start();
+  // Pick up post-install steps interrupted by a restart
+  store.list('sessions', (record) => record.settingsStatus === 'pending' || record.pluginStatus === 'pending')
+    .then((pending) => pending.forEach((record) => runPostInstallSteps(record.sessionId)))
+    .catch((error) => logger.error('❌ Failed to resume post-install steps', { error: error.message }));
+
+  logger.info(`\n🚀 Combined User & Server Management Service running on port ${httpServer.address().port}`);
+  logger.info('📍 Available endpoints:');
+  logger.info('  POST /webhook - Stripe webhook handler');
+  logger.info('  GET  /session-details/:sessionId - Get session and server details');
+  logger.info('  GET  /provisioning/:sessionId - Provisioning job progress');
+  logger.info('  POST /create-checkout-session - Create Stripe checkout');
+  logger.info('  POST /auth/login - Email a magic login link');
+  logger.info('  POST /auth/verify - Exchange a login link token for a session');
+  logger.info('  POST /credentials/reveal - Panel password for a new server (shown once)');
+  logger.info('  GET  /me, /me/servers, /me/subscriptions - Logged-in customer data');
+  logger.info('  GET  /me/referral - Referral code and credits earned');
+  logger.info('  POST /me/servers/:serverId/power - Start/stop/restart/kill');
+  logger.info('  POST /me/servers/:serverId/command - Send a console command');
+  logger.info('  POST /me/servers/:serverId/reset-password - New panel/SFTP password');
+  logger.info('  POST /me/servers/:serverId/plan - Upgrade or downgrade a server');
+  logger.info('  GET  /me/servers/:serverId/properties - Read server.properties');
+  logger.info('  PATCH /me/servers/:serverId/properties - Update server.properties');
+  logger.info('  GET  /plans - Plan catalog and pricing');
+  logger.info('  GET  /plans/quote - Price a server configuration');
+  logger.info('  GET  /locations - Server locations');
+  logger.info('  GET  /server-types - Supported server types');
+  logger.info('  GET  /versions - Minecraft versions for a server type');
+  logger.info('  GET  /runtime-options - Java versions and JVM profiles for a Minecraft version');
+  logger.info('  PATCH /me/servers/:serverId/runtime - Change Java version or JVM profile');
+  logger.info('  GET  /plugins - Plugin catalog');
+  logger.info('  GET/POST/DELETE /me/servers/:serverId/plugins - Manage installed plugins');
+  logger.info('  GET  /admin/customers[/:email] - Support: search customers, subscriptions and servers');
+  logger.info('  POST /admin/servers/:serverId/suspend|unsuspend|resend-credentials - Support actions');
+  logger.info('  POST /admin/provisioning/:sessionId/retry - Support: re-run provisioning');
+  logger.info('  POST /admin/subscriptions/:subscriptionId/comp - Support: credit one month');
+  logger.info('  GET/POST /admin/promo-codes, POST /admin/promo-codes/:code/deactivate - Support: promo codes');
+  logger.info('  POST /admin/reconciliation - Support: Stripe/panel drift report (autoFix to repair)');
+  logger.info('  GET  /admin/reconciliation[/:reportId] - Support: past drift reports');
+  logger.info('  GET  /admin/audit-log - Support action history');
+  logger.info('  GET  /health - Readiness (pings Stripe and Pterodactyl)');
+  logger.info('  GET  /metrics - Prometheus metrics');
+  if (sandbox) {
+    logger.info(`  GET  ${sandbox.url()}/checkout/:sessionId - Sandbox: pay, decline or cancel a checkout`);
+    logger.info(`  GET/POST ${sandbox.url()}/sandbox/... - Sandbox: state, reset, faults, renewals, failed payments, events`);
+  }
+  logger.info('\n☕ Java version mapping:');
+  describeRuntimeTable().forEach((line) => logger.info(`  ${line}`));
+  
+  logger.info('\n🔧 Configuration Status:');
+  logger.info(`  Stripe: ${stripe ? '✅ Initialized' : '❌ Not configured'}`);
+  logger.info(`  Environment: ${config.env}`);
+  if (sandbox) {
+    logger.info(`  Sandbox: 🧪 Fake Pterodactyl and Stripe at ${sandbox.url()} - nothing real is charged or created`);
+  }
+  logger.info(`  Webhook Secret: ${config.stripe.webhookSecret ? '✅ Set' : '❌ Missing'}`);
+  logger.info(`  Nodes: ${placementNodeIds.length > 0 ? `✅ ${placementNodeIds.join(', ')}` : '✅ All panel nodes'}`);
+  const availableServerTypes = listServerTypes(config.pterodactyl.eggIds).map((type) => type.id);
+  logger.info(`  Server Types: ${availableServerTypes.length > 0 ? `✅ ${availableServerTypes.join(', ')}` : '❌ No eggs configured'}`);
+  logger.info(`  Store: ✅ ${store.driver}`);
+  logger.info(`  Admin API: ${adminAuth.enabled ? '✅ Enabled' : '⚠️ Disabled (ADMIN_API_KEYS not set)'}`);
+  logger.info(`  Store Encryption Key: ${config.store.encryptionKey ? '✅ Set' : '⚠️ Using development key'}`);
+  
+  if (!stripe || availableServerTypes.length === 0) {
+    logger.info('\n⚠️ Server creation partially disabled - missing environment variables');
+    if (!stripe) logger.info('  - Stripe not configured');
+    if (availableServerTypes.length === 0) logger.info('  - PTERODACTYL_EGG_ID_<TYPE> (or PTERODACTYL_EGG_ID for Paper) missing');
+  } else {
+    logger.info('\n✅ Server creation enabled with proper Java version support');
+  }
+  
+  if (!config.stripe.webhookSecret) {
+    logger.info('\n⚠️ STRIPE_WEBHOOK_SECRET missing - webhooks will fail');
+    logger.info('   Add STRIPE_WEBHOOK_SECRET=whsec_... to your environment');
+  } else {
+    logger.info('\n✅ Webhook endpoint ready at /webhook');
+  }
+};
+
+module.exports = { 
+  app, 
+  start,
+  stop,
+  config,
+  sandbox,
+  CreateUser, 
+  provisioning,
+  provisionSession,
+  generateRandomPassword,
+  getJavaVersionForMinecraft
+};
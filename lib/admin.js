@@ -0,0 +1,345 @@
+// lib/admin.js - Support tooling: admin API keys, customer lookups across Stripe and the panel, manual actions
+const crypto = require('crypto');
+const { STATES } = require('./lifecycle');
+const { JOB_STATES } = require('./jobs');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('admin');
+
+const MIN_KEY_LENGTH = 24;
+
+class AdminError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AdminError';
+    this.statusCode = statusCode;
+  }
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest();
+
+// ADMIN_API_KEYS="alice:<key>,bob:<key>" - the name is what the audit log records
+const parseAdminKeys = (value = '') => value
+  .split(',')
+  .map((entry) => entry.trim())
+  .filter(Boolean)
+  .map((entry) => {
+    const separator = entry.indexOf(':');
+    const name = entry.slice(0, separator);
+    const key = entry.slice(separator + 1);
+    if (separator < 1 || key.length < MIN_KEY_LENGTH) {
+      throw new Error(`ADMIN_API_KEYS entries must look like name:key with a key of at least ${MIN_KEY_LENGTH} characters`);
+    }
+    return { name, hash: hashKey(key) };
+  });
+
+const createAdminAuth = ({ apiKeys }) => {
+  const keys = parseAdminKeys(apiKeys);
+
+  // Express middleware: requires `Authorization: Bearer <admin key>` and sets req.admin
+  const requireAdmin = (req, res, next) => {
+    if (keys.length === 0) {
+      return res.status(503).json({ success: false, error: 'Admin API is not configured' });
+    }
+
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    // Compare hashes so every key takes the same time to check
+    const presented = hashKey(token || '');
+    const match = scheme === 'Bearer' && token && keys.find((key) => crypto.timingSafeEqual(key.hash, presented));
+    if (!match) {
+      logger.warn('⚠️ Rejected admin request', { path: req.path });
+      return res.status(401).json({ success: false, error: 'Admin authentication required' });
+    }
+
+    req.admin = { name: match.name };
+    next();
+  };
+
+  return { requireAdmin, enabled: keys.length > 0 };
+};
+
+// One month's worth of a recurring price, in the smallest currency unit
+const monthlyAmount = (item) => {
+  const { unit_amount: unitAmount, currency, recurring } = item.price;
+  const total = unitAmount * (item.quantity || 1);
+  const months = recurring.interval === 'year' ? 12 * recurring.interval_count
+    : recurring.interval === 'month' ? recurring.interval_count
+      : null;
+  if (!months) {
+    throw new AdminError(`Cannot work out a monthly amount for ${recurring.interval}ly billing`, 409);
+  }
+  return { amount: Math.round(total / months), currency };
+};
+
+const createAdminConsole = ({
+  store,
+  stripe,
+  customers,
+  lifecycle,
+  provisioning,
+  provisionSession,
+  notifier,
+  auditLog
+}) => {
+  const requireStripe = () => {
+    if (!stripe) {
+      throw new AdminError('Stripe is not configured', 503);
+    }
+  };
+
+  // Customers are whoever has checked out; login-only entries in `customers` are left out
+  const searchCustomers = async (query = '', { limit = 50 } = {}) => {
+    const needle = query.trim().toLowerCase();
+    const [sessions, accounts] = await Promise.all([
+      store.list('sessions', (record) => record.customerEmail?.toLowerCase().includes(needle)),
+      store.list('customers')
+    ]);
+
+    const byEmail = new Map();
+    for (const record of sessions) {
+      const email = record.customerEmail.toLowerCase();
+      const entry = byEmail.get(email) || {
+        email,
+        servers: 0,
+        subscriptionIds: new Set(),
+        stripeCustomerIds: new Set(),
+        firstOrderAt: record.createdAt
+      };
+      if (record.serverId && record.status !== 'deleted') {
+        entry.servers++;
+      }
+      if (record.subscriptionId) {
+        entry.subscriptionIds.add(record.subscriptionId);
+      }
+      if (record.stripeCustomerId) {
+        entry.stripeCustomerIds.add(record.stripeCustomerId);
+      }
+      if (record.createdAt < entry.firstOrderAt) {
+        entry.firstOrderAt = record.createdAt;
+      }
+      byEmail.set(email, entry);
+    }
+
+    const lastLogins = new Map(accounts.map((account) => [account.email, account.lastLoginAt || null]));
+    return [...byEmail.values()]
+      .sort((a, b) => a.email.localeCompare(b.email))
+      .slice(0, limit)
+      .map(({ subscriptionIds, stripeCustomerIds, ...entry }) => ({
+        ...entry,
+        subscriptions: subscriptionIds.size,
+        stripeCustomerIds: [...stripeCustomerIds],
+        lastLoginAt: lastLogins.get(entry.email) || null
+      }));
+  };
+
+  // Stripe subscriptions next to the panel servers created for them
+  const getCustomer = async (email) => {
+    const records = await customers.sessionsForEmail(email);
+    if (records.length === 0) {
+      throw new AdminError('Customer not found', 404);
+    }
+
+    const [servers, subscriptions, account] = await Promise.all([
+      customers.listServers(email),
+      customers.listSubscriptions(email),
+      store.get('customers', email.toLowerCase())
+    ]);
+    const recordsBySession = new Map(records.map((record) => [record.sessionId, record]));
+    const lifecycleRecords = new Map((await Promise.all(subscriptions.map((subscription) =>
+      store.get('subscriptions', subscription.subscriptionId)
+    ))).filter(Boolean).map((record) => [record.subscriptionId, record]));
+
+    return {
+      email: email.toLowerCase(),
+      stripeCustomerIds: [...new Set(records.map((record) => record.stripeCustomerId).filter(Boolean))],
+      lastLoginAt: account?.lastLoginAt || null,
+      billing: customers.getBillingState(subscriptions),
+      subscriptions: subscriptions.map((subscription) => {
+        const lifecycleRecord = lifecycleRecords.get(subscription.subscriptionId);
+        return {
+          ...subscription,
+          suspendedBy: lifecycleRecord?.suspendedBy || null,
+          history: lifecycleRecord?.history || []
+        };
+      }),
+      servers: servers.map((server) => {
+        const record = recordsBySession.get(server.sessionId);
+        return {
+          ...server,
+          pterodactylUserId: record?.pterodactylUserId || null,
+          provisioningError: record?.error || null,
+          compensation: record?.compensation || null
+        };
+      })
+    };
+  };
+
+  const findServer = async (serverId) => {
+    const record = await store.find('sessions', (entry) => String(entry.serverId) === String(serverId));
+    if (!record || record.status === 'deleted') {
+      throw new AdminError('Server not found', 404);
+    }
+    return record;
+  };
+
+  const suspendServer = ({ actor, serverId, reason }) => auditLog.audited({
+    actor,
+    action: 'server.suspend',
+    target: { type: 'server', id: String(serverId) },
+    params: { reason }
+  }, async () => {
+    const record = await findServer(serverId);
+    const subscription = record.subscriptionId && await store.get('subscriptions', record.subscriptionId);
+    if (subscription && subscription.status !== STATES.ACTIVE && subscription.status !== STATES.PAST_DUE) {
+      throw new AdminError(`Server is already offline (subscription is ${subscription.status})`, 409);
+    }
+
+    await lifecycle.suspendServer(record.serverId);
+    if (record.subscriptionId) {
+      // Marked so a later successful payment does not lift it
+      await store.update('subscriptions', record.subscriptionId, { suspendedBy: 'admin' });
+      await lifecycle.recordTransition(record.subscriptionId, STATES.SUSPENDED, {
+        reason: 'admin_suspended',
+        serverId: record.serverId,
+        actor,
+        note: reason
+      });
+    }
+    return { serverId: record.serverId, subscriptionId: record.subscriptionId || null };
+  });
+
+  // Lifts any suspension, including one for non-payment
+  const unsuspendServer = ({ actor, serverId, reason }) => auditLog.audited({
+    actor,
+    action: 'server.unsuspend',
+    target: { type: 'server', id: String(serverId) },
+    params: { reason }
+  }, async () => {
+    const record = await findServer(serverId);
+    const subscription = record.subscriptionId && await store.get('subscriptions', record.subscriptionId);
+    if (subscription?.status === STATES.PENDING_DELETION || subscription?.status === STATES.DELETED) {
+      throw new AdminError(`Subscription is ${subscription.status}; the server is not coming back`, 409);
+    }
+
+    await lifecycle.unsuspendServer(record.serverId);
+    if (subscription) {
+      await store.update('subscriptions', record.subscriptionId, { suspendedBy: null });
+      if (subscription.status === STATES.SUSPENDED) {
+        await lifecycle.recordTransition(record.subscriptionId, STATES.ACTIVE, {
+          reason: 'admin_unsuspended',
+          serverId: record.serverId,
+          actor,
+          note: reason
+        });
+      }
+    }
+    return { serverId: record.serverId, subscriptionId: record.subscriptionId || null };
+  });
+
+  // Dead jobs get a fresh set of attempts; sessions that never got a job are
+  // queued from the Stripe checkout session
+  const retryProvisioning = ({ actor, sessionId }) => auditLog.audited({
+    actor,
+    action: 'provisioning.retry',
+    target: { type: 'session', id: sessionId }
+  }, async () => {
+    const record = await store.get('sessions', sessionId);
+    if (record?.status === 'completed') {
+      throw new AdminError('Session is already provisioned', 409);
+    }
+    if (record?.compensation && record.compensation.policy !== 'none') {
+      throw new AdminError(`Order was already compensated (${record.compensation.policy}); the customer needs a new checkout`, 409);
+    }
+
+    const job = await provisioning.get(sessionId);
+    if (!job) {
+      requireStripe();
+      const session = await stripe.checkout.sessions.retrieve(sessionId);
+      // Free trials and 100%-off promo codes complete without a payment
+      if (!['paid', 'no_payment_required'].includes(session.payment_status)) {
+        throw new AdminError('Checkout session is not paid', 409);
+      }
+      await provisionSession(session);
+    } else if (job.status === JOB_STATES.RUNNING) {
+      throw new AdminError('Provisioning is already running', 409);
+    } else {
+      await store.update('sessions', sessionId, {
+        status: 'provisioning',
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        error: null
+      });
+      if (job.status === JOB_STATES.DEAD) {
+        await provisioning.requeue(sessionId);
+      } else {
+        // Queued or waiting for a retry: skip the wait
+        provisioning.run(sessionId);
+      }
+    }
+
+    return { sessionId, previousStatus: job?.status || null };
+  });
+
+  // Sends the server-ready email again. It never carries the password, only how
+  // to reset it from the customer dashboard.
+  const resendCredentials = ({ actor, serverId }) => auditLog.audited({
+    actor,
+    action: 'server.resend_credentials',
+    target: { type: 'server', id: String(serverId) }
+  }, async () => {
+    const record = await findServer(serverId);
+    if (record.status !== 'completed') {
+      throw new AdminError('Server is not provisioned yet', 409);
+    }
+    const sent = await notifier.serverReady(record, { resend: true });
+    if (!sent) {
+      throw new AdminError('Email could not be sent', 502);
+    }
+    return { messageId: sent.id };
+  });
+
+  // A month's price as customer balance credit; the next invoices draw from it
+  const compMonth = ({ actor, subscriptionId, reason }) => auditLog.audited({
+    actor,
+    action: 'subscription.comp_month',
+    target: { type: 'subscription', id: subscriptionId },
+    params: { reason }
+  }, async () => {
+    requireStripe();
+    let subscription;
+    try {
+      subscription = await stripe.subscriptions.retrieve(subscriptionId);
+    } catch (error) {
+      if (error.code === 'resource_missing') {
+        throw new AdminError('Subscription not found', 404);
+      }
+      throw error;
+    }
+    if (['canceled', 'incomplete_expired'].includes(subscription.status)) {
+      throw new AdminError(`Subscription is ${subscription.status}`, 409);
+    }
+
+    const { amount, currency } = monthlyAmount(subscription.items.data[0]);
+    const customerId = typeof subscription.customer === 'string' ? subscription.customer : subscription.customer.id;
+    const transaction = await stripe.customers.createBalanceTransaction(customerId, {
+      amount: -amount,
+      currency,
+      description: 'Complimentary month from GooseHosting support',
+      metadata: { subscriptionId, actor, reason: reason || '' }
+    });
+    logger.info(`🎁 Comped ${amount / 100} ${currency} to ${customerId} for ${subscriptionId}`);
+    return { transactionId: transaction.id, customerId, amount, currency };
+  });
+
+  return {
+    searchCustomers,
+    getCustomer,
+    suspendServer,
+    unsuspendServer,
+    retryProvisioning,
+    resendCredentials,
+    compMonth
+  };
+};
+
+module.exports = { createAdminAuth, createAdminConsole, AdminError };
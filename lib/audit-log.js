@@ -0,0 +1,57 @@
+// lib/audit-log.js - Who did what to which customer: an append-only record of admin actions
+const crypto = require('crypto');
+const { createLogger, getRequestId } = require('./logger');
+
+const logger = createLogger('audit');
+
+const COLLECTION = 'auditLog';
+
+const createAuditLog = ({ store }) => {
+  // Entries are only ever added; nothing in the app updates or removes them
+  const record = async ({ actor, action, target, params = {}, outcome, result = null, error = null }) => {
+    const entry = await store.put(COLLECTION, crypto.randomUUID(), {
+      at: new Date().toISOString(),
+      actor,
+      action,
+      target,
+      params,
+      outcome,
+      result,
+      error,
+      requestId: getRequestId()
+    });
+    logger.info(`🧾 ${actor} ${action} ${target.type}/${target.id}: ${outcome}`, { auditId: entry.id });
+    return entry;
+  };
+
+  // Runs `fn` and records the action whether it succeeds or throws
+  const audited = async ({ actor, action, target, params }, fn) => {
+    try {
+      const result = await fn();
+      await record({ actor, action, target, params, outcome: 'succeeded', result });
+      return result;
+    } catch (error) {
+      await record({ actor, action, target, params, outcome: 'failed', error: error.message })
+        .catch((auditError) => logger.error('❌ Failed to write audit entry', { error: auditError.message }));
+      throw error;
+    }
+  };
+
+  // Newest first; every filter is optional
+  const list = async ({ actor, action, targetId, limit = 100 } = {}) => {
+    const entries = await store.list(COLLECTION, (entry) =>
+      (!actor || entry.actor === actor) &&
+      (!action || entry.action === action) &&
+      (!targetId || String(entry.target?.id) === String(targetId))
+    );
+    // Reversed first so entries written in the same millisecond stay newest first
+    return entries
+      .reverse()
+      .sort((a, b) => b.at.localeCompare(a.at))
+      .slice(0, limit);
+  };
+
+  return { record, audited, list };
+};
+
+module.exports = { createAuditLog };
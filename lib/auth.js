@@ -0,0 +1,149 @@
+// lib/auth.js - Passwordless email login: magic-link tokens in, JWT sessions out
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('auth');
+
+const LOGIN_TOKEN_TTL_MS = 15 * 60 * 1000;
+const LOGIN_REQUEST_COOLDOWN_MS = 60 * 1000;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class AuthError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Only the hash is stored, so a leaked store cannot be replayed as login links
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const resolveJwtSecret = (secret) => {
+  if (secret) {
+    return secret;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('AUTH_JWT_SECRET is required in production');
+  }
+  logger.warn('⚠️ AUTH_JWT_SECRET not set - sessions will not survive a restart');
+  return crypto.randomBytes(32).toString('hex');
+};
+
+const createAuth = ({
+  store,
+  mailer,
+  jwtSecret,
+  appUrl = 'https://beta.goosehosting.com',
+  sessionTtl = '7d',
+  loginTokenTtlMs = LOGIN_TOKEN_TTL_MS
+}) => {
+  const secret = resolveJwtSecret(jwtSecret);
+
+  const normalizeEmail = (email) => {
+    if (!email || typeof email !== 'string' || !EMAIL_REGEX.test(email.trim())) {
+      throw new AuthError('A valid email address is required', 400);
+    }
+    return email.trim().toLowerCase();
+  };
+
+  // Always resolves the same way whether or not the email is a customer, so the
+  // endpoint cannot be used to discover who has an account
+  const requestLoginLink = async (rawEmail) => {
+    const email = normalizeEmail(rawEmail);
+
+    const customer = await store.get('customers', email);
+    if (customer?.lastLoginRequestAt &&
+        Date.now() - new Date(customer.lastLoginRequestAt).getTime() < LOGIN_REQUEST_COOLDOWN_MS) {
+      throw new AuthError('Please wait a minute before requesting another login link', 429);
+    }
+
+    const hasServers = await store.find('sessions', (record) => record.customerEmail?.toLowerCase() === email);
+    await store.update('customers', email, { email, lastLoginRequestAt: new Date().toISOString() });
+
+    if (!hasServers) {
+      logger.info('🔐 Login requested for an email with no servers - no link sent');
+      return;
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await store.put('loginTokens', hashToken(token), {
+      email,
+      expiresAt: new Date(Date.now() + loginTokenTtlMs).toISOString(),
+      usedAt: null
+    });
+
+    const link = `${appUrl}/login?token=${token}`;
+    await mailer.send({
+      to: email,
+      subject: 'Your GooseHosting login link',
+      text: `Use this link to sign in to GooseHosting:\n\n${link}\n\nIt expires in ${Math.round(loginTokenTtlMs / 60000)} minutes and can only be used once.`,
+      html: `<p>Use this link to sign in to GooseHosting:</p><p><a href="${link}">Sign in</a></p>` +
+        `<p>It expires in ${Math.round(loginTokenTtlMs / 60000)} minutes and can only be used once.</p>`
+    });
+
+    logger.info('🔐 Login link sent');
+  };
+
+  const issueSessionToken = (customer) => jwt.sign(
+    { email: customer.email, pterodactylUserId: customer.pterodactylUserId || null },
+    secret,
+    { subject: customer.email, expiresIn: sessionTtl }
+  );
+
+  // Exchange a magic-link token for a session JWT. Tokens are single use.
+  const verifyLoginToken = async (token) => {
+    if (!token || typeof token !== 'string') {
+      throw new AuthError('Login token is required', 400);
+    }
+
+    const tokenId = hashToken(token);
+    const loginToken = await store.get('loginTokens', tokenId);
+    if (!loginToken || loginToken.usedAt || loginToken.expiresAt < new Date().toISOString()) {
+      throw new AuthError('Login link is invalid or has expired');
+    }
+
+    // Mark used before issuing anything so a replayed link fails even mid-request
+    const claimed = await store.claim('loginTokens', tokenId, { ...loginToken, usedAt: new Date().toISOString() },
+      (existing) => !existing.usedAt);
+    if (!claimed) {
+      throw new AuthError('Login link is invalid or has expired');
+    }
+
+    // Link the customer to the Pterodactyl user CreateUser made for them
+    const latestServer = (await store.list('sessions', (record) =>
+      record.customerEmail?.toLowerCase() === loginToken.email && record.pterodactylUserId
+    )).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))[0];
+
+    const customer = await store.update('customers', loginToken.email, {
+      email: loginToken.email,
+      pterodactylUserId: latestServer?.pterodactylUserId || null,
+      lastLoginAt: new Date().toISOString()
+    });
+
+    return { token: issueSessionToken(customer), customer };
+  };
+
+  // Express middleware: requires `Authorization: Bearer <jwt>` and sets req.customer
+  const requireAuth = (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
+    try {
+      const payload = jwt.verify(token, secret);
+      req.customer = { email: payload.email, pterodactylUserId: payload.pterodactylUserId };
+      next();
+    } catch (error) {
+      return res.status(401).json({ success: false, error: 'Session is invalid or has expired' });
+    }
+  };
+
+  return { requestLoginLink, verifyLoginToken, issueSessionToken, requireAuth, normalizeEmail };
+};
+
+module.exports = { createAuth, AuthError };
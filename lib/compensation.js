@@ -0,0 +1,179 @@
+// lib/compensation.js - Undo a paid order whose provisioning failed for good: panel cleanup plus refund or credit
+const { STATES } = require('./lifecycle');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('compensation');
+
+const POLICIES = ['refund', 'credit', 'none'];
+
+// `policy` decides what happens to the money:
+//   refund - refund the first invoice
+//   credit - put the amount paid on the Stripe customer balance for a later order
+//   none   - leave billing alone (support handles it by hand)
+// With refund or credit the subscription is cancelled so it stops billing.
+const createCompensationManager = ({
+  store,
+  stripe,
+  pterodactylRequest,
+  findServerByExternalId,
+  releaseAllocation,
+  recordTransition,
+  policy = 'refund'
+}) => {
+  if (!POLICIES.includes(policy)) {
+    throw new Error(`Unknown compensation policy: ${policy}`);
+  }
+
+  // Run one action, recording its outcome instead of letting it stop the rest.
+  // Actions that succeeded in an earlier run are carried over, not repeated.
+  const attempt = async (run, action, fn) => {
+    const earlier = run.earlier.find((entry) => entry.action === action);
+    if (earlier) {
+      run.actions.push(earlier);
+      return;
+    }
+    try {
+      const result = await fn();
+      if (result === undefined) {
+        return;
+      }
+      run.actions.push({ action, status: 'done', ...result });
+    } catch (error) {
+      logger.error(`❌ Compensation step ${action} failed`, { error: error.message });
+      run.actions.push({ action, status: 'failed', error: error.message });
+    }
+  };
+
+  // Panel side: the server (found by external_id even if it was never recorded),
+  // the allocation lock, and the panel user if we created it and it owns nothing else
+  const cleanUpPanel = async (sessionId, context, run) => {
+    await attempt(run, 'delete_server', async () => {
+      const server = await findServerByExternalId(sessionId);
+      if (!server) {
+        return undefined;
+      }
+      await pterodactylRequest('DELETE', `/servers/${server.id}/force`);
+      logger.info(`🗑️ Deleted server ${server.id} left by failed provisioning of ${sessionId}`);
+      return { serverId: server.id };
+    });
+
+    if (context.placement?.allocationId) {
+      await attempt(run, 'release_allocation', async () => {
+        const released = await releaseAllocation(context.placement.allocationId, sessionId);
+        return { allocationId: context.placement.allocationId, released };
+      });
+    }
+
+    if (context.user && !context.user.existing) {
+      await attempt(run, 'delete_user', async () => {
+        const response = await pterodactylRequest('GET', `/users/${context.user.userId}?include=servers`);
+        if (response.data.attributes.relationships?.servers?.data?.length > 0) {
+          return { userId: context.user.userId, skipped: 'user owns other servers' };
+        }
+        await pterodactylRequest('DELETE', `/users/${context.user.userId}`);
+        logger.info(`🗑️ Deleted panel user ${context.user.userId} created for ${sessionId}`);
+        return { userId: context.user.userId };
+      });
+    }
+  };
+
+  const firstPaidInvoice = async (subscriptionId) => {
+    const invoices = await stripe.invoices.list({ subscription: subscriptionId, status: 'paid', limit: 100 });
+    return invoices.data[invoices.data.length - 1] || null;
+  };
+
+  const compensateBilling = async (sessionId, input, run) => {
+    if (policy === 'none' || !input.subscriptionId) {
+      return;
+    }
+
+    const invoice = await firstPaidInvoice(input.subscriptionId);
+    if (!invoice || invoice.amount_paid <= 0) {
+      run.actions.push({ action: policy, status: 'skipped', reason: 'no paid invoice' });
+    } else if (policy === 'refund') {
+      await attempt(run, 'refund', async () => {
+        const refund = await stripe.refunds.create({
+          ...(invoice.payment_intent ? { payment_intent: invoice.payment_intent } : { charge: invoice.charge }),
+          reason: 'requested_by_customer',
+          metadata: { sessionId, reason: 'provisioning_failed' }
+        });
+        logger.info(`💸 Refunded ${invoice.amount_paid / 100} ${invoice.currency} for ${sessionId}`);
+        return { refundId: refund.id, invoiceId: invoice.id, amount: invoice.amount_paid, currency: invoice.currency };
+      });
+    } else {
+      await attempt(run, 'credit', async () => {
+        // Negative balance = credit the customer's next invoices draw from
+        const transaction = await stripe.customers.createBalanceTransaction(input.stripeCustomerId, {
+          amount: -invoice.amount_paid,
+          currency: invoice.currency,
+          description: `Credit for server order ${sessionId} that could not be set up`,
+          metadata: { sessionId, invoiceId: invoice.id }
+        });
+        logger.info(`💳 Credited ${invoice.amount_paid / 100} ${invoice.currency} to ${input.stripeCustomerId}`);
+        return { transactionId: transaction.id, invoiceId: invoice.id, amount: invoice.amount_paid, currency: invoice.currency };
+      });
+    }
+
+    // Recorded first so the subscription.deleted webhook that follows does not
+    // schedule a deletion for a server that never existed
+    await recordTransition(input.subscriptionId, STATES.DELETED, { reason: 'provisioning_failed', sessionId });
+    await attempt(run, 'cancel_subscription', async () => {
+      await stripe.subscriptions.cancel(input.subscriptionId, { prorate: false });
+      logger.info(`🛑 Cancelled subscription ${input.subscriptionId}`);
+      return { subscriptionId: input.subscriptionId };
+    });
+  };
+
+  // Called once per dead provisioning job. The outcome is stored in `compensations`
+  // (keyed by session ID) so support can see exactly what was undone.
+  const compensate = async (job) => {
+    const sessionId = job.id;
+    const previous = await store.get('compensations', sessionId);
+    const claimed = await store.claim('compensations', sessionId, {
+      sessionId,
+      policy,
+      status: 'running',
+      failedStep: job.lastError?.step,
+      failure: job.lastError?.message
+    }, (existing) => existing.status === 'failed');
+
+    if (!claimed) {
+      logger.info(`♻️ Compensation for ${sessionId} already recorded`);
+      return store.get('compensations', sessionId);
+    }
+
+    const run = {
+      actions: [],
+      earlier: (previous?.actions || []).filter((action) => action.status === 'done')
+    };
+    await cleanUpPanel(sessionId, job.context || {}, run);
+    try {
+      await compensateBilling(sessionId, job.input, run);
+    } catch (error) {
+      logger.error(`❌ Billing compensation failed for ${sessionId}`, { error: error.message });
+      run.actions.push({ action: 'billing', status: 'failed', error: error.message });
+    }
+
+    const { actions } = run;
+    const status = actions.some((action) => action.status === 'failed') ? 'failed' : 'completed';
+    const record = await store.update('compensations', sessionId, {
+      status,
+      actions,
+      finishedAt: new Date().toISOString()
+    });
+    const serverDeleted = actions.some((action) => action.action === 'delete_server' && action.status === 'done');
+    await store.update('sessions', sessionId, {
+      ...(serverDeleted && { serverId: null }),
+      compensation: { policy, status }
+    });
+
+    logger.info(`🧾 Compensation for ${sessionId} ${status}`, {
+      actions: actions.map((action) => `${action.action}=${action.status}`)
+    });
+    return record;
+  };
+
+  return { compensate, policy };
+};
+
+module.exports = { createCompensationManager, POLICIES };
@@ -0,0 +1,351 @@
+// lib/config.js - Typed service configuration, read from environment variables once at startup
+const fs = require('fs');
+const { z } = require('zod');
+const { SERVER_TYPES } = require('./server-types');
+const { POLICIES } = require('./compensation');
+
+class ConfigError extends Error {
+  constructor(issues) {
+    super(`Invalid configuration:\n${issues.map(({ variable, message }) => `  ${variable} ${message}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.issues = issues;
+  }
+}
+
+// Defaults that depend on NODE_ENV; anything set in the environment wins
+const ENVIRONMENT_DEFAULTS = {
+  // Links in emails go to the local frontend, and no background reconciliation
+  // fixes anything in a shared Stripe test account from a laptop
+  development: {
+    APP_URL: 'http://localhost:5173',
+    RECONCILE_INTERVAL_MS: '0'
+  },
+  test: {
+    STORE_DRIVER: 'memory',
+    VERSION_CATALOG_SOURCE: 'bundled',
+    MAIL_TRANSPORT: 'console',
+    RECONCILE_INTERVAL_MS: '0'
+  },
+  // Customers' worlds are kept when a cancelled server is finally deleted
+  production: {
+    FINAL_BACKUP_ON_DELETE: 'true'
+  }
+};
+
+// SANDBOX=true swaps the panel and Stripe for the in-process fakes in lib/sandbox.js.
+// Their URLs and keys are forced; the defaults below still give way to anything set.
+const SANDBOX_KEYS = {
+  PTERODACTYL_API_KEY: 'ptla_sandbox',
+  PTERODACTYL_CLIENT_API_KEY: 'ptlc_sandbox',
+  STRIPE_SECRET_KEY: 'sk_test_sandbox',
+  STRIPE_WEBHOOK_SECRET: 'whsec_sandbox'
+};
+const SANDBOX_DEFAULTS = {
+  APP_URL: 'http://localhost:5173',
+  STORE_PATH: './data/sandbox-store.json',
+  VERSION_CATALOG_SOURCE: 'bundled',
+  // The fake panel accepts any egg, so every server type is available
+  ...Object.fromEntries(Object.values(SERVER_TYPES).map((type, index) => [type.eggEnv, String(index + 1)]))
+};
+
+// Without these production would run on throwaway keys (logins and stored
+// passwords lost on restart) or reject every Stripe webhook
+const PRODUCTION_REQUIRED = ['STRIPE_SECRET_KEY', 'STRIPE_WEBHOOK_SECRET', 'STORE_ENCRYPTION_KEY', 'AUTH_JWT_SECRET'];
+
+// `FOO=` in an env file means unset, not an empty string
+const blankToUndefined = (value) => (typeof value === 'string' && value.trim() === '' ? undefined : value);
+
+const text = () => z.preprocess(blankToUndefined, z.string().trim().optional());
+const url = () => z.preprocess(blankToUndefined, z.string().trim().url('must be a URL').optional());
+const integer = (fallback, { min = 0 } = {}) => z.preprocess(
+  blankToUndefined,
+  z.coerce.number({ invalid_type_error: 'must be a number' }).int('must be a whole number').min(min).default(fallback)
+);
+const number = (fallback, { min = 0 } = {}) => z.preprocess(
+  blankToUndefined,
+  z.coerce.number({ invalid_type_error: 'must be a number' }).min(min).default(fallback)
+);
+const flag = () => z.preprocess(
+  blankToUndefined,
+  z.enum(['true', 'false'], { errorMap: () => ({ message: 'must be true or false' }) })
+    .default('false')
+    .transform((value) => value === 'true')
+);
+const oneOf = (values, fallback) => z.preprocess(
+  blankToUndefined,
+  z.enum(values, { errorMap: () => ({ message: `must be one of ${values.join(', ')}` }) }).default(fallback)
+);
+const eggId = () => z.preprocess(
+  blankToUndefined,
+  z.coerce.number({ invalid_type_error: 'must be an egg ID' }).int('must be an egg ID').positive('must be an egg ID').optional()
+);
+
+const envSchema = z.object({
+  NODE_ENV: oneOf(['development', 'test', 'production'], 'development'),
+  PORT: integer(3000, { min: 1 }),
+  // Proxies in front of the service (load balancer, CDN) whose X-Forwarded-For is trusted
+  TRUST_PROXY: integer(0),
+  APP_URL: url().default('https://beta.goosehosting.com'),
+  LOG_LEVEL: oneOf(['silent', 'error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'], 'info'),
+  LOG_FORMAT: oneOf(['json', 'pretty'], 'json'),
+
+  STRIPE_SECRET_KEY: text(),
+  STRIPE_WEBHOOK_SECRET: text(),
+
+  PTERODACTYL_API_URL: z.preprocess(blankToUndefined, z.string({ required_error: 'is required' }).trim().url('must be a URL')),
+  PTERODACTYL_API_KEY: z.preprocess(blankToUndefined, z.string({ required_error: 'is required' }).trim()),
+  PTERODACTYL_CLIENT_API_URL: url(),
+  PTERODACTYL_CLIENT_API_KEY: text(),
+  PTERODACTYL_PANEL_URL: url(),
+  PTERODACTYL_NODE_IDS: text(),
+  PTERODACTYL_NODE_ID: text(),
+  PTERODACTYL_EGG_ID: eggId(),
+  PTERODACTYL_TIMEOUT_MS: integer(15000, { min: 1 }),
+  PTERODACTYL_MAX_RETRIES: integer(3),
+  PTERODACTYL_RETRY_BASE_MS: integer(500, { min: 1 }),
+  PTERODACTYL_CIRCUIT_THRESHOLD: integer(5, { min: 1 }),
+  PTERODACTYL_CIRCUIT_COOLDOWN_MS: integer(30 * 1000, { min: 1 }),
+  ...Object.fromEntries(Object.values(SERVER_TYPES).map((type) => [type.eggEnv, eggId()])),
+
+  STORE_DRIVER: oneOf(['file', 'memory'], 'file'),
+  STORE_PATH: text().default('./data/store.json'),
+  STORE_ENCRYPTION_KEY: text(),
+
+  SUSPEND_AFTER_FAILED_ATTEMPTS: integer(3, { min: 1 }),
+  CANCELLATION_GRACE_DAYS: number(7),
+  FINAL_BACKUP_ON_DELETE: flag(),
+  FINAL_BACKUP_DIR: text().default('./data/backups'),
+
+  MAIL_TRANSPORT: oneOf(['console', 'file', 'smtp'], 'console'),
+  MAIL_FROM: text(),
+  MAIL_RETRIES: integer(2),
+  MAIL_DIR: text(),
+  SMTP_URL: text(),
+  SMTP_HOST: text(),
+  SMTP_PORT: z.preprocess(blankToUndefined, z.coerce.number({ invalid_type_error: 'must be a number' }).int().min(1).optional()),
+  SMTP_USER: text(),
+  SMTP_PASS: text(),
+
+  AUTH_JWT_SECRET: text(),
+  AUTH_SESSION_TTL: z.preprocess(
+    blankToUndefined,
+    z.string().trim().regex(/^\d+\s*(ms|s|m|h|d|w|y)?$/, 'must be a duration such as 7d or 12h').default('7d')
+  ),
+
+  POWER_RATE_LIMIT_WINDOW_MS: integer(60 * 1000, { min: 1 }),
+  POWER_RATE_LIMIT_MAX: integer(3, { min: 1 }),
+  COMMAND_RATE_LIMIT_WINDOW_MS: integer(60 * 1000, { min: 1 }),
+  COMMAND_RATE_LIMIT_MAX: integer(20, { min: 1 }),
+  SESSION_LOOKUP_RATE_LIMIT_WINDOW_MS: integer(15 * 60 * 1000, { min: 1 }),
+  SESSION_LOOKUP_RATE_LIMIT_MAX: integer(20, { min: 1 }),
+  PASSWORD_RESET_RATE_LIMIT_WINDOW_MS: integer(60 * 60 * 1000, { min: 1 }),
+  PASSWORD_RESET_RATE_LIMIT_MAX: integer(5, { min: 1 }),
+  PLAN_CHANGE_RATE_LIMIT_WINDOW_MS: integer(60 * 60 * 1000, { min: 1 }),
+  PLAN_CHANGE_RATE_LIMIT_MAX: integer(5, { min: 1 }),
+  CREDENTIAL_REVEAL_TTL_MS: integer(15 * 60 * 1000, { min: 1 }),
+
+  PLAN_CATALOG_PATH: text(),
+  JAVA_RUNTIME_TABLE_PATH: text(),
+  VERSION_CATALOG_SOURCE: oneOf(['live', 'bundled'], 'live'),
+  VERSION_CATALOG_PATH: text(),
+  PLUGIN_CATALOG_DIR: text(),
+  PLUGIN_CATALOG_URL: url(),
+
+  COMPENSATION_POLICY: oneOf(POLICIES, 'refund'),
+  PROVISIONING_MAX_ATTEMPTS: integer(5, { min: 1 }),
+  PROVISIONING_RETRY_BASE_MS: integer(30 * 1000, { min: 1 }),
+
+  SANDBOX: flag(),
+  SANDBOX_PORT: integer(3001, { min: 1 }),
+  SANDBOX_STATE_PATH: text().default('./data/sandbox-state.json'),
+  SANDBOX_INSTALL_MS: integer(3000),
+
+  ADMIN_API_KEYS: text(),
+  RECONCILE_AUTO_FIX: flag(),
+  RECONCILE_INTERVAL_MS: integer(6 * 60 * 60 * 1000),
+  REFERRAL_CREDIT_AMOUNT: integer(500, { min: 1 }),
+
+  METRICS_CAPACITY_CACHE_MS: integer(60 * 1000),
+  HEALTH_CHECK_TIMEOUT_MS: integer(5000, { min: 1 })
+});
+
+// Rules across variables. They run on the raw values, next to the schema, so a
+// failed start reports these alongside any type errors.
+const crossFieldIssues = (env) => {
+  const issues = [];
+  if (env.NODE_ENV === 'production') {
+    PRODUCTION_REQUIRED.filter((variable) => !env[variable]).forEach((variable) => {
+      issues.push({ variable, message: 'is required in production' });
+    });
+    if (env.STORE_DRIVER === 'memory') {
+      issues.push({ variable: 'STORE_DRIVER', message: 'memory loses every order on restart; use file in production' });
+    }
+  }
+  if (env.SANDBOX === 'true') {
+    if (env.NODE_ENV === 'production') {
+      issues.push({ variable: 'SANDBOX', message: 'fakes the panel and Stripe and cannot be used in production' });
+    }
+    if (String(env.SANDBOX_PORT) === String(env.PORT || 3000)) {
+      issues.push({ variable: 'SANDBOX_PORT', message: 'must differ from PORT' });
+    }
+  }
+  if (env.MAIL_TRANSPORT === 'smtp' && !env.SMTP_URL && !env.SMTP_HOST) {
+    issues.push({ variable: 'SMTP_HOST', message: 'or SMTP_URL is required when MAIL_TRANSPORT=smtp' });
+  }
+  if (env.MAIL_TRANSPORT === 'file' && !env.MAIL_DIR) {
+    issues.push({ variable: 'MAIL_DIR', message: 'is required when MAIL_TRANSPORT=file' });
+  }
+  ['PLAN_CATALOG_PATH', 'JAVA_RUNTIME_TABLE_PATH'].filter((variable) => env[variable] && !fs.existsSync(env[variable]))
+    .forEach((variable) => issues.push({ variable, message: `points at ${env[variable]}, which does not exist` }));
+  return issues;
+};
+
+// Points the panel and Stripe settings at the sandbox (PORT + 1 unless SANDBOX_PORT is set)
+const withSandbox = (input) => {
+  if (input.SANDBOX !== 'true') {
+    return input;
+  }
+  const port = input.SANDBOX_PORT || String((Number(input.PORT) || 3000) + 1);
+  const baseUrl = `http://127.0.0.1:${port}`;
+  return {
+    ...SANDBOX_DEFAULTS,
+    ...input,
+    ...SANDBOX_KEYS,
+    SANDBOX_PORT: port,
+    PTERODACTYL_API_URL: `${baseUrl}/api/application`,
+    PTERODACTYL_CLIENT_API_URL: `${baseUrl}/api/client`,
+    PTERODACTYL_PANEL_URL: baseUrl
+  };
+};
+
+const splitList = (value) => (value || '').split(',').map((entry) => entry.trim()).filter(Boolean);
+
+// Egg ID per server type; PTERODACTYL_EGG_ID predates per-type eggs and was always a Paper egg
+const eggIdsFrom = (env) => Object.fromEntries(Object.entries(SERVER_TYPES)
+  .map(([id, type]) => [id, env[type.eggEnv] || (id === 'paper' ? env.PTERODACTYL_EGG_ID : undefined) || null])
+  .filter(([, value]) => value));
+
+// Parse `env` (process.env by default) into the config object the service is
+// built from. Every problem is collected, so one failed start lists them all.
+// LOG_LEVEL/LOG_FORMAT are checked here too, but lib/logger.js reads them itself
+// because it has to work before (and while reporting) a bad configuration.
+const loadConfig = (env = process.env) => {
+  const nodeEnv = blankToUndefined(env.NODE_ENV) || 'development';
+  const setVars = Object.fromEntries(Object.entries(env).filter(([, value]) => blankToUndefined(value) !== undefined));
+  const input = withSandbox({ ...ENVIRONMENT_DEFAULTS[nodeEnv], ...setVars });
+  const parsed = envSchema.safeParse(input);
+  const issues = [
+    ...(parsed.success ? [] : parsed.error.issues.map((issue) => ({
+      variable: issue.path.join('.'),
+      message: issue.message === 'Required' ? 'is required' : issue.message
+    }))),
+    ...crossFieldIssues(input)
+  ];
+  if (issues.length > 0) {
+    throw new ConfigError(issues);
+  }
+  const vars = parsed.data;
+  const apiUrl = vars.PTERODACTYL_API_URL.replace(/\/$/, '');
+
+  return {
+    env: vars.NODE_ENV,
+    isProduction: vars.NODE_ENV === 'production',
+    port: vars.PORT,
+    trustProxy: vars.TRUST_PROXY,
+    appUrl: vars.APP_URL.replace(/\/$/, ''),
+    log: { level: vars.LOG_LEVEL, format: vars.LOG_FORMAT },
+    stripe: {
+      secretKey: vars.STRIPE_SECRET_KEY,
+      webhookSecret: vars.STRIPE_WEBHOOK_SECRET
+    },
+    pterodactyl: {
+      apiUrl,
+      apiKey: vars.PTERODACTYL_API_KEY,
+      // Client API (power, console, files, backups) needs an admin's client API key
+      clientApiUrl: vars.PTERODACTYL_CLIENT_API_URL || apiUrl.replace(/\/application$/, '/client'),
+      clientApiKey: vars.PTERODACTYL_CLIENT_API_KEY,
+      panelUrl: vars.PTERODACTYL_PANEL_URL || apiUrl.replace(/\/api\/application$/, ''),
+      // Nodes new servers may be placed on; empty means every node on the panel.
+      // PTERODACTYL_NODE_ID is still honoured for single-node setups.
+      nodeIds: splitList(vars.PTERODACTYL_NODE_IDS || vars.PTERODACTYL_NODE_ID),
+      eggIds: eggIdsFrom(vars),
+      // Shared by the application and client API clients (lib/pterodactyl.js)
+      client: {
+        timeoutMs: vars.PTERODACTYL_TIMEOUT_MS,
+        maxRetries: vars.PTERODACTYL_MAX_RETRIES,
+        retryBaseMs: vars.PTERODACTYL_RETRY_BASE_MS,
+        circuitThreshold: vars.PTERODACTYL_CIRCUIT_THRESHOLD,
+        circuitCooldownMs: vars.PTERODACTYL_CIRCUIT_COOLDOWN_MS
+      }
+    },
+    store: {
+      driver: vars.STORE_DRIVER,
+      filePath: vars.STORE_PATH,
+      encryptionKey: vars.STORE_ENCRYPTION_KEY
+    },
+    lifecycle: {
+      suspendAfterFailedAttempts: vars.SUSPEND_AFTER_FAILED_ATTEMPTS,
+      cancellationGraceDays: vars.CANCELLATION_GRACE_DAYS,
+      finalBackupOnDelete: vars.FINAL_BACKUP_ON_DELETE,
+      finalBackupDir: vars.FINAL_BACKUP_DIR
+    },
+    mail: {
+      transport: vars.MAIL_TRANSPORT,
+      from: vars.MAIL_FROM,
+      retries: vars.MAIL_RETRIES,
+      directory: vars.MAIL_DIR,
+      url: vars.SMTP_URL,
+      host: vars.SMTP_HOST,
+      port: vars.SMTP_PORT,
+      user: vars.SMTP_USER,
+      pass: vars.SMTP_PASS
+    },
+    auth: {
+      jwtSecret: vars.AUTH_JWT_SECRET,
+      sessionTtl: vars.AUTH_SESSION_TTL
+    },
+    rateLimits: {
+      power: { windowMs: vars.POWER_RATE_LIMIT_WINDOW_MS, max: vars.POWER_RATE_LIMIT_MAX },
+      command: { windowMs: vars.COMMAND_RATE_LIMIT_WINDOW_MS, max: vars.COMMAND_RATE_LIMIT_MAX },
+      sessionLookup: { windowMs: vars.SESSION_LOOKUP_RATE_LIMIT_WINDOW_MS, max: vars.SESSION_LOOKUP_RATE_LIMIT_MAX },
+      passwordReset: { windowMs: vars.PASSWORD_RESET_RATE_LIMIT_WINDOW_MS, max: vars.PASSWORD_RESET_RATE_LIMIT_MAX },
+      planChange: { windowMs: vars.PLAN_CHANGE_RATE_LIMIT_WINDOW_MS, max: vars.PLAN_CHANGE_RATE_LIMIT_MAX }
+    },
+    credentials: { revealTtlMs: vars.CREDENTIAL_REVEAL_TTL_MS },
+    pricing: { catalogPath: vars.PLAN_CATALOG_PATH },
+    javaRuntime: { tablePath: vars.JAVA_RUNTIME_TABLE_PATH },
+    versionCatalog: {
+      source: vars.VERSION_CATALOG_SOURCE,
+      fallbackPath: vars.VERSION_CATALOG_PATH
+    },
+    pluginCatalog: vars.PLUGIN_CATALOG_DIR
+      ? { source: 'directory', directory: vars.PLUGIN_CATALOG_DIR }
+      : vars.PLUGIN_CATALOG_URL
+        ? { source: 'http', baseUrl: vars.PLUGIN_CATALOG_URL.replace(/\/$/, '') }
+        : { source: 'none' },
+    provisioning: {
+      maxAttempts: vars.PROVISIONING_MAX_ATTEMPTS,
+      baseDelayMs: vars.PROVISIONING_RETRY_BASE_MS,
+      compensationPolicy: vars.COMPENSATION_POLICY
+    },
+    // Set only when SANDBOX=true; the panel and Stripe settings above already point at it
+    sandbox: vars.SANDBOX
+      ? {
+        port: vars.SANDBOX_PORT,
+        statePath: vars.SANDBOX_STATE_PATH,
+        stateDriver: vars.STORE_DRIVER,
+        installMs: vars.SANDBOX_INSTALL_MS
+      }
+      : null,
+    admin: { apiKeys: vars.ADMIN_API_KEYS },
+    reconciliation: {
+      autoFix: vars.RECONCILE_AUTO_FIX,
+      intervalMs: vars.RECONCILE_INTERVAL_MS
+    },
+    referrals: { creditAmount: vars.REFERRAL_CREDIT_AMOUNT },
+    metrics: { capacityCacheMs: vars.METRICS_CAPACITY_CACHE_MS },
+    health: { timeoutMs: vars.HEALTH_CHECK_TIMEOUT_MS }
+  };
+};
+
+module.exports = { loadConfig, ConfigError, ENVIRONMENT_DEFAULTS };
@@ -0,0 +1,177 @@
+// lib/credentials.js - Generated panel passwords: shown once through a reveal token, reset afterwards
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('credentials');
+
+const COLLECTION = 'credentialReveals';
+const REVEAL_STATES = {
+  ISSUED: 'issued',
+  REVEALED: 'revealed',
+  EXPIRED: 'expired',
+  RESET: 'reset'
+};
+
+class CredentialError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CredentialError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Only the hash is stored, like login tokens
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const sameHash = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// Each session gets at most one reveal token, handed to whoever first sees the
+// finished order on /session-details (the customer on the success page). The
+// token is good once, for `revealTtlMs`; the password is wiped from the store as
+// soon as it is revealed or the token expires, so from then on the only way in is
+// a reset. `credentialReveals` records are claimed atomically, so a token cannot be
+// issued or used twice even when requests race.
+const createCredentialManager = ({
+  store,
+  pterodactylRequest,
+  generatePassword,
+  panelUrl,
+  revealTtlMs = 15 * 60 * 1000
+}) => {
+  // store.update merges `secrets` key by key, so the passwords are nulled out
+  const wipeSecrets = (sessionId, patch = {}) => store.update('sessions', sessionId, {
+    ...patch,
+    secrets: { serverPassword: null, ftpPassword: null }
+  });
+
+  const expire = async (reveal) => {
+    const now = new Date().toISOString();
+    const expired = await store.claim(COLLECTION, reveal.sessionId, {
+      sessionId: reveal.sessionId,
+      status: REVEAL_STATES.EXPIRED,
+      expiredAt: now
+    }, (existing) => existing.status === REVEAL_STATES.ISSUED && existing.expiresAt <= now);
+    if (expired) {
+      await wipeSecrets(reveal.sessionId);
+      logger.info(`🔐 Reveal token for ${reveal.sessionId} expired unused`);
+    }
+  };
+
+  // What /session-details reports about the credentials. The response that
+  // issues the token is the only one that carries it.
+  const revealStatus = async (record) => {
+    if (record.status !== 'completed' || !record.server?.serverUsername) {
+      // Existing panel users keep their own password; nothing was generated
+      return { status: 'none', resetAvailable: record.status === 'completed' };
+    }
+
+    let reveal = await store.get(COLLECTION, record.sessionId);
+    if (!reveal && record.secrets?.serverPassword) {
+      const token = crypto.randomBytes(32).toString('base64url');
+      const expiresAt = new Date(Date.now() + revealTtlMs).toISOString();
+      const issued = await store.claim(COLLECTION, record.sessionId, {
+        sessionId: record.sessionId,
+        status: REVEAL_STATES.ISSUED,
+        tokenHash: hashToken(token),
+        expiresAt
+      });
+      if (issued) {
+        logger.info(`🔐 Reveal token issued for ${record.sessionId}`);
+        return { status: 'available', revealToken: token, expiresAt, resetAvailable: false };
+      }
+      reveal = await store.get(COLLECTION, record.sessionId);
+    }
+
+    if (!reveal) {
+      return { status: 'none', resetAvailable: true };
+    }
+    if (reveal.status === REVEAL_STATES.ISSUED && reveal.expiresAt <= new Date().toISOString()) {
+      await expire(reveal);
+      return { status: REVEAL_STATES.EXPIRED, resetAvailable: true };
+    }
+    return reveal.status === REVEAL_STATES.ISSUED
+      ? { status: REVEAL_STATES.ISSUED, expiresAt: reveal.expiresAt, resetAvailable: false }
+      : { status: reveal.status, resetAvailable: true };
+  };
+
+  // Trades the reveal token for the password, once
+  const reveal = async (sessionId, token) => {
+    const now = new Date().toISOString();
+    const tokenHash = hashToken(token);
+    // claim() would also insert into an empty slot, which must not count as a reveal
+    if (!await store.get(COLLECTION, sessionId)) {
+      throw new CredentialError('Invalid reveal token', 403);
+    }
+    const claimed = await store.claim(COLLECTION, sessionId, {
+      sessionId,
+      status: REVEAL_STATES.REVEALED,
+      revealedAt: now
+    }, (existing) => existing.status === REVEAL_STATES.ISSUED && existing.expiresAt > now && sameHash(existing.tokenHash, tokenHash));
+
+    if (!claimed) {
+      const existing = await store.get(COLLECTION, sessionId);
+      if (existing.status === REVEAL_STATES.ISSUED && !sameHash(existing.tokenHash, tokenHash)) {
+        throw new CredentialError('Invalid reveal token', 403);
+      }
+      if (existing.status === REVEAL_STATES.ISSUED) {
+        await expire(existing);
+      }
+      throw new CredentialError('These credentials were already shown or the link expired - log in and reset the password instead', 410);
+    }
+
+    const record = await store.get('sessions', sessionId);
+    const password = record?.secrets?.serverPassword;
+    await wipeSecrets(sessionId);
+    if (!password) {
+      throw new CredentialError('No password is stored for this order - log in and reset the password instead', 410);
+    }
+
+    logger.info(`🔐 Credentials revealed for ${sessionId}`);
+    return {
+      panelUrl,
+      username: record.server.serverUsername,
+      password,
+      ftpHost: record.server.ftpHost,
+      ftpPort: record.server.ftpPort,
+      ftpUsername: record.server.ftpUsername
+    };
+  };
+
+  // New panel password for the owner of `record`, set through the application API.
+  // The panel account can own several servers, so every session of that user
+  // forgets its stored password and any reveal token still outstanding.
+  const resetPassword = async (record) => {
+    if (!record.pterodactylUserId) {
+      throw new CredentialError('Server has no panel account yet', 409);
+    }
+
+    const user = (await pterodactylRequest('GET', `/users/${record.pterodactylUserId}`)).data.attributes;
+    if (user.root_admin) {
+      throw new CredentialError('Panel administrator passwords cannot be reset here', 403);
+    }
+
+    const password = generatePassword(16);
+    await pterodactylRequest('PATCH', `/users/${user.id}`, {
+      email: user.email,
+      username: user.username,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      language: user.language,
+      password
+    });
+
+    const now = new Date().toISOString();
+    const sessions = await store.list('sessions', (entry) => String(entry.pterodactylUserId) === String(user.id));
+    for (const entry of sessions) {
+      await wipeSecrets(entry.sessionId, { passwordResetAt: now });
+      await store.put(COLLECTION, entry.sessionId, { sessionId: entry.sessionId, status: REVEAL_STATES.RESET, resetAt: now });
+    }
+
+    logger.info(`🔐 Panel password reset for user ${user.id}`);
+    return { panelUrl, username: user.username, password };
+  };
+
+  return { revealStatus, reveal, resetPassword };
+};
+
+module.exports = { createCredentialManager, CredentialError, REVEAL_STATES };
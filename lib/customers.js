@@ -0,0 +1,118 @@
+// lib/customers.js - Look up a customer's servers and subscriptions by email
+const { createLogger } = require('./logger');
+
+const logger = createLogger('customers');
+
+const createCustomerDirectory = ({ store, stripe, pterodactylRequest }) => {
+  const sessionsForEmail = (email) => store.list('sessions', (record) =>
+    record.customerEmail?.toLowerCase() === email.toLowerCase()
+  );
+
+  // The panel is the source of truth for suspension, so ask it when we can
+  const fetchPanelStatus = async (serverId) => {
+    try {
+      const response = await pterodactylRequest('GET', `/servers/${serverId}`);
+      const server = response.data.attributes;
+      return { suspended: server.suspended, installing: server.container?.installed === false };
+    } catch (error) {
+      logger.warn(`⚠️ Could not fetch panel status for server ${serverId}`, { error: error.message });
+      return null;
+    }
+  };
+
+  const toServerSummary = (record) => ({
+    sessionId: record.sessionId,
+    serverId: record.serverId,
+    serverUuid: record.serverUuid,
+    name: record.metadata?.serverName,
+    address: record.serverAddress,
+    plan: record.metadata?.plan,
+    totalRam: parseInt(record.metadata?.totalRam) || null,
+    serverType: record.metadata?.serverType,
+    minecraftVersion: record.metadata?.minecraftVersion,
+    javaVersion: record.server?.javaVersion || null,
+    jvmProfile: record.server?.jvmProfile || null,
+    subscriptionId: record.subscriptionId,
+    provisioningStatus: record.status,
+    createdAt: record.createdAt
+  });
+
+  const listServers = async (email, { includePanelStatus = true } = {}) => {
+    const records = await sessionsForEmail(email);
+
+    return Promise.all(records.map(async (record) => {
+      const summary = toServerSummary(record);
+      if (includePanelStatus && record.serverId && record.status !== 'deleted') {
+        summary.panel = await fetchPanelStatus(record.serverId);
+      }
+      return summary;
+    }));
+  };
+
+  // Returns the session record only if `serverId` belongs to `email`
+  const findOwnedServer = async (email, serverId) => store.find('sessions', (record) =>
+    record.customerEmail?.toLowerCase() === email.toLowerCase() &&
+    String(record.serverId) === String(serverId)
+  );
+
+  const listSubscriptions = async (email) => {
+    const records = await sessionsForEmail(email);
+    const subscriptionIds = [...new Set(records.map((record) => record.subscriptionId).filter(Boolean))];
+
+    return Promise.all(subscriptionIds.map(async (subscriptionId) => {
+      const lifecycle = await store.get('subscriptions', subscriptionId);
+      const summary = {
+        subscriptionId,
+        serverIds: records.filter((record) => record.subscriptionId === subscriptionId).map((record) => record.serverId),
+        lifecycleStatus: lifecycle?.status || null,
+        deleteAfter: lifecycle?.deleteAfter || null
+      };
+
+      if (!stripe) {
+        return summary;
+      }
+
+      try {
+        const subscription = await stripe.subscriptions.retrieve(subscriptionId, { expand: ['latest_invoice'] });
+        const item = subscription.items.data[0];
+        return {
+          ...summary,
+          status: subscription.status,
+          cancelAtPeriodEnd: subscription.cancel_at_period_end,
+          currentPeriodEnd: new Date(subscription.current_period_end * 1000).toISOString(),
+          amount: item?.price?.unit_amount,
+          currency: item?.price?.currency,
+          interval: item?.price?.recurring?.interval,
+          intervalCount: item?.price?.recurring?.interval_count,
+          latestInvoice: subscription.latest_invoice && {
+            id: subscription.latest_invoice.id,
+            status: subscription.latest_invoice.status,
+            amountDue: subscription.latest_invoice.amount_due,
+            hostedInvoiceUrl: subscription.latest_invoice.hosted_invoice_url
+          }
+        };
+      } catch (error) {
+        logger.warn(`⚠️ Could not fetch subscription ${subscriptionId} from Stripe`, { error: error.message });
+        return summary;
+      }
+    }));
+  };
+
+  // Overall billing standing: anything past due or suspended needs attention
+  const getBillingState = (subscriptions) => {
+    const needsAttention = subscriptions.some((subscription) =>
+      ['past_due', 'unpaid', 'incomplete'].includes(subscription.status) ||
+      ['past_due', 'suspended'].includes(subscription.lifecycleStatus)
+    );
+    return {
+      status: needsAttention ? 'action_required' : 'ok',
+      activeSubscriptions: subscriptions.filter((subscription) =>
+        subscription.status ? ['active', 'trialing'].includes(subscription.status) : subscription.lifecycleStatus === 'active'
+      ).length
+    };
+  };
+
+  return { listServers, listSubscriptions, findOwnedServer, getBillingState, sessionsForEmail };
+};
+
+module.exports = { createCustomerDirectory };
@@ -0,0 +1,64 @@
+// lib/health.js - Readiness: can we actually reach the services a checkout depends on
+const { createLogger } = require('./logger');
+
+const logger = createLogger('health');
+
+const withTimeout = (promise, timeoutMs) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// `checks` maps a name to an async function that throws when the dependency is down.
+// Results are cached for `cacheMs` so a load balancer polling /health does not turn
+// into a steady stream of Stripe and panel calls.
+const createHealthCheck = ({ checks, timeoutMs = 5000, cacheMs = 10 * 1000 }) => {
+  let last = null;
+  let inFlight = null;
+
+  const runCheck = async (name, check) => {
+    const startedAt = Date.now();
+    try {
+      await withTimeout(Promise.resolve().then(check), timeoutMs);
+      return [name, { ok: true, latencyMs: Date.now() - startedAt }];
+    } catch (error) {
+      logger.warn(`⚠️ Readiness check ${name} failed`, { error: error.message });
+      return [name, { ok: false, latencyMs: Date.now() - startedAt, error: error.message }];
+    }
+  };
+
+  const runAll = async () => {
+    const results = Object.fromEntries(await Promise.all(
+      Object.entries(checks).map(([name, check]) => runCheck(name, check))
+    ));
+    return {
+      ready: Object.values(results).every((result) => result.ok),
+      checkedAt: new Date().toISOString(),
+      checks: results
+    };
+  };
+
+  // Concurrent callers share one round of checks
+  const check = async () => {
+    if (last && Date.now() - new Date(last.checkedAt).getTime() < cacheMs) {
+      return last;
+    }
+    if (!inFlight) {
+      inFlight = runAll()
+        .then((result) => {
+          last = result;
+          return result;
+        })
+        .finally(() => {
+          inFlight = null;
+        });
+    }
+    return inFlight;
+  };
+
+  return { check };
+};
+
+module.exports = { createHealthCheck };
@@ -0,0 +1,236 @@
+// lib/java-runtime.js - Java version, yolk image and JVM flags for a Minecraft server
+const fs = require('fs');
+const { parseMinecraftVersion, isVersionInRange } = require('./minecraft-version');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('java-runtime');
+
+// Checked top to bottom; the first range containing the version wins.
+// `java` lists every version that runs it, `default` is what we pick unasked.
+// A range with `serverTypes` only applies to those server types.
+const DEFAULT_RUNTIME_TABLE = {
+  images: {
+    8: 'ghcr.io/pterodactyl/yolks:java_8',
+    11: 'ghcr.io/pterodactyl/yolks:java_11',
+    17: 'ghcr.io/pterodactyl/yolks:java_17',
+    21: 'ghcr.io/pterodactyl/yolks:java_21'
+  },
+  ranges: [
+    { minecraft: { min: '1.20.5' }, java: [21], default: 21 },
+    { minecraft: { min: '1.17', max: '1.20.4' }, java: [17, 21], default: 21 },
+    // Forge before 1.17 uses a module loader that breaks on anything newer than Java 8
+    { minecraft: { min: '1.12', max: '1.16.5' }, serverTypes: ['forge'], java: [8], default: 8 },
+    { minecraft: { min: '1.16', max: '1.16.5' }, java: [11, 17], default: 17 },
+    { minecraft: { min: '1.12', max: '1.15.2' }, java: [8, 11], default: 11 },
+    { minecraft: { max: '1.11.2' }, java: [8], default: 8 }
+  ],
+  // Snapshots are mapped to the release they lead up to; ordered newest first
+  snapshots: [
+    { from: { year: 24, week: 14 }, treatAs: '1.21' },
+    { from: { year: 21, week: 19 }, treatAs: '1.18' },
+    { from: { year: 0, week: 0 }, treatAs: '1.16' }
+  ],
+  // Heap = container memory minus headroom for metaspace, threads and native buffers
+  headroom: { percent: 15, minMb: 384, maxMb: 2048 },
+  // Heaps at least this large get ZGC by default when the Java version allows it
+  zgcMinHeapMb: 12 * 1024
+};
+
+const AIKAR_FLAGS = (heapMb) => {
+  const large = heapMb >= 12 * 1024;
+  return [
+    '-XX:+UseG1GC',
+    '-XX:+ParallelRefProcEnabled',
+    '-XX:MaxGCPauseMillis=200',
+    '-XX:+UnlockExperimentalVMOptions',
+    '-XX:+DisableExplicitGC',
+    '-XX:+AlwaysPreTouch',
+    `-XX:G1NewSizePercent=${large ? 40 : 30}`,
+    `-XX:G1MaxNewSizePercent=${large ? 50 : 40}`,
+    `-XX:G1HeapRegionSize=${large ? '16M' : '8M'}`,
+    `-XX:G1ReservePercent=${large ? 15 : 20}`,
+    '-XX:G1HeapWastePercent=5',
+    '-XX:G1MixedGCCountTarget=4',
+    `-XX:InitiatingHeapOccupancyPercent=${large ? 20 : 15}`,
+    '-XX:G1MixedGCLiveThresholdPercent=90',
+    '-XX:G1RSetUpdatingPauseTimePercent=5',
+    '-XX:SurvivorRatio=32',
+    '-XX:+PerfDisableSharedMem',
+    '-XX:MaxTenuringThreshold=1',
+    '-Dusing.aikars.flags=https://mcflags.emc.gs',
+    '-Daikars.new.flags=true'
+  ];
+};
+
+// `minJava` is the oldest Java the profile's flags work on
+const JVM_PROFILES = {
+  default: {
+    name: 'Default',
+    minJava: 8,
+    flags: (heapMb) => [`-Xms128M`, `-Xmx${heapMb}M`]
+  },
+  aikar: {
+    name: "Aikar's flags (G1)",
+    minJava: 8,
+    flags: (heapMb) => [`-Xms${heapMb}M`, `-Xmx${heapMb}M`, ...AIKAR_FLAGS(heapMb)]
+  },
+  zgc: {
+    name: 'ZGC (large heaps)',
+    minJava: 17,
+    flags: (heapMb, javaVersion) => [
+      `-Xms${heapMb}M`,
+      `-Xmx${heapMb}M`,
+      '-XX:+UseZGC',
+      ...(javaVersion >= 21 ? ['-XX:+ZGenerational'] : []),
+      '-XX:+AlwaysPreTouch',
+      '-XX:+DisableExplicitGC',
+      '-XX:+PerfDisableSharedMem'
+    ]
+  }
+};
+
+// Server types whose maintainers recommend Aikar's flags
+const AIKAR_SERVER_TYPES = ['paper', 'purpur', 'spigot'];
+
+class RuntimeError extends Error {
+  constructor(message, field = 'javaVersion') {
+    super(message);
+    this.name = 'RuntimeError';
+    this.field = field;
+  }
+}
+
+// `tablePath` (JAVA_RUNTIME_TABLE_PATH) can point at a JSON file shaped like DEFAULT_RUNTIME_TABLE
+const loadRuntimeTable = (tablePath) => {
+  if (!tablePath) {
+    return DEFAULT_RUNTIME_TABLE;
+  }
+  return { ...DEFAULT_RUNTIME_TABLE, ...JSON.parse(fs.readFileSync(tablePath, 'utf8')) };
+};
+
+// Set once at startup from config.javaRuntime.tablePath
+let runtimeTable = DEFAULT_RUNTIME_TABLE;
+
+const useRuntimeTable = (tablePath) => {
+  runtimeTable = loadRuntimeTable(tablePath);
+  return runtimeTable;
+};
+
+// Reduce releases, pre-releases ("1.21-pre1", "1.20.5-rc2") and snapshots
+// ("24w14a") to the release version whose Java requirements apply
+const effectiveReleaseVersion = (minecraftVersion) => {
+  const version = String(minecraftVersion || '').trim();
+
+  if (parseMinecraftVersion(version)) return version;
+
+  const prerelease = /^(\d+\.\d+(?:\.\d+)?)(?:-(?:pre|rc)\d+| Pre-Release \d+| Release Candidate \d+)$/i.exec(version);
+  if (prerelease) return prerelease[1];
+
+  const snapshot = /^(\d{2})w(\d{2})[a-z]$/.exec(version);
+  if (snapshot) {
+    const year = Number(snapshot[1]);
+    const week = Number(snapshot[2]);
+    const match = runtimeTable.snapshots.find(({ from }) =>
+      year > from.year || (year === from.year && week >= from.week)
+    );
+    return match ? match.treatAs : null;
+  }
+
+  return null;
+};
+
+const findRange = (minecraftVersion, serverType) => {
+  const release = effectiveReleaseVersion(minecraftVersion);
+  if (!release) {
+    return null;
+  }
+  return runtimeTable.ranges.find((range) =>
+    (!range.serverTypes || range.serverTypes.includes(serverType)) && isVersionInRange(release, range.minecraft)
+  ) || null;
+};
+
+const heapForContainer = (containerMb) => {
+  const { percent, minMb, maxMb } = runtimeTable.headroom;
+  const headroom = Math.min(maxMb, Math.max(minMb, Math.round(containerMb * percent / 100)));
+  return Math.max(256, containerMb - headroom);
+};
+
+// Java versions and flag profiles a customer may pick for this Minecraft version and server type
+const getRuntimeOptions = (minecraftVersion, serverType = 'paper') => {
+  const range = findRange(minecraftVersion, serverType) || runtimeTable.ranges[0];
+  return {
+    javaVersions: range.java,
+    defaultJava: range.default,
+    profiles: Object.entries(JVM_PROFILES)
+      .filter(([, profile]) => range.java.some((java) => java >= profile.minJava))
+      .map(([id, profile]) => ({ id, name: profile.name, minJava: profile.minJava }))
+  };
+};
+
+// Resolve Java version, image, heap and flags. Customer choices are validated
+// against the range for their Minecraft version; omitted ones get defaults.
+const resolveRuntime = ({ minecraftVersion, serverType = 'paper', memoryMb, javaVersion, jvmProfile }) => {
+  let range = findRange(minecraftVersion, serverType);
+  if (!range) {
+    // Unknown formats get the newest runtime, as before
+    logger.info(`⚠️ Unknown Minecraft version ${minecraftVersion}, using the newest Java runtime`);
+    range = runtimeTable.ranges[0];
+  }
+
+  const java = javaVersion ? Number(javaVersion) : range.default;
+  if (!range.java.includes(java)) {
+    throw new RuntimeError(`Minecraft ${minecraftVersion} runs on Java ${range.java.join(' or ')}`);
+  }
+
+  const heapMb = heapForContainer(memoryMb);
+  let profileId = jvmProfile;
+  if (!profileId) {
+    if (heapMb >= runtimeTable.zgcMinHeapMb && java >= JVM_PROFILES.zgc.minJava) {
+      profileId = 'zgc';
+    } else {
+      profileId = AIKAR_SERVER_TYPES.includes(serverType) ? 'aikar' : 'default';
+    }
+  }
+
+  const profile = JVM_PROFILES[profileId];
+  if (!profile) {
+    throw new RuntimeError(`Unknown JVM flag profile: ${profileId}`, 'jvmProfile');
+  }
+  if (java < profile.minJava) {
+    throw new RuntimeError(`${profile.name} needs Java ${profile.minJava} or newer`, 'jvmProfile');
+  }
+
+  return {
+    java,
+    image: runtimeTable.images[java],
+    profile: profileId,
+    heapMb,
+    flags: profile.flags(heapMb, java)
+  };
+};
+
+// Full startup command; launchArgs comes from the server type (e.g. "-jar {{SERVER_JARFILE}}")
+const buildStartupCommand = (runtime, launchArgs = '-jar {{SERVER_JARFILE}}') =>
+  ['java', ...runtime.flags, launchArgs].join(' ');
+
+// One line per range, for the startup banner
+const describeRuntimeTable = () => runtimeTable.ranges.map(({ minecraft, serverTypes, java, default: defaultJava }) => {
+  const versions = minecraft.min && minecraft.max
+    ? `${minecraft.min}-${minecraft.max}`
+    : minecraft.min ? `${minecraft.min}+` : `up to ${minecraft.max}`;
+  const types = serverTypes ? ` (${serverTypes.join(', ')})` : '';
+  return `Minecraft ${versions}${types} → Java ${defaultJava} (supports ${java.join(', ')})`;
+});
+
+module.exports = {
+  resolveRuntime,
+  describeRuntimeTable,
+  buildStartupCommand,
+  getRuntimeOptions,
+  effectiveReleaseVersion,
+  heapForContainer,
+  loadRuntimeTable,
+  useRuntimeTable,
+  RuntimeError,
+  JVM_PROFILES
+};
@@ -0,0 +1,206 @@
+// lib/jobs.js - Persisted multi-step jobs: per-step state, retry with backoff, resume and a dead-letter list
+const { createLogger, runWithContext } = require('./logger');
+
+const logger = createLogger('jobs');
+
+const JOB_STATES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  RETRYING: 'retrying',
+  COMPLETED: 'completed',
+  DEAD: 'dead'
+};
+
+const DEAD_LETTER_COLLECTION = 'deadLetters';
+
+// `steps` run in order. Each step gets the job ({ id, input, context, secrets })
+// and returns what later steps need; that is merged into `context`, except a
+// `secrets` key which goes into the (encrypted) job secrets. A failed job resumes
+// at the step that failed, so steps must be safe to run again after a crash.
+// Errors for which `isPermanent(error)` is true skip the retries.
+const createJobQueue = ({
+  store,
+  collection,
+  steps,
+  maxAttempts = 5,
+  baseDelayMs = 30 * 1000,
+  maxDelayMs = 30 * 60 * 1000,
+  pollIntervalMs = 5000,
+  isPermanent = () => false,
+  onComplete = async () => {},
+  onRetry = async () => {},
+  onDead = async () => {}
+}) => {
+  // Runs started by this process, keyed by job ID
+  const running = new Map();
+  let pollTimer = null;
+
+  const now = () => new Date().toISOString();
+
+  const backoffFor = (attempts) => Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+
+  const updateStep = (job, name, patch) => store.update(collection, job.id, {
+    steps: { ...job.steps, [name]: { ...job.steps[name], ...patch } }
+  });
+
+  const fail = async (job, stepName, error) => {
+    const dead = isPermanent(error) || job.attempts >= maxAttempts;
+    const lastError = { step: stepName, message: error.message, at: now() };
+
+    const updated = await store.update(collection, job.id, {
+      status: dead ? JOB_STATES.DEAD : JOB_STATES.RETRYING,
+      lastError,
+      nextRunAt: dead ? null : new Date(Date.now() + backoffFor(job.attempts)).toISOString(),
+      steps: {
+        ...job.steps,
+        [stepName]: { ...job.steps[stepName], status: 'failed', error: error.message, finishedAt: lastError.at }
+      }
+    });
+
+    if (dead) {
+      await store.put(DEAD_LETTER_COLLECTION, `${collection}:${job.id}`, {
+        queue: collection,
+        jobId: job.id,
+        step: stepName,
+        error: error.message,
+        attempts: job.attempts,
+        deadAt: lastError.at
+      });
+      logger.error(`☠️ Job ${collection}/${job.id} dead after ${job.attempts} attempt(s) at step ${stepName}`, { error: error.message });
+      await onDead(updated, error).catch((hookError) => logger.error('❌ Dead-letter hook failed', { error: hookError.message }));
+    } else {
+      logger.warn(`🔁 Job ${collection}/${job.id} failed at step ${stepName} (attempt ${job.attempts}/${maxAttempts}), retrying at ${updated.nextRunAt}`, { error: error.message });
+      await onRetry(updated, error).catch((hookError) => logger.error('❌ Retry hook failed', { error: hookError.message }));
+    }
+    return updated;
+  };
+
+  const execute = async (id) => {
+    let job = await store.get(collection, id);
+    if (!job || job.status === JOB_STATES.COMPLETED || job.status === JOB_STATES.DEAD) {
+      return job;
+    }
+
+    job = await store.update(collection, id, {
+      status: JOB_STATES.RUNNING,
+      attempts: (job.attempts || 0) + 1,
+      startedAt: now(),
+      nextRunAt: null
+    });
+
+    for (const step of steps) {
+      const state = job.steps[step.name] || {};
+      if (state.status === 'completed') {
+        continue;
+      }
+
+      job = await updateStep(job, step.name, {
+        status: 'running',
+        attempts: (state.attempts || 0) + 1,
+        startedAt: now(),
+        error: null
+      });
+
+      let output;
+      try {
+        output = await step.run(job);
+      } catch (error) {
+        return fail(job, step.name, error);
+      }
+
+      const { secrets, ...context } = output || {};
+      job = await store.update(collection, id, {
+        context: { ...job.context, ...context },
+        ...(secrets && { secrets }),
+        steps: { ...job.steps, [step.name]: { ...job.steps[step.name], status: 'completed', finishedAt: now() } }
+      });
+    }
+
+    job = await store.update(collection, id, { status: JOB_STATES.COMPLETED, finishedAt: now(), lastError: null });
+    logger.info(`✅ Job ${collection}/${id} completed`);
+    await onComplete(job).catch((hookError) => logger.error('❌ Completion hook failed', { error: hookError.message }));
+    return job;
+  };
+
+  // Concurrent calls for the same job share one run
+  const run = (id) => {
+    if (running.has(id)) {
+      return running.get(id);
+    }
+    // Log lines from the steps carry the job ID next to the request that queued it
+    const promise = runWithContext({ jobId: `${collection}/${id}` }, () => execute(id))
+      .catch((error) => logger.error(`❌ Job ${collection}/${id} crashed`, { error: error.message }))
+      .finally(() => running.delete(id));
+    running.set(id, promise);
+    return promise;
+  };
+
+  // Adds the job unless one with this ID exists already, and starts it
+  const enqueue = async (id, input) => {
+    const job = await store.claim(collection, id, {
+      status: JOB_STATES.QUEUED,
+      input,
+      context: {},
+      attempts: 0,
+      maxAttempts,
+      steps: Object.fromEntries(steps.map((step) => [step.name, { status: 'pending', attempts: 0 }])),
+      nextRunAt: now(),
+      lastError: null
+    });
+
+    if (!job) {
+      return { job: await store.get(collection, id), created: false };
+    }
+    run(id);
+    return { job, created: true };
+  };
+
+  // Operator action: give a dead job a fresh set of attempts, resuming at its failed step
+  const requeue = async (id) => {
+    const job = await store.get(collection, id);
+    if (!job) {
+      return null;
+    }
+    if (job.status !== JOB_STATES.DEAD) {
+      return job;
+    }
+    const updated = await store.update(collection, id, { status: JOB_STATES.QUEUED, attempts: 0, nextRunAt: now() });
+    await store.remove(DEAD_LETTER_COLLECTION, `${collection}:${id}`);
+    logger.info(`🔁 Job ${collection}/${id} requeued`);
+    run(id);
+    return updated;
+  };
+
+  const listDeadLetters = () => store.list(DEAD_LETTER_COLLECTION, (entry) => entry.queue === collection);
+
+  // Picks up due retries, plus jobs left `running` by a process that died mid-run
+  const poll = async () => {
+    const due = new Date().toISOString();
+    const jobs = await store.list(collection, (job) => !running.has(job.id) && (
+      job.status === JOB_STATES.RUNNING ||
+      ((job.status === JOB_STATES.QUEUED || job.status === JOB_STATES.RETRYING) && job.nextRunAt <= due)
+    ));
+    jobs.forEach((job) => run(job.id));
+    return jobs.length;
+  };
+
+  const start = () => {
+    if (pollTimer) {
+      return;
+    }
+    poll().catch((error) => logger.error(`❌ Failed to resume ${collection} jobs`, { error: error.message }));
+    pollTimer = setInterval(() => {
+      poll().catch((error) => logger.error(`❌ Job poll for ${collection} failed`, { error: error.message }));
+    }, pollIntervalMs);
+    pollTimer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  };
+
+  return { enqueue, run, requeue, listDeadLetters, get: (id) => store.get(collection, id), poll, start, stop };
+};
+
+module.exports = { createJobQueue, JOB_STATES, DEAD_LETTER_COLLECTION };
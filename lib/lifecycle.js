@@ -0,0 +1,298 @@
+// lib/lifecycle.js - Suspend, unsuspend and delete servers as Stripe subscriptions change state
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('lifecycle');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Subscription states recorded in the `subscriptions` collection
+const STATES = {
+  ACTIVE: 'active',
+  PAST_DUE: 'past_due',
+  SUSPENDED: 'suspended',
+  PENDING_DELETION: 'pending_deletion',
+  DELETED: 'deleted'
+};
+
+const createLifecycleManager = ({
+  store,
+  pterodactylRequest,
+  clientRequest,
+  suspendAfterFailedAttempts = 3,
+  cancellationGraceDays = 7,
+  finalBackupOnDelete = false,
+  finalBackupDir = './data/backups',
+  sweepIntervalMs = 60 * 60 * 1000
+}) => {
+  let sweepTimer = null;
+
+  const findServerForSubscription = (subscriptionId) =>
+    store.find('sessions', (record) => record.subscriptionId === subscriptionId && record.serverId);
+
+  // Append a transition to the subscription's history; the history is what support
+  // reads to find out why a server went offline
+  const recordTransition = async (subscriptionId, toState, details = {}) => {
+    const existing = await store.get('subscriptions', subscriptionId);
+    const fromState = existing?.status || null;
+    const transition = {
+      at: new Date().toISOString(),
+      from: fromState,
+      to: toState,
+      ...details
+    };
+
+    logger.info(`📒 Subscription ${subscriptionId}: ${fromState || 'new'} → ${toState} (${details.reason})`);
+
+    return store.update('subscriptions', subscriptionId, {
+      subscriptionId,
+      status: toState,
+      history: [...(existing?.history || []), transition]
+    });
+  };
+
+  const suspendServer = async (serverId) => {
+    await pterodactylRequest('POST', `/servers/${serverId}/suspend`);
+    logger.info(`⏸️ Suspended server ${serverId}`);
+  };
+
+  const unsuspendServer = async (serverId) => {
+    await pterodactylRequest('POST', `/servers/${serverId}/unsuspend`);
+    logger.info(`▶️ Unsuspended server ${serverId}`);
+  };
+
+  // Backups go through the client API; the archive is downloaded locally because
+  // deleting the server removes its panel-side backups as well
+  const takeFinalBackup = async (serverUuid) => {
+    const backups = `/servers/${serverUuid}/backups`;
+    const created = await clientRequest('POST', backups, { name: `final-${new Date().toISOString()}` });
+    const backupUuid = created.data.attributes.uuid;
+    logger.info(`💾 Final backup ${backupUuid} started for server ${serverUuid}`);
+
+    // Poll until the daemon reports the archive as finished
+    const deadline = Date.now() + 30 * 60 * 1000;
+    let backup = created.data.attributes;
+    while (!backup.completed_at) {
+      if (Date.now() > deadline) {
+        throw new Error(`Final backup ${backupUuid} did not complete in time`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, 10000));
+      backup = (await clientRequest('GET', `${backups}/${backupUuid}`)).data.attributes;
+    }
+
+    if (!backup.is_successful) {
+      throw new Error(`Final backup ${backupUuid} failed on the daemon`);
+    }
+
+    const download = await clientRequest('GET', `${backups}/${backupUuid}/download`);
+    const archivePath = path.resolve(finalBackupDir, `${serverUuid}-${backupUuid}.tar.gz`);
+    await fs.promises.mkdir(path.dirname(archivePath), { recursive: true });
+
+    // The signed URL points at the node daemon rather than the panel API
+    const archive = await axios.get(download.data.attributes.url, { responseType: 'stream' });
+    await new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(archivePath);
+      archive.data.pipe(output);
+      output.on('finish', resolve);
+      output.on('error', reject);
+      archive.data.on('error', reject);
+    });
+
+    logger.info(`✅ Final backup saved to ${archivePath}`);
+    return { backupUuid, archivePath };
+  };
+
+  // invoice.payment_failed - suspend once Stripe has retried enough times
+  const handlePaymentFailed = async (invoice) => {
+    const subscriptionId = invoice.subscription;
+    if (!subscriptionId) {
+      return null;
+    }
+
+    const record = await store.get('subscriptions', subscriptionId);
+
+    // Stripe does not deliver webhooks in order, so a late failure must not pull a
+    // cancelled subscription back to past_due
+    if (record?.status === STATES.PENDING_DELETION || record?.status === STATES.DELETED) {
+      return { action: 'none', reason: `subscription is ${record.status}` };
+    }
+
+    const details = {
+      reason: 'payment_failed',
+      invoiceId: invoice.id,
+      attemptCount: invoice.attempt_count
+    };
+
+    await store.update('subscriptions', subscriptionId, { failedAttempts: invoice.attempt_count });
+
+    // A suspended server stays suspended whatever the attempt count; only a payment
+    // (or support, for their own suspensions) lifts it
+    if (record?.status === STATES.SUSPENDED) {
+      return { action: 'already_suspended' };
+    }
+
+    if (invoice.attempt_count < suspendAfterFailedAttempts) {
+      if (record?.status !== STATES.PAST_DUE) {
+        await recordTransition(subscriptionId, STATES.PAST_DUE, details);
+      }
+      return {
+        action: 'none',
+        attemptCount: invoice.attempt_count,
+        attemptsBeforeSuspension: suspendAfterFailedAttempts - invoice.attempt_count
+      };
+    }
+
+    const server = await findServerForSubscription(subscriptionId);
+    if (!server) {
+      await recordTransition(subscriptionId, STATES.SUSPENDED, { ...details, note: 'no server linked' });
+      return { action: 'none', reason: 'no server linked' };
+    }
+
+    await suspendServer(server.serverId);
+    await recordTransition(subscriptionId, STATES.SUSPENDED, { ...details, serverId: server.serverId });
+    return { action: 'suspended', serverId: server.serverId };
+  };
+
+  // invoice.payment_succeeded - lift a non-payment suspension
+  const handlePaymentSucceeded = async (invoice) => {
+    const subscriptionId = invoice.subscription;
+    if (!subscriptionId) {
+      return null;
+    }
+
+    const record = await store.get('subscriptions', subscriptionId);
+    await store.update('subscriptions', subscriptionId, { failedAttempts: 0 });
+
+    if (!record || record.status === STATES.ACTIVE) {
+      if (!record) {
+        await recordTransition(subscriptionId, STATES.ACTIVE, { reason: 'payment_succeeded', invoiceId: invoice.id });
+      }
+      return { action: 'none' };
+    }
+
+    // Cancelled subscriptions stay on their deletion schedule
+    if (record.status === STATES.PENDING_DELETION || record.status === STATES.DELETED) {
+      return { action: 'none', reason: `subscription is ${record.status}` };
+    }
+
+    // Support suspensions (abuse, chargebacks) are only lifted by support
+    if (record.status === STATES.SUSPENDED && record.suspendedBy === 'admin') {
+      return { action: 'none', reason: 'suspended by support' };
+    }
+
+    const details = { reason: 'payment_succeeded', invoiceId: invoice.id };
+    const server = await findServerForSubscription(subscriptionId);
+
+    if (record.status === STATES.SUSPENDED && server) {
+      await unsuspendServer(server.serverId);
+      await recordTransition(subscriptionId, STATES.ACTIVE, { ...details, serverId: server.serverId });
+      return { action: 'unsuspended', serverId: server.serverId };
+    }
+
+    await recordTransition(subscriptionId, STATES.ACTIVE, details);
+    return { action: 'none' };
+  };
+
+  // customer.subscription.deleted - suspend now, delete after the grace period
+  const handleSubscriptionDeleted = async (subscription) => {
+    const subscriptionId = subscription.id;
+    const record = await store.get('subscriptions', subscriptionId);
+    if (record?.status === STATES.PENDING_DELETION || record?.status === STATES.DELETED) {
+      return { action: 'already_cancelled' };
+    }
+
+    const server = await findServerForSubscription(subscriptionId);
+    const deleteAfter = new Date(Date.now() + cancellationGraceDays * DAY_MS).toISOString();
+
+    if (server && record?.status !== STATES.SUSPENDED) {
+      await suspendServer(server.serverId);
+    }
+
+    await store.update('subscriptions', subscriptionId, { deleteAfter });
+    await recordTransition(subscriptionId, STATES.PENDING_DELETION, {
+      reason: 'subscription_cancelled',
+      serverId: server?.serverId,
+      deleteAfter
+    });
+
+    return { action: 'scheduled_deletion', serverId: server?.serverId, deleteAfter };
+  };
+
+  const deleteServerForSubscription = async (subscriptionId) => {
+    const server = await findServerForSubscription(subscriptionId);
+    const details = { reason: 'grace_period_expired', serverId: server?.serverId };
+
+    if (server) {
+      if (finalBackupOnDelete) {
+        try {
+          const backup = await takeFinalBackup(server.serverUuid);
+          details.finalBackup = backup.archivePath;
+        } catch (error) {
+          // Keep the server until a backup succeeds; the next sweep tries again
+          logger.error(`❌ Final backup failed for server ${server.serverId}`, { error: error.message });
+          await store.update('subscriptions', subscriptionId, { lastError: error.message });
+          return { action: 'backup_failed', error: error.message };
+        }
+      }
+
+      await pterodactylRequest('DELETE', `/servers/${server.serverId}`);
+      await store.update('sessions', server.id, { status: 'deleted', deletedAt: new Date().toISOString() });
+      logger.info(`🗑️ Deleted server ${server.serverId} for subscription ${subscriptionId}`);
+    }
+
+    await store.update('subscriptions', subscriptionId, { lastError: null });
+    await recordTransition(subscriptionId, STATES.DELETED, details);
+    return { action: 'deleted', serverId: server?.serverId };
+  };
+
+  // Deletion times live in the store, so a restart does not lose pending deletions
+  const sweep = async () => {
+    const now = new Date().toISOString();
+    const due = await store.list('subscriptions', (record) =>
+      record.status === STATES.PENDING_DELETION && record.deleteAfter <= now
+    );
+
+    for (const record of due) {
+      try {
+        await deleteServerForSubscription(record.subscriptionId);
+      } catch (error) {
+        logger.error(`❌ Failed to delete server for subscription ${record.subscriptionId}`, { error: error.message });
+        await store.update('subscriptions', record.subscriptionId, { lastError: error.message });
+      }
+    }
+
+    return due.length;
+  };
+
+  const start = () => {
+    if (sweepTimer) {
+      return;
+    }
+    sweepTimer = setInterval(() => {
+      sweep().catch((error) => logger.error('❌ Lifecycle sweep failed', { error: error.message }));
+    }, sweepIntervalMs);
+    sweepTimer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  };
+
+  return {
+    handlePaymentFailed,
+    handlePaymentSucceeded,
+    handleSubscriptionDeleted,
+    suspendServer,
+    unsuspendServer,
+    takeFinalBackup,
+    recordTransition,
+    sweep,
+    start,
+    stop
+  };
+};
+
+module.exports = { createLifecycleManager, STATES };
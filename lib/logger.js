@@ -0,0 +1,133 @@
+// lib/logger.js - Structured logging: JSON lines, levels, a per-request correlation ID and redaction
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const winston = require('winston');
+const morgan = require('morgan');
+
+// Carries { requestId, ... } through everything a request (or job) awaits
+const context = new AsyncLocalStorage();
+
+const REDACTED = '[REDACTED]';
+
+// Keys whose values are never logged, wherever they appear in the metadata
+const SECRET_KEY_PATTERN = /pass(word)?|secret|token|api[-_]?key|authorization|cookie|signature/i;
+
+// Secrets and personal data that can turn up inside free text (error messages, URLs)
+const TEXT_PATTERNS = [
+  [/\b(sk|rk|pk)_(live|test)_[A-Za-z0-9]+/g, REDACTED],
+  [/\bwhsec_[A-Za-z0-9]+/g, REDACTED],
+  [/\bptl[ac]_[A-Za-z0-9]+/g, REDACTED],
+  [/Bearer\s+[A-Za-z0-9._~+/=-]+/gi, `Bearer ${REDACTED}`],
+  [/([?&](token|key|signature)=)[^&\s]+/gi, `$1${REDACTED}`],
+  // Keep the domain so support can still tell customers apart roughly
+  [/\b([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})\b/g, '$1***@$2']
+];
+
+const redactText = (text) => TEXT_PATTERNS.reduce((result, [pattern, replacement]) =>
+  result.replace(pattern, replacement), text);
+
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (!value || typeof value !== 'object' || depth > 8) {
+    return value;
+  }
+  if (value instanceof Error) {
+    return { name: value.name, message: redactText(value.message) };
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SECRET_KEY_PATTERN.test(key) && item !== null && item !== undefined && typeof item !== 'boolean'
+      ? REDACTED
+      : redact(item, depth + 1)
+  ]));
+};
+
+// winston keeps level/message on the info object itself; everything else is metadata
+const redactFormat = winston.format((info) => {
+  const { level, message, ...meta } = info;
+  const redacted = redact(meta);
+  for (const key of Object.keys(meta)) {
+    info[key] = redacted[key];
+  }
+  info.message = typeof message === 'string' ? redactText(message) : redact(message);
+  return info;
+});
+
+const contextFormat = winston.format((info) => {
+  for (const [key, value] of Object.entries(context.getStore() || {})) {
+    if (info[key] === undefined) {
+      info[key] = value;
+    }
+  }
+  return info;
+});
+
+// LOG_FORMAT=pretty for readable local output; JSON lines otherwise. LOG_LEVEL=silent
+// turns logging off (the test suite uses it).
+const baseLogger = winston.createLogger({
+  level: process.env.LOG_LEVEL && process.env.LOG_LEVEL !== 'silent' ? process.env.LOG_LEVEL : 'info',
+  silent: process.env.LOG_LEVEL === 'silent',
+  levels: winston.config.npm.levels,
+  format: winston.format.combine(
+    contextFormat(),
+    redactFormat(),
+    winston.format.timestamp(),
+    process.env.LOG_FORMAT === 'pretty'
+      ? winston.format.combine(winston.format.colorize(), winston.format.simple())
+      : winston.format.json()
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+// Module loggers tag every line with where it came from
+const createLogger = (module) => baseLogger.child({ module });
+
+const getRequestId = () => context.getStore()?.requestId || null;
+
+// Run `fn` with extra context (e.g. { jobId }), keeping the current request ID unless one is given
+const runWithContext = (values, fn) => context.run({ ...context.getStore(), ...values }, fn);
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,100}$/;
+
+// Reuses an X-Request-Id from a trusted proxy if it looks sane, otherwise makes one up,
+// and echoes it back so customers can quote it to support
+const requestContext = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+  context.run({ requestId }, next);
+};
+
+// Access log through the same logger, so it gets URL redaction too. The request ID
+// is passed explicitly because morgan writes after the request context has ended.
+const httpLogger = morgan((tokens, req, res) => JSON.stringify({
+  requestId: req.id,
+  method: tokens.method(req, res),
+  url: tokens.url(req, res),
+  status: Number(tokens.status(req, res)) || null,
+  responseTimeMs: Number(tokens['response-time'](req, res)) || null,
+  contentLength: Number(tokens.res(req, res, 'content-length')) || null
+}), {
+  stream: {
+    write: (line) => {
+      const fields = JSON.parse(line);
+      baseLogger.info(`${fields.method} ${fields.url} ${fields.status}`, { module: 'http', ...fields });
+    }
+  }
+});
+
+module.exports = {
+  logger: baseLogger,
+  createLogger,
+  requestContext,
+  httpLogger,
+  getRequestId,
+  runWithContext,
+  redact
+};
@@ -0,0 +1,170 @@
+// lib/metrics.js - Prometheus metrics for webhooks, checkout, provisioning and the panel API
+const client = require('prom-client');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('metrics');
+
+const PREFIX = 'goose_';
+
+// Panel endpoints carry server IDs, UUIDs and session IDs; labels must not, or every
+// server gets its own time series
+const ID_SEGMENT = /^(\d+|[0-9a-f]{8}|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+const normalizeEndpoint = (endpoint) => {
+  const segments = String(endpoint).split('?')[0].split('/');
+  return segments
+    .map((segment, index) => (ID_SEGMENT.test(segment) || segments[index - 1] === 'external' ? ':id' : segment))
+    .join('/');
+};
+
+const secondsSince = (isoTime) => Math.max(0, (Date.now() - new Date(isoTime).getTime()) / 1000);
+
+// Gauges that need panel or store lookups are filled in at scrape time:
+// `countServers()` returns { [state]: count } and `countFreeAllocations()` returns
+// [{ nodeId, nodeName, free }]. Allocations take a page walk per node, so that
+// result is reused for `capacityCacheMs`.
+const createMetrics = ({
+  countServers = async () => ({}),
+  countFreeAllocations = async () => [],
+  capacityCacheMs = 60 * 1000,
+  collectDefaults = true
+} = {}) => {
+  const registry = new client.Registry();
+  if (collectDefaults) {
+    client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+  }
+
+  const webhookEvents = new client.Counter({
+    name: `${PREFIX}webhook_events_received_total`,
+    help: 'Stripe webhook events received, by event type',
+    labelNames: ['type'],
+    registers: [registry]
+  });
+
+  const webhookFailures = new client.Counter({
+    name: `${PREFIX}webhook_events_failed_total`,
+    help: 'Stripe webhook events that failed verification or handling, by event type',
+    labelNames: ['type'],
+    registers: [registry]
+  });
+
+  const checkoutSessions = new client.Counter({
+    name: `${PREFIX}checkout_sessions_created_total`,
+    help: 'Stripe checkout sessions created',
+    labelNames: ['plan', 'server_type'],
+    registers: [registry]
+  });
+
+  const provisioningDuration = new client.Histogram({
+    name: `${PREFIX}provisioning_duration_seconds`,
+    help: 'Time from payment to a finished provisioning job, by outcome (completed or dead)',
+    labelNames: ['outcome'],
+    buckets: [5, 15, 30, 60, 120, 300, 600, 1800, 3600, 3 * 3600, 12 * 3600],
+    registers: [registry]
+  });
+
+  const provisioningRetries = new client.Counter({
+    name: `${PREFIX}provisioning_retries_total`,
+    help: 'Provisioning attempts that failed and were scheduled for a retry, by failed step',
+    labelNames: ['step'],
+    registers: [registry]
+  });
+
+  const pterodactylDuration = new client.Histogram({
+    name: `${PREFIX}pterodactyl_request_duration_seconds`,
+    help: 'Pterodactyl API latency, by API (application or client), method and endpoint',
+    labelNames: ['api', 'method', 'endpoint'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15],
+    registers: [registry]
+  });
+
+  // Error rate: status=~"5..|4..|network_error" over all requests
+  const pterodactylRequests = new client.Counter({
+    name: `${PREFIX}pterodactyl_requests_total`,
+    help: 'Pterodactyl API requests, by API, method, endpoint and response status (network_error if none)',
+    labelNames: ['api', 'method', 'endpoint', 'status'],
+    registers: [registry]
+  });
+
+  let capacity = { loadedAt: 0, nodes: [] };
+  new client.Gauge({
+    name: `${PREFIX}node_free_allocations`,
+    help: 'Unassigned, unlocked allocations (ports) per eligible node',
+    labelNames: ['node_id', 'node_name'],
+    registers: [registry],
+    async collect() {
+      if (Date.now() - capacity.loadedAt >= capacityCacheMs) {
+        capacity.loadedAt = Date.now();
+        try {
+          capacity.nodes = await countFreeAllocations();
+        } catch (error) {
+          // Keep reporting the last known numbers rather than dropping the series
+          logger.error('❌ Failed to count free allocations', { error: error.message });
+        }
+      }
+      this.reset();
+      capacity.nodes.forEach(({ nodeId, nodeName, free }) =>
+        this.set({ node_id: String(nodeId), node_name: nodeName || '' }, free));
+    }
+  });
+
+  new client.Gauge({
+    name: `${PREFIX}servers`,
+    help: 'Servers by subscription state (active, past_due, suspended, pending_deletion)',
+    labelNames: ['state'],
+    registers: [registry],
+    async collect() {
+      try {
+        const counts = await countServers();
+        this.reset();
+        Object.entries(counts).forEach(([state, count]) => this.set({ state }, count));
+      } catch (error) {
+        logger.error('❌ Failed to count servers', { error: error.message });
+      }
+    }
+  });
+
+  const webhookReceived = (type) => webhookEvents.inc({ type });
+
+  const webhookFailed = (type) => webhookFailures.inc({ type });
+
+  const checkoutCreated = ({ plan, serverType }) =>
+    checkoutSessions.inc({ plan: plan || 'unknown', server_type: serverType || 'paper' });
+
+  // Jobs carry their own timestamps, so this works for jobs resumed after a restart too
+  const provisioningFinished = (job, outcome) =>
+    provisioningDuration.observe({ outcome }, secondsSince(job.createdAt));
+
+  const provisioningRetried = (job) => provisioningRetries.inc({ step: job.lastError?.step || 'unknown' });
+
+  // Wraps one panel call; the result or error is passed through untouched
+  const timePterodactyl = async (api, method, endpoint, call) => {
+    const labels = { api, method: method.toUpperCase(), endpoint: normalizeEndpoint(endpoint) };
+    const stopTimer = pterodactylDuration.startTimer(labels);
+    try {
+      const response = await call();
+      pterodactylRequests.inc({ ...labels, status: String(response.status) });
+      return response;
+    } catch (error) {
+      pterodactylRequests.inc({ ...labels, status: error.response ? String(error.response.status) : 'network_error' });
+      throw error;
+    } finally {
+      stopTimer();
+    }
+  };
+
+  const render = async () => ({ contentType: registry.contentType, body: await registry.metrics() });
+
+  return {
+    webhookReceived,
+    webhookFailed,
+    checkoutCreated,
+    provisioningFinished,
+    provisioningRetried,
+    timePterodactyl,
+    render,
+    registry
+  };
+};
+
+module.exports = { createMetrics, normalizeEndpoint };
@@ -0,0 +1,41 @@
+// lib/minecraft-version.js - Parse and compare Minecraft release versions ("1.20.4", "1.21")
+
+// Returns { major, minor, patch } for release versions, or null for anything else
+// (snapshots like "24w14a", pre-releases like "1.21-pre1", garbage input)
+const parseMinecraftVersion = (version) => {
+  const match = /^(\d+)\.(\d+)(?:\.(\d+))?$/.exec(String(version || '').trim());
+  if (!match) {
+    return null;
+  }
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3] || 0)
+  };
+};
+
+// Negative if a < b, positive if a > b, 0 if equal. Unparseable versions throw.
+const compareMinecraftVersions = (a, b) => {
+  const left = typeof a === 'string' ? parseMinecraftVersion(a) : a;
+  const right = typeof b === 'string' ? parseMinecraftVersion(b) : b;
+  if (!left || !right) {
+    throw new Error(`Cannot compare Minecraft versions ${a} and ${b}`);
+  }
+  return (left.major - right.major) || (left.minor - right.minor) || (left.patch - right.patch);
+};
+
+// Inclusive range check; either bound may be omitted
+const isVersionInRange = (version, { min, max } = {}) => {
+  if (!parseMinecraftVersion(version)) {
+    return false;
+  }
+  if (min && compareMinecraftVersions(version, min) < 0) {
+    return false;
+  }
+  if (max && compareMinecraftVersions(version, max) > 0) {
+    return false;
+  }
+  return true;
+};
+
+module.exports = { parseMinecraftVersion, compareMinecraftVersions, isVersionInRange };
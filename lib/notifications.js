@@ -0,0 +1,208 @@
+// lib/notifications.js - Customer emails for server and billing events, rendered from HTML + text templates
+const { createLogger } = require('./logger');
+
+const logger = createLogger('notifications');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (value) => new Date(value).toUTCString().replace(/ \d{2}:\d{2}:\d{2} GMT$/, '');
+
+const formatAmount = (cents, currency = 'usd') =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase() }).format(cents / 100);
+
+// Shared frame so every email looks the same; `body` is already-escaped HTML
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #1f2933; background: #f5f7fa; padding: 24px;">
+    <div style="max-width: 560px; margin: 0 auto; background: #ffffff; border-radius: 8px; padding: 32px;">
+      <h2 style="margin-top: 0;">${escapeHtml(title)}</h2>
+      ${body}
+      <p style="color: #7b8794; font-size: 12px; margin-top: 32px;">GooseHosting - you get this email because you have a server with us.</p>
+    </div>
+  </body>
+</html>`;
+
+const button = (href, label) =>
+  `<p><a href="${escapeHtml(href)}" style="display: inline-block; background: #2563eb; color: #ffffff; padding: 10px 18px; border-radius: 6px; text-decoration: none;">${escapeHtml(label)}</a></p>`;
+
+// Each template takes the event data plus { appUrl, panelUrl } and returns { subject, text, html }
+const TEMPLATES = {
+  // Never carries the panel password. A new account's password is shown once on
+  // the order page (`revealUrl`); after that, or on a resend, the customer resets it.
+  serverReady: ({ serverName, serverAddress, panelUrl, appUrl, username, revealUrl, ftpHost, ftpPort }) => {
+    const subject = `Your server ${serverName} is ready`;
+    const resetText = `log in at ${appUrl}/login with this email address and choose "Reset password" on the server`;
+    const passwordText = revealUrl
+      ? `Your password is shown once on your order page: ${revealUrl}\nIf it was already shown there or the link has expired, ${resetText}.`
+      : `To get a password, ${resetText}.`;
+    const credentialsText = username
+      ? `\nPanel login: ${panelUrl}\nUsername: ${username}\nSFTP: ${ftpHost}:${ftpPort} (same username and password)\n\n${passwordText}`
+      : `\nManage it from the panel with your existing account: ${panelUrl}`;
+    const passwordHtml = revealUrl
+      ? `<p>Your password is shown once on your order page.</p>${button(revealUrl, 'Show my password')}` +
+        `<p>If it was already shown there or the link has expired, ${escapeHtml(resetText)}.</p>`
+      : `<p>To get a password, ${escapeHtml(resetText)}.</p>${button(`${appUrl}/login`, 'Log in')}`;
+    const credentialsHtml = username
+      ? `<p><strong>Panel login:</strong> <a href="${escapeHtml(panelUrl)}">${escapeHtml(panelUrl)}</a><br>` +
+        `<strong>Username:</strong> ${escapeHtml(username)}</p>` +
+        `<p><strong>SFTP:</strong> ${escapeHtml(ftpHost)}:${escapeHtml(ftpPort)} (same username and password)</p>` +
+        passwordHtml
+      : `<p>Manage it from the panel with your existing account.</p>${button(panelUrl, 'Open the panel')}`;
+
+    return {
+      subject,
+      text: `Your Minecraft server ${serverName} has been created.\n\nConnect to: ${serverAddress}\n${credentialsText}\n`,
+      html: layout(subject,
+        `<p>Your Minecraft server <strong>${escapeHtml(serverName)}</strong> has been created.</p>` +
+        `<p><strong>Connect to:</strong> <code>${escapeHtml(serverAddress)}</code></p>` +
+        credentialsHtml)
+    };
+  },
+
+  paymentFailed: ({ serverName, amount, currency, nextAttemptAt, appUrl }) => {
+    const subject = 'Your payment did not go through';
+    const retry = nextAttemptAt ? `We will try again on ${formatDate(nextAttemptAt)}.` : 'We will try again shortly.';
+    return {
+      subject,
+      text: `We could not collect ${formatAmount(amount, currency)} for ${serverName}. ${retry}\n\n` +
+        `Please check your payment details: ${appUrl}/account\n`,
+      html: layout(subject,
+        `<p>We could not collect <strong>${escapeHtml(formatAmount(amount, currency))}</strong> for ${escapeHtml(serverName)}. ${escapeHtml(retry)}</p>` +
+        `<p>Please check your payment details.</p>${button(`${appUrl}/account`, 'Update payment method')}`)
+    };
+  },
+
+  suspensionWarning: ({ serverName, amount, currency, nextAttemptAt, appUrl }) => {
+    const subject = `Action needed: ${serverName} will be suspended`;
+    const when = nextAttemptAt ? ` on ${formatDate(nextAttemptAt)}` : '';
+    return {
+      subject,
+      text: `We still could not collect ${formatAmount(amount, currency)} for ${serverName}. ` +
+        `If the next attempt${when} fails, the server will be suspended.\n\n` +
+        `Update your payment details to keep it online: ${appUrl}/account\n`,
+      html: layout(subject,
+        `<p>We still could not collect <strong>${escapeHtml(formatAmount(amount, currency))}</strong> for ${escapeHtml(serverName)}.</p>` +
+        `<p>If the next attempt${escapeHtml(when)} fails, the server will be <strong>suspended</strong>.</p>` +
+        button(`${appUrl}/account`, 'Update payment method'))
+    };
+  },
+
+  suspended: ({ serverName, appUrl }) => {
+    const subject = `${serverName} has been suspended`;
+    return {
+      subject,
+      text: `${serverName} has been suspended because we could not collect payment. Your files are kept.\n\n` +
+        `Pay the open invoice and the server is unsuspended automatically: ${appUrl}/account\n`,
+      html: layout(subject,
+        `<p><strong>${escapeHtml(serverName)}</strong> has been suspended because we could not collect payment. Your files are kept.</p>` +
+        `<p>Pay the open invoice and the server is unsuspended automatically.</p>${button(`${appUrl}/account`, 'Pay now')}`)
+    };
+  },
+
+  cancelled: ({ serverName, deleteAfter, appUrl }) => {
+    const subject = `Your subscription for ${serverName} has been cancelled`;
+    const deletion = deleteAfter
+      ? `The server is offline now and will be deleted on ${formatDate(deleteAfter)}.`
+      : 'The server is offline now and will be deleted soon.';
+    return {
+      subject,
+      text: `Your subscription for ${serverName} has ended. ${deletion}\n\n` +
+        `Download anything you want to keep before then: ${appUrl}/dashboard\n`,
+      html: layout(subject,
+        `<p>Your subscription for <strong>${escapeHtml(serverName)}</strong> has ended. ${escapeHtml(deletion)}</p>` +
+        `<p>Download anything you want to keep before then.</p>${button(`${appUrl}/dashboard`, 'Open dashboard')}`)
+    };
+  }
+};
+
+// Sends each notification at most once: `key` identifies the event (webhooks are
+// redelivered) and the outcome is kept in the `notifications` collection.
+const createNotifier = ({ store, mailer, appUrl, panelUrl }) => {
+  const notify = async (template, key, { to, ...data }) => {
+    if (!to) {
+      logger.warn(`⚠️ No recipient for ${template} notification ${key}`);
+      return null;
+    }
+
+    const id = `${template}:${key}`;
+    const claimed = await store.claim('notifications', id, { template, to, status: 'sending' },
+      (existing) => existing.status === 'failed');
+    if (!claimed) {
+      return null;
+    }
+
+    try {
+      const message = TEMPLATES[template]({ appUrl, panelUrl, ...data });
+      const result = await mailer.send({ to, ...message });
+      await store.update('notifications', id, { status: 'sent', sentAt: new Date().toISOString(), messageId: result.id });
+      logger.info(`📧 Sent ${template} email for ${key}`);
+      return result;
+    } catch (error) {
+      logger.error(`❌ Failed to send ${template} email for ${key}`, { error: error.message });
+      await store.update('notifications', id, { status: 'failed', error: error.message });
+      return null;
+    }
+  };
+
+  // The session record holds the email and server name for a subscription
+  const recordForSubscription = (subscriptionId) =>
+    store.find('sessions', (record) => record.subscriptionId === subscriptionId);
+
+  const serverName = (record) => record?.metadata?.serverName || 'your Minecraft server';
+
+  // `resend` is support sending the details again; each resend is its own notification.
+  // The first email links to the order page, where the password is revealed once;
+  // a resend only explains how to reset it.
+  const serverReady = (record, { resend = false } = {}) => {
+    const key = resend ? `${record.sessionId}:resend:${Date.now()}` : record.sessionId;
+    return notify('serverReady', key, {
+      to: record.customerEmail,
+      serverName: serverName(record),
+      serverAddress: record.serverAddress,
+      username: record.server?.serverUsername,
+      revealUrl: resend ? null : `${appUrl}/success?session_id=${encodeURIComponent(record.sessionId)}`,
+      ftpHost: record.server?.ftpHost,
+      ftpPort: record.server?.ftpPort
+    });
+  };
+
+  // `attemptsBeforeSuspension` comes from the lifecycle manager; the last
+  // failure before a suspension gets the stronger warning instead
+  const paymentFailed = async (invoice, { attemptsBeforeSuspension } = {}) => {
+    const record = await recordForSubscription(invoice.subscription);
+    const template = attemptsBeforeSuspension === 1 ? 'suspensionWarning' : 'paymentFailed';
+    return notify(template, `${invoice.id}:${invoice.attempt_count}`, {
+      to: record?.customerEmail || invoice.customer_email,
+      serverName: serverName(record),
+      amount: invoice.amount_due,
+      currency: invoice.currency,
+      nextAttemptAt: invoice.next_payment_attempt ? invoice.next_payment_attempt * 1000 : null
+    });
+  };
+
+  const suspended = async (invoice) => {
+    const record = await recordForSubscription(invoice.subscription);
+    return notify('suspended', `${invoice.subscription}:${invoice.id}`, {
+      to: record?.customerEmail || invoice.customer_email,
+      serverName: serverName(record)
+    });
+  };
+
+  const cancelled = async (subscription, { deleteAfter } = {}) => {
+    const record = await recordForSubscription(subscription.id);
+    return notify('cancelled', subscription.id, {
+      to: record?.customerEmail,
+      serverName: serverName(record),
+      deleteAfter
+    });
+  };
+
+  return { serverReady, paymentFailed, suspended, cancelled };
+};
+
+module.exports = { createNotifier, TEMPLATES };
@@ -0,0 +1,185 @@
+// lib/placement.js - Pick a node and a free allocation for a new server
+const { createLogger } = require('./logger');
+
+const logger = createLogger('placement');
+
+const ALLOCATION_LOCK_TTL_MS = 10 * 60 * 1000;
+
+class PlacementError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PlacementError';
+  }
+}
+
+// Capacity after overallocation; Pterodactyl uses -1 for "no limit"
+const capacityWithOverallocate = (total, overallocate) => {
+  if (overallocate === -1) {
+    return Infinity;
+  }
+  return total * (1 + (overallocate || 0) / 100);
+};
+
+// `fetchAllPages` is the panel client's page walker (lib/pterodactyl.js)
+const createPlacementScheduler = ({ store, fetchAllPages, nodeIds = [], lockTtlMs = ALLOCATION_LOCK_TTL_MS }) => {
+  const listLocations = async () => {
+    const locations = await fetchAllPages('/locations');
+    return locations.map((location) => ({
+      id: location.attributes.id,
+      short: location.attributes.short,
+      long: location.attributes.long
+    }));
+  };
+
+  // Nodes eligible for new servers, optionally limited to one location (ID or short code)
+  const listNodes = async ({ location } = {}) => {
+    const nodes = await fetchAllPages('/nodes?include=location');
+
+    return nodes
+      .map((node) => node.attributes)
+      .filter((node) => nodeIds.length === 0 || nodeIds.includes(String(node.id)))
+      .filter((node) => !node.maintenance_mode)
+      .filter((node) => {
+        if (!location) {
+          return true;
+        }
+        const nodeLocation = node.relationships?.location?.attributes;
+        return String(node.location_id) === String(location) ||
+          nodeLocation?.short?.toLowerCase() === String(location).toLowerCase();
+      });
+  };
+
+  // Higher is better. Nodes that cannot fit the request get null.
+  const scoreNode = (node, { memory, disk }) => {
+    const memoryCapacity = capacityWithOverallocate(node.memory, node.memory_overallocate);
+    const diskCapacity = capacityWithOverallocate(node.disk, node.disk_overallocate);
+    const freeMemory = memoryCapacity - (node.allocated_resources?.memory || 0);
+    const freeDisk = diskCapacity - (node.allocated_resources?.disk || 0);
+
+    if (freeMemory < memory || freeDisk < disk) {
+      return null;
+    }
+
+    // Spread load: prefer the node with the largest share of capacity left afterwards
+    const memoryHeadroom = memoryCapacity === Infinity ? 1 : (freeMemory - memory) / memoryCapacity;
+    const diskHeadroom = diskCapacity === Infinity ? 1 : (freeDisk - disk) / diskCapacity;
+    return memoryHeadroom * 0.7 + diskHeadroom * 0.3;
+  };
+
+  const lockAllocation = (allocationId, nodeId, owner) => store.claim(
+    'allocationLocks',
+    String(allocationId),
+    {
+      allocationId,
+      nodeId,
+      owner,
+      expiresAt: new Date(Date.now() + lockTtlMs).toISOString()
+    },
+    // Locks left behind by a crashed process expire instead of leaking the port
+    (existing) => existing.owner === owner || existing.expiresAt < new Date().toISOString()
+  );
+
+  // Only the owner may free its lock: once a lock expires another checkout can
+  // take the port over, and a late release must not free it from under them
+  const releaseAllocation = async (allocationId, owner) => {
+    const released = await store.removeIf('allocationLocks', String(allocationId), (lock) => lock.owner === owner);
+    if (!released) {
+      logger.warn(`⚠️ Allocation ${allocationId} is not locked by ${owner}, leaving the lock alone`);
+    }
+    return released;
+  };
+
+  // Extend a lock this owner already holds; null if it expired and someone else took the port
+  const renewAllocation = (allocationId, nodeId, owner) => lockAllocation(allocationId, nodeId, owner);
+
+  // Claim the first unassigned, unlocked allocation on a node
+  const claimAllocationOnNode = async (nodeId, owner) => {
+    const allocations = await fetchAllPages(`/nodes/${nodeId}/allocations`);
+
+    for (const allocation of allocations) {
+      if (allocation.attributes.assigned) {
+        continue;
+      }
+      const lock = await lockAllocation(allocation.attributes.id, nodeId, owner);
+      if (lock) {
+        return allocation.attributes;
+      }
+    }
+
+    return null;
+  };
+
+  // Free ports per eligible node, for capacity monitoring. Locked allocations are
+  // about to be taken by a checkout in progress, so they do not count as free.
+  const countFreeAllocations = async () => {
+    const nodes = await listNodes();
+    const now = new Date().toISOString();
+    const locked = new Set((await store.list('allocationLocks', (lock) => lock.expiresAt >= now))
+      .map((lock) => String(lock.allocationId)));
+
+    const counts = [];
+    for (const node of nodes) {
+      const allocations = await fetchAllPages(`/nodes/${node.id}/allocations`);
+      counts.push({
+        nodeId: node.id,
+        nodeName: node.name,
+        free: allocations.filter((allocation) =>
+          !allocation.attributes.assigned && !locked.has(String(allocation.attributes.id))).length
+      });
+    }
+    return counts;
+  };
+
+  // Whether a running server's node can take `extra` memory/disk (MB) on top of
+  // what it already has, e.g. for a plan upgrade. Unknown nodes have no room.
+  const hasRoomOnNode = async (nodeId, extra) => {
+    const nodes = await fetchAllPages('/nodes');
+    const node = nodes.map((entry) => entry.attributes).find((entry) => String(entry.id) === String(nodeId));
+    return Boolean(node) && scoreNode(node, extra) !== null;
+  };
+
+  // Choose a node and lock an allocation on it. `owner` identifies the checkout
+  // session so a retry of the same session can reuse its own lock.
+  const placeServer = async ({ totalRam, location, owner }) => {
+    const requested = { memory: totalRam * 1024, disk: totalRam * 1000 };
+    const nodes = await listNodes({ location });
+
+    if (nodes.length === 0) {
+      throw new PlacementError(location ? `No nodes available in location ${location}` : 'No nodes available');
+    }
+
+    const candidates = nodes
+      .map((node) => ({ node, score: scoreNode(node, requested) }))
+      .filter((candidate) => candidate.score !== null)
+      .sort((a, b) => b.score - a.score);
+
+    if (candidates.length === 0) {
+      throw new PlacementError(`No node has ${totalRam} GB of memory and disk free`);
+    }
+
+    // Fall through to the next best node if the best one has no free ports
+    for (const { node, score } of candidates) {
+      const allocation = await claimAllocationOnNode(node.id, owner);
+      if (allocation) {
+        logger.info(`🎯 Placed on node ${node.id} (${node.name}), allocation ${allocation.id}, score ${score.toFixed(3)}`);
+        return { node, allocation };
+      }
+      logger.warn(`⚠️ Node ${node.id} has capacity but no free allocations`);
+    }
+
+    throw new PlacementError('No available server ports on any eligible node');
+  };
+
+  return {
+    listNodes,
+    listLocations,
+    scoreNode,
+    hasRoomOnNode,
+    placeServer,
+    renewAllocation,
+    releaseAllocation,
+    countFreeAllocations
+  };
+};
+
+module.exports = { createPlacementScheduler, PlacementError };
@@ -0,0 +1,186 @@
+// lib/plan-changes.js - Upgrade/downgrade a running server: Stripe proration plus a live panel resize
+const { calculatePrice, resourceLimitsForRam } = require('./pricing');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('plan-changes');
+
+class PlanChangeError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PlanChangeError';
+    this.statusCode = statusCode;
+  }
+}
+
+// `resolveStartup(record, memoryMb)` returns { startup, image } for the new size,
+// since the JVM heap is part of the startup command. `placement` is the scheduler
+// from lib/placement.js; upgrades must fit on the node the server already runs on.
+const createPlanChangeManager = ({ store, stripe, pterodactylRequest, resolveStartup, placement }) => {
+  // Snapshot of what the panel currently has, used both for the update payloads
+  // (Pterodactyl wants the full build/startup objects) and for rollback
+  const getServerState = async (serverId) => {
+    const response = await pterodactylRequest('GET', `/servers/${serverId}?include=databases`);
+    const server = response.data.attributes;
+    return {
+      allocation: server.allocation,
+      node: server.node,
+      limits: server.limits,
+      featureLimits: server.feature_limits,
+      databaseCount: server.relationships?.databases?.data?.length || 0,
+      startup: server.container.startup_command,
+      image: server.container.image,
+      egg: server.egg,
+      environment: server.container.environment
+    };
+  };
+
+  const applyBuild = (serverId, state, limits, featureLimits) =>
+    pterodactylRequest('PATCH', `/servers/${serverId}/build`, {
+      allocation: state.allocation,
+      ...limits,
+      feature_limits: featureLimits
+    });
+
+  const applyStartup = (serverId, state, environment, runtime = state) =>
+    pterodactylRequest('PATCH', `/servers/${serverId}/startup`, {
+      startup: runtime.startup,
+      environment,
+      egg: state.egg,
+      image: runtime.image,
+      skip_scripts: true
+    });
+
+  const updateStripeItem = (subscriptionId, itemId, price, metadata) =>
+    stripe.subscriptions.update(subscriptionId, {
+      items: [{ id: itemId, ...price }],
+      proration_behavior: 'create_prorations',
+      metadata
+    });
+
+  // Change plan/RAM for server `serverId`, which must belong to `customerEmail`.
+  // Stripe is updated first (so a declined proration never resizes the server),
+  // then the panel; any failure after Stripe succeeded puts Stripe back on the old price.
+  const changePlan = async ({ serverId, customerEmail, planId, totalRam }) => {
+    const owner = customerEmail?.toLowerCase();
+    const record = owner && await store.find('sessions', (candidate) =>
+      String(candidate.serverId) === String(serverId) &&
+      candidate.customerEmail?.toLowerCase() === owner
+    );
+    if (!record) {
+      throw new PlanChangeError('Server not found', 404);
+    }
+    const { sessionId } = record;
+    if (!record.subscriptionId) {
+      throw new PlanChangeError('No subscription is linked to this server', 409);
+    }
+
+    const currentPlan = record.metadata?.plan;
+    const currentRam = parseInt(record.metadata?.totalRam);
+    const targetPlan = planId || currentPlan;
+    if (targetPlan === currentPlan && Number(totalRam) === currentRam) {
+      throw new PlanChangeError('Server is already on this plan');
+    }
+
+    const quote = calculatePrice({
+      planId: targetPlan,
+      totalRam,
+      billingCycle: record.metadata?.billingCycle || 'monthly',
+      addons: record.metadata?.addons
+    });
+
+    const serverState = await getServerState(record.serverId);
+    const runtime = resolveStartup ? resolveStartup(record, quote.totalRam * 1024) : serverState;
+    if (serverState.databaseCount > quote.featureLimits.databases) {
+      throw new PlanChangeError(
+        `Delete databases first: the ${quote.planName} plan allows ${quote.featureLimits.databases}, ` +
+        `this server has ${serverState.databaseCount}`,
+        409
+      );
+    }
+
+    // Only the growth has to fit; a downgrade always does
+    const target = resourceLimitsForRam(quote.totalRam);
+    const extra = {
+      memory: Math.max(0, target.memory - serverState.limits.memory),
+      disk: Math.max(0, target.disk - serverState.limits.disk)
+    };
+    if ((extra.memory > 0 || extra.disk > 0) && !(await placement.hasRoomOnNode(serverState.node, extra))) {
+      throw new PlanChangeError(
+        `Node ${serverState.node} does not have room for ${quote.totalRam} GB - contact support to move the server first`,
+        409
+      );
+    }
+
+    const subscription = await stripe.subscriptions.retrieve(record.subscriptionId);
+    const item = subscription.items.data[0];
+    const previousPrice = { price: item.price.id };
+
+    logger.info('📐 Changing plan', {
+      sessionId,
+      from: { plan: currentPlan, totalRam: currentRam },
+      to: { plan: targetPlan, totalRam: quote.totalRam },
+      unitAmount: quote.unitAmount / 100
+    });
+
+    // STEP 1: Stripe, prorated for the rest of the current period
+    await updateStripeItem(record.subscriptionId, item.id, {
+      price_data: {
+        currency: quote.currency,
+        product: typeof item.price.product === 'string' ? item.price.product : item.price.product.id,
+        recurring: { interval: quote.interval, interval_count: quote.intervalCount },
+        unit_amount: quote.unitAmount
+      }
+    }, { plan: targetPlan, totalRam: String(quote.totalRam) });
+
+    // STEP 2: Panel resources, then the SERVER_MEMORY variable the startup command reads
+    let buildApplied = false;
+    try {
+      await applyBuild(record.serverId, serverState, target, quote.featureLimits);
+      buildApplied = true;
+
+      await applyStartup(record.serverId, serverState, {
+        ...serverState.environment,
+        SERVER_MEMORY: quote.totalRam * 1024
+      }, runtime);
+    } catch (error) {
+      logger.error('❌ Panel resize failed, rolling back', { error: error.message });
+
+      if (buildApplied) {
+        await applyBuild(record.serverId, serverState, serverState.limits, serverState.featureLimits)
+          .catch((rollbackError) => logger.error('❌ Build rollback failed', { error: rollbackError.message }));
+      }
+
+      await updateStripeItem(record.subscriptionId, item.id, previousPrice, {
+        plan: currentPlan,
+        totalRam: String(currentRam)
+      }).catch((rollbackError) => logger.error('❌ Stripe rollback failed', { error: rollbackError.message }));
+
+      throw new PlanChangeError(`Plan change failed and was rolled back: ${error.message}`, 502);
+    }
+
+    const change = {
+      at: new Date().toISOString(),
+      from: { plan: currentPlan, totalRam: currentRam },
+      to: { plan: targetPlan, totalRam: quote.totalRam },
+      unitAmount: quote.unitAmount
+    };
+
+    await store.update('sessions', sessionId, {
+      metadata: {
+        ...record.metadata,
+        plan: targetPlan,
+        totalRam: String(quote.totalRam),
+        totalCost: (quote.totalCost / 100).toFixed(2),
+        monthlyCost: (quote.monthlyCost / 100).toFixed(2)
+      },
+      planChanges: [...(record.planChanges || []), change]
+    });
+
+    logger.info(`✅ Plan changed for server ${record.serverId}`);
+    return { quote, change };
+  };
+
+  return { changePlan };
+};
+
+module.exports = { createPlanChangeManager, PlanChangeError };
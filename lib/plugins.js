@@ -0,0 +1,289 @@
+// lib/plugins.js - Plugin catalog and installation into /plugins through the panel file API
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { isVersionInRange } = require('./minecraft-version');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('plugins');
+
+const PLUGIN_DIRECTORY = '/plugins';
+const CATALOG_CACHE_MS = 10 * 60 * 1000;
+
+class PluginError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PluginError';
+    this.statusCode = statusCode;
+  }
+}
+
+// A catalog source serves `catalog.json` plus the jar files it references:
+// {
+//   "plugins": [{
+//     "slug": "luckperms", "name": "LuckPerms", "description": "...",
+//     "versions": [{ "version": "5.4.131", "file": "LuckPerms-Bukkit-5.4.131.jar",
+//                    "sha256": "...", "serverTypes": ["paper", "purpur", "spigot"],
+//                    "minecraft": { "min": "1.8.8", "max": "1.21.4" } }]
+//   }]
+// }
+// A version may give an absolute `url` instead of `file`.
+
+// Local directory, for tests and air-gapped setups
+const createDirectorySource = ({ directory }) => ({
+  loadIndex: async () => JSON.parse(await fs.promises.readFile(path.join(directory, 'catalog.json'), 'utf8')),
+  loadJar: async (entry) => {
+    if (entry.url) {
+      return (await axios.get(entry.url, { responseType: 'arraybuffer', timeout: 60000 })).data;
+    }
+    const resolved = path.resolve(directory, entry.file);
+    if (!resolved.startsWith(path.resolve(directory) + path.sep)) {
+      throw new Error(`Plugin file escapes the catalog directory: ${entry.file}`);
+    }
+    return fs.promises.readFile(resolved);
+  }
+});
+
+// HTTP mirror laid out the same way as the directory source
+const createHttpSource = ({ baseUrl }) => ({
+  loadIndex: async () => (await axios.get(`${baseUrl}/catalog.json`, { timeout: 15000 })).data,
+  loadJar: async (entry) => {
+    const url = entry.url || `${baseUrl}/${entry.file}`;
+    return (await axios.get(url, { responseType: 'arraybuffer', timeout: 60000 })).data;
+  }
+});
+
+// Nothing configured - every plugin lookup fails cleanly
+const createEmptySource = () => ({
+  loadIndex: async () => ({ plugins: [] }),
+  loadJar: async () => {
+    throw new Error('No plugin catalog source is configured');
+  }
+});
+
+const sources = {
+  directory: createDirectorySource,
+  http: createHttpSource,
+  none: createEmptySource
+};
+
+const registerPluginSource = (name, factory) => {
+  sources[name] = factory;
+};
+
+const createPluginCatalog = ({ source = 'none', cacheMs = CATALOG_CACHE_MS, ...options } = {}) => {
+  const factory = sources[source];
+  if (!factory) {
+    throw new Error(`Unknown plugin catalog source: ${source}`);
+  }
+  const backend = factory(options);
+
+  let cached = null;
+  let cachedAt = 0;
+
+  const loadPlugins = async () => {
+    if (!cached || Date.now() - cachedAt > cacheMs) {
+      const index = await backend.loadIndex();
+      cached = index.plugins || [];
+      cachedAt = Date.now();
+    }
+    return cached;
+  };
+
+  const isCompatible = (version, { serverType, minecraftVersion }) =>
+    (!serverType || version.serverTypes.includes(serverType)) &&
+    (!minecraftVersion || isVersionInRange(minecraftVersion, version.minecraft));
+
+  // Newest plugin version that runs on this server type and Minecraft version
+  const resolveVersion = (plugin, target) => plugin.versions
+    .filter((version) => isCompatible(version, target))
+    .sort((a, b) => b.version.localeCompare(a.version, undefined, { numeric: true }))[0] || null;
+
+  const listPlugins = async (target = {}) => {
+    const plugins = await loadPlugins();
+    return plugins
+      .map((plugin) => ({ plugin, version: resolveVersion(plugin, target) }))
+      .filter(({ version }) => version)
+      .map(({ plugin, version }) => ({
+        slug: plugin.slug,
+        name: plugin.name,
+        description: plugin.description,
+        version: version.version,
+        serverTypes: version.serverTypes,
+        minecraft: version.minecraft
+      }));
+  };
+
+  // Resolve slugs to installable versions; throws naming every slug that does not fit
+  const resolvePlugins = async (slugs, target) => {
+    const plugins = await loadPlugins();
+    const resolved = [];
+    const problems = [];
+
+    for (const slug of slugs) {
+      const plugin = plugins.find((candidate) => candidate.slug === slug);
+      if (!plugin) {
+        problems.push(`${slug} (unknown plugin)`);
+        continue;
+      }
+      const version = resolveVersion(plugin, target);
+      if (!version) {
+        problems.push(`${slug} (not compatible with ${target.serverType} ${target.minecraftVersion})`);
+        continue;
+      }
+      resolved.push({ slug, name: plugin.name, ...version });
+    }
+
+    if (problems.length > 0) {
+      throw new PluginError(`Unavailable plugins: ${problems.join(', ')}`);
+    }
+    return resolved;
+  };
+
+  const downloadJar = async (entry) => {
+    const jar = Buffer.from(await backend.loadJar(entry));
+    if (entry.sha256) {
+      const digest = crypto.createHash('sha256').update(jar).digest('hex');
+      if (digest !== entry.sha256.toLowerCase()) {
+        throw new Error(`Checksum mismatch for ${entry.slug} ${entry.version}`);
+      }
+    }
+    return jar;
+  };
+
+  return { listPlugins, resolvePlugins, downloadJar };
+};
+
+// Slugs from the comma-separated checkout metadata field
+const parsePluginList = (value) => {
+  if (!value || value === 'none') {
+    return [];
+  }
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map((slug) => String(slug).trim().toLowerCase()).filter(Boolean))];
+};
+
+const createPluginInstaller = ({ store, catalog, clientRequest, waitForInstall }) => {
+  const fileNameFor = (entry) => path.basename(entry.file || new URL(entry.url).pathname);
+
+  const ensurePluginDirectory = async (serverUuid) => {
+    try {
+      await clientRequest('POST', `/servers/${serverUuid}/files/create-folder`, { root: '/', name: 'plugins' });
+    } catch (error) {
+      // Already exists
+      if (error.response?.status !== 400 && error.response?.status !== 409) {
+        throw error;
+      }
+    }
+  };
+
+  // Uploads go through a signed URL from the panel, posted as multipart form data
+  const uploadJar = async (serverUuid, fileName, jar) => {
+    const signed = await clientRequest('GET', `/servers/${serverUuid}/files/upload`);
+    const form = new FormData();
+    form.append('files', new Blob([jar]), fileName);
+    await axios.post(`${signed.data.attributes.url}&directory=${encodeURIComponent(PLUGIN_DIRECTORY)}`, form, {
+      timeout: 120000,
+      maxBodyLength: Infinity
+    });
+  };
+
+  const deleteJars = async (serverUuid, files) => {
+    try {
+      await clientRequest('POST', `/servers/${serverUuid}/files/delete`, { root: PLUGIN_DIRECTORY, files });
+    } catch (error) {
+      // Already deleted by hand over SFTP
+      if (error.response?.status !== 404) {
+        throw error;
+      }
+    }
+  };
+
+  const installOnServer = async (record, entries) => {
+    await ensurePluginDirectory(record.serverUuid);
+    const installed = [];
+
+    for (const entry of entries) {
+      const jar = await catalog.downloadJar(entry);
+      const fileName = fileNameFor(entry);
+      await uploadJar(record.serverUuid, fileName, jar);
+      installed.push({ slug: entry.slug, version: entry.version, file: fileName, installedAt: new Date().toISOString() });
+      logger.info(`🧩 Installed ${entry.slug} ${entry.version} on server ${record.serverId}`);
+    }
+
+    // An upgrade with a new file name would leave both versions in plugins/ and
+    // the server would load whichever it finds first
+    const replaced = (record.plugins || [])
+      .filter((plugin) => installed.some((item) => item.slug === plugin.slug && item.file !== plugin.file))
+      .map((plugin) => plugin.file);
+    if (replaced.length > 0) {
+      await deleteJars(record.serverUuid, replaced);
+      logger.info(`🧩 Removed replaced ${replaced.join(', ')} from server ${record.serverId}`);
+    }
+
+    const others = (record.plugins || []).filter((plugin) => !installed.some((item) => item.slug === plugin.slug));
+    await store.update('sessions', record.sessionId, { plugins: [...others, ...installed] });
+    return installed;
+  };
+
+  const targetFor = (record) => ({
+    serverType: record.metadata?.serverType || 'paper',
+    minecraftVersion: record.metadata?.minecraftVersion
+  });
+
+  // Post-install step: install whatever was picked at checkout
+  const installCheckoutPlugins = async (sessionId) => {
+    const record = await store.get('sessions', sessionId);
+    const slugs = parsePluginList(record?.metadata?.plugins);
+    if (!record?.serverUuid || slugs.length === 0) {
+      return [];
+    }
+
+    await store.update('sessions', sessionId, { pluginStatus: 'pending', pluginError: null });
+    try {
+      await waitForInstall(record.serverId);
+      const entries = await catalog.resolvePlugins(slugs, targetFor(record));
+      const installed = await installOnServer(record, entries);
+      await store.update('sessions', sessionId, { pluginStatus: 'installed' });
+      return installed;
+    } catch (error) {
+      logger.error(`❌ Failed to install checkout plugins on server ${record.serverId}`, { error: error.message });
+      await store.update('sessions', sessionId, { pluginStatus: 'failed', pluginError: error.message });
+      throw error;
+    }
+  };
+
+  const addPlugin = async (record, slug) => {
+    const normalized = String(slug || '').trim().toLowerCase();
+    if (!normalized) {
+      throw new PluginError('Plugin slug is required');
+    }
+    const [entry] = await catalog.resolvePlugins([normalized], targetFor(record));
+    const [installed] = await installOnServer(record, [entry]);
+    return installed;
+  };
+
+  const removePlugin = async (record, slug) => {
+    const plugin = (record.plugins || []).find((candidate) => candidate.slug === slug);
+    if (!plugin) {
+      throw new PluginError('Plugin is not installed on this server', 404);
+    }
+
+    await deleteJars(record.serverUuid, [plugin.file]);
+    await store.update('sessions', record.sessionId, {
+      plugins: record.plugins.filter((candidate) => candidate.slug !== slug)
+    });
+    logger.info(`🧩 Removed ${slug} from server ${record.serverId}`);
+  };
+
+  return { installCheckoutPlugins, addPlugin, removePlugin };
+};
+
+module.exports = {
+  createPluginCatalog,
+  createPluginInstaller,
+  registerPluginSource,
+  parsePluginList,
+  PluginError
+};
@@ -0,0 +1,122 @@
+// lib/power.js - Power signals and console commands for customer servers via the Pterodactyl client API
+const { PterodactylUnavailableError } = require('./pterodactyl');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('power');
+
+const POWER_SIGNALS = ['start', 'stop', 'restart', 'kill'];
+const MAX_COMMAND_LENGTH = 255;
+
+class PowerError extends Error {
+  constructor(message, statusCode = 400, retryAfterMs = null) {
+    super(message);
+    this.name = 'PowerError';
+    this.statusCode = statusCode;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Sliding-window limiter keyed by server, so one customer mashing restart
+// cannot put their server into a restart loop
+const createKeyedRateLimiter = ({ windowMs, max }) => {
+  const hits = new Map();
+
+  const check = (key) => {
+    const now = Date.now();
+    const recent = (hits.get(key) || []).filter((timestamp) => now - timestamp < windowMs);
+
+    if (recent.length >= max) {
+      hits.set(key, recent);
+      return { allowed: false, retryAfterMs: windowMs - (now - recent[0]) };
+    }
+
+    recent.push(now);
+    hits.set(key, recent);
+    return { allowed: true, remaining: max - recent.length };
+  };
+
+  return { check };
+};
+
+const createPowerController = ({
+  clientRequest,
+  powerLimit = { windowMs: 60 * 1000, max: 3 },
+  commandLimit = { windowMs: 60 * 1000, max: 20 }
+}) => {
+  const powerLimiter = createKeyedRateLimiter(powerLimit);
+  const commandLimiter = createKeyedRateLimiter(commandLimit);
+
+  const enforceLimit = (limiter, server, action) => {
+    const result = limiter.check(String(server.serverId));
+    if (!result.allowed) {
+      throw new PowerError(
+        `Too many ${action} requests for this server - try again in ${Math.ceil(result.retryAfterMs / 1000)}s`,
+        429,
+        result.retryAfterMs
+      );
+    }
+  };
+
+  // Pterodactyl answers 409 for suspended/installing servers; surface that to the customer
+  const translatePanelError = (error) => {
+    const status = error.response?.status;
+    const detail = error.response?.data?.errors?.[0]?.detail;
+    if (status === 409 || status === 400) {
+      return new PowerError(detail || 'The server cannot accept this action right now', 409);
+    }
+    if (status === 404) {
+      return new PowerError('Server not found on the panel', 404);
+    }
+    if (error instanceof PterodactylUnavailableError) {
+      return new PowerError('The panel is not responding - try again in a minute', 503);
+    }
+    return new PowerError('The panel did not accept the request', 502);
+  };
+
+  const sendPowerSignal = async (server, signal) => {
+    if (!POWER_SIGNALS.includes(signal)) {
+      throw new PowerError(`Signal must be one of: ${POWER_SIGNALS.join(', ')}`);
+    }
+    if (!server.serverUuid) {
+      throw new PowerError('Server has not finished provisioning', 409);
+    }
+
+    enforceLimit(powerLimiter, server, 'power');
+
+    try {
+      await clientRequest('POST', `/servers/${server.serverUuid}/power`, { signal });
+      logger.info(`⚡ Sent ${signal} to server ${server.serverId}`);
+    } catch (error) {
+      throw translatePanelError(error);
+    }
+  };
+
+  const sendCommand = async (server, command) => {
+    if (typeof command !== 'string' || !command.trim()) {
+      throw new PowerError('Command is required');
+    }
+    if (command.length > MAX_COMMAND_LENGTH || /[\r\n]/.test(command)) {
+      throw new PowerError(`Command must be a single line of at most ${MAX_COMMAND_LENGTH} characters`);
+    }
+    if (!server.serverUuid) {
+      throw new PowerError('Server has not finished provisioning', 409);
+    }
+
+    enforceLimit(commandLimiter, server, 'command');
+
+    try {
+      await clientRequest('POST', `/servers/${server.serverUuid}/command`, { command: command.trim() });
+      logger.info(`⌨️ Sent console command to server ${server.serverId}`);
+    } catch (error) {
+      // The panel returns 502 when the server is offline
+      if (error.response?.status === 502) {
+        throw new PowerError('Server is offline - start it before sending commands', 409);
+      }
+      throw translatePanelError(error);
+    }
+  };
+
+  return { sendPowerSignal, sendCommand };
+};
+
+module.exports = { createPowerController, createKeyedRateLimiter, PowerError, POWER_SIGNALS };
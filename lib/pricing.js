@@ -0,0 +1,193 @@
+// lib/pricing.js - Server-owned plan catalog and price calculation
+// All amounts are in cents so nothing depends on floating point rounding.
+const fs = require('fs');
+
+const DEFAULT_CATALOG = {
+  currency: 'usd',
+  plans: {
+    starter: {
+      name: 'Starter',
+      basePrice: 499,
+      includedRamGb: 2,
+      pricePerGb: 250,
+      minRamGb: 1,
+      maxRamGb: 4,
+      featureLimits: { databases: 1, allocations: 1, backups: 2 }
+    },
+    standard: {
+      name: 'Standard',
+      basePrice: 999,
+      includedRamGb: 4,
+      pricePerGb: 225,
+      minRamGb: 4,
+      maxRamGb: 12,
+      featureLimits: { databases: 1, allocations: 1, backups: 3 }
+    },
+    premium: {
+      name: 'Premium',
+      basePrice: 1999,
+      includedRamGb: 8,
+      pricePerGb: 200,
+      minRamGb: 8,
+      maxRamGb: 32,
+      featureLimits: { databases: 3, allocations: 2, backups: 10 }
+    }
+  },
+  billingCycles: {
+    monthly: { months: 1, discount: 0, interval: 'month', intervalCount: 1, label: 'Monthly' },
+    quarterly: { months: 3, discount: 0.05, interval: 'month', intervalCount: 3, label: '3 months' },
+    semiannual: { months: 6, discount: 0.10, interval: 'month', intervalCount: 6, label: '6 months' },
+    annual: { months: 12, discount: 0.15, interval: 'year', intervalCount: 1, label: '12 months' }
+  },
+  addons: {
+    'dedicated-ip': { name: 'Dedicated IP', monthlyPrice: 299 },
+    'extra-backups': { name: 'Extra Backups', monthlyPrice: 199 },
+    'priority-support': { name: 'Priority Support', monthlyPrice: 499 }
+  }
+};
+
+// Plans may also set `trialDays` (e.g. in a PLAN_CATALOG_PATH file) for a free trial
+// before the first charge.
+
+// Used for plans (e.g. from a custom catalog file) that do not set their own
+const DEFAULT_FEATURE_LIMITS = { databases: 1, allocations: 1, backups: 3 };
+
+// Pterodactyl resource limits for a given RAM size
+const resourceLimitsForRam = (totalRam) => ({
+  memory: totalRam * 1024,
+  swap: 0,
+  disk: totalRam * 1000,
+  io: 500,
+  cpu: 0
+});
+
+class PricingError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'PricingError';
+    this.details = details;
+  }
+}
+
+// `catalogPath` (PLAN_CATALOG_PATH) can point at a JSON file with the same shape as DEFAULT_CATALOG
+const loadCatalog = (catalogPath) => {
+  if (!catalogPath) {
+    return DEFAULT_CATALOG;
+  }
+  return JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+};
+
+// Set once at startup from config.pricing.catalogPath
+let catalog = DEFAULT_CATALOG;
+
+const useCatalog = (catalogPath) => {
+  catalog = loadCatalog(catalogPath);
+  return catalog;
+};
+
+const normalizeAddons = (addons) => {
+  if (!addons || addons === 'none') {
+    return [];
+  }
+  const list = Array.isArray(addons) ? addons : String(addons).split(',');
+  return [...new Set(list.map((addon) => String(addon).trim()).filter(Boolean))];
+};
+
+// Price a configuration. Throws PricingError for anything the catalog does not allow.
+const calculatePrice = ({ planId, totalRam, billingCycle = 'monthly', addons = [] }) => {
+  const plan = catalog.plans[planId];
+  if (!plan) {
+    throw new PricingError(`Unknown plan: ${planId}`, { field: 'planId' });
+  }
+
+  const cycle = catalog.billingCycles[billingCycle];
+  if (!cycle) {
+    throw new PricingError(`Unknown billing cycle: ${billingCycle}`, { field: 'billingCycle' });
+  }
+
+  const ramGb = totalRam === undefined || totalRam === null ? plan.includedRamGb : Number(totalRam);
+  if (!Number.isInteger(ramGb) || ramGb < plan.minRamGb || ramGb > plan.maxRamGb) {
+    throw new PricingError(
+      `${plan.name} plan supports ${plan.minRamGb}-${plan.maxRamGb} GB of RAM`,
+      { field: 'totalRam' }
+    );
+  }
+
+  const addonIds = normalizeAddons(addons);
+  const unknownAddon = addonIds.find((addonId) => !catalog.addons[addonId]);
+  if (unknownAddon) {
+    throw new PricingError(`Unknown add-on: ${unknownAddon}`, { field: 'addons' });
+  }
+
+  const ramCost = Math.max(0, ramGb - plan.includedRamGb) * plan.pricePerGb;
+  const addonCost = addonIds.reduce((sum, addonId) => sum + catalog.addons[addonId].monthlyPrice, 0);
+  const monthlyCost = plan.basePrice + ramCost + addonCost;
+
+  const undiscountedTotal = monthlyCost * cycle.months;
+  const totalCost = Math.round(undiscountedTotal * (1 - cycle.discount));
+
+  return {
+    planId,
+    planName: plan.name,
+    totalRam: ramGb,
+    billingCycle,
+    addons: addonIds,
+    currency: catalog.currency,
+    monthlyCost,
+    totalCost,
+    effectiveMonthlyRate: Math.round(totalCost / cycle.months),
+    discount: cycle.discount,
+    savings: undiscountedTotal - totalCost,
+    interval: cycle.interval,
+    intervalCount: cycle.intervalCount,
+    periodLabel: cycle.label,
+    featureLimits: { ...DEFAULT_FEATURE_LIMITS, ...plan.featureLimits },
+    trialDays: plan.trialDays || 0,
+    // What Stripe charges each billing period
+    unitAmount: totalCost
+  };
+};
+
+// Client-sent prices are only accepted when they match ours (amounts in dollars, to the cent)
+const findPriceMismatches = (quote, { monthlyCost, totalCost }) => {
+  const mismatches = [];
+  const toCents = (value) => Math.round(Number(value) * 100);
+
+  if (monthlyCost !== undefined && monthlyCost !== null && toCents(monthlyCost) !== quote.monthlyCost) {
+    mismatches.push('monthlyCost');
+  }
+  if (totalCost !== undefined && totalCost !== null && toCents(totalCost) !== quote.totalCost) {
+    mismatches.push('totalCost');
+  }
+
+  return mismatches;
+};
+
+// Catalog as served by GET /plans, with dollar amounts alongside the cents
+const getPublicCatalog = () => ({
+  currency: catalog.currency,
+  plans: Object.entries(catalog.plans).map(([id, plan]) => ({
+    id,
+    ...plan,
+    basePriceDisplay: (plan.basePrice / 100).toFixed(2),
+    pricePerGbDisplay: (plan.pricePerGb / 100).toFixed(2)
+  })),
+  billingCycles: Object.entries(catalog.billingCycles).map(([id, cycle]) => ({ id, ...cycle })),
+  addons: Object.entries(catalog.addons).map(([id, addon]) => ({
+    id,
+    ...addon,
+    monthlyPriceDisplay: (addon.monthlyPrice / 100).toFixed(2)
+  }))
+});
+
+module.exports = {
+  PricingError,
+  calculatePrice,
+  findPriceMismatches,
+  getPublicCatalog,
+  normalizeAddons,
+  resourceLimitsForRam,
+  DEFAULT_FEATURE_LIMITS,
+  loadCatalog,
+  useCatalog
+};
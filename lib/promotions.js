@@ -0,0 +1,185 @@
+// lib/promotions.js - Promo codes: our rules (expiry, redemptions, plans) on top of a Stripe coupon
+const { createLogger } = require('./logger');
+
+const logger = createLogger('promotions');
+
+const COLLECTION = 'promoCodes';
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+const DURATIONS = ['once', 'repeating', 'forever'];
+
+class PromotionError extends Error {
+  constructor(message, field = 'promoCode', statusCode = 400) {
+    super(message);
+    this.name = 'PromotionError';
+    this.field = field;
+    this.statusCode = statusCode;
+  }
+}
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// What the promo takes off one billing period of `quote`
+const discountFor = (quote, promo) => {
+  const amount = promo.percentOff
+    ? Math.round(quote.totalCost * promo.percentOff / 100)
+    : Math.min(promo.amountOff, quote.totalCost);
+  return {
+    code: promo.code,
+    percentOff: promo.percentOff || null,
+    amountOff: promo.amountOff || null,
+    duration: promo.duration,
+    durationInMonths: promo.durationInMonths || null,
+    discountAmount: amount,
+    firstPaymentAmount: quote.totalCost - amount
+  };
+};
+
+// The Stripe coupon does the actual discounting (and enforces expiry and the
+// redemption cap at payment time); the record in `promoCodes` adds plan
+// restrictions and lets checkout reject a bad code before the customer pays.
+const createPromotions = ({ store, stripe, currency = 'usd', planIds = [] }) => {
+  const validateDefinition = ({ code, percentOff, amountOff, duration = 'once', durationInMonths, expiresAt, maxRedemptions, plans }) => {
+    if (!CODE_PATTERN.test(code)) {
+      throw new PromotionError('Promo codes are 3-32 letters, digits, - or _', 'code');
+    }
+    if ((percentOff === undefined) === (amountOff === undefined)) {
+      throw new PromotionError('Set exactly one of percentOff or amountOff', 'percentOff');
+    }
+    if (percentOff !== undefined && !(Number(percentOff) > 0 && Number(percentOff) <= 100)) {
+      throw new PromotionError('percentOff must be between 0 and 100', 'percentOff');
+    }
+    if (amountOff !== undefined && !(Number.isInteger(Number(amountOff)) && Number(amountOff) > 0)) {
+      throw new PromotionError('amountOff must be a positive amount in cents', 'amountOff');
+    }
+    if (!DURATIONS.includes(duration)) {
+      throw new PromotionError(`duration must be one of ${DURATIONS.join(', ')}`, 'duration');
+    }
+    if (duration === 'repeating' && !(Number.isInteger(Number(durationInMonths)) && Number(durationInMonths) > 0)) {
+      throw new PromotionError('durationInMonths is required for repeating promo codes', 'durationInMonths');
+    }
+    if (expiresAt && (Number.isNaN(Date.parse(expiresAt)) || Date.parse(expiresAt) <= Date.now())) {
+      throw new PromotionError('expiresAt must be a date in the future', 'expiresAt');
+    }
+    if (maxRedemptions !== undefined && !(Number.isInteger(Number(maxRedemptions)) && Number(maxRedemptions) > 0)) {
+      throw new PromotionError('maxRedemptions must be a positive whole number', 'maxRedemptions');
+    }
+    if (plans !== undefined && (!Array.isArray(plans) || plans.length === 0)) {
+      throw new PromotionError('plans must be a non-empty list of plan IDs', 'plans');
+    }
+    const unknownPlan = (plans || []).find((planId) => !planIds.includes(planId));
+    if (unknownPlan) {
+      throw new PromotionError(`Unknown plan: ${unknownPlan}`, 'plans');
+    }
+  };
+
+  const createPromoCode = async (definition) => {
+    const code = normalizeCode(definition.code);
+    validateDefinition({ ...definition, code });
+    if (await store.get(COLLECTION, code)) {
+      throw new PromotionError(`Promo code ${code} already exists`, 'code', 409);
+    }
+
+    const duration = definition.duration || 'once';
+    const coupon = await stripe.coupons.create({
+      name: code,
+      duration,
+      ...(duration === 'repeating' && { duration_in_months: Number(definition.durationInMonths) }),
+      ...(definition.percentOff !== undefined
+        ? { percent_off: Number(definition.percentOff) }
+        : { amount_off: Number(definition.amountOff), currency }),
+      ...(definition.expiresAt && { redeem_by: Math.floor(Date.parse(definition.expiresAt) / 1000) }),
+      ...(definition.maxRedemptions && { max_redemptions: Number(definition.maxRedemptions) }),
+      metadata: { promoCode: code }
+    });
+
+    const promo = await store.put(COLLECTION, code, {
+      code,
+      stripeCouponId: coupon.id,
+      percentOff: definition.percentOff !== undefined ? Number(definition.percentOff) : null,
+      amountOff: definition.amountOff !== undefined ? Number(definition.amountOff) : null,
+      duration,
+      durationInMonths: duration === 'repeating' ? Number(definition.durationInMonths) : null,
+      expiresAt: definition.expiresAt ? new Date(definition.expiresAt).toISOString() : null,
+      maxRedemptions: definition.maxRedemptions ? Number(definition.maxRedemptions) : null,
+      plans: definition.plans || null,
+      timesRedeemed: 0,
+      active: true
+    });
+    logger.info(`🏷️ Promo code ${code} created (coupon ${coupon.id})`);
+    return promo;
+  };
+
+  const listPromoCodes = async () => (await store.list(COLLECTION))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  // Existing subscriptions keep their discount; deleting the coupon only stops new uses
+  const deactivatePromoCode = async (rawCode) => {
+    const code = normalizeCode(rawCode);
+    const promo = await store.get(COLLECTION, code);
+    if (!promo) {
+      throw new PromotionError('Promo code not found', 'code', 404);
+    }
+    if (promo.active) {
+      await stripe.coupons.del(promo.stripeCouponId).catch((error) => {
+        if (error.code !== 'resource_missing') {
+          throw error;
+        }
+      });
+    }
+    logger.info(`🏷️ Promo code ${code} deactivated`);
+    return store.update(COLLECTION, code, { active: false, deactivatedAt: new Date().toISOString() });
+  };
+
+  // The promo record if `code` can be used for `planId` right now
+  const resolvePromoCode = async (rawCode, { planId }) => {
+    const code = normalizeCode(rawCode);
+    const promo = await store.get(COLLECTION, code);
+    if (!promo || !promo.active) {
+      throw new PromotionError('Promo code is not valid');
+    }
+    if (promo.expiresAt && promo.expiresAt <= new Date().toISOString()) {
+      throw new PromotionError('Promo code has expired');
+    }
+    if (promo.maxRedemptions && promo.timesRedeemed >= promo.maxRedemptions) {
+      throw new PromotionError('Promo code has been fully redeemed');
+    }
+    if (promo.plans && !promo.plans.includes(planId)) {
+      throw new PromotionError(`Promo code is not valid for the ${planId} plan`);
+    }
+    return promo;
+  };
+
+  // Counted once per completed checkout (webhooks are redelivered)
+  const recordRedemption = async (session) => {
+    const code = session.metadata?.promoCode;
+    if (!code) {
+      return null;
+    }
+    const claimed = await store.claim('promoRedemptions', session.id, {
+      code,
+      sessionId: session.id,
+      customerEmail: session.customer_details?.email || null
+    });
+    if (!claimed) {
+      return null;
+    }
+    if (!await store.get(COLLECTION, code)) {
+      return null;
+    }
+    // Counted from the redemption records so two webhooks at once cannot lose an increment
+    const redemptions = await store.list('promoRedemptions', (redemption) => redemption.code === code);
+    logger.info(`🏷️ Promo code ${code} redeemed by session ${session.id}`);
+    return store.update(COLLECTION, code, { timesRedeemed: redemptions.length });
+  };
+
+  return {
+    createPromoCode,
+    listPromoCodes,
+    deactivatePromoCode,
+    resolvePromoCode,
+    recordRedemption,
+    discountFor
+  };
+};
+
+module.exports = { createPromotions, PromotionError, discountFor };
@@ -0,0 +1,275 @@
+// lib/pterodactyl.js - Panel API client: retries with backoff, page walking, a circuit breaker and typed errors
+const axios = require('axios');
+const { normalizeEndpoint } = require('./metrics');
+const { createLogger, getRequestId } = require('./logger');
+
+const logger = createLogger('pterodactyl');
+
+const PAGE_SIZE = 100;
+
+// Repeating these cannot change anything the first attempt did not
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+// Failures that mean the request never reached the panel, so any method may be retried
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+// Validation failures the customer or support can act on, keyed by `field:rule`.
+// Anything else falls back to the panel's own wording.
+const VALIDATION_MESSAGES = {
+  'email:unique': 'A panel account already uses this email address',
+  'username:unique': 'A panel account already uses this username',
+  'allocation.default:unique': 'The chosen server port was taken by another server',
+  'allocation.default:exists': 'The chosen server port no longer exists on the panel',
+  'egg:exists': 'The configured egg does not exist on the panel',
+  'user:exists': 'The panel account no longer exists'
+};
+
+// `status` is the panel's HTTP status (null when it never answered). `response` is
+// kept so callers can keep checking `error.response?.status` as they did with axios.
+class PterodactylError extends Error {
+  constructor(message, { status = null, code = null, field = null, errors = [], response = null, statusCode = 502 } = {}) {
+    super(message);
+    this.name = 'PterodactylError';
+    this.status = status;
+    this.code = code;
+    this.field = field;
+    this.errors = errors;
+    this.response = response;
+    this.statusCode = statusCode;
+  }
+}
+
+// The panel did not answer, or the circuit is open and the call was never made
+class PterodactylUnavailableError extends PterodactylError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 503, ...options });
+    this.name = 'PterodactylUnavailableError';
+  }
+}
+
+// Only the status and the panel's error codes are logged - response bodies can echo
+// back what was sent (emails, passwords)
+const describeApiError = (error) => ({
+  status: error.response?.status,
+  statusText: error.response?.statusText,
+  errors: error.response?.data?.errors?.map((item) => ({ code: item.code, detail: item.detail })),
+  error: error.message
+});
+
+// Pterodactyl reports each failed rule as { code, detail, meta: { source_field, rule } }
+const panelErrors = (response) => (response?.data?.errors || []).map((item) => ({
+  code: item.code || null,
+  field: item.meta?.source_field || null,
+  rule: item.meta?.rule || null,
+  detail: item.detail || null
+}));
+
+// Failures that say the panel itself is in trouble. 4xx answers do not count, nor
+// do 5xx errors the panel reports itself (a 502 for an offline node daemon, say) -
+// only silence or a bare 5xx from whatever sits in front of it.
+const isOutage = (error) => !error.response || (error.response.status >= 500 && panelErrors(error.response).length === 0);
+
+const isTimeout = (error) => TIMEOUT_CODES.includes(error.code) || /timeout/i.test(error.message);
+
+// axios error -> PterodactylError with a message worth showing to whoever made the call
+const toPterodactylError = (error, method, endpoint, api, timeoutMs) => {
+  const label = `${method} ${normalizeEndpoint(endpoint)}`;
+  const { response } = error;
+
+  if (!response) {
+    const message = isTimeout(error)
+      ? `Pterodactyl ${api} API timed out after ${timeoutMs}ms on ${label}`
+      : `Pterodactyl ${api} API is unreachable (${error.code || error.message}) on ${label}`;
+    return new PterodactylUnavailableError(message, { code: error.code || null });
+  }
+
+  const errors = panelErrors(response);
+  const first = errors[0] || {};
+  const options = { status: response.status, code: first.code, field: first.field, errors, response };
+
+  if (response.status === 422) {
+    const messages = errors.map((item) => VALIDATION_MESSAGES[`${item.field}:${item.rule}`] || item.detail).filter(Boolean);
+    return new PterodactylError(messages.length > 0 ? [...new Set(messages)].join('; ') : `Panel rejected ${label}`, options);
+  }
+  if (isOutage(error)) {
+    return new PterodactylUnavailableError(`Pterodactyl ${api} API failed with ${response.status} on ${label}`, options);
+  }
+  const detail = first.detail ? `: ${first.detail}` : '';
+  return new PterodactylError(`Pterodactyl ${api} API returned ${response.status} on ${label}${detail}`, options);
+};
+
+// Seconds or an HTTP date, as the panel's throttle middleware sends it
+const retryAfterMs = (response) => {
+  const header = response?.headers?.['retry-after'];
+  if (header === undefined) {
+    return null;
+  }
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return seconds * 1000;
+  }
+  const at = new Date(header).getTime();
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+};
+
+// 429s are refused before the panel does anything, so they are safe to repeat for
+// every method; 5xx and timeouts only for idempotent ones, since a POST that timed
+// out may still have created something.
+const isRetryable = (error, method) => {
+  const status = error.response?.status;
+  if (status === 429 || (!error.response && NOT_SENT_CODES.includes(error.code))) {
+    return true;
+  }
+  if (!IDEMPOTENT_METHODS.includes(method)) {
+    return false;
+  }
+  return !error.response || status >= 500;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// One client per API (application or client) and key. `metrics` times every attempt.
+// After `circuitThreshold` requests in a row fail with an outage, calls fail fast
+// with PterodactylUnavailableError for `circuitCooldownMs`; the first call after that
+// goes through as a probe and closes the circuit again if it succeeds.
+const createPterodactylClient = ({
+  api,
+  baseUrl,
+  apiKey,
+  metrics,
+  timeoutMs = 15000,
+  maxRetries = 3,
+  retryBaseMs = 500,
+  retryMaxMs = 10000,
+  circuitThreshold = 5,
+  circuitCooldownMs = 30 * 1000
+}) => {
+  const circuit = { failures: 0, openUntil: 0, probing: false };
+
+  const circuitState = () => {
+    if (circuit.openUntil === 0) {
+      return 'closed';
+    }
+    return Date.now() < circuit.openUntil || circuit.probing ? 'open' : 'half_open';
+  };
+
+  const enterCircuit = () => {
+    const state = circuitState();
+    if (state === 'open') {
+      throw new PterodactylUnavailableError(
+        `Pterodactyl ${api} API is unavailable - not retrying until ${new Date(circuit.openUntil).toISOString()}`
+      );
+    }
+    if (state === 'half_open') {
+      circuit.probing = true;
+      logger.info(`🔌 Probing Pterodactyl ${api} API after ${circuitCooldownMs}ms`);
+    }
+  };
+
+  const recordSuccess = () => {
+    if (circuit.openUntil !== 0) {
+      logger.info(`✅ Pterodactyl ${api} API is answering again, circuit closed`);
+    }
+    circuit.failures = 0;
+    circuit.openUntil = 0;
+    circuit.probing = false;
+  };
+
+  const recordFailure = (error) => {
+    if (!isOutage(error)) {
+      // The panel answered; whatever was wrong was the request
+      recordSuccess();
+      return;
+    }
+    circuit.failures++;
+    if (circuit.probing || circuit.failures >= circuitThreshold) {
+      circuit.openUntil = Date.now() + circuitCooldownMs;
+      circuit.probing = false;
+      logger.error(`🔌 Pterodactyl ${api} API circuit open after ${circuit.failures} failed request(s), pausing calls for ${circuitCooldownMs}ms`);
+    }
+  };
+
+  const backoffFor = (attempt, error) => {
+    const hinted = retryAfterMs(error.response);
+    const exponential = retryBaseMs * 2 ** (attempt - 1);
+    // Jitter keeps a burst of callers from retrying in lockstep
+    return Math.min(retryMaxMs, hinted ?? exponential + Math.random() * retryBaseMs);
+  };
+
+  // Returns the axios response. `options` are passed on to axios (headers,
+  // responseType, timeout, ...) apart from `retries`, which overrides maxRetries.
+  const request = async (method, endpoint, data = null, options = {}) => {
+    if (!apiKey) {
+      throw new PterodactylError(`Pterodactyl ${api} API key is not configured`, { statusCode: 503 });
+    }
+    const { retries = maxRetries, headers = {}, ...axiosOptions } = options;
+    const verb = method.toUpperCase();
+    const timeout = axiosOptions.timeout || timeoutMs;
+    // Query strings stay out of the logs; filters carry emails
+    const path = endpoint.split('?')[0];
+
+    enterCircuit();
+
+    for (let attempt = 1; ; attempt++) {
+      const config = {
+        method: verb,
+        url: `${baseUrl}${endpoint}`,
+        timeout,
+        ...axiosOptions,
+        // File endpoints send and receive plain text, so callers may override the content type
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Accept': 'application/json',
+          'Content-Type': 'application/json',
+          // Passes the current request/job ID on to the panel so its logs can be matched with ours
+          ...(getRequestId() ? { 'X-Request-Id': getRequestId() } : {}),
+          ...headers
+        }
+      };
+      if (data) {
+        config.data = data;
+      }
+
+      logger.debug(`📡 [${api}] ${verb} ${path}${attempt > 1 ? ` (attempt ${attempt})` : ''}`);
+
+      try {
+        const response = await metrics.timePterodactyl(api, verb, endpoint, () => axios(config));
+        logger.debug(`✅ [${api}] ${verb} ${path} - Status: ${response.status}`);
+        recordSuccess();
+        return response;
+      } catch (error) {
+        if (attempt <= retries && isRetryable(error, verb)) {
+          const delay = backoffFor(attempt, error);
+          logger.warn(`🔁 [${api}] ${verb} ${path} failed, retrying in ${Math.round(delay)}ms (${attempt}/${retries})`, describeApiError(error));
+          await sleep(delay);
+          continue;
+        }
+
+        logger.error(`❌ [${api}] ${verb} ${path} - Error`, describeApiError(error));
+        recordFailure(error);
+        throw toPterodactylError(error, verb, endpoint, api, timeout);
+      }
+    }
+  };
+
+  // Walks every page of a list endpoint and returns the items ({ object, attributes })
+  const fetchAllPages = async (endpoint, options = {}) => {
+    const results = [];
+    const separator = endpoint.includes('?') ? '&' : '?';
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+      const response = await request('GET', `${endpoint}${separator}page=${page}&per_page=${PAGE_SIZE}`, null, options);
+      results.push(...response.data.data);
+      totalPages = response.data.meta?.pagination?.total_pages || 1;
+      page++;
+    } while (page <= totalPages);
+
+    return results;
+  };
+
+  return { request, fetchAllPages, circuitState };
+};
+
+module.exports = { createPterodactylClient, PterodactylError, PterodactylUnavailableError };
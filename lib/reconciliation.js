@@ -0,0 +1,310 @@
+// lib/reconciliation.js - Find (and optionally fix) drift between Stripe subscriptions and Pterodactyl servers
+const { STATES } = require('./lifecycle');
+const { JOB_STATES } = require('./jobs');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('reconciliation');
+
+const REPORT_COLLECTION = 'reconciliationReports';
+
+// Stripe statuses that still owe the customer a server, and ones that never will again
+const BILLABLE_STATUSES = ['active', 'trialing', 'past_due'];
+const ENDED_STATUSES = ['canceled', 'incomplete_expired'];
+
+const DRIFT_TYPES = {
+  // Panel server whose subscription ended (or is unknown to Stripe) and is not scheduled for deletion
+  ORPHANED_SERVER: 'orphaned_server',
+  // Billable subscription without a panel server
+  MISSING_SERVER: 'missing_server',
+  // Suspended panel server whose subscription is active and paid up
+  SUSPENDED_BUT_PAID: 'suspended_but_paid',
+  // Panel server created for a checkout session we have no record of
+  UNTRACKED_SERVER: 'untracked_server',
+  // Billable subscription from a checkout that was not a server order (another
+  // product on the same Stripe account); reported, never provisioned
+  FOREIGN: 'foreign'
+};
+
+// Our checkouts always carry the plan and server type (POST /create-checkout-session)
+const isServerOrder = (checkoutSession) => Boolean(checkoutSession.metadata?.plan || checkoutSession.metadata?.serverType);
+
+// Servers and subscriptions are matched on the checkout session ID: it is the
+// server's external_id in the panel and the key of its `sessions` record, which
+// also holds the subscription ID. Subscriptions with no record are traced back to
+// their checkout session through Stripe.
+const createReconciler = ({
+  store,
+  stripe,
+  fetchAllPages,
+  lifecycle,
+  provisioning,
+  provisionSession,
+  auditLog,
+  autoFix = false,
+  intervalMs = 6 * 60 * 60 * 1000
+}) => {
+  let timer = null;
+  let inFlight = null;
+
+  const listSubscriptions = async () => {
+    const subscriptions = [];
+    for await (const subscription of stripe.subscriptions.list({ status: 'all', limit: 100, expand: ['data.latest_invoice'] })) {
+      subscriptions.push(subscription);
+    }
+    return subscriptions;
+  };
+
+  const checkoutSessionFor = async (subscriptionId) => {
+    const sessions = await stripe.checkout.sessions.list({ subscription: subscriptionId, limit: 1 });
+    return sessions.data[0] || null;
+  };
+
+  const isPaidUp = (subscription) => {
+    const invoice = subscription.latest_invoice;
+    return subscription.status === 'active' && (!invoice || invoice.status === 'paid' || invoice.amount_due === 0);
+  };
+
+  // Each fix returns a short description of what it did, for the report
+  const fixes = {
+    scheduleDeletion: async ({ subscriptionId }) => {
+      const outcome = await lifecycle.handleSubscriptionDeleted({ id: subscriptionId });
+      return { deleteAfter: outcome.deleteAfter || null };
+    },
+    retryProvisioning: async ({ sessionId, checkoutSession }) => {
+      const job = await provisioning.get(sessionId);
+      if (job?.status === JOB_STATES.DEAD) {
+        await store.update('sessions', sessionId, { status: 'provisioning', finishedAt: null, error: null });
+        await provisioning.requeue(sessionId);
+      } else {
+        await provisionSession(checkoutSession || await stripe.checkout.sessions.retrieve(sessionId));
+      }
+      return { requeued: true };
+    },
+    unsuspend: async ({ serverId, subscriptionId }) => {
+      await lifecycle.unsuspendServer(serverId);
+      const record = await store.get('subscriptions', subscriptionId);
+      if (record?.status === STATES.SUSPENDED) {
+        await lifecycle.recordTransition(subscriptionId, STATES.ACTIVE, { reason: 'reconciliation', serverId });
+      }
+      return { serverId };
+    }
+  };
+
+  const findDrift = async () => {
+    const [subscriptions, panelServers, sessions] = await Promise.all([
+      listSubscriptions(),
+      fetchAllPages('/servers'),
+      store.list('sessions')
+    ]);
+
+    const servers = panelServers.map((server) => server.attributes);
+    const serverBySession = new Map(servers.filter((server) => server.external_id).map((server) => [server.external_id, server]));
+    const sessionsBySubscription = new Map();
+    sessions.filter((record) => record.subscriptionId).forEach((record) => {
+      sessionsBySubscription.set(record.subscriptionId, [...(sessionsBySubscription.get(record.subscriptionId) || []), record]);
+    });
+    const matchedSessions = new Set();
+    const drift = [];
+
+    for (const subscription of subscriptions) {
+      let records = sessionsBySubscription.get(subscription.id) || [];
+      let checkoutSession = null;
+
+      // A paid subscription we never heard about, e.g. a missed webhook
+      if (records.length === 0 && BILLABLE_STATUSES.includes(subscription.status)) {
+        checkoutSession = await checkoutSessionFor(subscription.id);
+        if (!checkoutSession) {
+          continue;
+        }
+        if (!isServerOrder(checkoutSession)) {
+          drift.push({
+            type: DRIFT_TYPES.FOREIGN,
+            subscriptionId: subscription.id,
+            subscriptionStatus: subscription.status,
+            sessionId: checkoutSession.id,
+            serverId: null,
+            details: 'Checkout session has no plan or server type, so it is not a server order',
+            fix: null
+          });
+          continue;
+        }
+        records = [{ sessionId: checkoutSession.id, subscriptionId: subscription.id, untracked: true }];
+      }
+
+      const lifecycleRecord = await store.get('subscriptions', subscription.id);
+      for (const record of records) {
+        const server = serverBySession.get(record.sessionId);
+        matchedSessions.add(record.sessionId);
+        const base = {
+          subscriptionId: subscription.id,
+          subscriptionStatus: subscription.status,
+          sessionId: record.sessionId,
+          serverId: server?.id || null
+        };
+
+        if (!server && BILLABLE_STATUSES.includes(subscription.status) && record.status !== 'deleted') {
+          const job = await provisioning.get(record.sessionId);
+          if ([JOB_STATES.QUEUED, JOB_STATES.RUNNING, JOB_STATES.RETRYING].includes(job?.status)) {
+            continue;
+          }
+          // Re-provisioning is only safe for orders that never got a server and
+          // were not refunded; a server deleted by hand needs a person to look at it
+          const canRetry = record.status !== 'completed' && (!record.compensation || record.compensation.policy === 'none');
+          drift.push({
+            ...base,
+            type: DRIFT_TYPES.MISSING_SERVER,
+            details: record.status === 'completed'
+              ? 'Server was provisioned but no longer exists in the panel'
+              : `Provisioning ${job?.status || record.status || 'never started'}`,
+            fix: canRetry ? 'retryProvisioning' : null,
+            fixInput: { sessionId: record.sessionId, checkoutSession }
+          });
+        } else if (server && ENDED_STATUSES.includes(subscription.status) &&
+            lifecycleRecord?.status !== STATES.PENDING_DELETION) {
+          drift.push({
+            ...base,
+            type: DRIFT_TYPES.ORPHANED_SERVER,
+            details: `Subscription is ${subscription.status}, lifecycle is ${lifecycleRecord?.status || 'unknown'}`,
+            // A DELETED lifecycle with the server still there means the deletion itself failed
+            fix: lifecycleRecord?.status === STATES.DELETED ? null : 'scheduleDeletion',
+            fixInput: { subscriptionId: subscription.id }
+          });
+        } else if (server?.suspended && isPaidUp(subscription) && lifecycleRecord?.suspendedBy !== 'admin' &&
+            lifecycleRecord?.status !== STATES.PENDING_DELETION) {
+          drift.push({
+            ...base,
+            type: DRIFT_TYPES.SUSPENDED_BUT_PAID,
+            details: `Latest invoice is ${subscription.latest_invoice?.status || 'absent'}`,
+            fix: 'unsuspend',
+            fixInput: { serverId: server.id, subscriptionId: subscription.id }
+          });
+        }
+      }
+    }
+
+    // Servers whose subscription Stripe did not list at all
+    for (const server of servers) {
+      if (!server.external_id || matchedSessions.has(server.external_id)) {
+        continue;
+      }
+      const record = sessions.find((entry) => entry.sessionId === server.external_id);
+      if (record?.subscriptionId) {
+        const lifecycleRecord = await store.get('subscriptions', record.subscriptionId);
+        if (lifecycleRecord?.status === STATES.PENDING_DELETION) {
+          continue;
+        }
+        drift.push({
+          type: DRIFT_TYPES.ORPHANED_SERVER,
+          subscriptionId: record.subscriptionId,
+          subscriptionStatus: null,
+          sessionId: server.external_id,
+          serverId: server.id,
+          details: 'Subscription not found in Stripe',
+          fix: 'scheduleDeletion',
+          fixInput: { subscriptionId: record.subscriptionId }
+        });
+      } else if (!record && server.external_id.startsWith('cs_')) {
+        drift.push({
+          type: DRIFT_TYPES.UNTRACKED_SERVER,
+          subscriptionId: null,
+          subscriptionStatus: null,
+          sessionId: server.external_id,
+          serverId: server.id,
+          details: 'No session record for this checkout session',
+          fix: null
+        });
+      }
+    }
+
+    return { drift, counts: { subscriptions: subscriptions.length, servers: servers.length } };
+  };
+
+  const applyFix = async (item, { actor, reportId }) => {
+    try {
+      const result = await auditLog.audited({
+        actor,
+        action: `reconciliation.${item.fix}`,
+        target: item.serverId ? { type: 'server', id: String(item.serverId) } : { type: 'subscription', id: item.subscriptionId },
+        params: { reportId, drift: item.type }
+      }, () => fixes[item.fix](item.fixInput));
+      return { action: item.fix, status: 'done', ...result };
+    } catch (error) {
+      logger.error(`❌ Reconciliation fix ${item.fix} failed for ${item.sessionId}`, { error: error.message });
+      return { action: item.fix, status: 'failed', error: error.message };
+    }
+  };
+
+  const execute = async ({ autoFix: fix, actor, trigger }) => {
+    if (!stripe) {
+      throw new Error('Stripe is not configured');
+    }
+
+    const startedAt = new Date().toISOString();
+    const reportId = `rec_${Date.now()}`;
+    logger.info(`🔎 Reconciliation ${reportId} started (${trigger}, auto-fix ${fix ? 'on' : 'off'})`);
+
+    const { drift, counts } = await findDrift();
+    const items = [];
+    for (const { fixInput, ...item } of drift) {
+      const fixResult = !item.fix ? null
+        : fix ? await applyFix({ ...item, fixInput }, { actor, reportId })
+          : { action: item.fix, status: 'pending' };
+      items.push({ ...item, fix: fixResult });
+    }
+
+    const summary = {};
+    items.forEach((item) => {
+      summary[item.type] = (summary[item.type] || 0) + 1;
+    });
+
+    const report = await store.put(REPORT_COLLECTION, reportId, {
+      trigger,
+      actor,
+      autoFix: fix,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      counts,
+      summary,
+      drift: items
+    });
+    logger.info(`🔎 Reconciliation ${reportId} found ${items.length} drift item(s)`, { summary });
+    return report;
+  };
+
+  // One run at a time per process; a second caller gets the run already going
+  const run = ({ autoFix: fix = autoFix, actor = 'reconciliation', trigger = 'manual' } = {}) => {
+    if (!inFlight) {
+      inFlight = execute({ autoFix: fix, actor, trigger }).finally(() => {
+        inFlight = null;
+      });
+    }
+    return inFlight;
+  };
+
+  // Newest first, without the drift items
+  const listReports = async ({ limit = 20 } = {}) => (await store.list(REPORT_COLLECTION))
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+    .slice(0, limit)
+    .map(({ drift, ...report }) => report);
+
+  const getReport = (id) => store.get(REPORT_COLLECTION, id);
+
+  const start = () => {
+    if (timer || !intervalMs) {
+      return;
+    }
+    timer = setInterval(() => {
+      run({ trigger: 'schedule' }).catch((error) => logger.error('❌ Scheduled reconciliation failed', { error: error.message }));
+    }, intervalMs);
+    timer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { run, findDrift, listReports, getReport, start, stop, isRunning: () => Boolean(inFlight) };
+};
+
+module.exports = { createReconciler, DRIFT_TYPES };
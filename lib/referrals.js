@@ -0,0 +1,157 @@
+// lib/referrals.js - Customer referral codes; the referrer is credited once the referred customer first pays
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('referrals');
+
+// No 0/O or 1/I, so codes survive being read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+class ReferralError extends Error {
+  constructor(message, field = 'referralCode', statusCode = 400) {
+    super(message);
+    this.name = 'ReferralError';
+    this.field = field;
+    this.statusCode = statusCode;
+  }
+}
+
+const generateCode = () => Array.from({ length: CODE_LENGTH }, () =>
+  CODE_ALPHABET[crypto.randomInt(0, CODE_ALPHABET.length)]).join('');
+
+// Codes live in `referralCodes` (code -> referrer). Checkout puts the code on the
+// Stripe subscription's metadata, so the invoice.payment_succeeded webhook can find
+// it without depending on the order webhooks arrive in. Each referred subscription
+// gets one record in `referrals` and is credited at most once.
+const createReferrals = ({ store, stripe, creditAmount = 500, currency = 'usd' }) => {
+  const getCodeFor = async (rawEmail) => {
+    const email = rawEmail.toLowerCase();
+    const customer = await store.get('customers', email);
+    if (customer?.referralCode) {
+      return customer.referralCode;
+    }
+
+    let code = null;
+    while (!code) {
+      const candidate = generateCode();
+      if (await store.claim('referralCodes', candidate, { code: candidate, email })) {
+        code = candidate;
+      }
+    }
+    await store.update('customers', email, { email, referralCode: code });
+    logger.info(`🤝 Referral code ${code} issued`);
+    return code;
+  };
+
+  const resolveCode = async (rawCode) => {
+    const code = String(rawCode || '').trim().toUpperCase();
+    const referrer = await store.get('referralCodes', code);
+    if (!referrer) {
+      throw new ReferralError('Referral code is not valid');
+    }
+    return referrer;
+  };
+
+  const stripeCustomersFor = async (email) => {
+    const sessions = (await store.list('sessions', (record) =>
+      record.customerEmail?.toLowerCase() === email && record.stripeCustomerId
+    )).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    return [...new Set(sessions.map((record) => record.stripeCustomerId))];
+  };
+
+  const referralCodeFor = async (invoice) => {
+    if (invoice.subscription_details) {
+      return invoice.subscription_details.metadata?.referralCode || null;
+    }
+    const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
+    return subscription.metadata?.referralCode || null;
+  };
+
+  // invoice.payment_succeeded - trial and 100%-off invoices are not "paid" yet
+  const handleInvoicePaid = async (invoice) => {
+    if (!invoice.subscription || !(invoice.amount_paid > 0)) {
+      return null;
+    }
+
+    const existing = await store.get('referrals', invoice.subscription);
+    if (existing && existing.status !== 'failed') {
+      return null;
+    }
+
+    const code = await referralCodeFor(invoice);
+    if (!code) {
+      return null;
+    }
+    const referrer = await store.get('referralCodes', code);
+    if (!referrer) {
+      logger.warn(`⚠️ Subscription ${invoice.subscription} carries unknown referral code ${code}`);
+      return null;
+    }
+
+    const referral = await store.claim('referrals', invoice.subscription, {
+      code,
+      subscriptionId: invoice.subscription,
+      referrerEmail: referrer.email,
+      referredEmail: invoice.customer_email?.toLowerCase() || null,
+      referredCustomerId: invoice.customer,
+      invoiceId: invoice.id,
+      status: 'crediting'
+    }, (record) => record.status === 'failed');
+    if (!referral) {
+      return null;
+    }
+
+    const referrerCustomers = await stripeCustomersFor(referrer.email);
+    if (referral.referredEmail === referrer.email || referrerCustomers.includes(invoice.customer)) {
+      logger.warn(`⚠️ Self-referral with code ${code} on ${invoice.subscription} - no credit`);
+      return store.update('referrals', invoice.subscription, { status: 'rejected', reason: 'self_referral' });
+    }
+    if (referrerCustomers.length === 0) {
+      return store.update('referrals', invoice.subscription, { status: 'rejected', reason: 'referrer has no Stripe customer' });
+    }
+
+    try {
+      // Negative balance = credit the referrer's next invoices draw from
+      const transaction = await stripe.customers.createBalanceTransaction(referrerCustomers[0], {
+        amount: -creditAmount,
+        currency,
+        description: 'Referral credit - thanks for recommending GooseHosting',
+        metadata: { referralCode: code, subscriptionId: invoice.subscription, invoiceId: invoice.id }
+      }, { idempotencyKey: `referral-credit-${invoice.subscription}` });
+
+      logger.info(`🤝 Credited ${creditAmount / 100} ${currency} to referrer of ${invoice.subscription}`);
+      return store.update('referrals', invoice.subscription, {
+        status: 'credited',
+        referrerCustomerId: referrerCustomers[0],
+        transactionId: transaction.id,
+        amount: creditAmount,
+        currency,
+        creditedAt: new Date().toISOString(),
+        error: null
+      });
+    } catch (error) {
+      // Left as failed so the next paid invoice on this subscription tries again
+      logger.error(`❌ Referral credit failed for ${invoice.subscription}`, { error: error.message });
+      return store.update('referrals', invoice.subscription, { status: 'failed', error: error.message });
+    }
+  };
+
+  const summaryFor = async (email) => {
+    const code = await getCodeFor(email);
+    const referrals = await store.list('referrals', (record) => record.referrerEmail === email.toLowerCase());
+    const credited = referrals.filter((record) => record.status === 'credited');
+    return {
+      code,
+      referred: referrals.filter((record) => record.status !== 'rejected').length,
+      credited: credited.length,
+      creditedAmount: credited.reduce((sum, record) => sum + record.amount, 0),
+      creditPerReferral: creditAmount,
+      currency
+    };
+  };
+
+  return { getCodeFor, resolveCode, handleInvoicePaid, summaryFor };
+};
+
+module.exports = { createReferrals, ReferralError };
@@ -0,0 +1,811 @@
+// lib/sandbox-pterodactyl.js - In-process stand-in for the Pterodactyl application and client APIs (SANDBOX mode)
+const crypto = require('crypto');
+const path = require('path');
+const zlib = require('zlib');
+const express = require('express');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('sandbox');
+
+const COLLECTIONS = {
+  LOCATIONS: 'pteroLocations',
+  NODES: 'pteroNodes',
+  ALLOCATIONS: 'pteroAllocations',
+  USERS: 'pteroUsers',
+  SERVERS: 'pteroServers',
+  FILES: 'pteroFiles',
+  BACKUPS: 'pteroBackups'
+};
+
+// What a fresh sandbox panel looks like: two locations with one node each, ten
+// ports per node, and the root admin whose keys the service uses
+const SEED = {
+  locations: [
+    { id: 1, short: 'eu', long: 'Sandbox Europe' },
+    { id: 2, short: 'us', long: 'Sandbox United States' }
+  ],
+  nodes: [
+    { id: 1, name: 'sandbox-eu-1', fqdn: 'eu1.sandbox.goosehosting.test', location_id: 1, memory: 65536, disk: 1000000 },
+    { id: 2, name: 'sandbox-us-1', fqdn: 'us1.sandbox.goosehosting.test', location_id: 2, memory: 32768, disk: 500000 }
+  ],
+  portsPerNode: 10,
+  firstPort: 25565,
+  admin: { email: 'admin@sandbox.goosehosting.test', username: 'admin', first_name: 'Sandbox', last_name: 'Admin' }
+};
+
+const SIGNED_URL_TTL_MS = 15 * 60 * 1000;
+const MAX_PER_PAGE = 100;
+const CONSOLE_HISTORY = 50;
+
+// Rendered the way the panel renders its own errors: { errors: [{ code, status, detail, meta }] }
+class FakePanelError extends Error {
+  constructor(status, errors) {
+    super(errors[0].detail);
+    this.name = 'FakePanelError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+const panelError = (status, code, detail) => new FakePanelError(status, [{ code, status: String(status), detail }]);
+const notFound = () => panelError(404, 'NotFoundHttpException', 'The requested resource could not be found on the server.');
+const stateConflict = () => panelError(409, 'ConflictHttpException', 'This server is currently in an unsupported state, please try again later.');
+
+// One entry per failed rule, like Laravel's validator
+const validationFailed = (failures) => new FakePanelError(422, failures.map(({ field, rule, detail }) => ({
+  code: 'ValidationException',
+  status: '422',
+  detail,
+  meta: { source_field: field, rule }
+})));
+
+const route = (handler) => (req, res, next) => Promise.resolve(handler(req, res)).catch(next);
+
+const paginate = (req, items) => {
+  const perPage = Math.min(Math.max(parseInt(req.query.per_page) || 50, 1), MAX_PER_PAGE);
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const data = items.slice((page - 1) * perPage, page * perPage);
+  return {
+    object: 'list',
+    data,
+    meta: {
+      pagination: {
+        total: items.length,
+        count: data.length,
+        per_page: perPage,
+        current_page: page,
+        total_pages: Math.max(1, Math.ceil(items.length / perPage)),
+        links: {}
+      }
+    }
+  };
+};
+
+const includes = (req) => String(req.query.include || '').split(',').map((entry) => entry.trim());
+const byId = (a, b) => Number(a.id) - Number(b.id);
+const timestamps = (record) => ({ created_at: record.createdAt, updated_at: record.updatedAt });
+const filePath = (...parts) => path.posix.join('/', ...parts.map(String));
+
+// `publicUrl()` is where the sandbox listens; signed upload/download URLs point there.
+// `installMs` is how long a new server reports `installing`. `faults` are read on
+// every request, so flipping one takes effect immediately:
+//   outage         every API call answers a bare `outageStatus` (what a dead panel
+//                  behind a proxy looks like)
+//   latencyMs      delay before every API answer
+//   installFails   servers created from now on end up `install_failed`
+const createFakePterodactyl = ({ store, applicationKey, clientKey, publicUrl, installMs = 3000 }) => {
+  const faults = { outage: false, outageStatus: 503, latencyMs: 0, installFails: false };
+  const signedUrls = new Map();
+
+  // ID allocation reads then writes, so mutations run one at a time
+  let queue = Promise.resolve();
+  const exclusive = (fn) => {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const nextId = async (collection) =>
+    (await store.list(collection)).reduce((max, record) => Math.max(max, Number(record.id)), 0) + 1;
+
+  const seed = async () => {
+    if ((await store.list(COLLECTIONS.NODES)).length > 0) {
+      return;
+    }
+    for (const location of SEED.locations) {
+      await store.put(COLLECTIONS.LOCATIONS, String(location.id), location);
+    }
+    let allocationId = 1;
+    for (const node of SEED.nodes) {
+      await store.put(COLLECTIONS.NODES, String(node.id), {
+        ...node,
+        uuid: crypto.randomUUID(),
+        memory_overallocate: 0,
+        disk_overallocate: 0,
+        maintenance_mode: false
+      });
+      for (let offset = 0; offset < SEED.portsPerNode; offset++) {
+        await store.put(COLLECTIONS.ALLOCATIONS, String(allocationId), {
+          nodeId: node.id,
+          ip: '127.0.0.1',
+          alias: node.fqdn,
+          port: SEED.firstPort + offset,
+          serverId: null,
+          reserved: false
+        });
+        allocationId++;
+      }
+    }
+    await store.put(COLLECTIONS.USERS, '1', { ...SEED.admin, uuid: crypto.randomUUID(), language: 'en', root_admin: true });
+    logger.info('🧪 Sandbox panel seeded with 2 nodes and their allocations');
+  };
+
+  const reset = () => exclusive(async () => {
+    for (const collection of Object.values(COLLECTIONS)) {
+      for (const record of await store.list(collection)) {
+        await store.remove(collection, String(record.id));
+      }
+    }
+    signedUrls.clear();
+    Object.assign(faults, { outage: false, outageStatus: 503, latencyMs: 0, installFails: false });
+    await seed();
+  });
+
+  const getRecord = async (collection, id) => {
+    const record = /^\d+$/.test(String(id)) ? await store.get(collection, String(id)) : null;
+    if (!record) {
+      throw notFound();
+    }
+    return record;
+  };
+
+  // Servers are installing for `installMs` after creation; nothing has to tick
+  const installState = (server) => {
+    if (Date.now() - Date.parse(server.createdAt) < installMs) {
+      return { status: 'installing', installed: false };
+    }
+    if (server.installFails) {
+      return { status: 'install_failed', installed: false };
+    }
+    return { status: server.suspended ? 'suspended' : null, installed: true };
+  };
+
+  const presentLocation = (location) => ({
+    object: 'location',
+    attributes: { id: Number(location.id), short: location.short, long: location.long, ...timestamps(location) }
+  });
+
+  const presentAllocation = (allocation) => ({
+    object: 'allocation',
+    attributes: {
+      id: Number(allocation.id),
+      ip: allocation.ip,
+      alias: allocation.alias,
+      port: allocation.port,
+      notes: allocation.reserved ? 'Reserved by the sandbox' : null,
+      assigned: Boolean(allocation.serverId || allocation.reserved)
+    }
+  });
+
+  const presentNode = (node, servers, locations, include) => {
+    const onNode = servers.filter((server) => server.nodeId === Number(node.id));
+    const attributes = {
+      id: Number(node.id),
+      uuid: node.uuid,
+      public: true,
+      name: node.name,
+      description: null,
+      location_id: node.location_id,
+      fqdn: node.fqdn,
+      scheme: 'https',
+      behind_proxy: false,
+      maintenance_mode: node.maintenance_mode,
+      memory: node.memory,
+      memory_overallocate: node.memory_overallocate,
+      disk: node.disk,
+      disk_overallocate: node.disk_overallocate,
+      upload_size: 100,
+      daemon_listen: 8080,
+      daemon_sftp: 2022,
+      daemon_base: '/var/lib/pterodactyl/volumes',
+      allocated_resources: {
+        memory: onNode.reduce((sum, server) => sum + server.limits.memory, 0),
+        disk: onNode.reduce((sum, server) => sum + server.limits.disk, 0)
+      },
+      ...timestamps(node)
+    };
+    if (include.includes('location')) {
+      const location = locations.find((candidate) => Number(candidate.id) === node.location_id);
+      attributes.relationships = { location: location ? presentLocation(location) : null };
+    }
+    return { object: 'node', attributes };
+  };
+
+  const presentUser = (user, servers = null) => {
+    const attributes = {
+      id: Number(user.id),
+      external_id: null,
+      uuid: user.uuid,
+      username: user.username,
+      email: user.email,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      language: user.language,
+      root_admin: user.root_admin,
+      '2fa': false,
+      ...timestamps(user)
+    };
+    if (servers) {
+      attributes.relationships = { servers: { object: 'list', data: servers.map((server) => presentServer(server)) } };
+    }
+    return { object: 'user', attributes };
+  };
+
+  const presentServer = (server, include = [], allocations = []) => {
+    const { status, installed } = installState(server);
+    const attributes = {
+      id: Number(server.id),
+      external_id: server.external_id,
+      uuid: server.uuid,
+      identifier: server.uuid.slice(0, 8),
+      name: server.name,
+      description: server.description || '',
+      status,
+      suspended: server.suspended,
+      limits: server.limits,
+      feature_limits: server.feature_limits,
+      user: server.userId,
+      node: server.nodeId,
+      allocation: server.allocationId,
+      nest: 1,
+      egg: server.egg,
+      container: {
+        startup_command: server.startup,
+        image: server.image,
+        installed,
+        environment: server.environment
+      },
+      ...timestamps(server)
+    };
+    const relationships = {};
+    if (include.includes('allocations')) {
+      relationships.allocations = {
+        object: 'list',
+        data: allocations.filter((allocation) => allocation.serverId === Number(server.id)).map(presentAllocation)
+      };
+    }
+    if (include.includes('databases')) {
+      relationships.databases = { object: 'list', data: [] };
+    }
+    if (Object.keys(relationships).length > 0) {
+      attributes.relationships = relationships;
+    }
+    return { object: 'server', attributes };
+  };
+
+  const validateUser = async (body, existing = null) => {
+    const users = await store.list(COLLECTIONS.USERS, (user) => !existing || user.id !== existing.id);
+    const failures = [];
+    const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+    if (!email) {
+      failures.push({ field: 'email', rule: 'required', detail: 'The email field is required.' });
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      failures.push({ field: 'email', rule: 'email', detail: 'The email must be a valid email address.' });
+    } else if (users.some((user) => user.email === email)) {
+      failures.push({ field: 'email', rule: 'unique', detail: 'The email has already been taken.' });
+    }
+    if (!body.username) {
+      failures.push({ field: 'username', rule: 'required', detail: 'The username field is required.' });
+    } else if (!/^[a-z0-9]([\w.-]+)[a-z0-9]$/i.test(body.username) || body.username.length > 191) {
+      failures.push({ field: 'username', rule: 'regex', detail: 'The username format is invalid.' });
+    } else if (users.some((user) => user.username.toLowerCase() === String(body.username).toLowerCase())) {
+      failures.push({ field: 'username', rule: 'unique', detail: 'The username has already been taken.' });
+    }
+    ['first_name', 'last_name'].forEach((field) => {
+      if (!body[field]) {
+        failures.push({ field, rule: 'required', detail: `The ${field.replace('_', ' ')} field is required.` });
+      }
+    });
+    if (body.password !== undefined && body.password !== null && String(body.password).length < 8) {
+      failures.push({ field: 'password', rule: 'min', detail: 'The password must be at least 8 characters.' });
+    }
+    if (failures.length > 0) {
+      throw validationFailed(failures);
+    }
+    return {
+      email,
+      username: body.username,
+      first_name: body.first_name,
+      last_name: body.last_name,
+      language: body.language || existing?.language || 'en',
+      root_admin: Boolean(body.root_admin ?? existing?.root_admin)
+    };
+  };
+
+  const validateServer = async (body) => {
+    const failures = [];
+    const required = (field, value) => {
+      if (value === undefined || value === null || value === '') {
+        failures.push({ field, rule: 'required', detail: `The ${field} field is required.` });
+        return false;
+      }
+      return true;
+    };
+
+    required('name', body.name);
+    required('docker_image', body.docker_image);
+    required('startup', body.startup);
+    if (required('egg', body.egg) && !(Number.isInteger(body.egg) && body.egg > 0)) {
+      failures.push({ field: 'egg', rule: 'exists', detail: 'The selected egg is invalid.' });
+    }
+    if (required('user', body.user) && !await store.get(COLLECTIONS.USERS, String(body.user))) {
+      failures.push({ field: 'user', rule: 'exists', detail: 'The selected user is invalid.' });
+    }
+    ['memory', 'swap', 'disk', 'io', 'cpu'].forEach((key) => {
+      if (!Number.isInteger(body.limits?.[key])) {
+        failures.push({ field: `limits.${key}`, rule: 'required', detail: `The limits.${key} field is required.` });
+      }
+    });
+    required('feature_limits', body.feature_limits);
+
+    let allocation = null;
+    if (required('allocation.default', body.allocation?.default)) {
+      allocation = await store.get(COLLECTIONS.ALLOCATIONS, String(body.allocation.default));
+      if (!allocation) {
+        failures.push({ field: 'allocation.default', rule: 'exists', detail: 'The selected allocation.default is invalid.' });
+      } else if (allocation.serverId || allocation.reserved) {
+        failures.push({ field: 'allocation.default', rule: 'unique', detail: 'The allocation.default has already been taken.' });
+      }
+    }
+    if (body.external_id && await store.find(COLLECTIONS.SERVERS, (server) => server.external_id === String(body.external_id))) {
+      failures.push({ field: 'external_id', rule: 'unique', detail: 'The external id has already been taken.' });
+    }
+
+    if (failures.length > 0) {
+      throw validationFailed(failures);
+    }
+    return allocation;
+  };
+
+  const releaseServer = async (server) => {
+    const allocation = await store.get(COLLECTIONS.ALLOCATIONS, String(server.allocationId));
+    if (allocation?.serverId === Number(server.id)) {
+      await store.update(COLLECTIONS.ALLOCATIONS, String(allocation.id), { serverId: null });
+    }
+    for (const file of await store.list(COLLECTIONS.FILES, (entry) => entry.serverUuid === server.uuid)) {
+      await store.remove(COLLECTIONS.FILES, file.id);
+    }
+    for (const backup of await store.list(COLLECTIONS.BACKUPS, (entry) => entry.serverUuid === server.uuid)) {
+      await store.remove(COLLECTIONS.BACKUPS, backup.id);
+    }
+    await store.remove(COLLECTIONS.SERVERS, String(server.id));
+  };
+
+  const requireKey = (key) => (req, res, next) => {
+    if (req.headers.authorization !== `Bearer ${key}`) {
+      return next(panelError(401, 'AuthenticationException', 'Unauthenticated.'));
+    }
+    next();
+  };
+
+  const applyFaults = async (req, res, next) => {
+    if (faults.latencyMs > 0) {
+      await new Promise((resolve) => setTimeout(resolve, faults.latencyMs));
+    }
+    if (faults.outage) {
+      return res.status(faults.outageStatus).type('html').send('<html><body><h1>Bad Gateway</h1></body></html>');
+    }
+    next();
+  };
+
+  const renderError = (error, req, res, next) => {
+    if (error instanceof FakePanelError) {
+      return res.status(error.status).json({ errors: error.errors });
+    }
+    logger.error('❌ Sandbox panel error', { error: error.message });
+    res.status(500).json({ errors: [{ code: 'InternalServerError', status: '500', detail: error.message }] });
+  };
+
+  // Application API
+  const application = express.Router();
+  application.use(requireKey(applicationKey), express.json());
+
+  application.get('/locations', route(async (req, res) => {
+    res.json(paginate(req, (await store.list(COLLECTIONS.LOCATIONS)).sort(byId).map(presentLocation)));
+  }));
+
+  application.get('/nodes', route(async (req, res) => {
+    const [nodes, servers, locations] = await Promise.all([
+      store.list(COLLECTIONS.NODES),
+      store.list(COLLECTIONS.SERVERS),
+      store.list(COLLECTIONS.LOCATIONS)
+    ]);
+    res.json(paginate(req, nodes.sort(byId).map((node) => presentNode(node, servers, locations, includes(req)))));
+  }));
+
+  application.get('/nodes/:nodeId/allocations', route(async (req, res) => {
+    const node = await getRecord(COLLECTIONS.NODES, req.params.nodeId);
+    const allocations = await store.list(COLLECTIONS.ALLOCATIONS, (allocation) => allocation.nodeId === Number(node.id));
+    res.json(paginate(req, allocations.sort(byId).map(presentAllocation)));
+  }));
+
+  application.get('/users', route(async (req, res) => {
+    const email = req.query.filter?.email?.toLowerCase();
+    const users = await store.list(COLLECTIONS.USERS, (user) => !email || user.email === email);
+    res.json(paginate(req, users.sort(byId).map((user) => presentUser(user))));
+  }));
+
+  application.get('/users/:userId', route(async (req, res) => {
+    const user = await getRecord(COLLECTIONS.USERS, req.params.userId);
+    const servers = includes(req).includes('servers')
+      ? await store.list(COLLECTIONS.SERVERS, (server) => server.userId === Number(user.id))
+      : null;
+    res.json(presentUser(user, servers));
+  }));
+
+  application.post('/users', route(async (req, res) => {
+    const user = await exclusive(async () => {
+      const fields = await validateUser(req.body);
+      const id = await nextId(COLLECTIONS.USERS);
+      return store.put(COLLECTIONS.USERS, String(id), { ...fields, uuid: crypto.randomUUID() });
+    });
+    logger.info(`🧪 Panel user ${user.id} (${user.username}) created`);
+    res.status(201).json(presentUser(user));
+  }));
+
+  application.patch('/users/:userId', route(async (req, res) => {
+    const user = await exclusive(async () => {
+      const existing = await getRecord(COLLECTIONS.USERS, req.params.userId);
+      return store.update(COLLECTIONS.USERS, existing.id, await validateUser(req.body, existing));
+    });
+    res.json(presentUser(user));
+  }));
+
+  application.delete('/users/:userId', route(async (req, res) => {
+    await exclusive(async () => {
+      const user = await getRecord(COLLECTIONS.USERS, req.params.userId);
+      if (await store.find(COLLECTIONS.SERVERS, (server) => server.userId === Number(user.id))) {
+        throw panelError(400, 'DisplayException', 'Cannot delete a user with active servers attached to their account.');
+      }
+      await store.remove(COLLECTIONS.USERS, user.id);
+    });
+    res.status(204).end();
+  }));
+
+  application.get('/servers', route(async (req, res) => {
+    const [servers, allocations] = await Promise.all([store.list(COLLECTIONS.SERVERS), store.list(COLLECTIONS.ALLOCATIONS)]);
+    res.json(paginate(req, servers.sort(byId).map((server) => presentServer(server, includes(req), allocations))));
+  }));
+
+  application.get('/servers/external/:externalId', route(async (req, res) => {
+    const server = await store.find(COLLECTIONS.SERVERS, (candidate) => candidate.external_id === req.params.externalId);
+    if (!server) {
+      throw notFound();
+    }
+    res.json(presentServer(server, includes(req), await store.list(COLLECTIONS.ALLOCATIONS)));
+  }));
+
+  application.get('/servers/:serverId', route(async (req, res) => {
+    const server = await getRecord(COLLECTIONS.SERVERS, req.params.serverId);
+    res.json(presentServer(server, includes(req), await store.list(COLLECTIONS.ALLOCATIONS)));
+  }));
+
+  application.post('/servers', route(async (req, res) => {
+    const body = req.body;
+    const server = await exclusive(async () => {
+      const allocation = await validateServer(body);
+      const id = await nextId(COLLECTIONS.SERVERS);
+      const created = await store.put(COLLECTIONS.SERVERS, String(id), {
+        external_id: body.external_id ? String(body.external_id) : null,
+        uuid: crypto.randomUUID(),
+        name: body.name,
+        description: body.description || '',
+        suspended: false,
+        limits: { threads: null, oom_disabled: true, ...body.limits },
+        feature_limits: body.feature_limits,
+        userId: Number(body.user),
+        nodeId: allocation.nodeId,
+        allocationId: Number(allocation.id),
+        egg: body.egg,
+        image: body.docker_image,
+        startup: body.startup,
+        environment: body.environment || {},
+        installFails: faults.installFails,
+        power: 'offline',
+        console: []
+      });
+      await store.update(COLLECTIONS.ALLOCATIONS, allocation.id, { serverId: id });
+      return created;
+    });
+    logger.info(`🧪 Panel server ${server.id} created on node ${server.nodeId} for user ${server.userId}`);
+    res.status(201).json(presentServer(server));
+  }));
+
+  application.patch('/servers/:serverId/build', route(async (req, res) => {
+    const existing = await getRecord(COLLECTIONS.SERVERS, req.params.serverId);
+    if (req.body.allocation !== undefined && Number(req.body.allocation) !== existing.allocationId) {
+      throw validationFailed([{ field: 'allocation', rule: 'in', detail: 'The selected allocation is invalid.' }]);
+    }
+    const limits = Object.fromEntries(['memory', 'swap', 'disk', 'io', 'cpu', 'threads', 'oom_disabled']
+      .filter((key) => req.body[key] !== undefined)
+      .map((key) => [key, req.body[key]]));
+    const server = await store.update(COLLECTIONS.SERVERS, existing.id, {
+      limits: { ...existing.limits, ...limits },
+      feature_limits: { ...existing.feature_limits, ...req.body.feature_limits }
+    });
+    res.json(presentServer(server));
+  }));
+
+  application.patch('/servers/:serverId/startup', route(async (req, res) => {
+    const existing = await getRecord(COLLECTIONS.SERVERS, req.params.serverId);
+    if (!req.body.startup || !req.body.image || !req.body.egg) {
+      throw validationFailed(['startup', 'image', 'egg']
+        .filter((field) => !req.body[field])
+        .map((field) => ({ field, rule: 'required', detail: `The ${field} field is required.` })));
+    }
+    const server = await store.update(COLLECTIONS.SERVERS, existing.id, {
+      startup: req.body.startup,
+      image: req.body.image,
+      egg: req.body.egg,
+      environment: { ...existing.environment, ...req.body.environment }
+    });
+    res.json(presentServer(server));
+  }));
+
+  application.post('/servers/:serverId/suspend', route(async (req, res) => {
+    const server = await getRecord(COLLECTIONS.SERVERS, req.params.serverId);
+    await store.update(COLLECTIONS.SERVERS, server.id, { suspended: true, power: 'offline' });
+    res.status(204).end();
+  }));
+
+  application.post('/servers/:serverId/unsuspend', route(async (req, res) => {
+    const server = await getRecord(COLLECTIONS.SERVERS, req.params.serverId);
+    await store.update(COLLECTIONS.SERVERS, server.id, { suspended: false });
+    res.status(204).end();
+  }));
+
+  const deleteServer = route(async (req, res) => {
+    await exclusive(async () => releaseServer(await getRecord(COLLECTIONS.SERVERS, req.params.serverId)));
+    logger.info(`🧪 Panel server ${req.params.serverId} deleted`);
+    res.status(204).end();
+  });
+  application.delete('/servers/:serverId', deleteServer);
+  application.delete('/servers/:serverId/force', deleteServer);
+
+  // Client API, as seen by a root admin's client key: servers by UUID or short identifier
+  const client = express.Router();
+  client.use(requireKey(clientKey), express.json(), express.text({ type: 'text/plain', limit: '5mb' }));
+
+  client.param('uuid', (req, res, next, uuid) => {
+    store.find(COLLECTIONS.SERVERS, (candidate) => candidate.uuid === uuid || candidate.uuid.slice(0, 8) === uuid)
+      .then((server) => {
+        if (!server) {
+          return next(notFound());
+        }
+        req.panelServer = server;
+        next();
+      })
+      .catch(next);
+  });
+
+  const requireReady = (server) => {
+    const { status } = installState(server);
+    if (server.suspended || status !== null) {
+      throw stateConflict();
+    }
+  };
+
+  client.post('/servers/:uuid/power', route(async (req, res) => {
+    const server = req.panelServer;
+    const signal = req.body.signal;
+    if (!['start', 'stop', 'restart', 'kill'].includes(signal)) {
+      throw validationFailed([{ field: 'signal', rule: 'in', detail: 'The selected signal is invalid.' }]);
+    }
+    requireReady(server);
+    await store.update(COLLECTIONS.SERVERS, server.id, { power: ['start', 'restart'].includes(signal) ? 'running' : 'offline' });
+    res.status(204).end();
+  }));
+
+  client.post('/servers/:uuid/command', route(async (req, res) => {
+    const server = req.panelServer;
+    requireReady(server);
+    if (server.power !== 'running') {
+      throw panelError(502, 'HttpException', 'Server must be online in order to send commands.');
+    }
+    await store.update(COLLECTIONS.SERVERS, server.id, {
+      console: [...server.console, { at: new Date().toISOString(), command: req.body.command }].slice(-CONSOLE_HISTORY)
+    });
+    res.status(204).end();
+  }));
+
+  const fileId = (server, name) => `${server.uuid}:${name}`;
+
+  client.get('/servers/:uuid/files/contents', route(async (req, res) => {
+    const file = await store.get(COLLECTIONS.FILES, fileId(req.panelServer, filePath(req.query.file || '')));
+    if (!file || file.directory) {
+      throw notFound();
+    }
+    res.type('text/plain').send(file.content);
+  }));
+
+  client.post('/servers/:uuid/files/write', route(async (req, res) => {
+    const name = filePath(req.query.file || '');
+    const content = typeof req.body === 'string' ? req.body : '';
+    await store.put(COLLECTIONS.FILES, fileId(req.panelServer, name), {
+      serverUuid: req.panelServer.uuid,
+      path: name,
+      content,
+      size: Buffer.byteLength(content)
+    });
+    res.status(204).end();
+  }));
+
+  client.post('/servers/:uuid/files/create-folder', route(async (req, res) => {
+    const name = filePath(req.body.root || '/', req.body.name || '');
+    const id = fileId(req.panelServer, name);
+    if (await store.get(COLLECTIONS.FILES, id)) {
+      throw panelError(400, 'DisplayException', 'A file or folder with that name already exists.');
+    }
+    await store.put(COLLECTIONS.FILES, id, { serverUuid: req.panelServer.uuid, path: name, directory: true });
+    res.status(204).end();
+  }));
+
+  client.post('/servers/:uuid/files/delete', route(async (req, res) => {
+    for (const name of req.body.files || []) {
+      await store.remove(COLLECTIONS.FILES, fileId(req.panelServer, filePath(req.body.root || '/', name)));
+    }
+    res.status(204).end();
+  }));
+
+  const signUrl = (purpose, serverUuid, extra = {}) => {
+    const token = crypto.randomBytes(16).toString('hex');
+    signedUrls.set(token, { purpose, serverUuid, expiresAt: Date.now() + SIGNED_URL_TTL_MS, ...extra });
+    return token;
+  };
+
+  const useSignedUrl = (token, purpose) => {
+    const signed = signedUrls.get(token);
+    if (!signed || signed.purpose !== purpose || signed.expiresAt < Date.now()) {
+      throw panelError(403, 'ForbiddenException', 'The signed URL is invalid or has expired.');
+    }
+    return signed;
+  };
+
+  client.get('/servers/:uuid/files/upload', route(async (req, res) => {
+    const token = signUrl('upload', req.panelServer.uuid);
+    res.json({ object: 'signed_url', attributes: { url: `${publicUrl()}/daemon/upload/file?token=${token}` } });
+  }));
+
+  client.post('/servers/:uuid/backups', route(async (req, res) => {
+    const now = new Date().toISOString();
+    // Sandbox backups finish the moment they start
+    const backup = await store.put(COLLECTIONS.BACKUPS, crypto.randomUUID(), {
+      serverUuid: req.panelServer.uuid,
+      name: req.body.name || `Backup at ${now}`,
+      completed_at: now,
+      is_successful: true
+    });
+    res.json(presentBackup(backup));
+  }));
+
+  const presentBackup = (backup) => ({
+    object: 'backup',
+    attributes: {
+      uuid: backup.id,
+      is_successful: backup.is_successful,
+      is_locked: false,
+      name: backup.name,
+      ignored_files: [],
+      checksum: `sha1:${crypto.createHash('sha1').update(backup.id).digest('hex')}`,
+      bytes: 1024,
+      created_at: backup.createdAt,
+      completed_at: backup.completed_at
+    }
+  });
+
+  const getBackup = async (req) => {
+    const backup = await store.get(COLLECTIONS.BACKUPS, req.params.backupUuid);
+    if (!backup || backup.serverUuid !== req.panelServer.uuid) {
+      throw notFound();
+    }
+    return backup;
+  };
+
+  client.get('/servers/:uuid/backups/:backupUuid', route(async (req, res) => {
+    res.json(presentBackup(await getBackup(req)));
+  }));
+
+  client.get('/servers/:uuid/backups/:backupUuid/download', route(async (req, res) => {
+    const backup = await getBackup(req);
+    const token = signUrl('backup', req.panelServer.uuid, { backupUuid: backup.id });
+    res.json({ object: 'signed_url', attributes: { url: `${publicUrl()}/daemon/download/backup?token=${token}` } });
+  }));
+
+  // What Wings would serve: signed upload and download URLs
+  const daemon = express.Router();
+
+  // Multipart bodies are not unpacked; the file names and total size are enough to
+  // tell what a caller uploaded
+  daemon.post('/upload/file', express.raw({ type: () => true, limit: '100mb' }), route(async (req, res) => {
+    const signed = useSignedUrl(req.query.token, 'upload');
+    const names = [...req.body.toString('latin1').matchAll(/filename="([^"]+)"/g)].map((match) => match[1]);
+    for (const name of names) {
+      const target = filePath(req.query.directory || '/', name);
+      await store.put(COLLECTIONS.FILES, `${signed.serverUuid}:${target}`, {
+        serverUuid: signed.serverUuid,
+        path: target,
+        content: '',
+        size: req.body.length,
+        uploaded: true
+      });
+    }
+    res.status(200).end();
+  }));
+
+  daemon.get('/download/backup', route(async (req, res) => {
+    const signed = useSignedUrl(req.query.token, 'backup');
+    res.type('application/gzip').send(zlib.gzipSync(`GooseHosting sandbox backup ${signed.backupUuid} of ${signed.serverUuid}\n`));
+  }));
+
+  const router = express.Router();
+  router.use('/api/application', applyFaults, application);
+  router.use('/api/client', applyFaults, client);
+  router.use('/daemon', daemon);
+  router.use(['/api', '/daemon'], (req, res, next) => next(notFound()));
+  router.use(renderError);
+
+  // Scenario helpers, also exposed on the sandbox control API
+  const setFaults = (changes) => {
+    Object.keys(faults).forEach((key) => {
+      if (changes[key] !== undefined) {
+        faults[key] = typeof faults[key] === 'number' ? Number(changes[key]) : changes[key] === true || changes[key] === 'true';
+      }
+    });
+    logger.info('🧪 Sandbox panel faults changed', { faults });
+    return { ...faults };
+  };
+
+  // Takes every free port out of circulation, as if other customers had them
+  const fillAllocations = () => exclusive(async () => {
+    const free = await store.list(COLLECTIONS.ALLOCATIONS, (allocation) => !allocation.serverId && !allocation.reserved);
+    for (const allocation of free) {
+      await store.update(COLLECTIONS.ALLOCATIONS, allocation.id, { reserved: true });
+    }
+    logger.info(`🧪 Reserved ${free.length} free allocation(s)`);
+    return { reserved: free.length };
+  });
+
+  const releaseAllocations = () => exclusive(async () => {
+    const reserved = await store.list(COLLECTIONS.ALLOCATIONS, (allocation) => allocation.reserved);
+    for (const allocation of reserved) {
+      await store.update(COLLECTIONS.ALLOCATIONS, allocation.id, { reserved: false });
+    }
+    logger.info(`🧪 Released ${reserved.length} reserved allocation(s)`);
+    return { released: reserved.length };
+  });
+
+  const summary = async () => {
+    const [nodes, allocations, users, servers] = await Promise.all(
+      [COLLECTIONS.NODES, COLLECTIONS.ALLOCATIONS, COLLECTIONS.USERS, COLLECTIONS.SERVERS].map((collection) => store.list(collection))
+    );
+    return {
+      faults: { ...faults },
+      nodes: nodes.length,
+      freeAllocations: allocations.filter((allocation) => !allocation.serverId && !allocation.reserved).length,
+      users: users.length,
+      servers: servers.sort(byId).map((server) => ({
+        id: Number(server.id),
+        uuid: server.uuid,
+        externalId: server.external_id,
+        name: server.name,
+        status: installState(server).status,
+        suspended: server.suspended,
+        power: server.power
+      }))
+    };
+  };
+
+  return { router, seed, reset, setFaults, fillAllocations, releaseAllocations, summary };
+};
+
+module.exports = { createFakePterodactyl };
@@ -0,0 +1,876 @@
+// lib/sandbox-stripe.js - In-process stand-in for the parts of Stripe the service uses (SANDBOX mode)
+const crypto = require('crypto');
+const axios = require('axios');
+const express = require('express');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('sandbox');
+
+const COLLECTIONS = {
+  CUSTOMERS: 'stripeCustomers',
+  SESSIONS: 'stripeCheckoutSessions',
+  SUBSCRIPTIONS: 'stripeSubscriptions',
+  INVOICES: 'stripeInvoices',
+  COUPONS: 'stripeCoupons',
+  BALANCE_TRANSACTIONS: 'stripeBalanceTransactions',
+  REFUNDS: 'stripeRefunds',
+  EVENTS: 'stripeEvents'
+};
+
+// What stripe-node 14 pins; events are stamped with it
+const API_VERSION = '2023-10-16';
+const SESSION_TTL_SECONDS = 24 * 60 * 60;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Rendered as Stripe renders errors, so the SDK raises StripeInvalidRequestError etc.
+class FakeStripeError extends Error {
+  constructor(message, { status = 400, type = 'invalid_request_error', code = null, param = null } = {}) {
+    super(message);
+    this.name = 'FakeStripeError';
+    this.status = status;
+    this.type = type;
+    this.code = code;
+    this.param = param;
+  }
+}
+
+const missing = (kind, id, param = 'id') =>
+  new FakeStripeError(`No such ${kind}: '${id}'`, { status: 404, code: 'resource_missing', param });
+
+const route = (handler) => (req, res, next) => Promise.resolve(handler(req, res)).catch(next);
+
+const newId = (prefix, bytes = 12) => `${prefix}_${crypto.randomBytes(bytes).toString('hex')}`;
+const now = () => Math.floor(Date.now() / 1000);
+const toInteger = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+// Stripe objects are stored as returned; `sandbox` holds what the fake needs besides
+const present = ({ createdAt, updatedAt, sandbox, ...object }) => object;
+
+// Form-encoded arrays arrive as arrays or as { 0: ..., 1: ... } depending on depth
+const asArray = (value) => (Array.isArray(value) ? value : value && typeof value === 'object' ? Object.values(value) : value ? [value] : []);
+
+// Metadata updates merge; an empty string deletes the key
+const mergeMetadata = (current, changes) => {
+  const merged = { ...current };
+  Object.entries(changes || {}).forEach(([key, value]) => {
+    if (value === '') {
+      delete merged[key];
+    } else {
+      merged[key] = String(value);
+    }
+  });
+  return merged;
+};
+
+const addInterval = (seconds, { interval, interval_count: count }) => {
+  const date = new Date(seconds * 1000);
+  if (interval === 'year') {
+    date.setUTCFullYear(date.getUTCFullYear() + count);
+  } else if (interval === 'week') {
+    date.setUTCDate(date.getUTCDate() + 7 * count);
+  } else if (interval === 'day') {
+    date.setUTCDate(date.getUTCDate() + count);
+  } else {
+    date.setUTCMonth(date.getUTCMonth() + count);
+  }
+  return Math.floor(date.getTime() / 1000);
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+}[char]));
+
+const formatAmount = (amount, currency) => `${(amount / 100).toFixed(2)} ${String(currency).toUpperCase()}`;
+
+// Same scheme as Stripe: v1 = HMAC-SHA256 of "<timestamp>.<payload>" with the endpoint secret
+const signPayload = (payload, secret, timestamp = now()) =>
+  `t=${timestamp},v1=${crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex')}`;
+
+// `publicUrl()` is where the sandbox listens (checkout pages live there) and
+// `webhookUrl()` where events are posted, signed with `webhookSecret`. Events go
+// out one at a time in the order they were raised, like a single Stripe endpoint.
+const createFakeStripe = ({ store, secretKey, webhookSecret, publicUrl, webhookUrl }) => {
+  const idempotentResponses = new Map();
+  let deliveries = Promise.resolve();
+
+  const getObject = async (collection, kind, id, param) => {
+    const object = id ? await store.get(collection, id) : null;
+    if (!object) {
+      throw missing(kind, id, param);
+    }
+    return object;
+  };
+
+  const newestFirst = (a, b) => b.created - a.created || b.createdAt.localeCompare(a.createdAt);
+
+  // Cursor pagination as the SDK's auto-pagination expects it
+  const listOf = async (req, records, url, render = present) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+    const sorted = records.sort(newestFirst);
+    const after = req.query.starting_after ? sorted.findIndex((record) => record.id === req.query.starting_after) + 1 : 0;
+    const page = sorted.slice(after, after + limit);
+    return { object: 'list', data: await Promise.all(page.map(render)), has_more: after + limit < sorted.length, url };
+  };
+
+  const EXPANDABLE = {
+    customer: COLLECTIONS.CUSTOMERS,
+    subscription: COLLECTIONS.SUBSCRIPTIONS,
+    latest_invoice: COLLECTIONS.INVOICES,
+    invoice: COLLECTIONS.INVOICES
+  };
+
+  // Swaps ID fields for the objects they point at; list expansions carry a `data.` prefix
+  const expand = async (object, paths, prefix = '') => {
+    const expanded = present(object);
+    for (const entry of asArray(paths)) {
+      const field = prefix ? entry.replace(prefix, '') : entry;
+      const collection = EXPANDABLE[field];
+      if (collection && typeof expanded[field] === 'string') {
+        const target = await store.get(collection, expanded[field]);
+        expanded[field] = target ? present(target) : expanded[field];
+      }
+    }
+    return expanded;
+  };
+
+  // Webhooks
+
+  const deliver = async (eventId) => {
+    const record = await store.get(COLLECTIONS.EVENTS, eventId);
+    const payload = JSON.stringify(present(record));
+    const attempts = (record.sandbox.attempts || 0) + 1;
+    try {
+      const response = await axios.post(webhookUrl(), payload, {
+        headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signPayload(payload, webhookSecret) },
+        timeout: WEBHOOK_TIMEOUT_MS,
+        validateStatus: () => true
+      });
+      const delivered = response.status >= 200 && response.status < 300;
+      await store.update(COLLECTIONS.EVENTS, eventId, {
+        pending_webhooks: delivered ? 0 : 1,
+        sandbox: { attempts, status: delivered ? 'delivered' : 'failed', responseStatus: response.status, deliveredAt: new Date().toISOString() }
+      });
+      logger.info(`🧪 ${delivered ? 'Delivered' : 'Webhook rejected'} ${record.type} (${eventId}) - ${response.status}`);
+    } catch (error) {
+      await store.update(COLLECTIONS.EVENTS, eventId, {
+        sandbox: { attempts, status: 'failed', error: error.message, deliveredAt: new Date().toISOString() }
+      });
+      logger.error(`❌ Could not deliver ${record.type} (${eventId})`, { error: error.message });
+    }
+  };
+
+  const queueDelivery = (eventId) => {
+    deliveries = deliveries.then(() => deliver(eventId)).catch((error) => {
+      logger.error(`❌ Could not deliver ${eventId}`, { error: error.message });
+    });
+    return deliveries;
+  };
+
+  const emit = async (type, object, previousAttributes = null) => {
+    const event = await store.put(COLLECTIONS.EVENTS, newId('evt', 12), {
+      object: 'event',
+      api_version: API_VERSION,
+      created: now(),
+      type,
+      livemode: false,
+      pending_webhooks: 1,
+      request: { id: null, idempotency_key: null },
+      data: { object: present(object), ...(previousAttributes && { previous_attributes: previousAttributes }) },
+      sandbox: { status: 'pending', attempts: 0 }
+    });
+    queueDelivery(event.id);
+    return event;
+  };
+
+  // Resolves once every event raised so far has been posted (or failed to be)
+  const settled = () => deliveries;
+
+  const resendEvent = async (eventId) => {
+    const event = await getObject(COLLECTIONS.EVENTS, 'event', eventId);
+    await queueDelivery(event.id);
+    return present(await store.get(COLLECTIONS.EVENTS, event.id));
+  };
+
+  const listEvents = async ({ limit = 50, type } = {}) => (await store.list(COLLECTIONS.EVENTS, (event) => !type || event.type === type))
+    .sort(newestFirst)
+    .slice(0, limit)
+    .map((event) => ({ ...present(event), delivery: event.sandbox }));
+
+  // Billing
+
+  const discountedAmount = (amount, coupon) => {
+    if (!coupon) {
+      return amount;
+    }
+    // Stripe rounds the discount, not the discounted total
+    if (coupon.percent_off) {
+      return Math.max(0, amount - Math.round(amount * coupon.percent_off / 100));
+    }
+    return Math.max(0, amount - (coupon.amount_off || 0));
+  };
+
+  // `once` coupons cover the first invoice, `repeating` ones the first N months
+  const couponApplies = (coupon, invoiceNumber, interval) => {
+    if (!coupon) {
+      return false;
+    }
+    if (coupon.duration === 'forever') {
+      return true;
+    }
+    if (coupon.duration === 'repeating') {
+      const monthsPerInvoice = interval.interval === 'year' ? 12 * interval.interval_count : interval.interval_count;
+      return invoiceNumber * monthsPerInvoice < coupon.duration_in_months;
+    }
+    return invoiceNumber === 0;
+  };
+
+  // Creates an invoice for the subscription's current period. Paid invoices draw on
+  // the customer's credit balance first; open ones are left for failPayment/renew.
+  const createInvoice = async (subscription, { billingReason, paid = true, amount = null }) => {
+    const item = subscription.items.data[0];
+    const customer = await store.get(COLLECTIONS.CUSTOMERS, subscription.customer);
+    const invoiceNumber = subscription.sandbox.invoiceCount || 0;
+    const coupon = couponApplies(subscription.sandbox.coupon, invoiceNumber, item.price.recurring) ? subscription.sandbox.coupon : null;
+    const subtotal = amount ?? item.price.unit_amount * item.quantity;
+    const total = discountedAmount(subtotal, coupon);
+    const credit = Math.min(total, Math.max(0, -(customer.balance || 0)));
+    const amountDue = total - credit;
+    const paidNow = paid && amountDue > 0;
+
+    if (credit > 0) {
+      await store.update(COLLECTIONS.CUSTOMERS, customer.id, { balance: customer.balance + credit });
+    }
+    // store.update replaces nested objects other than `secrets`
+    await store.update(COLLECTIONS.SUBSCRIPTIONS, subscription.id, { sandbox: { ...subscription.sandbox, invoiceCount: invoiceNumber + 1 } });
+
+    const id = newId('in', 12);
+    return store.put(COLLECTIONS.INVOICES, id, {
+      object: 'invoice',
+      customer: customer.id,
+      customer_email: customer.email,
+      subscription: subscription.id,
+      subscription_details: { metadata: subscription.metadata },
+      billing_reason: billingReason,
+      status: paid ? 'paid' : 'open',
+      paid,
+      currency: item.price.currency,
+      subtotal,
+      total,
+      starting_balance: customer.balance || 0,
+      ending_balance: (customer.balance || 0) + credit,
+      amount_due: amountDue,
+      amount_paid: paid ? amountDue : 0,
+      amount_remaining: paid ? 0 : amountDue,
+      attempt_count: paid ? 1 : 0,
+      charge: paidNow ? newId('ch', 12) : null,
+      payment_intent: paidNow ? newId('pi', 12) : null,
+      discount: coupon ? { object: 'discount', coupon: present(coupon) } : null,
+      hosted_invoice_url: `${publicUrl()}/invoices/${id}`,
+      period_start: subscription.current_period_start,
+      period_end: subscription.current_period_end,
+      created: now(),
+      livemode: false
+    });
+  };
+
+  const completeCheckout = async (sessionId, { email } = {}) => {
+    const session = await getObject(COLLECTIONS.SESSIONS, 'checkout session', sessionId);
+    if (session.status !== 'open') {
+      throw new FakeStripeError(`Checkout session ${sessionId} is ${session.status}`);
+    }
+    const customerEmail = String(email || session.customer_email || '').trim().toLowerCase();
+    if (!customerEmail) {
+      throw new FakeStripeError('An email address is required to pay', { param: 'email' });
+    }
+
+    const customer = await store.find(COLLECTIONS.CUSTOMERS, (candidate) => candidate.email === customerEmail) ||
+      await store.put(COLLECTIONS.CUSTOMERS, newId('cus', 7), {
+        object: 'customer',
+        email: customerEmail,
+        balance: 0,
+        metadata: {},
+        created: now(),
+        livemode: false
+      });
+
+    const { lineItem, subscriptionData, coupon } = session.sandbox;
+    const trialDays = toInteger(subscriptionData.trial_period_days);
+    const start = now();
+    const trialEnd = trialDays ? start + trialDays * 24 * 60 * 60 : null;
+    const price = {
+      id: newId('price', 12),
+      object: 'price',
+      type: 'recurring',
+      currency: lineItem.currency,
+      unit_amount: lineItem.unitAmount,
+      recurring: lineItem.recurring,
+      product: newId('prod', 7)
+    };
+
+    const subscription = await store.put(COLLECTIONS.SUBSCRIPTIONS, newId('sub', 12), {
+      object: 'subscription',
+      customer: customer.id,
+      status: trialEnd ? 'trialing' : 'active',
+      currency: lineItem.currency,
+      items: {
+        object: 'list',
+        data: [{ id: newId('si', 7), object: 'subscription_item', price, quantity: lineItem.quantity }],
+        has_more: false
+      },
+      metadata: mergeMetadata({}, subscriptionData.metadata),
+      discount: coupon ? { object: 'discount', coupon: present(coupon) } : null,
+      current_period_start: start,
+      current_period_end: trialEnd || addInterval(start, lineItem.recurring),
+      trial_start: trialEnd ? start : null,
+      trial_end: trialEnd,
+      cancel_at_period_end: false,
+      canceled_at: null,
+      ended_at: null,
+      latest_invoice: null,
+      created: start,
+      livemode: false,
+      sandbox: { coupon, invoiceCount: 0 }
+    });
+
+    const invoice = await createInvoice(subscription, { billingReason: 'subscription_create', amount: trialEnd ? 0 : null });
+    const current = await store.update(COLLECTIONS.SUBSCRIPTIONS, subscription.id, { latest_invoice: invoice.id });
+    if (coupon) {
+      await store.update(COLLECTIONS.COUPONS, coupon.id, { times_redeemed: (coupon.times_redeemed || 0) + 1 });
+    }
+
+    const completed = await store.update(COLLECTIONS.SESSIONS, session.id, {
+      status: 'complete',
+      payment_status: invoice.total === 0 ? 'no_payment_required' : 'paid',
+      customer: customer.id,
+      customer_details: { email: customerEmail, name: null },
+      subscription: subscription.id,
+      invoice: invoice.id
+    });
+    logger.info(`🧪 Checkout ${session.id} paid by ${customerEmail} (${subscription.id})`);
+
+    // The order Stripe usually sends them in
+    await emit('customer.subscription.created', current);
+    await emit('invoice.payment_succeeded', invoice);
+    await emit('checkout.session.completed', completed);
+
+    return { session: present(completed), redirectUrl: session.success_url.replace('{CHECKOUT_SESSION_ID}', session.id) };
+  };
+
+  const expireCheckout = async (sessionId) => {
+    const session = await getObject(COLLECTIONS.SESSIONS, 'checkout session', sessionId);
+    if (session.status === 'open') {
+      await store.update(COLLECTIONS.SESSIONS, session.id, { status: 'expired' });
+      await emit('checkout.session.expired', await store.get(COLLECTIONS.SESSIONS, session.id));
+    }
+    return { redirectUrl: session.cancel_url };
+  };
+
+  const changeSubscription = async (subscription, changes) => {
+    const previous = Object.fromEntries(Object.keys(changes).map((key) => [key, subscription[key]]));
+    const updated = await store.update(COLLECTIONS.SUBSCRIPTIONS, subscription.id, changes);
+    await emit('customer.subscription.updated', updated, previous);
+    return updated;
+  };
+
+  // Next billing period: pays the open invoice if a payment failed, otherwise bills
+  // the new period. Trials convert to active.
+  const renewSubscription = async (subscriptionId) => {
+    const subscription = await getObject(COLLECTIONS.SUBSCRIPTIONS, 'subscription', subscriptionId);
+    if (subscription.status === 'canceled') {
+      throw new FakeStripeError(`Subscription ${subscriptionId} is canceled`);
+    }
+
+    const open = await store.find(COLLECTIONS.INVOICES, (invoice) => invoice.subscription === subscription.id && invoice.status === 'open');
+    let invoice;
+    if (open) {
+      invoice = await store.update(COLLECTIONS.INVOICES, open.id, {
+        status: 'paid',
+        paid: true,
+        amount_paid: open.amount_due,
+        amount_remaining: 0,
+        attempt_count: open.attempt_count + 1,
+        charge: newId('ch', 12),
+        payment_intent: newId('pi', 12)
+      });
+    } else {
+      const start = subscription.current_period_end;
+      const advanced = await store.update(COLLECTIONS.SUBSCRIPTIONS, subscription.id, {
+        current_period_start: start,
+        current_period_end: addInterval(start, subscription.items.data[0].price.recurring)
+      });
+      invoice = await createInvoice(advanced, { billingReason: 'subscription_cycle' });
+    }
+
+    await changeSubscription(await store.get(COLLECTIONS.SUBSCRIPTIONS, subscription.id), { status: 'active', latest_invoice: invoice.id });
+    await emit('invoice.payment_succeeded', invoice);
+    return present(invoice);
+  };
+
+  // Another failed attempt on the period's invoice; the subscription goes past_due
+  const failPayment = async (subscriptionId) => {
+    const subscription = await getObject(COLLECTIONS.SUBSCRIPTIONS, 'subscription', subscriptionId);
+    if (subscription.status === 'canceled') {
+      throw new FakeStripeError(`Subscription ${subscriptionId} is canceled`);
+    }
+
+    let open = await store.find(COLLECTIONS.INVOICES, (invoice) => invoice.subscription === subscription.id && invoice.status === 'open');
+    if (!open) {
+      const start = subscription.current_period_end;
+      const advanced = await store.update(COLLECTIONS.SUBSCRIPTIONS, subscription.id, {
+        current_period_start: start,
+        current_period_end: addInterval(start, subscription.items.data[0].price.recurring)
+      });
+      open = await createInvoice(advanced, { billingReason: 'subscription_cycle', paid: false });
+    }
+    const invoice = await store.update(COLLECTIONS.INVOICES, open.id, {
+      attempt_count: open.attempt_count + 1,
+      next_payment_attempt: now() + 3 * 24 * 60 * 60
+    });
+
+    const current = await store.get(COLLECTIONS.SUBSCRIPTIONS, subscription.id);
+    if (current.status !== 'past_due' || current.latest_invoice !== invoice.id) {
+      await changeSubscription(current, { status: 'past_due', latest_invoice: invoice.id });
+    }
+    await emit('invoice.payment_failed', invoice);
+    logger.info(`🧪 Payment attempt ${invoice.attempt_count} failed for ${subscription.id}`);
+    return present(invoice);
+  };
+
+  const cancelSubscription = async (subscriptionId) => {
+    const subscription = await getObject(COLLECTIONS.SUBSCRIPTIONS, 'subscription', subscriptionId);
+    if (subscription.status === 'canceled') {
+      throw new FakeStripeError(`This subscription has already been canceled: ${subscriptionId}`);
+    }
+    const canceled = await store.update(COLLECTIONS.SUBSCRIPTIONS, subscription.id, {
+      status: 'canceled',
+      canceled_at: now(),
+      ended_at: now()
+    });
+    await emit('customer.subscription.deleted', canceled);
+    logger.info(`🧪 Subscription ${subscription.id} canceled`);
+    return present(canceled);
+  };
+
+  // REST API
+
+  const api = express.Router();
+
+  api.use((req, res, next) => {
+    res.set('Request-Id', newId('req', 7));
+    // The SDK sends a bearer token; `curl -u sk_test_sandbox:` sends basic auth
+    const [scheme, credentials = ''] = (req.headers.authorization || '').split(' ');
+    const key = scheme === 'Basic' ? Buffer.from(credentials, 'base64').toString().split(':')[0] : credentials;
+    if (key !== secretKey) {
+      return next(new FakeStripeError(`Invalid API Key provided: ${key ? `${key.slice(0, 8)}...` : 'none'}`, {
+        status: 401,
+        type: 'invalid_request_error'
+      }));
+    }
+    next();
+  });
+  api.use(express.urlencoded({ extended: true }));
+
+  // Retried POSTs with the same Idempotency-Key get the first answer back
+  api.use((req, res, next) => {
+    const key = req.headers['idempotency-key'];
+    if (req.method !== 'POST' || !key) {
+      return next();
+    }
+    const cacheKey = `${req.path}:${key}`;
+    if (idempotentResponses.has(cacheKey)) {
+      const cached = idempotentResponses.get(cacheKey);
+      return res.status(cached.status).set('Idempotent-Replayed', 'true').json(cached.body);
+    }
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      idempotentResponses.set(cacheKey, { status: res.statusCode, body });
+      return json(body);
+    };
+    next();
+  });
+
+  api.post('/checkout/sessions', route(async (req, res) => {
+    const body = req.body;
+    if (body.mode !== 'subscription') {
+      throw new FakeStripeError('The sandbox only supports subscription checkouts', { param: 'mode' });
+    }
+    const [item] = asArray(body.line_items);
+    const priceData = item?.price_data;
+    if (!priceData?.unit_amount || !priceData.recurring?.interval) {
+      throw new FakeStripeError('line_items[0][price_data] needs a unit_amount and a recurring interval', { param: 'line_items' });
+    }
+
+    const [discount] = asArray(body.discounts);
+    let coupon = null;
+    if (discount?.coupon) {
+      coupon = await getObject(COLLECTIONS.COUPONS, 'coupon', discount.coupon, 'discounts[0][coupon]');
+      if (!coupon.valid) {
+        throw new FakeStripeError(`Coupon ${coupon.id} is no longer valid`, { param: 'discounts[0][coupon]' });
+      }
+    }
+
+    const lineItem = {
+      name: priceData.product_data?.name || 'Subscription',
+      description: priceData.product_data?.description || null,
+      currency: priceData.currency,
+      unitAmount: toInteger(priceData.unit_amount),
+      quantity: toInteger(item.quantity) || 1,
+      recurring: { interval: priceData.recurring.interval, interval_count: toInteger(priceData.recurring.interval_count) || 1 }
+    };
+    const subscriptionData = body.subscription_data || {};
+    const subtotal = lineItem.unitAmount * lineItem.quantity;
+    const total = subscriptionData.trial_period_days ? 0 : discountedAmount(subtotal, coupon);
+
+    const id = newId('cs_test', 24);
+    const session = await store.put(COLLECTIONS.SESSIONS, id, {
+      object: 'checkout.session',
+      mode: 'subscription',
+      status: 'open',
+      payment_status: 'unpaid',
+      url: `${publicUrl()}/checkout/${id}`,
+      success_url: body.success_url,
+      cancel_url: body.cancel_url,
+      customer: body.customer || null,
+      customer_email: body.customer_email || null,
+      customer_details: null,
+      subscription: null,
+      invoice: null,
+      currency: lineItem.currency,
+      amount_subtotal: subtotal,
+      amount_total: total,
+      total_details: { amount_discount: subscriptionData.trial_period_days ? 0 : subtotal - total, amount_tax: 0 },
+      metadata: mergeMetadata({}, body.metadata),
+      expires_at: now() + SESSION_TTL_SECONDS,
+      created: now(),
+      livemode: false,
+      sandbox: { lineItem, subscriptionData, coupon: coupon && present(coupon) }
+    });
+    logger.info(`🧪 Checkout session ${id} created - pay at ${session.url}`);
+    res.json(present(session));
+  }));
+
+  api.get('/checkout/sessions', route(async (req, res) => {
+    const { subscription, customer } = req.query;
+    const sessions = await store.list(COLLECTIONS.SESSIONS, (session) =>
+      (!subscription || session.subscription === subscription) && (!customer || session.customer === customer));
+    res.json(await listOf(req, sessions, '/v1/checkout/sessions'));
+  }));
+
+  api.get('/checkout/sessions/:id', route(async (req, res) => {
+    const session = await getObject(COLLECTIONS.SESSIONS, 'checkout.session', req.params.id);
+    res.json(await expand(session, req.query.expand));
+  }));
+
+  api.post('/checkout/sessions/:id', route(async (req, res) => {
+    const session = await getObject(COLLECTIONS.SESSIONS, 'checkout.session', req.params.id);
+    const updated = await store.update(COLLECTIONS.SESSIONS, session.id, {
+      metadata: mergeMetadata(session.metadata, req.body.metadata)
+    });
+    res.json(present(updated));
+  }));
+
+  api.get('/balance', (req, res) => {
+    res.json({ object: 'balance', livemode: false, available: [{ amount: 0, currency: 'usd' }], pending: [{ amount: 0, currency: 'usd' }] });
+  });
+
+  api.post('/coupons', route(async (req, res) => {
+    const body = req.body;
+    if (!body.percent_off && !body.amount_off) {
+      throw new FakeStripeError('Coupons need either percent_off or amount_off', { param: 'percent_off' });
+    }
+    const id = body.id || crypto.randomBytes(4).toString('hex');
+    if (await store.get(COLLECTIONS.COUPONS, id)) {
+      throw new FakeStripeError(`Coupon already exists: ${id}`, { code: 'resource_already_exists', param: 'id' });
+    }
+    const coupon = await store.put(COLLECTIONS.COUPONS, id, {
+      object: 'coupon',
+      name: body.name || null,
+      duration: body.duration || 'once',
+      duration_in_months: toInteger(body.duration_in_months),
+      percent_off: body.percent_off ? Number(body.percent_off) : null,
+      amount_off: toInteger(body.amount_off),
+      currency: body.currency || null,
+      redeem_by: toInteger(body.redeem_by),
+      max_redemptions: toInteger(body.max_redemptions),
+      times_redeemed: 0,
+      valid: true,
+      metadata: mergeMetadata({}, body.metadata),
+      created: now(),
+      livemode: false
+    });
+    res.json(present(coupon));
+  }));
+
+  api.get('/coupons/:id', route(async (req, res) => {
+    res.json(present(await getObject(COLLECTIONS.COUPONS, 'coupon', req.params.id)));
+  }));
+
+  // Subscriptions that already use the coupon keep their copy of it
+  api.delete('/coupons/:id', route(async (req, res) => {
+    const coupon = await getObject(COLLECTIONS.COUPONS, 'coupon', req.params.id);
+    await store.remove(COLLECTIONS.COUPONS, coupon.id);
+    res.json({ id: coupon.id, object: 'coupon', deleted: true });
+  }));
+
+  api.get('/customers/:id', route(async (req, res) => {
+    res.json(present(await getObject(COLLECTIONS.CUSTOMERS, 'customer', req.params.id)));
+  }));
+
+  api.post('/customers/:id/balance_transactions', route(async (req, res) => {
+    const customer = await getObject(COLLECTIONS.CUSTOMERS, 'customer', req.params.id);
+    const amount = toInteger(req.body.amount);
+    if (!Number.isInteger(amount) || amount === 0) {
+      throw new FakeStripeError('amount must be a non-zero integer', { param: 'amount' });
+    }
+    const balance = (customer.balance || 0) + amount;
+    await store.update(COLLECTIONS.CUSTOMERS, customer.id, { balance });
+    const transaction = await store.put(COLLECTIONS.BALANCE_TRANSACTIONS, newId('cbtxn', 12), {
+      object: 'customer_balance_transaction',
+      type: 'adjustment',
+      customer: customer.id,
+      amount,
+      currency: req.body.currency,
+      description: req.body.description || null,
+      ending_balance: balance,
+      metadata: mergeMetadata({}, req.body.metadata),
+      created: now(),
+      livemode: false
+    });
+    res.json(present(transaction));
+  }));
+
+  api.get('/invoices', route(async (req, res) => {
+    const { subscription, customer, status } = req.query;
+    const invoices = await store.list(COLLECTIONS.INVOICES, (invoice) =>
+      (!subscription || invoice.subscription === subscription) &&
+      (!customer || invoice.customer === customer) &&
+      (!status || invoice.status === status));
+    res.json(await listOf(req, invoices, '/v1/invoices'));
+  }));
+
+  api.post('/refunds', route(async (req, res) => {
+    const { payment_intent: paymentIntent, charge } = req.body;
+    const invoice = await store.find(COLLECTIONS.INVOICES, (candidate) =>
+      (paymentIntent && candidate.payment_intent === paymentIntent) || (charge && candidate.charge === charge));
+    if (!invoice) {
+      throw paymentIntent ? missing('payment_intent', paymentIntent, 'payment_intent') : missing('charge', charge, 'charge');
+    }
+    const refunded = (await store.list(COLLECTIONS.REFUNDS, (refund) => refund.charge === invoice.charge))
+      .reduce((sum, refund) => sum + refund.amount, 0);
+    const amount = toInteger(req.body.amount) ?? invoice.amount_paid - refunded;
+    if (amount <= 0 || refunded + amount > invoice.amount_paid) {
+      throw new FakeStripeError(`Charge ${invoice.charge} has already been refunded.`, { code: 'charge_already_refunded' });
+    }
+    const refund = await store.put(COLLECTIONS.REFUNDS, newId('re', 12), {
+      object: 'refund',
+      amount,
+      currency: invoice.currency,
+      charge: invoice.charge,
+      payment_intent: invoice.payment_intent,
+      reason: req.body.reason || null,
+      status: 'succeeded',
+      metadata: mergeMetadata({}, req.body.metadata),
+      created: now()
+    });
+    logger.info(`🧪 Refunded ${formatAmount(amount, invoice.currency)} of ${invoice.id}`);
+    res.json(present(refund));
+  }));
+
+  api.get('/subscriptions', route(async (req, res) => {
+    const { status = 'active', customer } = req.query;
+    const subscriptions = await store.list(COLLECTIONS.SUBSCRIPTIONS, (subscription) =>
+      (status === 'all' ? true : subscription.status === status) && (!customer || subscription.customer === customer));
+    res.json(await listOf(req, subscriptions, '/v1/subscriptions', (subscription) => expand(subscription, req.query.expand, 'data.')));
+  }));
+
+  api.get('/subscriptions/:id', route(async (req, res) => {
+    const subscription = await getObject(COLLECTIONS.SUBSCRIPTIONS, 'subscription', req.params.id);
+    res.json(await expand(subscription, req.query.expand));
+  }));
+
+  // Price changes replace the item's price; prorations are not simulated
+  api.post('/subscriptions/:id', route(async (req, res) => {
+    const subscription = await getObject(COLLECTIONS.SUBSCRIPTIONS, 'subscription', req.params.id);
+    if (subscription.status === 'canceled') {
+      throw new FakeStripeError('A canceled subscription can only update its cancellation_details and metadata.');
+    }
+    const changes = {};
+    const [itemChange] = asArray(req.body.items);
+    if (itemChange) {
+      const item = subscription.items.data[0];
+      if (itemChange.id && itemChange.id !== item.id) {
+        throw missing('subscription item', itemChange.id, 'items[0][id]');
+      }
+      const priceData = itemChange.price_data;
+      const price = priceData
+        ? {
+          id: newId('price', 12),
+          object: 'price',
+          type: 'recurring',
+          currency: priceData.currency,
+          unit_amount: toInteger(priceData.unit_amount),
+          recurring: { interval: priceData.recurring.interval, interval_count: toInteger(priceData.recurring.interval_count) || 1 },
+          product: priceData.product
+        }
+        : itemChange.price
+          ? (await store.list(COLLECTIONS.SUBSCRIPTIONS))
+            .flatMap((candidate) => candidate.items.data.map((entry) => entry.price))
+            .find((candidate) => candidate.id === itemChange.price)
+          : item.price;
+      if (!price) {
+        throw missing('price', itemChange.price, 'items[0][price]');
+      }
+      changes.items = { ...subscription.items, data: [{ ...item, price, quantity: toInteger(itemChange.quantity) || item.quantity }] };
+    }
+    if (req.body.metadata) {
+      changes.metadata = mergeMetadata(subscription.metadata, req.body.metadata);
+    }
+    if (req.body.cancel_at_period_end !== undefined) {
+      changes.cancel_at_period_end = req.body.cancel_at_period_end === 'true';
+    }
+    const updated = Object.keys(changes).length > 0 ? await changeSubscription(subscription, changes) : subscription;
+    res.json(present(updated));
+  }));
+
+  api.delete('/subscriptions/:id', route(async (req, res) => {
+    res.json(await cancelSubscription(req.params.id));
+  }));
+
+  api.use((req, res, next) => next(new FakeStripeError(`Unrecognized request URL (${req.method}: /v1${req.path}). The sandbox does not simulate this endpoint.`, { status: 404 })));
+
+  api.use((error, req, res, next) => {
+    if (!(error instanceof FakeStripeError)) {
+      logger.error('❌ Sandbox Stripe error', { error: error.message });
+      return res.status(500).json({ error: { type: 'api_error', message: error.message } });
+    }
+    res.status(error.status).json({
+      error: { type: error.type, message: error.message, ...(error.code && { code: error.code }), ...(error.param && { param: error.param }) }
+    });
+  });
+
+  // Hosted checkout page
+
+  const renderCheckout = (session, message = null) => {
+    const { lineItem, subscriptionData, coupon } = session.sandbox;
+    const trialDays = toInteger(subscriptionData.trial_period_days);
+    const every = `${lineItem.recurring.interval_count > 1 ? `${lineItem.recurring.interval_count} ` : ''}${lineItem.recurring.interval}${lineItem.recurring.interval_count > 1 ? 's' : ''}`;
+    return `<!doctype html>
+<html>
+<head><meta charset="utf-8"><title>Sandbox checkout</title></head>
+<body style="font-family: sans-serif; max-width: 32rem; margin: 3rem auto">
+  <p><strong>GooseHosting sandbox</strong> - no real payment is taken</p>
+  <h1>${escapeHtml(lineItem.name)}</h1>
+  <p>${escapeHtml(lineItem.description || '')}</p>
+  <p>${formatAmount(lineItem.unitAmount * lineItem.quantity, lineItem.currency)} every ${escapeHtml(every)}</p>
+  ${coupon ? `<p>Coupon ${escapeHtml(coupon.name || coupon.id)}: ${coupon.percent_off ? `${coupon.percent_off}% off` : `${formatAmount(coupon.amount_off, coupon.currency || lineItem.currency)} off`}</p>` : ''}
+  ${trialDays ? `<p>${trialDays}-day free trial</p>` : ''}
+  <p>Due today: <strong>${formatAmount(session.amount_total, session.currency)}</strong></p>
+  ${message ? `<p style="color: #b00020">${escapeHtml(message)}</p>` : ''}
+  ${session.status === 'open' ? `
+  <form method="post" action="/checkout/${escapeHtml(session.id)}/pay">
+    <label>Email <input type="email" name="email" value="${escapeHtml(session.customer_email || '')}" required></label>
+    <button type="submit">Pay</button>
+    <button type="submit" formaction="/checkout/${escapeHtml(session.id)}/decline" formnovalidate>Decline card</button>
+    <button type="submit" formaction="/checkout/${escapeHtml(session.id)}/cancel" formnovalidate>Cancel</button>
+  </form>` : `<p>This checkout is ${escapeHtml(session.status)}.</p>`}
+</body>
+</html>`;
+  };
+
+  const checkout = express.Router();
+  checkout.use(express.urlencoded({ extended: false }));
+
+  const sessionOr404 = async (req, res) => {
+    const session = await store.get(COLLECTIONS.SESSIONS, req.params.id);
+    if (!session) {
+      res.status(404).type('text').send('Unknown checkout session');
+    }
+    return session;
+  };
+
+  checkout.get('/:id', route(async (req, res) => {
+    const session = await sessionOr404(req, res);
+    if (session) {
+      res.type('html').send(renderCheckout(session));
+    }
+  }));
+
+  checkout.post('/:id/pay', route(async (req, res) => {
+    const session = await sessionOr404(req, res);
+    if (!session) {
+      return;
+    }
+    try {
+      const { redirectUrl } = await completeCheckout(session.id, { email: req.body.email });
+      res.redirect(303, redirectUrl);
+    } catch (error) {
+      if (!(error instanceof FakeStripeError)) {
+        throw error;
+      }
+      res.status(error.status).type('html').send(renderCheckout(await store.get(COLLECTIONS.SESSIONS, session.id), error.message));
+    }
+  }));
+
+  // Nothing is recorded for a declined card; Stripe sends no webhook either
+  checkout.post('/:id/decline', route(async (req, res) => {
+    const session = await sessionOr404(req, res);
+    if (session) {
+      res.status(402).type('html').send(renderCheckout(session, 'Your card was declined. (Sandbox: no charge was attempted.)'));
+    }
+  }));
+
+  checkout.post('/:id/cancel', route(async (req, res) => {
+    const session = await sessionOr404(req, res);
+    if (session) {
+      res.redirect(303, (await expireCheckout(session.id)).redirectUrl);
+    }
+  }));
+
+  const router = express.Router();
+  router.use('/v1', api);
+  router.use('/checkout', checkout);
+
+  const summary = async () => {
+    const [sessions, subscriptions, events] = await Promise.all(
+      [COLLECTIONS.SESSIONS, COLLECTIONS.SUBSCRIPTIONS, COLLECTIONS.EVENTS].map((collection) => store.list(collection))
+    );
+    return {
+      checkoutSessions: sessions.length,
+      openCheckouts: sessions.filter((session) => session.status === 'open').map((session) => session.url),
+      subscriptions: subscriptions.sort(newestFirst).map((subscription) => ({
+        id: subscription.id,
+        customer: subscription.customer,
+        status: subscription.status,
+        currentPeriodEnd: new Date(subscription.current_period_end * 1000).toISOString()
+      })),
+      events: events.length,
+      failedDeliveries: events.filter((event) => event.sandbox.status === 'failed').length
+    };
+  };
+
+  const reset = async () => {
+    await settled();
+    for (const collection of Object.values(COLLECTIONS)) {
+      for (const record of await store.list(collection)) {
+        await store.remove(collection, record.id);
+      }
+    }
+    idempotentResponses.clear();
+  };
+
+  return {
+    router,
+    completeCheckout,
+    expireCheckout,
+    renewSubscription,
+    failPayment,
+    cancelSubscription,
+    listEvents,
+    resendEvent,
+    settled,
+    summary,
+    reset
+  };
+};
+
+module.exports = { createFakeStripe, FakeStripeError, signPayload };
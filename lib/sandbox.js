@@ -0,0 +1,161 @@
+// lib/sandbox.js - SANDBOX mode: fake Pterodactyl and Stripe on a second local port, plus scenario controls
+const express = require('express');
+const { createStore } = require('./store');
+const { createFakePterodactyl } = require('./sandbox-pterodactyl');
+const { createFakeStripe, FakeStripeError } = require('./sandbox-stripe');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('sandbox');
+
+// The fakes' own records are not customer data; a fixed key keeps the store quiet
+const STATE_ENCRYPTION_KEY = 'goose-sandbox-state';
+
+// Everything the service would otherwise need a real panel and Stripe account for,
+// served from 127.0.0.1:`port`:
+//   /api/application, /api/client   the panel (PTERODACTYL_API_URL points here)
+//   /daemon                         signed upload/backup download URLs
+//   /v1                             Stripe's REST API (the SDK's host points here)
+//   /checkout/:id                   hosted checkout page - Pay, Decline card, Cancel
+//   /sandbox                        scenario controls, see the routes below
+// State lives in its own store (`statePath` for the file driver) so it survives a
+// restart alongside the service's orders. `webhookUrl()` is read on every delivery.
+const createSandbox = ({
+  port,
+  statePath,
+  stateDriver = 'file',
+  installMs,
+  webhookUrl,
+  pterodactylKeys,
+  stripeKeys
+}) => {
+  const store = createStore({ driver: stateDriver, filePath: statePath, encryptionKey: STATE_ENCRYPTION_KEY });
+  let server = null;
+
+  const url = () => `http://127.0.0.1:${server?.address()?.port || port}`;
+
+  const pterodactyl = createFakePterodactyl({
+    store,
+    applicationKey: pterodactylKeys.application,
+    clientKey: pterodactylKeys.client,
+    publicUrl: url,
+    installMs
+  });
+  const stripe = createFakeStripe({
+    store,
+    secretKey: stripeKeys.secretKey,
+    webhookSecret: stripeKeys.webhookSecret,
+    publicUrl: url,
+    webhookUrl
+  });
+
+  const app = express();
+  app.use(pterodactyl.router);
+  app.use(stripe.router);
+
+  const control = express.Router();
+  control.use(express.json());
+
+  const handle = (action) => async (req, res) => {
+    try {
+      res.json({ success: true, ...await action(req) });
+    } catch (error) {
+      const statusCode = error instanceof FakeStripeError ? error.status : 500;
+      res.status(statusCode).json({ success: false, error: error.message });
+    }
+  };
+
+  control.get('/', handle(async () => ({
+    urls: {
+      pterodactyl: `${url()}/api/application`,
+      stripe: `${url()}/v1`,
+      checkout: `${url()}/checkout/:sessionId`
+    },
+    pterodactyl: await pterodactyl.summary(),
+    stripe: await stripe.summary()
+  })));
+
+  control.post('/reset', handle(async () => {
+    await reset();
+    return {};
+  }));
+
+  // { outage, outageStatus, latencyMs, installFails }
+  control.put('/pterodactyl/faults', handle(async (req) => ({ faults: pterodactyl.setFaults(req.body || {}) })));
+  // No free ports anywhere: placement fails the next order
+  control.post('/pterodactyl/allocations/fill', handle(() => pterodactyl.fillAllocations()));
+  control.post('/pterodactyl/allocations/release', handle(() => pterodactyl.releaseAllocations()));
+
+  // What the checkout page's buttons do, for scripts and tests
+  control.post('/checkout/:sessionId/pay', handle(async (req) => stripe.completeCheckout(req.params.sessionId, { email: req.body?.email })));
+  control.post('/checkout/:sessionId/cancel', handle((req) => stripe.expireCheckout(req.params.sessionId)));
+
+  control.post('/stripe/subscriptions/:subscriptionId/renew', handle(async (req) => ({
+    invoice: await stripe.renewSubscription(req.params.subscriptionId)
+  })));
+  control.post('/stripe/subscriptions/:subscriptionId/fail-payment', handle(async (req) => ({
+    invoice: await stripe.failPayment(req.params.subscriptionId)
+  })));
+  control.post('/stripe/subscriptions/:subscriptionId/cancel', handle(async (req) => ({
+    subscription: await stripe.cancelSubscription(req.params.subscriptionId)
+  })));
+
+  control.get('/stripe/events', handle(async (req) => ({
+    events: await stripe.listEvents({ type: req.query.type, limit: Math.min(parseInt(req.query.limit) || 50, 500) })
+  })));
+  control.post('/stripe/events/:eventId/resend', handle(async (req) => ({ event: await stripe.resendEvent(req.params.eventId) })));
+
+  app.use('/sandbox', control);
+
+  // Wipes both fakes back to the seeded panel; the service's own store is untouched
+  const reset = async () => {
+    await stripe.reset();
+    await pterodactyl.reset();
+    logger.info('🧪 Sandbox state reset');
+  };
+
+  const start = () => new Promise((resolve, reject) => {
+    pterodactyl.seed().then(() => {
+      server = app.listen(port, '127.0.0.1', () => {
+        logger.info(`🧪 Sandbox panel and Stripe listening on ${url()}`);
+        resolve(url());
+      });
+      server.once('error', reject);
+    }, reject);
+  });
+
+  const stop = () => new Promise((resolve) => {
+    if (!server) {
+      return resolve();
+    }
+    server.close(() => resolve());
+  });
+
+  return {
+    app,
+    url,
+    start,
+    stop,
+    reset,
+    // Scenario helpers for tests that drive the sandbox in-process
+    pterodactyl: {
+      setFaults: pterodactyl.setFaults,
+      fillAllocations: pterodactyl.fillAllocations,
+      releaseAllocations: pterodactyl.releaseAllocations,
+      summary: pterodactyl.summary
+    },
+    stripe: {
+      completeCheckout: stripe.completeCheckout,
+      expireCheckout: stripe.expireCheckout,
+      renewSubscription: stripe.renewSubscription,
+      failPayment: stripe.failPayment,
+      cancelSubscription: stripe.cancelSubscription,
+      listEvents: stripe.listEvents,
+      resendEvent: stripe.resendEvent,
+      // Resolves once every webhook raised so far has been delivered
+      settled: stripe.settled,
+      summary: stripe.summary
+    }
+  };
+};
+
+module.exports = { createSandbox };
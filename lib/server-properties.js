@@ -0,0 +1,267 @@
+// lib/server-properties.js - Read, validate and write Minecraft server.properties through the panel file API
+const { createLogger } = require('./logger');
+
+const logger = createLogger('server-properties');
+
+const PROPERTIES_FILE = '/server.properties';
+const INSTALL_POLL_INTERVAL_MS = 15 * 1000;
+const INSTALL_TIMEOUT_MS = 20 * 60 * 1000;
+
+class PropertiesError extends Error {
+  constructor(message, statusCode = 400, fields = []) {
+    super(message);
+    this.name = 'PropertiesError';
+    this.statusCode = statusCode;
+    this.fields = fields;
+  }
+}
+
+// Keys customers may change. Ports, IPs, RCON and query settings are managed by
+// the panel and deliberately left out.
+const PROPERTY_SCHEMA = {
+  'motd': { type: 'string', maxLength: 150 },
+  'max-players': { type: 'integer', min: 1, max: 1000 },
+  'view-distance': { type: 'integer', min: 2, max: 32 },
+  'simulation-distance': { type: 'integer', min: 2, max: 32 },
+  'pvp': { type: 'boolean' },
+  'white-list': { type: 'boolean' },
+  'enforce-whitelist': { type: 'boolean' },
+  'difficulty': { type: 'enum', values: ['peaceful', 'easy', 'normal', 'hard'] },
+  'gamemode': { type: 'enum', values: ['survival', 'creative', 'adventure', 'spectator'] },
+  'force-gamemode': { type: 'boolean' },
+  'hardcore': { type: 'boolean' },
+  'online-mode': { type: 'boolean' },
+  'allow-flight': { type: 'boolean' },
+  'allow-nether': { type: 'boolean' },
+  'spawn-monsters': { type: 'boolean' },
+  'spawn-animals': { type: 'boolean' },
+  'spawn-npcs': { type: 'boolean' },
+  'spawn-protection': { type: 'integer', min: 0, max: 1000 },
+  'generate-structures': { type: 'boolean' },
+  'enable-command-block': { type: 'boolean' },
+  'level-name': { type: 'string', maxLength: 64, pattern: /^[A-Za-z0-9_-]+$/ },
+  'level-seed': { type: 'string', maxLength: 64 },
+  'level-type': { type: 'enum', values: ['minecraft:normal', 'minecraft:flat', 'minecraft:large_biomes', 'minecraft:amplified'] },
+  'max-world-size': { type: 'integer', min: 1, max: 29999984 },
+  'player-idle-timeout': { type: 'integer', min: 0, max: 1440 },
+  'hide-online-players': { type: 'boolean' },
+  'enable-status': { type: 'boolean' }
+};
+
+// Checkout metadata field -> server.properties key
+const CHECKOUT_SETTINGS = {
+  maxPlayers: 'max-players',
+  viewDistance: 'view-distance',
+  whitelist: 'white-list',
+  pvp: 'pvp'
+};
+
+const coerceValue = (key, value) => {
+  const rule = PROPERTY_SCHEMA[key];
+  switch (rule.type) {
+    case 'boolean':
+      if (value === true || value === 'true') return 'true';
+      if (value === false || value === 'false') return 'false';
+      return null;
+    case 'integer': {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < rule.min || number > rule.max) return null;
+      return String(number);
+    }
+    case 'enum':
+      return rule.values.includes(String(value)) ? String(value) : null;
+    case 'string': {
+      const text = String(value);
+      if (text.length > rule.maxLength || /[\r\n]/.test(text)) return null;
+      if (rule.pattern && !rule.pattern.test(text)) return null;
+      return text;
+    }
+    default:
+      return null;
+  }
+};
+
+const describeRule = (rule) => {
+  switch (rule.type) {
+    case 'boolean': return 'must be true or false';
+    case 'integer': return `must be a whole number from ${rule.min} to ${rule.max}`;
+    case 'enum': return `must be one of: ${rule.values.join(', ')}`;
+    default: return `must be a single line of at most ${rule.maxLength} characters`;
+  }
+};
+
+// Returns string values for every change, or throws listing each invalid key
+const validateProperties = (changes) => {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw new PropertiesError('Properties must be an object of key/value pairs');
+  }
+
+  const errors = [];
+  const validated = {};
+
+  for (const [key, value] of Object.entries(changes)) {
+    if (!PROPERTY_SCHEMA[key]) {
+      errors.push({ field: key, message: 'is not an editable property' });
+      continue;
+    }
+    const coerced = coerceValue(key, value);
+    if (coerced === null) {
+      errors.push({ field: key, message: describeRule(PROPERTY_SCHEMA[key]) });
+      continue;
+    }
+    validated[key] = coerced;
+  }
+
+  if (errors.length > 0) {
+    throw new PropertiesError('Invalid server properties', 400, errors);
+  }
+  return validated;
+};
+
+const parseProperties = (content) => {
+  const values = {};
+  for (const line of content.split(/\r?\n/)) {
+    if (!line || line.startsWith('#') || !line.includes('=')) continue;
+    const index = line.indexOf('=');
+    values[line.slice(0, index).trim()] = line.slice(index + 1);
+  }
+  return values;
+};
+
+// Rewrites existing lines in place (keeping comments and order) and appends new keys
+const mergeProperties = (content, changes) => {
+  const remaining = { ...changes };
+  const lines = content ? content.split(/\r?\n/) : [];
+
+  const merged = lines.map((line) => {
+    if (!line || line.startsWith('#') || !line.includes('=')) return line;
+    const key = line.slice(0, line.indexOf('=')).trim();
+    if (key in remaining) {
+      const value = remaining[key];
+      delete remaining[key];
+      return `${key}=${value}`;
+    }
+    return line;
+  });
+
+  while (merged.length > 0 && merged[merged.length - 1] === '') {
+    merged.pop();
+  }
+  for (const [key, value] of Object.entries(remaining)) {
+    merged.push(`${key}=${value}`);
+  }
+  return `${merged.join('\n')}\n`;
+};
+
+// Turn checkout metadata into server.properties values, skipping anything invalid
+const checkoutSettingsToProperties = (metadata = {}) => {
+  const properties = {};
+  for (const [field, key] of Object.entries(CHECKOUT_SETTINGS)) {
+    if (metadata[field] === undefined || metadata[field] === '') continue;
+    const coerced = coerceValue(key, metadata[field]);
+    if (coerced !== null) {
+      properties[key] = coerced;
+    }
+  }
+  return properties;
+};
+
+const createServerSettingsManager = ({
+  store,
+  pterodactylRequest,
+  clientRequest,
+  installPollIntervalMs = INSTALL_POLL_INTERVAL_MS,
+  installTimeoutMs = INSTALL_TIMEOUT_MS
+}) => {
+  const readPropertiesFile = async (serverUuid) => {
+    try {
+      const response = await clientRequest(
+        'GET',
+        `/servers/${serverUuid}/files/contents?file=${encodeURIComponent(PROPERTIES_FILE)}`,
+        null,
+        { responseType: 'text', transformResponse: (data) => data }
+      );
+      return response.data || '';
+    } catch (error) {
+      // Fresh servers have no server.properties until their first start
+      if (error.response?.status === 404) {
+        return '';
+      }
+      throw error;
+    }
+  };
+
+  const writePropertiesFile = (serverUuid, content) => clientRequest(
+    'POST',
+    `/servers/${serverUuid}/files/write?file=${encodeURIComponent(PROPERTIES_FILE)}`,
+    content,
+    { headers: { 'Content-Type': 'text/plain' } }
+  );
+
+  const updateProperties = async (serverUuid, changes) => {
+    const merged = mergeProperties(await readPropertiesFile(serverUuid), changes);
+    await writePropertiesFile(serverUuid, merged);
+    return parseProperties(merged);
+  };
+
+  // Only the keys in the schema are returned to customers
+  const getEditableProperties = async (serverUuid) => {
+    const values = parseProperties(await readPropertiesFile(serverUuid));
+    return Object.fromEntries(Object.keys(PROPERTY_SCHEMA)
+      .filter((key) => key in values)
+      .map((key) => [key, values[key]]));
+  };
+
+  const waitForInstall = async (serverId) => {
+    const deadline = Date.now() + installTimeoutMs;
+    while (Date.now() < deadline) {
+      const response = await pterodactylRequest('GET', `/servers/${serverId}`);
+      const server = response.data.attributes;
+      if (server.status === 'install_failed') {
+        throw new Error('Server install failed on the panel');
+      }
+      if (server.container?.installed && server.status !== 'installing') {
+        return;
+      }
+      await new Promise((resolve) => setTimeout(resolve, installPollIntervalMs));
+    }
+    throw new Error('Timed out waiting for the server install to finish');
+  };
+
+  // Post-install step: wait for the egg install, then write the checkout settings
+  const applyCheckoutSettings = async (sessionId) => {
+    const record = await store.get('sessions', sessionId);
+    if (!record?.serverUuid) {
+      throw new Error(`Session ${sessionId} has no server to configure`);
+    }
+
+    const properties = checkoutSettingsToProperties(record.metadata);
+    await store.update('sessions', sessionId, { settingsStatus: 'pending', settingsError: null });
+
+    try {
+      await waitForInstall(record.serverId);
+      await updateProperties(record.serverUuid, properties);
+      await store.update('sessions', sessionId, {
+        settingsStatus: 'applied',
+        settingsAppliedAt: new Date().toISOString()
+      });
+      logger.info(`⚙️ Applied checkout settings to server ${record.serverId}`, { properties });
+    } catch (error) {
+      logger.error(`❌ Failed to apply settings to server ${record.serverId}`, { error: error.message });
+      await store.update('sessions', sessionId, { settingsStatus: 'failed', settingsError: error.message });
+      throw error;
+    }
+  };
+
+  return { applyCheckoutSettings, updateProperties, getEditableProperties, waitForInstall };
+};
+
+module.exports = {
+  createServerSettingsManager,
+  validateProperties,
+  parseProperties,
+  mergeProperties,
+  checkoutSettingsToProperties,
+  PropertiesError,
+  PROPERTY_SCHEMA
+};
@@ -0,0 +1,166 @@
+// lib/server-types.js - Egg, environment and Minecraft version range for each supported server type
+const { isVersionInRange, parseMinecraftVersion } = require('./minecraft-version');
+
+const OPTION_PATTERN = /^[A-Za-z0-9._+-]{1,40}$/;
+
+// Forge/NeoForge installers produce unix_args.txt on modern versions instead of a runnable jar
+const FORGE_LAUNCH_ARGS = '$( [[ ! -f unix_args.txt ]] && printf %s "-jar {{SERVER_JARFILE}}" || printf %s "@unix_args.txt" )';
+
+// `eggEnv` names the environment variable holding the egg ID. `options` are the
+// customer-selectable values the egg needs (defaulting to 'latest'), and
+// `environment` builds the egg variables from the version and those options.
+const SERVER_TYPES = {
+  paper: {
+    name: 'Paper',
+    eggEnv: 'PTERODACTYL_EGG_ID_PAPER',
+    minecraft: { min: '1.8.8' },
+    options: ['buildNumber'],
+    supportsPlugins: true,
+    environment: ({ minecraftVersion, buildNumber }) => ({
+      MINECRAFT_VERSION: minecraftVersion,
+      BUILD_NUMBER: buildNumber,
+      SERVER_JARFILE: 'server.jar'
+    })
+  },
+  purpur: {
+    name: 'Purpur',
+    eggEnv: 'PTERODACTYL_EGG_ID_PURPUR',
+    minecraft: { min: '1.14.1' },
+    options: ['buildNumber'],
+    supportsPlugins: true,
+    environment: ({ minecraftVersion, buildNumber }) => ({
+      MINECRAFT_VERSION: minecraftVersion,
+      BUILD_NUMBER: buildNumber,
+      SERVER_JARFILE: 'server.jar'
+    })
+  },
+  spigot: {
+    name: 'Spigot',
+    eggEnv: 'PTERODACTYL_EGG_ID_SPIGOT',
+    minecraft: { min: '1.8' },
+    options: [],
+    supportsPlugins: true,
+    environment: ({ minecraftVersion }) => ({
+      DL_VERSION: minecraftVersion,
+      SERVER_JARFILE: 'server.jar'
+    })
+  },
+  fabric: {
+    name: 'Fabric',
+    eggEnv: 'PTERODACTYL_EGG_ID_FABRIC',
+    minecraft: { min: '1.14' },
+    options: ['loaderVersion'],
+    supportsPlugins: false,
+    environment: ({ minecraftVersion, loaderVersion }) => ({
+      MC_VERSION: minecraftVersion,
+      FABRIC_VERSION: 'latest',
+      LOADER_VERSION: loaderVersion,
+      SERVER_JARFILE: 'server.jar'
+    })
+  },
+  forge: {
+    name: 'Forge',
+    eggEnv: 'PTERODACTYL_EGG_ID_FORGE',
+    minecraft: { min: '1.7.10' },
+    options: ['loaderVersion'],
+    supportsPlugins: false,
+    launchArgs: FORGE_LAUNCH_ARGS,
+    environment: ({ minecraftVersion, loaderVersion }) => ({
+      MC_VERSION: minecraftVersion,
+      // 'latest'/'recommended' pick a channel; anything else pins FORGE_VERSION
+      BUILD_TYPE: loaderVersion === 'recommended' ? 'recommended' : 'latest',
+      FORGE_VERSION: ['latest', 'recommended'].includes(loaderVersion) ? '' : loaderVersion,
+      SERVER_JARFILE: 'server.jar'
+    })
+  },
+  neoforge: {
+    name: 'NeoForge',
+    eggEnv: 'PTERODACTYL_EGG_ID_NEOFORGE',
+    minecraft: { min: '1.20.2' },
+    options: ['loaderVersion'],
+    supportsPlugins: false,
+    launchArgs: FORGE_LAUNCH_ARGS,
+    environment: ({ minecraftVersion, loaderVersion }) => ({
+      MC_VERSION: minecraftVersion,
+      NEOFORGE_VERSION: loaderVersion,
+      SERVER_JARFILE: 'server.jar'
+    })
+  },
+  vanilla: {
+    name: 'Vanilla',
+    eggEnv: 'PTERODACTYL_EGG_ID_VANILLA',
+    minecraft: { min: '1.2.5' },
+    options: [],
+    supportsPlugins: false,
+    environment: ({ minecraftVersion }) => ({
+      VANILLA_VERSION: minecraftVersion,
+      SERVER_JARFILE: 'server.jar'
+    })
+  }
+};
+
+class ServerTypeError extends Error {
+  constructor(message, field = 'serverType') {
+    super(message);
+    this.name = 'ServerTypeError';
+    this.field = field;
+  }
+}
+
+// `eggIds` maps server type to egg ID, as loaded by lib/config.js
+const getEggId = (serverType, eggIds = {}) => (SERVER_TYPES[serverType] && eggIds[serverType]) || null;
+
+// Check a type/version/options combination. Returns the egg ID, the egg
+// environment and launch args, or throws ServerTypeError.
+const resolveServerType = ({ serverType = 'paper', minecraftVersion, loaderVersion, buildNumber }, eggIds) => {
+  const type = SERVER_TYPES[serverType];
+  if (!type) {
+    throw new ServerTypeError(`Unsupported server type: ${serverType}`);
+  }
+
+  const eggId = getEggId(serverType, eggIds);
+  if (!eggId) {
+    throw new ServerTypeError(`${type.name} servers are not available right now`);
+  }
+
+  if (!parseMinecraftVersion(minecraftVersion)) {
+    throw new ServerTypeError(`${type.name} servers need a release Minecraft version`, 'minecraftVersion');
+  }
+  if (!isVersionInRange(minecraftVersion, type.minecraft)) {
+    const range = type.minecraft.max ? `${type.minecraft.min}-${type.minecraft.max}` : `${type.minecraft.min} or newer`;
+    throw new ServerTypeError(`${type.name} supports Minecraft ${range}`, 'minecraftVersion');
+  }
+
+  const options = { loaderVersion: loaderVersion || 'latest', buildNumber: buildNumber || 'latest' };
+  for (const option of type.options) {
+    if (!OPTION_PATTERN.test(String(options[option]))) {
+      throw new ServerTypeError(`Invalid ${option}`, option);
+    }
+  }
+
+  return {
+    serverType,
+    name: type.name,
+    eggId,
+    launchArgs: type.launchArgs || '-jar {{SERVER_JARFILE}}',
+    supportsPlugins: type.supportsPlugins,
+    options: Object.fromEntries(type.options.map((option) => [option, options[option]])),
+    environment: type.environment({ minecraftVersion, ...options })
+  };
+};
+
+// Launch arguments only, without the egg/version checks (for servers that already exist)
+const getLaunchArgs = (serverType) => SERVER_TYPES[serverType]?.launchArgs || '-jar {{SERVER_JARFILE}}';
+
+// What GET /server-types returns - only types that have an egg configured
+const listServerTypes = (eggIds) => Object.entries(SERVER_TYPES)
+  .filter(([id]) => getEggId(id, eggIds))
+  .map(([id, type]) => ({
+    id,
+    name: type.name,
+    minecraft: type.minecraft,
+    options: type.options,
+    supportsPlugins: type.supportsPlugins
+  }));
+
+module.exports = { resolveServerType, listServerTypes, getEggId, getLaunchArgs, ServerTypeError, SERVER_TYPES };
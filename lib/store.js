@@ -0,0 +1,306 @@
+// lib/store.js - Durable store for checkout sessions, servers and provisioning state
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('store');
+
+const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+const DEV_ENCRYPTION_KEY = 'goose-development-only-key';
+
+// Accepts a 32-byte key as hex or base64; any other string is hashed down to 32 bytes
+const resolveEncryptionKey = (rawKey) => {
+  if (!rawKey) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('STORE_ENCRYPTION_KEY is required in production');
+    }
+    logger.warn('⚠️ STORE_ENCRYPTION_KEY not set - using an insecure development key');
+    rawKey = DEV_ENCRYPTION_KEY;
+  }
+
+  if (/^[0-9a-f]{64}$/i.test(rawKey)) {
+    return Buffer.from(rawKey, 'hex');
+  }
+
+  const decoded = Buffer.from(rawKey, 'base64');
+  if (decoded.length === 32 && decoded.toString('base64') === rawKey) {
+    return decoded;
+  }
+
+  return crypto.createHash('sha256').update(rawKey).digest();
+};
+
+const encryptSecrets = (key, secrets) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, key, iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return ['v1', iv.toString('base64'), tag.toString('base64'), encrypted.toString('base64')].join(':');
+};
+
+const decryptSecrets = (key, payload) => {
+  const [version, iv, tag, data] = payload.split(':');
+  if (version !== 'v1') {
+    throw new Error(`Unsupported secret payload version: ${version}`);
+  }
+
+  const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  const decrypted = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+  return JSON.parse(decrypted.toString('utf8'));
+};
+
+// In-memory driver - nothing survives a restart, useful for tests
+const createMemoryDriver = () => {
+  const collections = new Map();
+  const getCollection = (name) => {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    return collections.get(name);
+  };
+
+  return {
+    read: async (collection, id) => getCollection(collection).get(id) || null,
+    write: async (collection, id, doc) => {
+      getCollection(collection).set(id, doc);
+    },
+    remove: async (collection, id) => getCollection(collection).delete(id),
+    list: async (collection) => Array.from(getCollection(collection).values())
+  };
+};
+
+// JSON file driver - the whole store lives in one file that is rewritten atomically
+// (write to a temp file, then rename) after every change. Several processes can
+// share the file: changes happen under a lock file created with O_EXCL, and the
+// file is read again whenever another process has replaced it.
+const createFileDriver = ({ filePath, lockTimeoutMs = 10000, staleLockMs = 30000 }) => {
+  const resolvedPath = path.resolve(filePath || './data/store.json');
+  const lockPath = `${resolvedPath}.lock`;
+  fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+
+  let data = {};
+  let loadedFrom = null;
+  let holdingLock = false;
+
+  // Every write renames a new file into place, so a changed inode means another
+  // process (or this one) wrote since the last load
+  const load = async () => {
+    let stat;
+    try {
+      stat = await fs.promises.stat(resolvedPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      data = {};
+      loadedFrom = null;
+      return;
+    }
+    if (loadedFrom && stat.ino === loadedFrom.ino && stat.mtimeMs === loadedFrom.mtimeMs) {
+      return;
+    }
+    data = JSON.parse(await fs.promises.readFile(resolvedPath, 'utf8') || '{}');
+    loadedFrom = stat;
+  };
+
+  const persist = async () => {
+    const tempPath = `${resolvedPath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    await fs.promises.rename(tempPath, resolvedPath);
+    loadedFrom = await fs.promises.stat(resolvedPath);
+  };
+
+  const acquireLock = async () => {
+    const deadline = Date.now() + lockTimeoutMs;
+    for (;;) {
+      try {
+        const handle = await fs.promises.open(lockPath, 'wx');
+        await handle.writeFile(String(process.pid));
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      // A process that died mid-write leaves its lock behind; take it over once stale
+      const stat = await fs.promises.stat(lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > staleLockMs) {
+        logger.warn(`⚠️ Removing stale store lock ${lockPath}`);
+        await fs.promises.rm(lockPath, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for the store lock ${lockPath}`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, 5 + Math.random() * 20));
+    }
+  };
+
+  // Runs `fn` holding the lock, against the latest contents of the file
+  const transaction = async (fn) => {
+    if (holdingLock) {
+      return fn();
+    }
+    await acquireLock();
+    holdingLock = true;
+    try {
+      await load();
+      return await fn();
+    } finally {
+      holdingLock = false;
+      await fs.promises.rm(lockPath, { force: true });
+    }
+  };
+
+  return {
+    read: async (collection, id) => {
+      await load();
+      return data[collection]?.[id] || null;
+    },
+    write: (collection, id, doc) => transaction(async () => {
+      data[collection] = data[collection] || {};
+      data[collection][id] = doc;
+      await persist();
+    }),
+    remove: (collection, id) => transaction(async () => {
+      if (!data[collection]?.[id]) {
+        return false;
+      }
+      delete data[collection][id];
+      await persist();
+      return true;
+    }),
+    list: async (collection) => {
+      await load();
+      return Object.values(data[collection] || {});
+    },
+    transaction
+  };
+};
+
+const drivers = {
+  memory: createMemoryDriver,
+  file: createFileDriver
+};
+
+// Lets deployments plug in another backend (Redis, Postgres, ...) with the same four
+// methods. Backends shared between processes also provide `transaction(fn)`, which
+// runs a read-modify-write cycle without another process writing in between.
+const registerDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+// Records are plain objects. Anything under `secrets` is encrypted before it reaches
+// the driver and decrypted again on the way out.
+const createStore = ({ driver = 'file', encryptionKey, ...driverOptions } = {}) => {
+  const factory = drivers[driver];
+  if (!factory) {
+    throw new Error(`Unknown store driver: ${driver}`);
+  }
+
+  const backend = factory(driverOptions);
+  const key = resolveEncryptionKey(encryptionKey);
+
+  // Serialize read-modify-write cycles so concurrent updates do not clobber each other;
+  // the backend's transaction keeps other processes out as well
+  let queue = Promise.resolve();
+  const withLock = (fn) => {
+    const run = queue.then(() => (backend.transaction ? backend.transaction(fn) : fn()));
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const serialize = (record) => {
+    const { secrets, ...rest } = record;
+    if (secrets && Object.keys(secrets).length > 0) {
+      rest.encryptedSecrets = encryptSecrets(key, secrets);
+    }
+    return rest;
+  };
+
+  const deserialize = (doc) => {
+    if (!doc) {
+      return null;
+    }
+    const { encryptedSecrets, ...rest } = doc;
+    if (encryptedSecrets) {
+      rest.secrets = decryptSecrets(key, encryptedSecrets);
+    }
+    return rest;
+  };
+
+  const get = async (collection, id) => deserialize(await backend.read(collection, id));
+
+  const put = (collection, id, record) => withLock(async () => {
+    const now = new Date().toISOString();
+    const doc = { ...record, id, updatedAt: now, createdAt: record.createdAt || now };
+    await backend.write(collection, id, serialize(doc));
+    return doc;
+  });
+
+  // Shallow merge; `secrets` is merged key by key so a partial update keeps the rest
+  const update = (collection, id, patch) => withLock(async () => {
+    const existing = deserialize(await backend.read(collection, id)) || {};
+    const now = new Date().toISOString();
+    const doc = {
+      ...existing,
+      ...patch,
+      id,
+      createdAt: existing.createdAt || now,
+      updatedAt: now
+    };
+    if (existing.secrets || patch.secrets) {
+      doc.secrets = { ...existing.secrets, ...patch.secrets };
+    }
+    await backend.write(collection, id, serialize(doc));
+    return doc;
+  });
+
+  // Atomic insert: writes the record only if nothing is stored under `id`, or if
+  // `canReplace(existing)` says the existing record may be overwritten (e.g. an
+  // expired lock). Returns the stored record, or null if the claim lost.
+  const claim = (collection, id, record, canReplace = () => false) => withLock(async () => {
+    const existing = deserialize(await backend.read(collection, id));
+    if (existing && !canReplace(existing)) {
+      return null;
+    }
+    const now = new Date().toISOString();
+    const doc = { ...record, id, createdAt: now, updatedAt: now };
+    await backend.write(collection, id, serialize(doc));
+    return doc;
+  });
+
+  const remove = (collection, id) => withLock(() => backend.remove(collection, id));
+
+  // Atomic delete: removes the record only if `canRemove(existing)` says so (e.g.
+  // a lock held by the caller). Resolves true when something was removed.
+  const removeIf = (collection, id, canRemove) => withLock(async () => {
+    const existing = deserialize(await backend.read(collection, id));
+    if (!existing || !canRemove(existing)) {
+      return false;
+    }
+    await backend.remove(collection, id);
+    return true;
+  });
+
+  const list = async (collection, predicate = () => true) => {
+    const docs = await backend.list(collection);
+    return docs.map(deserialize).filter(predicate);
+  };
+
+  const find = async (collection, predicate) => (await list(collection, predicate))[0] || null;
+
+  return { driver, get, put, update, claim, remove, removeIf, list, find };
+};
+
+module.exports = {
+  createStore,
+  registerDriver,
+  encryptSecrets,
+  decryptSecrets,
+  resolveEncryptionKey
+};
@@ -0,0 +1,207 @@
+// lib/validation.js - Request schemas for every route, and the 400 response they share
+const { z } = require('zod');
+const { PROPERTY_SCHEMA } = require('./server-properties');
+const { POWER_SIGNALS } = require('./power');
+
+// Every 400 looks the same: `error` for people, `fields` for forms; `field` is the
+// first offending field, kept for clients written before `fields` existed
+const fieldErrorBody = (fields) => ({
+  success: false,
+  error: fields.map(({ field, message }) => `${field} ${message}`).join('; '),
+  field: fields[0].field,
+  fields
+});
+
+// For errors the lib modules raise with a message and a field (PricingError, ServerTypeError, ...)
+const sendFieldError = (res, message, field, statusCode = 400) => res.status(statusCode).json({
+  ...fieldErrorBody([{ field, message }]),
+  error: message
+});
+
+// Zod's defaults ("Expected string, received undefined") rewritten to read after the field name
+const errorMap = (issue, ctx) => {
+  switch (issue.code) {
+  case z.ZodIssueCode.invalid_type:
+    if (issue.received === 'undefined') return { message: 'is required' };
+    return { message: issue.expected === 'nan' || issue.received === 'nan' ? 'must be a number' : `must be a ${issue.expected}` };
+  case z.ZodIssueCode.too_small:
+    if (issue.type === 'string') return { message: issue.minimum === 1 ? 'must not be empty' : `must be at least ${issue.minimum} characters` };
+    if (issue.type === 'array') return { message: `must list at least ${issue.minimum}` };
+    return { message: `must be at least ${issue.minimum}` };
+  case z.ZodIssueCode.too_big:
+    if (issue.type === 'string') return { message: `must be at most ${issue.maximum} characters` };
+    if (issue.type === 'array') return { message: `must list at most ${issue.maximum}` };
+    return { message: `must be at most ${issue.maximum}` };
+  case z.ZodIssueCode.invalid_enum_value:
+    return { message: `must be one of ${issue.options.join(', ')}` };
+  case z.ZodIssueCode.invalid_string:
+    return { message: issue.validation === 'email' ? 'must be an email address' : 'is not valid' };
+  case z.ZodIssueCode.unrecognized_keys:
+    return { message: `has unknown keys: ${issue.keys.join(', ')}` };
+  default:
+    return { message: ctx.defaultError };
+  }
+};
+
+// Express middleware: checks req.body/params/query against the given schemas and
+// replaces them with the parsed (trimmed, coerced, defaulted) values
+const validate = (schemas) => (req, res, next) => {
+  const fields = [];
+  const parsed = {};
+
+  for (const [part, schema] of Object.entries(schemas)) {
+    const result = schema.safeParse(req[part] || {}, { errorMap });
+    if (result.success) {
+      parsed[part] = result.data;
+    } else {
+      fields.push(...result.error.issues.map((issue) => ({ field: issue.path.join('.') || part, message: issue.message })));
+    }
+  }
+
+  if (fields.length > 0) {
+    return res.status(400).json(fieldErrorBody(fields));
+  }
+  Object.assign(req, parsed);
+  next();
+};
+
+// Form posts send everything as strings; blanks count as "not sent"
+const blankToUndefined = (value) => (typeof value === 'string' && value.trim() === '' ? undefined : value);
+
+// Wraps a field schema so blanks are dropped first, then the default (or optional) applies
+const field = (schema, { optional = false, fallback } = {}) => z.preprocess(
+  blankToUndefined,
+  fallback !== undefined ? schema.default(fallback) : optional ? schema.optional() : schema
+);
+
+const text = (max, options) => field(z.string().trim().min(1).max(max), options);
+const integer = ({ min, max, ...options } = {}) => {
+  let schema = z.coerce.number().int('must be a whole number');
+  if (min !== undefined) schema = schema.min(min);
+  if (max !== undefined) schema = schema.max(max);
+  return field(schema, options);
+};
+const amount = (options) => field(z.coerce.number(), options);
+const booleanish = (options) => z.preprocess(
+  (value) => (value === 'true' ? true : value === 'false' ? false : value),
+  field(z.boolean(), options)
+);
+// "a,b,c" or ["a", "b", "c"]
+const list = (options) => field(z.union([z.string(), z.array(z.string())]), options);
+// Page sizes above `max` are clamped rather than rejected
+const limit = (fallback, max) => field(
+  z.coerce.number().int('must be a whole number').min(1).transform((value) => Math.min(value, max)),
+  { fallback }
+);
+const id = (pattern, label) => field(z.string().trim().regex(pattern, `must be ${label}`));
+
+const propertyRange = (key, options) => integer({ min: PROPERTY_SCHEMA[key].min, max: PROPERTY_SCHEMA[key].max, ...options });
+
+const serverId = () => id(/^\d+$/, 'a server ID');
+const sessionId = () => id(/^[A-Za-z0-9_]{1,255}$/, 'a checkout session ID');
+
+const params = {
+  session: z.object({ sessionId: sessionId() }),
+  server: z.object({ serverId: serverId() }),
+  serverPlugin: z.object({ serverId: serverId(), slug: text(100) }),
+  customer: z.object({ email: z.string().trim().email() }),
+  subscription: z.object({ subscriptionId: id(/^sub_[A-Za-z0-9]+$/, 'a Stripe subscription ID') }),
+  promoCode: z.object({ code: text(32) }),
+  report: z.object({ reportId: id(/^rec_\d+$/, 'a reconciliation report ID') })
+};
+
+// Checkout used to take its fields either at the top level or under `serverConfig`
+// (with plan/billing cycle at the top); both shapes are flattened here
+const checkoutBody = z.preprocess(
+  (body) => {
+    if (!body || typeof body !== 'object') return body;
+    const { serverConfig, plan, ...rest } = body;
+    const flattened = { ...rest, ...(serverConfig && typeof serverConfig === 'object' ? serverConfig : {}) };
+    return { ...flattened, planId: body.planId ?? flattened.planId ?? plan ?? flattened.plan };
+  },
+  z.object({
+    serverName: text(191),
+    planId: text(64),
+    billingCycle: text(32, { fallback: 'monthly' }),
+    serverType: text(32, { fallback: 'paper' }),
+    minecraftVersion: text(32, { fallback: '1.21.4' }),
+    totalRam: integer({ min: 1, optional: true }),
+    maxPlayers: propertyRange('max-players', { optional: true }),
+    viewDistance: propertyRange('view-distance', { optional: true }),
+    whitelist: booleanish({ optional: true }),
+    pvp: booleanish({ optional: true }),
+    plugins: list({ optional: true }),
+    addons: list({ optional: true }),
+    location: field(z.union([z.string().trim().min(1).max(64), z.number().int()]), { optional: true }),
+    loaderVersion: text(40, { optional: true }),
+    buildNumber: field(z.union([z.string().trim().min(1).max(40), z.number().int()]).transform(String), { optional: true }),
+    javaVersion: integer({ min: 8, optional: true }),
+    jvmProfile: text(32, { optional: true }),
+    totalCost: amount({ optional: true }),
+    monthlyCost: amount({ optional: true }),
+    promoCode: text(32, { optional: true }),
+    referralCode: text(32, { optional: true })
+  })
+);
+
+const body = {
+  checkout: checkoutBody,
+  changePlan: z.object({
+    planId: text(64, { optional: true }),
+    totalRam: integer({ min: 1 })
+  }),
+  login: z.object({ email: z.string().trim().email() }),
+  verify: z.object({ token: text(512) }),
+  credentialReveal: z.object({ sessionId: sessionId(), token: text(128) }),
+  power: z.object({ signal: z.enum(POWER_SIGNALS) }),
+  command: z.object({ command: z.string().min(1) }),
+  // Either { properties: {...} } or the properties themselves; keys and values
+  // are checked against PROPERTY_SCHEMA by validateProperties()
+  properties: z.preprocess(
+    (value) => (value && typeof value === 'object' && !('properties' in value) ? { properties: value } : value),
+    z.object({ properties: z.record(z.unknown()) })
+  ),
+  runtime: z.object({
+    javaVersion: integer({ min: 8, optional: true }),
+    jvmProfile: text(32, { optional: true })
+  }).refine((value) => value.javaVersion !== undefined || value.jvmProfile !== undefined, {
+    message: 'or jvmProfile is required',
+    path: ['javaVersion']
+  }),
+  plugin: z.object({ slug: text(100) }),
+  adminNote: z.object({ reason: text(500, { optional: true }) }),
+  promoCode: z.object({
+    code: text(32),
+    percentOff: amount({ optional: true }),
+    amountOff: amount({ optional: true }),
+    duration: field(z.enum(['once', 'repeating', 'forever']), { optional: true }),
+    durationInMonths: integer({ min: 1, optional: true }),
+    expiresAt: text(64, { optional: true }),
+    maxRedemptions: integer({ min: 1, optional: true }),
+    plans: field(z.array(z.string().trim().min(1).max(64)).min(1), { optional: true })
+  }),
+  reconciliation: z.object({ autoFix: booleanish({ fallback: false }) })
+};
+
+const query = {
+  quote: z.object({
+    planId: text(64),
+    totalRam: integer({ min: 1, optional: true }),
+    billingCycle: text(32, { fallback: 'monthly' }),
+    addons: list({ optional: true }),
+    promoCode: text(32, { optional: true })
+  }),
+  versions: z.object({ serverType: text(32, { fallback: 'paper' }) }),
+  runtimeOptions: z.object({ minecraftVersion: text(32), serverType: text(32, { fallback: 'paper' }) }),
+  plugins: z.object({ serverType: text(32, { optional: true }), minecraftVersion: text(32, { optional: true }) }),
+  customerSearch: z.object({ email: z.string().trim().default(''), limit: limit(50, 200) }),
+  reports: z.object({ limit: limit(20, 100) }),
+  auditLog: z.object({
+    actor: text(100, { optional: true }),
+    action: text(100, { optional: true }),
+    target: text(255, { optional: true }),
+    limit: limit(100, 1000)
+  })
+};
+
+module.exports = { validate, sendFieldError, fieldErrorBody, schemas: { params, body, query } };
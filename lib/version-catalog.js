@@ -0,0 +1,145 @@
+// lib/version-catalog.js - Which Minecraft versions exist and which of them each server type can install
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { parseMinecraftVersion, compareMinecraftVersions, isVersionInRange } = require('./minecraft-version');
+const { SERVER_TYPES } = require('./server-types');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('version-catalog');
+
+const VERSION_CACHE_MS = 60 * 60 * 1000;
+const FALLBACK_PATH = path.join(__dirname, 'minecraft-versions.json');
+const MOJANG_MANIFEST_URL = 'https://piston-meta.mojang.com/mc/game/version_manifest_v2.json';
+
+class VersionError extends Error {
+  constructor(message, field = 'minecraftVersion') {
+    super(message);
+    this.name = 'VersionError';
+    this.field = field;
+  }
+}
+
+// Build lists published by each project. Types without an entry (Spigot, Vanilla)
+// can install any Mojang release inside their SERVER_TYPES range.
+const BUILD_SOURCES = {
+  paper: {
+    url: 'https://api.papermc.io/v2/projects/paper',
+    parse: (data) => data.versions
+  },
+  purpur: {
+    url: 'https://api.purpurmc.org/v2/purpur',
+    parse: (data) => data.versions
+  },
+  fabric: {
+    url: 'https://meta.fabricmc.net/v2/versions/game',
+    parse: (data) => data.filter((entry) => entry.stable).map((entry) => entry.version)
+  },
+  forge: {
+    url: 'https://files.minecraftforge.net/net/minecraftforge/forge/promotions_slim.json',
+    // Keys look like "1.20.1-latest" / "1.20.1-recommended"
+    parse: (data) => Object.keys(data.promos).map((key) => key.split('-')[0])
+  },
+  neoforge: {
+    url: 'https://maven.neoforged.net/api/maven/versions/releases/net/neoforged/neoforge',
+    // NeoForge "21.1.77" targets Minecraft 1.21.1, "21.0.x" targets 1.21
+    parse: (data) => data.versions.map((version) => {
+      const [major, minor] = version.split('.');
+      return minor === '0' ? `1.${major}` : `1.${major}.${minor}`;
+    })
+  }
+};
+
+const sortNewestFirst = (versions) => [...new Set(versions)]
+  .filter((version) => parseMinecraftVersion(version))
+  .sort((a, b) => compareMinecraftVersions(b, a));
+
+// `source: 'bundled'` never goes to the network (offline installs, tests).
+// Remote lists are cached for `cacheMs`; when a refresh fails the last good
+// list is kept, and the bundled file is used if there never was one.
+const createVersionCatalog = ({
+  source = 'live',
+  fallbackPath = FALLBACK_PATH,
+  manifestUrl = MOJANG_MANIFEST_URL,
+  cacheMs = VERSION_CACHE_MS
+} = {}) => {
+  const fallback = JSON.parse(fs.readFileSync(fallbackPath, 'utf8'));
+  const cache = new Map();
+
+  const cached = async (key, load, fallbackValue) => {
+    const entry = cache.get(key);
+    if (source === 'bundled') {
+      return fallbackValue;
+    }
+    if (entry && Date.now() - entry.loadedAt < cacheMs) {
+      return entry.value;
+    }
+
+    try {
+      const value = await load();
+      cache.set(key, { value, loadedAt: Date.now() });
+      return value;
+    } catch (error) {
+      logger.error(`⚠️ Failed to refresh ${key} versions, using ${entry ? 'cached' : 'bundled'} list`, { error: error.message });
+      return entry ? entry.value : fallbackValue;
+    }
+  };
+
+  const loadManifest = () => cached('minecraft', async () => {
+    const { data } = await axios.get(manifestUrl, { timeout: 15000 });
+    return {
+      latest: data.latest,
+      releases: data.versions.filter((version) => version.type === 'release').map((version) => version.id),
+      snapshots: data.versions.filter((version) => version.type === 'snapshot').map((version) => version.id)
+    };
+  }, fallback.minecraft);
+
+  const loadBuilds = (serverType) => {
+    const buildSource = BUILD_SOURCES[serverType];
+    if (!buildSource) {
+      return Promise.resolve(null);
+    }
+    return cached(serverType, async () => {
+      const { data } = await axios.get(buildSource.url, { timeout: 15000 });
+      return buildSource.parse(data);
+    }, fallback.serverTypes[serverType]);
+  };
+
+  // Release versions this server type can install, newest first
+  const listVersions = async (serverType = 'paper') => {
+    const type = SERVER_TYPES[serverType];
+    if (!type) {
+      throw new VersionError(`Unsupported server type: ${serverType}`, 'serverType');
+    }
+
+    const [manifest, builds] = await Promise.all([loadManifest(), loadBuilds(serverType)]);
+    const releases = new Set(manifest.releases);
+    const versions = sortNewestFirst(builds || manifest.releases)
+      .filter((version) => releases.has(version) && isVersionInRange(version, type.minecraft));
+
+    return {
+      serverType,
+      latest: versions[0] || null,
+      versions,
+      latestSnapshot: manifest.latest?.snapshot || null
+    };
+  };
+
+  // Throws VersionError unless the server type publishes a build for this version
+  const assertSupported = async ({ serverType = 'paper', minecraftVersion }) => {
+    const { versions } = await listVersions(serverType);
+    if (!versions.includes(minecraftVersion)) {
+      throw new VersionError(`Minecraft ${minecraftVersion} is not available for ${SERVER_TYPES[serverType].name}`);
+    }
+  };
+
+  // Drop cached lists so the next lookup goes back to the sources
+  const refresh = async () => {
+    cache.clear();
+    await Promise.all([loadManifest(), ...Object.keys(BUILD_SOURCES).map(loadBuilds)]);
+  };
+
+  return { listVersions, assertSupported, refresh };
+};
+
+module.exports = { createVersionCatalog, VersionError };
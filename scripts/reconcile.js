@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+// scripts/reconcile.js - Run a Stripe/Pterodactyl reconciliation from the command line
+//
+//   npm run reconcile              report only
+//   npm run reconcile -- --fix     apply the fixes as well
+//   npm run reconcile -- --json    print the raw report
+//
+// This goes through the running service's admin API instead of opening the store:
+// the file store keeps its data in memory, so a second process writing to it would
+// lose updates. Needs ADMIN_API_KEY (one of the keys from ADMIN_API_KEYS) and
+// RECONCILE_API_URL (default http://localhost:$PORT).
+//
+// Exit code: 0 no drift, 1 drift found, 2 the run failed - handy for cron alerts.
+const axios = require('axios');
+
+const args = process.argv.slice(2);
+const autoFix = args.includes('--fix');
+const asJson = args.includes('--json');
+const baseUrl = (process.env.RECONCILE_API_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+
+const printReport = (report) => {
+  console.log(`Reconciliation ${report.id} (${report.autoFix ? 'auto-fix' : 'report only'})`);
+  console.log(`  Checked ${report.counts.subscriptions} subscriptions and ${report.counts.servers} servers`);
+
+  if (report.drift.length === 0) {
+    console.log('  No drift found');
+    return;
+  }
+
+  Object.entries(report.summary).forEach(([type, count]) => console.log(`  ${type}: ${count}`));
+  console.log('');
+  report.drift.forEach((item) => {
+    const fix = item.fix ? `${item.fix.action} ${item.fix.status}${item.fix.error ? ` (${item.fix.error})` : ''}` : 'manual';
+    console.log(`  [${item.type}] subscription=${item.subscriptionId || '-'} server=${item.serverId || '-'} session=${item.sessionId || '-'}`);
+    console.log(`      ${item.details}; fix: ${fix}`);
+  });
+};
+
+const main = async () => {
+  if (!process.env.ADMIN_API_KEY) {
+    console.error('ADMIN_API_KEY is required');
+    return 2;
+  }
+
+  try {
+    const { data } = await axios.post(`${baseUrl}/admin/reconciliation`, { autoFix }, {
+      headers: { 'Authorization': `Bearer ${process.env.ADMIN_API_KEY}` },
+      // Walking every subscription and server can take a while on a big account
+      timeout: 10 * 60 * 1000
+    });
+
+    if (asJson) {
+      console.log(JSON.stringify(data.report, null, 2));
+    } else {
+      printReport(data.report);
+    }
+    return data.report.drift.length > 0 ? 1 : 0;
+  } catch (error) {
+    console.error(`Reconciliation failed: ${error.response?.data?.error || error.message}`);
+    return 2;
+  }
+};
+
+main().then((code) => {
+  process.exitCode = code;
+});
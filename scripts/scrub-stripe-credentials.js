@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// scripts/scrub-stripe-credentials.js - Clear panel passwords that older versions copied into Stripe checkout metadata
+//
+//   npm run scrub-stripe-credentials              list affected sessions
+//   npm run scrub-stripe-credentials -- --apply   clear them
+//
+// Only talks to Stripe (needs STRIPE_SECRET_KEY); the service's own store is not
+// touched. /session-details also clears these keys from any session it looks up.
+//
+// Exit code: 0 nothing left to clear, 1 sessions still carry passwords, 2 the run failed.
+const LEGACY_SECRET_METADATA = ['serverPassword', 'ftpPassword'];
+
+const apply = process.argv.slice(2).includes('--apply');
+
+const main = async () => {
+  if (!process.env.STRIPE_SECRET_KEY) {
+    console.error('STRIPE_SECRET_KEY is required');
+    return 2;
+  }
+  const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+  let checked = 0;
+  let affected = 0;
+  let cleared = 0;
+  try {
+    for await (const session of stripe.checkout.sessions.list({ limit: 100 })) {
+      checked++;
+      const keys = LEGACY_SECRET_METADATA.filter((key) => session.metadata?.[key]);
+      if (keys.length === 0) {
+        continue;
+      }
+      affected++;
+      console.log(`  ${session.id} (${session.customer_details?.email || 'no email'}): ${keys.join(', ')}`);
+      if (apply) {
+        // Setting a metadata key to '' deletes it
+        await stripe.checkout.sessions.update(session.id, {
+          metadata: Object.fromEntries(keys.map((key) => [key, '']))
+        });
+        cleared++;
+      }
+    }
+  } catch (error) {
+    console.error(`Scrub failed after ${checked} sessions: ${error.message}`);
+    return 2;
+  }
+
+  console.log(`Checked ${checked} checkout sessions: ${affected} carried passwords${apply ? `, ${cleared} cleared` : ' (run with --apply to clear)'}`);
+  return affected > cleared ? 1 : 0;
+};
+
+main().then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,126 @@
+// Support staff actions through /admin, each one checked against the panel, Stripe and the audit log
+const express = require('express');
+const request = require('supertest');
+const { createAdminAuth } = require('../lib/admin');
+const { createAuditLog } = require('../lib/audit-log');
+const { createStore } = require('../lib/store');
+const { startSandboxService, waitFor } = require('./helpers/service');
+
+jest.setTimeout(30000);
+
+const ADMIN_KEY = 'b'.repeat(32);
+
+describe('createAdminAuth', () => {
+  it('rejects keys that are too short or have no name', () => {
+    expect(() => createAdminAuth({ apiKeys: 'support:short' })).toThrow('name:key');
+    expect(() => createAdminAuth({ apiKeys: `:${ADMIN_KEY}` })).toThrow('name:key');
+  });
+
+  it('answers 503 until keys are configured', async () => {
+    const app = express();
+    app.get('/admin', createAdminAuth({ apiKeys: '' }).requireAdmin, (req, res) => res.json({}));
+    await request(app).get('/admin').set('Authorization', `Bearer ${ADMIN_KEY}`).expect(503);
+  });
+
+  it('names the admin behind a valid key', async () => {
+    const app = express();
+    app.get('/admin', createAdminAuth({ apiKeys: `support:${ADMIN_KEY}` }).requireAdmin, (req, res) => res.json(req.admin));
+    const { body } = await request(app).get('/admin').set('Authorization', `Bearer ${ADMIN_KEY}`).expect(200);
+    expect(body).toMatchObject({ name: 'support' });
+    await request(app).get('/admin').set('Authorization', `Bearer ${'c'.repeat(32)}`).expect(401);
+  });
+});
+
+describe('createAuditLog', () => {
+  const target = { type: 'server', id: 12 };
+
+  it('records an action whether it succeeds or throws', async () => {
+    const auditLog = createAuditLog({ store: createStore({ driver: 'memory', encryptionKey: 'test-key' }) });
+
+    expect(await auditLog.audited({ actor: 'support', action: 'server.suspend', target, params: { reason: 'Chargeback' } },
+      async () => ({ serverId: 12 }))).toEqual({ serverId: 12 });
+    await expect(auditLog.audited({ actor: 'support', action: 'server.suspend', target }, async () => {
+      throw new Error('Server is already suspended');
+    })).rejects.toThrow('Server is already suspended');
+
+    const entries = await auditLog.list({ targetId: '12' });
+    expect(entries.map((entry) => [entry.outcome, entry.error])).toEqual([
+      ['failed', 'Server is already suspended'],
+      ['succeeded', null]
+    ]);
+    expect(entries[1]).toMatchObject({ actor: 'support', params: { reason: 'Chargeback' }, result: { serverId: 12 } });
+    expect(await auditLog.list({ actor: 'someone-else' })).toEqual([]);
+  });
+});
+
+describe('admin API', () => {
+  let service;
+  let api;
+  let sessionId;
+  let serverId;
+  let subscriptionId;
+
+  const asAdmin = (method, url) => api[method](url).set('Authorization', `Bearer ${ADMIN_KEY}`);
+
+  const panelServer = async () =>
+    (await service.sandbox.pterodactyl.summary()).servers.find((server) => server.externalId === sessionId);
+
+  beforeAll(async () => {
+    service = await startSandboxService({ ADMIN_API_KEYS: `support:${ADMIN_KEY}` });
+    api = request(service.app);
+
+    const { body } = await api.post('/create-checkout-session').send({ serverName: 'Support Case', planId: 'starter' }).expect(200);
+    sessionId = body.sessionId;
+    await service.sandbox.stripe.completeCheckout(sessionId, { email: 'Support.Case@example.com' });
+    await service.sandbox.stripe.settled();
+    await waitFor(async () => (await api.get(`/provisioning/${sessionId}`)).body.provisioning?.status === 'completed');
+
+    const customer = await asAdmin('get', '/admin/customers/support.case@example.com').expect(200);
+    serverId = customer.body.customer.servers[0].serverId;
+    subscriptionId = customer.body.customer.subscriptions[0].subscriptionId;
+  });
+
+  afterAll(() => service.stop());
+
+  it('needs an admin key', async () => {
+    await api.get('/admin/customers').expect(401);
+    await api.get('/admin/customers').set('Authorization', `Bearer ${'c'.repeat(32)}`).expect(401);
+  });
+
+  it('finds customers by part of their email', async () => {
+    const { body } = await asAdmin('get', '/admin/customers').query({ email: 'support.case' }).expect(200);
+    expect(body.customers).toEqual([
+      expect.objectContaining({ email: 'support.case@example.com', servers: 1, subscriptions: 1 })
+    ]);
+    await asAdmin('get', '/admin/customers/nobody@example.com').expect(404);
+  });
+
+  it('suspends and unsuspends a server and records who did it', async () => {
+    await asAdmin('post', `/admin/servers/${serverId}/suspend`).send({ reason: 'Chargeback' }).expect(200);
+    expect(await panelServer()).toMatchObject({ suspended: true });
+    await asAdmin('post', `/admin/servers/${serverId}/suspend`).send({}).expect(409);
+
+    await asAdmin('post', `/admin/servers/${serverId}/unsuspend`).send({ reason: 'Resolved' }).expect(200);
+    expect(await panelServer()).toMatchObject({ suspended: false });
+
+    const { body } = await asAdmin('get', '/admin/audit-log').query({ target: String(serverId) }).expect(200);
+    expect(body.entries.map((entry) => [entry.action, entry.outcome])).toEqual([
+      ['server.unsuspend', 'succeeded'],
+      ['server.suspend', 'failed'],
+      ['server.suspend', 'succeeded']
+    ]);
+    expect(body.entries[2]).toMatchObject({ actor: 'support', params: { reason: 'Chargeback' } });
+  });
+
+  it('comps a month as customer balance', async () => {
+    const { body } = await asAdmin('post', `/admin/subscriptions/${subscriptionId}/comp`).send({ reason: 'Outage' }).expect(200);
+    expect(body).toMatchObject({ amount: 499, currency: 'usd' });
+    await asAdmin('post', '/admin/subscriptions/sub_missing/comp').send({}).expect(404);
+  });
+
+  it('refuses to re-provision a finished order', async () => {
+    const { body } = await asAdmin('post', `/admin/provisioning/${sessionId}/retry`).expect(409);
+    expect(body.error).toBe('Session is already provisioned');
+    await asAdmin('post', `/admin/servers/999999/suspend`).send({}).expect(404);
+  });
+});
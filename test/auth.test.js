@@ -0,0 +1,104 @@
+const express = require('express');
+const request = require('supertest');
+const { createAuth, AuthError } = require('../lib/auth');
+const { createCustomerDirectory } = require('../lib/customers');
+const { createStore } = require('../lib/store');
+
+const JWT_SECRET = 'test-jwt-secret';
+
+const createFakeMailer = () => {
+  const sent = [];
+  return {
+    sent,
+    send: async (message) => {
+      sent.push(message);
+      return { id: `msg-${sent.length}` };
+    }
+  };
+};
+
+const linkToken = (message) => message.text.match(/login\?token=([\w-]+)/)[1];
+
+const setup = async () => {
+  const store = createStore({ driver: 'memory', encryptionKey: 'test-key' });
+  const mailer = createFakeMailer();
+  const auth = createAuth({ store, mailer, jwtSecret: JWT_SECRET, appUrl: 'https://app.example.test' });
+  await store.put('sessions', 'cs_owner', {
+    sessionId: 'cs_owner',
+    customerEmail: 'Owner@Example.com',
+    serverId: 42,
+    pterodactylUserId: 7
+  });
+  return { store, mailer, auth };
+};
+
+describe('login links', () => {
+  it('mails a link only to emails that own a server', async () => {
+    const { mailer, auth } = await setup();
+
+    await auth.requestLoginLink(' owner@example.com ');
+    await auth.requestLoginLink('stranger@example.com');
+
+    expect(mailer.sent.map((message) => message.to)).toEqual(['owner@example.com']);
+    expect(mailer.sent[0].text).toContain('https://app.example.test/login?token=');
+  });
+
+  it('refuses a second request within the cooldown', async () => {
+    const { auth } = await setup();
+    await auth.requestLoginLink('owner@example.com');
+
+    await expect(auth.requestLoginLink('owner@example.com')).rejects.toMatchObject({ statusCode: 429 });
+    await expect(auth.requestLoginLink('not an email')).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('trades a link for a session once and links the panel user', async () => {
+    const { mailer, auth } = await setup();
+    await auth.requestLoginLink('owner@example.com');
+    const token = linkToken(mailer.sent[0]);
+
+    const { customer } = await auth.verifyLoginToken(token);
+    expect(customer).toMatchObject({ email: 'owner@example.com', pterodactylUserId: 7 });
+
+    await expect(auth.verifyLoginToken(token)).rejects.toBeInstanceOf(AuthError);
+  });
+
+  it('does not accept an expired link', async () => {
+    const store = createStore({ driver: 'memory', encryptionKey: 'test-key' });
+    const mailer = createFakeMailer();
+    const auth = createAuth({ store, mailer, jwtSecret: JWT_SECRET, loginTokenTtlMs: -1 });
+    await store.put('sessions', 'cs_owner', { sessionId: 'cs_owner', customerEmail: 'owner@example.com', serverId: 42 });
+    await auth.requestLoginLink('owner@example.com');
+
+    await expect(auth.verifyLoginToken(linkToken(mailer.sent[0]))).rejects.toThrow('invalid or has expired');
+  });
+});
+
+describe('requireAuth', () => {
+  const appWith = (auth) => {
+    const app = express();
+    app.get('/me', auth.requireAuth, (req, res) => res.json(req.customer));
+    return app;
+  };
+
+  it('lets a session token through and rejects anything else', async () => {
+    const { auth } = await setup();
+    const app = appWith(auth);
+    const token = auth.issueSessionToken({ email: 'owner@example.com', pterodactylUserId: 7 });
+
+    const { body } = await request(app).get('/me').set('Authorization', `Bearer ${token}`).expect(200);
+    expect(body).toEqual({ email: 'owner@example.com', pterodactylUserId: 7 });
+
+    await request(app).get('/me').expect(401);
+    await request(app).get('/me').set('Authorization', 'Bearer not-a-jwt').expect(401);
+  });
+});
+
+describe('findOwnedServer', () => {
+  it('only finds servers that belong to the email', async () => {
+    const { store } = await setup();
+    const customers = createCustomerDirectory({ store, pterodactylRequest: async () => ({}) });
+
+    expect(await customers.findOwnedServer('owner@example.com', '42')).toMatchObject({ sessionId: 'cs_owner' });
+    expect(await customers.findOwnedServer('someone@example.com', 42)).toBeNull();
+  });
+});
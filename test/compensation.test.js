@@ -0,0 +1,111 @@
+const { createCompensationManager } = require('../lib/compensation');
+const { STATES } = require('../lib/lifecycle');
+const { createStore } = require('../lib/store');
+
+const deadJob = {
+  id: 'cs_1',
+  input: { subscriptionId: 'sub_1', stripeCustomerId: 'cus_1' },
+  context: { placement: { allocationId: 40 }, user: { userId: 9, existing: false } },
+  lastError: { step: 'createServer', message: 'Panel rejected the server' }
+};
+
+const setup = ({ policy = 'refund', userServers = [] } = {}) => {
+  const store = createStore({ driver: 'memory', encryptionKey: 'test-key' });
+  const calls = [];
+  const stripe = {
+    invoices: {
+      // Newest first, like Stripe
+      list: jest.fn(async () => ({ data: [
+        { id: 'in_2', amount_paid: 499, currency: 'usd', payment_intent: 'pi_2' },
+        { id: 'in_1', amount_paid: 499, currency: 'usd', payment_intent: 'pi_1' }
+      ] }))
+    },
+    refunds: { create: jest.fn(async () => { calls.push('refund'); return { id: 're_1' }; }) },
+    customers: { createBalanceTransaction: jest.fn(async () => ({ id: 'cbtxn_1' })) },
+    subscriptions: { cancel: jest.fn(async () => { calls.push('cancel'); }) }
+  };
+  const pterodactylRequest = jest.fn(async (method) => (method === 'GET'
+    ? { data: { attributes: { relationships: { servers: { data: userServers } } } } }
+    : {}));
+  const recordTransition = jest.fn(async () => { calls.push('transition'); });
+  const manager = createCompensationManager({
+    store,
+    stripe,
+    pterodactylRequest,
+    findServerByExternalId: jest.fn(async () => ({ id: 12 })),
+    releaseAllocation: jest.fn(async () => true),
+    recordTransition,
+    policy
+  });
+  return { store, stripe, pterodactylRequest, recordTransition, manager, calls };
+};
+
+describe('createCompensationManager', () => {
+  it('refuses unknown policies', () => {
+    expect(() => setup({ policy: 'apologise' })).toThrow('Unknown compensation policy: apologise');
+  });
+
+  it('cleans up the panel, refunds the first invoice and cancels the subscription', async () => {
+    const { store, stripe, pterodactylRequest, recordTransition, manager, calls } = setup();
+    await store.put('sessions', 'cs_1', { serverId: 12 });
+
+    const record = await manager.compensate(deadJob);
+
+    expect(record).toMatchObject({ status: 'completed', policy: 'refund', failedStep: 'createServer' });
+    expect(record.actions.map((action) => action.action)).toEqual([
+      'delete_server', 'release_allocation', 'delete_user', 'refund', 'cancel_subscription'
+    ]);
+    expect(pterodactylRequest).toHaveBeenCalledWith('DELETE', '/servers/12/force');
+    expect(pterodactylRequest).toHaveBeenCalledWith('DELETE', '/users/9');
+    expect(stripe.refunds.create).toHaveBeenCalledWith(expect.objectContaining({ payment_intent: 'pi_1' }));
+    expect(recordTransition).toHaveBeenCalledWith('sub_1', STATES.DELETED, expect.objectContaining({ reason: 'provisioning_failed' }));
+    expect(calls).toEqual(['refund', 'transition', 'cancel']);
+    expect(await store.get('sessions', 'cs_1')).toMatchObject({ serverId: null, compensation: { policy: 'refund', status: 'completed' } });
+  });
+
+  it('credits the customer balance instead under the credit policy', async () => {
+    const { stripe, manager } = setup({ policy: 'credit' });
+
+    await manager.compensate(deadJob);
+
+    expect(stripe.refunds.create).not.toHaveBeenCalled();
+    expect(stripe.customers.createBalanceTransaction).toHaveBeenCalledWith('cus_1', expect.objectContaining({ amount: -499, currency: 'usd' }));
+  });
+
+  it('keeps a panel user that owns other servers', async () => {
+    const { pterodactylRequest, manager } = setup({ userServers: [{ id: 3 }] });
+
+    const record = await manager.compensate(deadJob);
+
+    expect(pterodactylRequest).not.toHaveBeenCalledWith('DELETE', '/users/9');
+    expect(record.actions).toContainEqual(expect.objectContaining({ action: 'delete_user', skipped: 'user owns other servers' }));
+  });
+
+  it('retries only what failed, and does nothing once completed', async () => {
+    const { stripe, pterodactylRequest, manager } = setup();
+    stripe.refunds.create.mockRejectedValueOnce(new Error('Stripe is down'));
+
+    const failed = await manager.compensate(deadJob);
+    expect(failed.status).toBe('failed');
+    expect(failed.actions).toContainEqual({ action: 'refund', status: 'failed', error: 'Stripe is down' });
+
+    const retried = await manager.compensate(deadJob);
+    expect(retried.status).toBe('completed');
+    expect(pterodactylRequest.mock.calls.filter(([method, url]) => method === 'DELETE' && url === '/servers/12/force')).toHaveLength(1);
+    expect(stripe.refunds.create).toHaveBeenCalledTimes(2);
+
+    await manager.compensate(deadJob);
+    expect(stripe.refunds.create).toHaveBeenCalledTimes(2);
+  });
+
+  it('leaves billing alone under the none policy', async () => {
+    const { stripe, recordTransition, manager } = setup({ policy: 'none' });
+
+    const record = await manager.compensate(deadJob);
+
+    expect(record.status).toBe('completed');
+    expect(stripe.invoices.list).not.toHaveBeenCalled();
+    expect(stripe.subscriptions.cancel).not.toHaveBeenCalled();
+    expect(recordTransition).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, ConfigError } = require('../lib/config');
+const pricing = require('../lib/pricing');
+const javaRuntime = require('../lib/java-runtime');
+
+const PANEL = { PTERODACTYL_API_URL: 'https://panel.example.test/api/application', PTERODACTYL_API_KEY: 'ptla_test' };
+const PRODUCTION_SECRETS = {
+  STRIPE_SECRET_KEY: 'sk_live_x',
+  STRIPE_WEBHOOK_SECRET: 'whsec_x',
+  STORE_ENCRYPTION_KEY: 'store-key',
+  AUTH_JWT_SECRET: 'jwt-secret'
+};
+
+const issuesOf = (env) => {
+  try {
+    loadConfig(env);
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      return error.issues;
+    }
+    throw error;
+  }
+  return [];
+};
+
+let dir;
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'goose-config-'));
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('environment defaults', () => {
+  it('point development at the local frontend without background reconciliation', () => {
+    const config = loadConfig({ ...PANEL, NODE_ENV: 'development' });
+    expect(config.appUrl).toBe('http://localhost:5173');
+    expect(config.reconciliation.intervalMs).toBe(0);
+    expect(config.lifecycle.finalBackupOnDelete).toBe(false);
+  });
+
+  it('keep a final backup in production', () => {
+    const config = loadConfig({ ...PANEL, ...PRODUCTION_SECRETS, NODE_ENV: 'production' });
+    expect(config.lifecycle.finalBackupOnDelete).toBe(true);
+    expect(config.appUrl).toBe('https://beta.goosehosting.com');
+    expect(config.reconciliation.intervalMs).toBe(6 * 60 * 60 * 1000);
+  });
+
+  it('give way to anything set in the environment', () => {
+    const config = loadConfig({ ...PANEL, ...PRODUCTION_SECRETS, NODE_ENV: 'production', FINAL_BACKUP_ON_DELETE: 'false' });
+    expect(config.lifecycle.finalBackupOnDelete).toBe(false);
+    expect(loadConfig({ ...PANEL, NODE_ENV: 'development', APP_URL: 'https://dev.example.test/' }).appUrl)
+      .toBe('https://dev.example.test');
+  });
+});
+
+describe('required settings', () => {
+  it('lists every missing production secret at once', () => {
+    expect(issuesOf({ ...PANEL, NODE_ENV: 'production', STORE_DRIVER: 'memory' }).map((issue) => issue.variable))
+      .toEqual(expect.arrayContaining([...Object.keys(PRODUCTION_SECRETS), 'STORE_DRIVER']));
+  });
+
+  it('check settings that depend on each other', () => {
+    expect(issuesOf({ ...PANEL, MAIL_TRANSPORT: 'file' })).toContainEqual({ variable: 'MAIL_DIR', message: 'is required when MAIL_TRANSPORT=file' });
+    expect(issuesOf({ SANDBOX: 'true', PORT: '4000', SANDBOX_PORT: '4000' })).toContainEqual({ variable: 'SANDBOX_PORT', message: 'must differ from PORT' });
+  });
+});
+
+describe('catalog paths', () => {
+  it('are optional', () => {
+    const config = loadConfig({ ...PANEL, NODE_ENV: 'test' });
+    expect(config.pricing.catalogPath).toBeUndefined();
+    expect(config.javaRuntime.tablePath).toBeUndefined();
+  });
+
+  it('must point at existing files', () => {
+    const issues = issuesOf({
+      ...PANEL,
+      NODE_ENV: 'test',
+      PLAN_CATALOG_PATH: path.join(dir, 'missing-plans.json'),
+      JAVA_RUNTIME_TABLE_PATH: path.join(dir, 'missing-runtimes.json')
+    });
+    expect(issues.map((issue) => issue.variable)).toEqual(['PLAN_CATALOG_PATH', 'JAVA_RUNTIME_TABLE_PATH']);
+  });
+
+  it('load a custom plan catalog', () => {
+    const catalogPath = path.join(dir, 'plans.json');
+    const custom = {
+      currency: 'eur',
+      plans: { tiny: { name: 'Tiny', basePrice: 100, includedRamGb: 1, pricePerGb: 50, minRamGb: 1, maxRamGb: 2 } },
+      billingCycles: { monthly: { months: 1, discount: 0, interval: 'month', intervalCount: 1, label: 'Monthly' } },
+      addons: {}
+    };
+    fs.writeFileSync(catalogPath, JSON.stringify(custom));
+
+    const config = loadConfig({ ...PANEL, NODE_ENV: 'test', PLAN_CATALOG_PATH: catalogPath });
+    try {
+      pricing.useCatalog(config.pricing.catalogPath);
+      const quote = pricing.calculatePrice({ planId: 'tiny', totalRam: 2 });
+      expect(quote).toMatchObject({ currency: 'eur', monthlyCost: 150 });
+      expect(() => pricing.calculatePrice({ planId: 'starter' })).toThrow(pricing.PricingError);
+    } finally {
+      pricing.useCatalog();
+    }
+    expect(pricing.calculatePrice({ planId: 'starter' }).currency).toBe('usd');
+  });
+
+  it('load a custom Java runtime table over the defaults', () => {
+    const tablePath = path.join(dir, 'runtimes.json');
+    fs.writeFileSync(tablePath, JSON.stringify({ ranges: [{ minecraft: { min: '1.0' }, java: [21], default: 21 }] }));
+
+    const config = loadConfig({ ...PANEL, NODE_ENV: 'test', JAVA_RUNTIME_TABLE_PATH: tablePath });
+    try {
+      const table = javaRuntime.useRuntimeTable(config.javaRuntime.tablePath);
+      expect(table.headroom).toEqual(expect.objectContaining({ percent: 15 }));
+      expect(javaRuntime.getRuntimeOptions('1.8.9')).toMatchObject({ javaVersions: [21], defaultJava: 21 });
+    } finally {
+      javaRuntime.useRuntimeTable();
+    }
+    expect(javaRuntime.getRuntimeOptions('1.8.9').defaultJava).toBe(8);
+  });
+});
+
+describe('egg IDs', () => {
+  it('map each server type to its egg, with the older PTERODACTYL_EGG_ID as Paper\'s', () => {
+    const config = loadConfig({ ...PANEL, PTERODACTYL_EGG_ID: '5', PTERODACTYL_EGG_ID_FABRIC: '9' });
+    expect(config.pterodactyl.eggIds).toEqual({ paper: 5, fabric: 9 });
+    expect(issuesOf({ ...PANEL, PTERODACTYL_EGG_ID_FORGE: 'forge' })).toContainEqual({ variable: 'PTERODACTYL_EGG_ID_FORGE', message: 'must be an egg ID' });
+  });
+});
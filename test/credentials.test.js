@@ -0,0 +1,199 @@
+// The generated panel password is shown once through a reveal token and never emailed
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createCredentialManager, CredentialError, REVEAL_STATES } = require('../lib/credentials');
+const { createStore } = require('../lib/store');
+const { startSandboxService, waitFor } = require('./helpers/service');
+
+const SESSION_ID = 'cs_test_reveal';
+const PASSWORD = 'Gener4ted$Pass';
+
+const completedRecord = {
+  sessionId: SESSION_ID,
+  status: 'completed',
+  pterodactylUserId: 31,
+  server: { serverUsername: 'player31', ftpHost: 'node1.example.test', ftpPort: 2022, ftpUsername: 'player31.abcd1234' },
+  secrets: { serverPassword: PASSWORD }
+};
+
+const setup = async ({ revealTtlMs, rootAdmin = false } = {}) => {
+  const store = createStore({ driver: 'memory', encryptionKey: 'test-key' });
+  const panelCalls = [];
+  const pterodactylRequest = async (method, endpoint, body) => {
+    panelCalls.push({ method, endpoint, body });
+    return { data: { attributes: { id: 31, email: 'player@example.com', username: 'player31', root_admin: rootAdmin } } };
+  };
+  const credentials = createCredentialManager({
+    store,
+    pterodactylRequest,
+    generatePassword: () => 'N3w$Password',
+    panelUrl: 'https://panel.example.test',
+    revealTtlMs
+  });
+  await store.put('sessions', SESSION_ID, completedRecord);
+  return { store, credentials, panelCalls };
+};
+
+const failure = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected a rejection');
+};
+
+describe('revealStatus', () => {
+  it('hands out the token once', async () => {
+    const { store, credentials } = await setup();
+    const record = await store.get('sessions', SESSION_ID);
+
+    const first = await credentials.revealStatus(record);
+    expect(first).toMatchObject({ status: 'available', revealToken: expect.any(String), resetAvailable: false });
+
+    const second = await credentials.revealStatus(record);
+    expect(second).toMatchObject({ status: REVEAL_STATES.ISSUED });
+    expect(second).not.toHaveProperty('revealToken');
+  });
+
+  it('has nothing to reveal for existing panel users', async () => {
+    const { credentials } = await setup();
+    expect(await credentials.revealStatus({ ...completedRecord, server: {} })).toEqual({ status: 'none', resetAvailable: true });
+  });
+
+  it('wipes the password once the token expires unused', async () => {
+    const { store, credentials } = await setup({ revealTtlMs: -1 });
+    await credentials.revealStatus(await store.get('sessions', SESSION_ID));
+
+    expect(await credentials.revealStatus(await store.get('sessions', SESSION_ID)))
+      .toEqual({ status: REVEAL_STATES.EXPIRED, resetAvailable: true });
+    expect((await store.get('sessions', SESSION_ID)).secrets.serverPassword).toBeNull();
+  });
+});
+
+describe('reveal', () => {
+  it('trades the token for the password once and then forgets it', async () => {
+    const { store, credentials } = await setup();
+    const { revealToken } = await credentials.revealStatus(await store.get('sessions', SESSION_ID));
+
+    expect(await credentials.reveal(SESSION_ID, revealToken)).toMatchObject({ username: 'player31', password: PASSWORD });
+    expect((await store.get('sessions', SESSION_ID)).secrets.serverPassword).toBeNull();
+
+    const again = await failure(credentials.reveal(SESSION_ID, revealToken));
+    expect(again).toBeInstanceOf(CredentialError);
+    expect(again.statusCode).toBe(410);
+  });
+
+  it('refuses a wrong token without using up the right one', async () => {
+    const { store, credentials } = await setup();
+    const { revealToken } = await credentials.revealStatus(await store.get('sessions', SESSION_ID));
+
+    expect(await failure(credentials.reveal(SESSION_ID, 'guess'))).toMatchObject({ statusCode: 403 });
+    expect(await failure(credentials.reveal('cs_other', revealToken))).toMatchObject({ statusCode: 403 });
+    expect(await credentials.reveal(SESSION_ID, revealToken)).toMatchObject({ password: PASSWORD });
+  });
+});
+
+describe('resetPassword', () => {
+  it('sets a new panel password and retires the stored one', async () => {
+    const { store, credentials, panelCalls } = await setup();
+    await credentials.revealStatus(await store.get('sessions', SESSION_ID));
+
+    expect(await credentials.resetPassword(completedRecord)).toEqual({
+      panelUrl: 'https://panel.example.test',
+      username: 'player31',
+      password: 'N3w$Password'
+    });
+    expect(panelCalls[1]).toMatchObject({ method: 'PATCH', endpoint: '/users/31', body: { password: 'N3w$Password' } });
+    expect((await store.get('sessions', SESSION_ID)).secrets.serverPassword).toBeNull();
+    expect(await store.get('credentialReveals', SESSION_ID)).toMatchObject({ status: REVEAL_STATES.RESET });
+  });
+
+  it('leaves panel administrators alone', async () => {
+    const { credentials, panelCalls } = await setup({ rootAdmin: true });
+    expect(await failure(credentials.resetPassword(completedRecord))).toMatchObject({ statusCode: 403 });
+    expect(panelCalls.map((call) => call.method)).toEqual(['GET']);
+  });
+});
+
+describe('credential reveal end to end', () => {
+  jest.setTimeout(30000);
+
+  const ADMIN_KEY = 'a'.repeat(32);
+
+  let service;
+  let api;
+  let mailDir;
+
+  beforeAll(async () => {
+    mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'goose-mail-'));
+    service = await startSandboxService({
+      MAIL_TRANSPORT: 'file',
+      MAIL_DIR: mailDir,
+      ADMIN_API_KEYS: `support:${ADMIN_KEY}`
+    });
+    api = request(service.app);
+  });
+
+  afterAll(async () => {
+    await service.stop();
+    fs.rmSync(mailDir, { recursive: true, force: true });
+  });
+
+  const readMail = () => fs.readdirSync(mailDir)
+    .map((file) => JSON.parse(fs.readFileSync(path.join(mailDir, file), 'utf8')));
+
+  const provisionedOrder = async (email) => {
+    const { body } = await api.post('/create-checkout-session').send({ serverName: 'Reveal Test', planId: 'starter' }).expect(200);
+    await service.sandbox.stripe.completeCheckout(body.sessionId, { email });
+    await service.sandbox.stripe.settled();
+    await waitFor(async () => (await api.get(`/provisioning/${body.sessionId}`)).body.provisioning?.status === 'completed');
+    return body.sessionId;
+  };
+
+  it('reveals the password once and keeps it out of every email', async () => {
+    const sessionId = await provisionedOrder('reveal@example.com');
+
+    const details = await api.get(`/session-details/${sessionId}`).expect(200);
+    const { revealToken } = details.body.credentials;
+    expect(revealToken).toEqual(expect.any(String));
+
+    const revealed = await api.post('/credentials/reveal').send({ sessionId, token: revealToken }).expect(200);
+    const { password, username } = revealed.body.credentials;
+    expect(password).toEqual(expect.any(String));
+
+    const job = await service.provisioning.get(sessionId);
+    expect(job.secrets).toEqual({ password: null });
+    expect(JSON.stringify(job)).not.toContain(password);
+
+    await api.post('/credentials/reveal').send({ sessionId, token: revealToken }).expect(410);
+    const again = await api.get(`/session-details/${sessionId}`).expect(200);
+    expect(again.body.credentials).toMatchObject({ status: 'revealed', resetAvailable: true });
+
+    const ready = await waitFor(() => readMail().find((message) => message.subject.includes('is ready')));
+    expect(ready.text).toContain(`Username: ${username}`);
+    expect(JSON.stringify(readMail())).not.toContain(password);
+  });
+
+  it('resends reset instructions rather than the password', async () => {
+    const sessionId = await provisionedOrder('resend@example.com');
+    const record = await waitFor(async () => {
+      const server = (await service.sandbox.pterodactyl.summary()).servers.find((entry) => entry.externalId === sessionId);
+      return server;
+    });
+
+    const before = readMail().length;
+    const response = await api.post(`/admin/servers/${record.id}/resend-credentials`)
+      .set('Authorization', `Bearer ${ADMIN_KEY}`)
+      .expect(200);
+    expect(response.body).not.toHaveProperty('includesPassword');
+
+    const mail = readMail();
+    expect(mail).toHaveLength(before + 1);
+    const resent = mail.find((message) => message.text.includes('To get a password'));
+    expect(resent.to).toBe('resend@example.com');
+    expect(resent.text).not.toContain('/success?session_id=');
+  });
+});
@@ -0,0 +1,120 @@
+// Magic-link login and the routes that act on a customer's own servers
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { startSandboxService, waitFor } = require('./helpers/service');
+
+jest.setTimeout(30000);
+
+let service;
+let api;
+let mailDir;
+
+beforeAll(async () => {
+  mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'goose-mail-'));
+  service = await startSandboxService({
+    MAIL_TRANSPORT: 'file',
+    MAIL_DIR: mailDir,
+    PLAN_CHANGE_RATE_LIMIT_MAX: '3'
+  });
+  api = request(service.app);
+});
+
+afterAll(async () => {
+  await service.stop();
+  fs.rmSync(mailDir, { recursive: true, force: true });
+});
+
+const provisionedOrder = async (email) => {
+  const { body } = await api.post('/create-checkout-session').send({ serverName: 'Auth Test', planId: 'starter' }).expect(200);
+  await service.sandbox.stripe.completeCheckout(body.sessionId, { email });
+  await service.sandbox.stripe.settled();
+  await waitFor(async () => (await api.get(`/provisioning/${body.sessionId}`)).body.provisioning?.status === 'completed');
+  return body.sessionId;
+};
+
+const loginLinkToken = (email) => {
+  const mail = fs.readdirSync(mailDir)
+    .map((file) => JSON.parse(fs.readFileSync(path.join(mailDir, file), 'utf8')))
+    .filter((message) => message.to === email && message.subject.includes('login link'))
+    .sort((a, b) => a.sentAt.localeCompare(b.sentAt));
+  return mail.length ? mail[mail.length - 1].text.match(/login\?token=([\w-]+)/)[1] : null;
+};
+
+const logIn = async (email) => {
+  await api.post('/auth/login').send({ email }).expect(200);
+  const token = await waitFor(() => loginLinkToken(email));
+  const { body } = await api.post('/auth/verify').send({ token }).expect(200);
+  return body.token;
+};
+
+let owner;
+let other;
+let serverId;
+
+beforeAll(async () => {
+  await provisionedOrder('owner@example.com');
+  await provisionedOrder('other@example.com');
+  owner = await logIn('owner@example.com');
+  other = await logIn('other@example.com');
+
+  const { body } = await api.get('/me/servers').set('Authorization', `Bearer ${owner}`).expect(200);
+  serverId = body.servers[0].serverId;
+});
+
+describe('login', () => {
+  it('accepts a login link only once', async () => {
+    const token = loginLinkToken('owner@example.com');
+    await api.post('/auth/verify').send({ token }).expect(401);
+  });
+
+  it('requires a session for customer routes', async () => {
+    await api.get('/me/servers').expect(401);
+    await api.get('/me/servers').set('Authorization', 'Bearer not-a-jwt').expect(401);
+  });
+
+  it('shows each customer only their own servers', async () => {
+    const mine = await api.get('/me/servers').set('Authorization', `Bearer ${owner}`).expect(200);
+    const theirs = await api.get('/me/servers').set('Authorization', `Bearer ${other}`).expect(200);
+    expect(mine.body.servers).toHaveLength(1);
+    expect(theirs.body.servers).toHaveLength(1);
+    expect(mine.body.servers[0].serverId).not.toBe(theirs.body.servers[0].serverId);
+  });
+});
+
+describe('plan changes', () => {
+  it('are no longer reachable by checkout session ID', async () => {
+    await api.post('/change-plan').send({ sessionId: 'cs_test_anything', totalRam: 4 }).expect(404);
+  });
+
+  it('need a logged-in customer who owns the server', async () => {
+    await api.post(`/me/servers/${serverId}/plan`).send({ totalRam: 4 }).expect(401);
+    await api.post(`/me/servers/${serverId}/plan`).set('Authorization', `Bearer ${other}`).send({ totalRam: 4 }).expect(404);
+  });
+
+  it('resize the owner\'s server', async () => {
+    const { body } = await api.post(`/me/servers/${serverId}/plan`)
+      .set('Authorization', `Bearer ${owner}`)
+      .send({ totalRam: 4 })
+      .expect(200);
+    expect(body.change.to).toEqual({ plan: 'starter', totalRam: 4 });
+
+    const panel = await request(service.sandbox.app)
+      .get(`/api/application/servers/${serverId}`)
+      .set('Authorization', `Bearer ${service.config.pterodactyl.apiKey}`)
+      .expect(200);
+    expect(panel.body.attributes.limits.memory).toBe(4096);
+  });
+
+  it('are rate limited', async () => {
+    const statuses = [];
+    for (let attempt = 0; attempt < 4; attempt++) {
+      const { status } = await api.post(`/me/servers/${serverId}/plan`)
+        .set('Authorization', `Bearer ${owner}`)
+        .send({ totalRam: 4 });
+      statuses.push(status);
+    }
+    expect(statuses).toContain(429);
+  });
+});
@@ -0,0 +1,2 @@
+// Runs before every test file: keeps the logger quiet unless a run asks for output
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
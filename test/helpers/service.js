@@ -0,0 +1,49 @@
+// test/helpers/service.js - Boots app.js in SANDBOX mode on free ports for supertest specs
+const net = require('net');
+
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+// `env` is layered over the sandbox defaults. Each call loads a fresh copy of the
+// app, so specs in one file can run differently configured services.
+const startSandboxService = async (env = {}) => {
+  const port = await freePort();
+  const sandboxPort = await freePort();
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    SANDBOX: 'true',
+    PORT: String(port),
+    SANDBOX_PORT: String(sandboxPort),
+    SANDBOX_INSTALL_MS: '0',
+    LOG_LEVEL: 'silent',
+    ...env
+  });
+  let service;
+  jest.isolateModules(() => {
+    service = require('../../app');
+  });
+  await service.start(port);
+  return service;
+};
+
+// Polls `check` until it returns something truthy, or fails after `timeoutMs`
+const waitFor = async (check, { timeoutMs = 10000, intervalMs = 50 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  let last;
+  while (Date.now() < deadline) {
+    last = await check();
+    if (last) {
+      return last;
+    }
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+  throw new Error(`Timed out after ${timeoutMs}ms waiting for condition`);
+};
+
+module.exports = { startSandboxService, waitFor, freePort };
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  resolveRuntime,
+  buildStartupCommand,
+  getRuntimeOptions,
+  effectiveReleaseVersion,
+  heapForContainer,
+  useRuntimeTable,
+  RuntimeError
+} = require('../lib/java-runtime');
+
+afterEach(() => useRuntimeTable());
+
+describe('effectiveReleaseVersion', () => {
+  it.each([
+    ['1.20.4', '1.20.4'],
+    ['1.21-pre1', '1.21'],
+    ['1.20.5-rc2', '1.20.5'],
+    ['24w14a', '1.21'],
+    ['23w45a', '1.18'],
+    ['beta 1.7', null]
+  ])('treats %s as %s', (version, release) => {
+    expect(effectiveReleaseVersion(version)).toBe(release);
+  });
+});
+
+describe('heapForContainer', () => {
+  it('keeps headroom between the minimum and maximum', () => {
+    expect(heapForContainer(1024)).toBe(640);
+    expect(heapForContainer(4096)).toBe(3482);
+    expect(heapForContainer(32768)).toBe(30720);
+  });
+});
+
+describe('resolveRuntime', () => {
+  it('picks the default Java and Aikar\'s flags for Paper', () => {
+    const runtime = resolveRuntime({ minecraftVersion: '1.16.5', serverType: 'paper', memoryMb: 4096 });
+    expect(runtime).toMatchObject({ java: 17, image: 'ghcr.io/pterodactyl/yolks:java_17', profile: 'aikar', heapMb: 3482 });
+    expect(runtime.flags).toEqual(expect.arrayContaining(['-Xms3482M', '-Xmx3482M', '-XX:+UseG1GC']));
+  });
+
+  it('uses plain flags for mod loaders and ZGC for large heaps', () => {
+    expect(resolveRuntime({ minecraftVersion: '1.20.1', serverType: 'fabric', memoryMb: 4096 }).profile).toBe('default');
+
+    const large = resolveRuntime({ minecraftVersion: '1.21', serverType: 'paper', memoryMb: 32768 });
+    expect(large.profile).toBe('zgc');
+    expect(large.flags).toContain('-XX:+ZGenerational');
+  });
+
+  it('keeps Forge before 1.17 on Java 8', () => {
+    expect(resolveRuntime({ minecraftVersion: '1.16.5', serverType: 'forge', memoryMb: 4096 })).toMatchObject({
+      java: 8,
+      image: 'ghcr.io/pterodactyl/yolks:java_8'
+    });
+    expect(resolveRuntime({ minecraftVersion: '1.12.2', serverType: 'forge', memoryMb: 4096 }).java).toBe(8);
+    expect(resolveRuntime({ minecraftVersion: '1.12.2', serverType: 'paper', memoryMb: 4096 }).java).toBe(11);
+    expect(() => resolveRuntime({ minecraftVersion: '1.16.5', serverType: 'forge', memoryMb: 4096, javaVersion: 17 }))
+      .toThrow(RuntimeError);
+  });
+
+  it.each([
+    ['a Java version the release does not run on', { minecraftVersion: '1.12.2', javaVersion: 17 }, 'javaVersion'],
+    ['an unknown profile', { minecraftVersion: '1.20.4', jvmProfile: 'turbo' }, 'jvmProfile'],
+    ['ZGC on Java 11', { minecraftVersion: '1.16.5', javaVersion: 11, jvmProfile: 'zgc' }, 'jvmProfile']
+  ])('rejects %s', (label, input, field) => {
+    let error;
+    try {
+      resolveRuntime({ memoryMb: 2048, ...input });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(RuntimeError);
+    expect(error.field).toBe(field);
+  });
+});
+
+describe('getRuntimeOptions', () => {
+  it('only offers profiles the Java versions can run', () => {
+    const options = getRuntimeOptions('1.8.9');
+    expect(options).toMatchObject({ javaVersions: [8], defaultJava: 8 });
+    expect(options.profiles.map((profile) => profile.id)).toEqual(['default', 'aikar']);
+  });
+
+  it('narrows the choice by server type', () => {
+    expect(getRuntimeOptions('1.16.5', 'forge')).toMatchObject({ javaVersions: [8], defaultJava: 8 });
+    expect(getRuntimeOptions('1.16.5', 'fabric')).toMatchObject({ javaVersions: [11, 17], defaultJava: 17 });
+  });
+});
+
+describe('buildStartupCommand', () => {
+  it('puts the flags before the launch arguments', () => {
+    expect(buildStartupCommand({ flags: ['-Xmx1024M'] })).toBe('java -Xmx1024M -jar {{SERVER_JARFILE}}');
+  });
+});
+
+describe('useRuntimeTable', () => {
+  it('overrides the built-in table from a JSON file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'goose-runtime-'));
+    const tablePath = path.join(dir, 'runtimes.json');
+    fs.writeFileSync(tablePath, JSON.stringify({ ranges: [{ minecraft: {}, java: [21], default: 21 }] }));
+    try {
+      useRuntimeTable(tablePath);
+      expect(resolveRuntime({ minecraftVersion: '1.8.9', memoryMb: 2048 }).java).toBe(21);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
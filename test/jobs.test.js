@@ -0,0 +1,159 @@
+const { createJobQueue, JOB_STATES, DEAD_LETTER_COLLECTION } = require('../lib/jobs');
+const { createStore } = require('../lib/store');
+
+const setup = ({ steps, ...options }) => {
+  const store = createStore({ driver: 'memory', encryptionKey: 'test-key' });
+  const hooks = { onComplete: jest.fn(async () => {}), onRetry: jest.fn(async () => {}), onDead: jest.fn(async () => {}) };
+  const queue = createJobQueue({ store, collection: 'testJobs', steps, baseDelayMs: 1000, maxAttempts: 3, ...hooks, ...options });
+  return { store, queue, hooks };
+};
+
+// Enqueue and wait for the first run to settle
+const enqueueAndRun = async (queue, id, input = {}) => {
+  const result = await queue.enqueue(id, input);
+  await queue.run(id);
+  return result;
+};
+
+describe('createJobQueue', () => {
+  it('runs the steps in order and merges their output into the context', async () => {
+    const seen = [];
+    const { queue, hooks } = setup({
+      steps: [
+        { name: 'first', run: async (job) => { seen.push(job.input.name); return { serverId: 7, secrets: { password: 'hunter2' } }; } },
+        { name: 'second', run: async (job) => { seen.push(job.context.serverId); return { done: true }; } }
+      ]
+    });
+
+    await enqueueAndRun(queue, 'job-1', { name: 'Alpha' });
+
+    const job = await queue.get('job-1');
+    expect(seen).toEqual(['Alpha', 7]);
+    expect(job).toMatchObject({
+      status: JOB_STATES.COMPLETED,
+      attempts: 1,
+      context: { serverId: 7, done: true },
+      secrets: { password: 'hunter2' },
+      steps: { first: { status: 'completed' }, second: { status: 'completed' } }
+    });
+    expect(hooks.onComplete).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not create or start a second job with the same ID', async () => {
+    const run = jest.fn(async () => ({}));
+    const { queue } = setup({ steps: [{ name: 'only', run }] });
+
+    expect((await enqueueAndRun(queue, 'job-1')).created).toBe(true);
+    expect((await enqueueAndRun(queue, 'job-1')).created).toBe(false);
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+
+  it('schedules a retry with backoff and resumes at the failed step', async () => {
+    const first = jest.fn(async () => ({ serverId: 7 }));
+    const second = jest.fn()
+      .mockRejectedValueOnce(new Error('Panel timed out'))
+      .mockResolvedValueOnce({});
+    const { queue, hooks } = setup({ steps: [{ name: 'first', run: first }, { name: 'second', run: second }] });
+
+    const before = Date.now();
+    await enqueueAndRun(queue, 'job-1');
+
+    let job = await queue.get('job-1');
+    expect(job).toMatchObject({
+      status: JOB_STATES.RETRYING,
+      lastError: { step: 'second', message: 'Panel timed out' },
+      steps: { first: { status: 'completed' }, second: { status: 'failed', error: 'Panel timed out' } }
+    });
+    expect(Date.parse(job.nextRunAt) - before).toBeGreaterThanOrEqual(1000);
+    expect(hooks.onRetry).toHaveBeenCalledTimes(1);
+
+    await queue.run('job-1');
+    job = await queue.get('job-1');
+    expect(job).toMatchObject({ status: JOB_STATES.COMPLETED, attempts: 2, lastError: null });
+    expect(first).toHaveBeenCalledTimes(1);
+    expect(job.steps.second.attempts).toBe(2);
+  });
+
+  it('dead-letters a job once it runs out of attempts', async () => {
+    const { store, queue, hooks } = setup({ steps: [{ name: 'flaky', run: async () => { throw new Error('Still down'); } }] });
+
+    await enqueueAndRun(queue, 'job-1');
+    await queue.run('job-1');
+    await queue.run('job-1');
+
+    const job = await queue.get('job-1');
+    expect(job).toMatchObject({ status: JOB_STATES.DEAD, attempts: 3, nextRunAt: null });
+    expect(await queue.listDeadLetters()).toEqual([
+      expect.objectContaining({ queue: 'testJobs', jobId: 'job-1', step: 'flaky', error: 'Still down', attempts: 3 })
+    ]);
+    expect(hooks.onDead).toHaveBeenCalledWith(expect.objectContaining({ id: 'job-1' }), expect.any(Error));
+
+    // A dead job is left alone until someone requeues it
+    await queue.run('job-1');
+    expect((await queue.get('job-1')).attempts).toBe(3);
+    expect(await store.get(DEAD_LETTER_COLLECTION, 'testJobs:job-1')).not.toBeNull();
+  });
+
+  it('skips the retries for permanent errors', async () => {
+    const { queue, hooks } = setup({
+      steps: [{ name: 'charge', run: async () => { throw new Error('Card declined'); } }],
+      isPermanent: (error) => error.message === 'Card declined'
+    });
+
+    await enqueueAndRun(queue, 'job-1');
+
+    expect(await queue.get('job-1')).toMatchObject({ status: JOB_STATES.DEAD, attempts: 1 });
+    expect(hooks.onRetry).not.toHaveBeenCalled();
+  });
+
+  it('requeues a dead job with fresh attempts and clears its dead letter', async () => {
+    let healthy = false;
+    const { queue } = setup({
+      maxAttempts: 1,
+      steps: [{ name: 'flaky', run: async () => { if (!healthy) throw new Error('Down'); return {}; } }]
+    });
+
+    await enqueueAndRun(queue, 'job-1');
+    expect((await queue.get('job-1')).status).toBe(JOB_STATES.DEAD);
+
+    healthy = true;
+    await queue.requeue('job-1');
+    await queue.run('job-1');
+
+    expect(await queue.get('job-1')).toMatchObject({ status: JOB_STATES.COMPLETED, attempts: 1 });
+    expect(await queue.listDeadLetters()).toEqual([]);
+    expect(await queue.requeue('missing')).toBeNull();
+  });
+
+  it('shares one run between concurrent callers', async () => {
+    let release;
+    const run = jest.fn(() => new Promise((resolve) => { release = resolve; }));
+    const { queue } = setup({ steps: [{ name: 'slow', run }] });
+
+    await queue.enqueue('job-1', {});
+    const runs = [queue.run('job-1'), queue.run('job-1')];
+    while (!release) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    release({});
+    await Promise.all(runs);
+
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+
+  it('polls for due retries and jobs a crashed process left running', async () => {
+    const run = jest.fn(async () => ({}));
+    const { store, queue } = setup({ steps: [{ name: 'only', run }] });
+    const steps = { only: { status: 'pending', attempts: 0 } };
+    await store.put('testJobs', 'crashed', { status: JOB_STATES.RUNNING, attempts: 1, input: {}, context: {}, steps });
+    await store.put('testJobs', 'due', { status: JOB_STATES.RETRYING, attempts: 1, input: {}, context: {}, steps, nextRunAt: new Date(Date.now() - 1000).toISOString() });
+    await store.put('testJobs', 'later', { status: JOB_STATES.RETRYING, attempts: 1, input: {}, context: {}, steps, nextRunAt: new Date(Date.now() + 60000).toISOString() });
+
+    expect(await queue.poll()).toBe(2);
+    await Promise.all([queue.run('crashed'), queue.run('due')]);
+
+    expect((await queue.get('crashed')).status).toBe(JOB_STATES.COMPLETED);
+    expect((await queue.get('due')).status).toBe(JOB_STATES.COMPLETED);
+    expect((await queue.get('later')).status).toBe(JOB_STATES.RETRYING);
+  });
+});
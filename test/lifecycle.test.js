@@ -0,0 +1,132 @@
+const { createLifecycleManager, STATES } = require('../lib/lifecycle');
+const { createStore } = require('../lib/store');
+
+const SUBSCRIPTION_ID = 'sub_life';
+
+const setup = async (options = {}) => {
+  const store = createStore({ driver: 'memory', encryptionKey: 'test-key' });
+  const panelCalls = [];
+  const lifecycle = createLifecycleManager({
+    store,
+    pterodactylRequest: async (method, path) => {
+      panelCalls.push(`${method} ${path}`);
+      return {};
+    },
+    clientRequest: async () => {
+      throw new Error('daemon unreachable');
+    },
+    suspendAfterFailedAttempts: 3,
+    ...options
+  });
+  await store.put('sessions', 'cs_life', { sessionId: 'cs_life', subscriptionId: SUBSCRIPTION_ID, serverId: 12, serverUuid: 'uuid-12' });
+  return { store, lifecycle, panelCalls };
+};
+
+const failedInvoice = (attempt) => ({ id: `in_fail_${attempt}`, subscription: SUBSCRIPTION_ID, attempt_count: attempt });
+const paidInvoice = { id: 'in_paid', subscription: SUBSCRIPTION_ID };
+const statusOf = async (store) => (await store.get('subscriptions', SUBSCRIPTION_ID)).status;
+
+describe('subscription lifecycle', () => {
+  it('suspends only after the configured number of failed payments', async () => {
+    const { store, lifecycle, panelCalls } = await setup();
+
+    expect(await lifecycle.handlePaymentFailed(failedInvoice(1))).toMatchObject({ action: 'none', attemptsBeforeSuspension: 2 });
+    expect(await lifecycle.handlePaymentFailed(failedInvoice(2))).toMatchObject({ action: 'none', attemptsBeforeSuspension: 1 });
+    expect(await statusOf(store)).toBe(STATES.PAST_DUE);
+    expect(panelCalls).toEqual([]);
+
+    expect(await lifecycle.handlePaymentFailed(failedInvoice(3))).toEqual({ action: 'suspended', serverId: 12 });
+    expect(await lifecycle.handlePaymentFailed(failedInvoice(4))).toEqual({ action: 'already_suspended' });
+    expect(panelCalls).toEqual(['POST /servers/12/suspend']);
+    expect(await statusOf(store)).toBe(STATES.SUSPENDED);
+  });
+
+  it('unsuspends when a later payment goes through and records why', async () => {
+    const { store, lifecycle, panelCalls } = await setup();
+    await lifecycle.handlePaymentFailed(failedInvoice(3));
+
+    expect(await lifecycle.handlePaymentSucceeded(paidInvoice)).toEqual({ action: 'unsuspended', serverId: 12 });
+
+    expect(panelCalls).toEqual(['POST /servers/12/suspend', 'POST /servers/12/unsuspend']);
+    const record = await store.get('subscriptions', SUBSCRIPTION_ID);
+    expect(record.failedAttempts).toBe(0);
+    expect(record.history.map((entry) => `${entry.to}:${entry.reason}`)).toEqual([
+      'suspended:payment_failed',
+      'active:payment_succeeded'
+    ]);
+  });
+
+  it('leaves suspensions made by support in place', async () => {
+    const { store, lifecycle, panelCalls } = await setup();
+    await store.put('subscriptions', SUBSCRIPTION_ID, { subscriptionId: SUBSCRIPTION_ID, status: STATES.SUSPENDED, suspendedBy: 'admin' });
+
+    expect(await lifecycle.handlePaymentSucceeded(paidInvoice)).toEqual({ action: 'none', reason: 'suspended by support' });
+    expect(panelCalls).toEqual([]);
+  });
+
+  it('ignores a late failure for a subscription that is already suspended', async () => {
+    const { store, lifecycle, panelCalls } = await setup();
+    await lifecycle.handlePaymentFailed(failedInvoice(3));
+
+    expect(await lifecycle.handlePaymentFailed(failedInvoice(1))).toEqual({ action: 'already_suspended' });
+    expect(await statusOf(store)).toBe(STATES.SUSPENDED);
+    expect(panelCalls).toEqual(['POST /servers/12/suspend']);
+  });
+
+  it('keeps a support suspension when a payment failure arrives', async () => {
+    const { store, lifecycle, panelCalls } = await setup();
+    await store.put('subscriptions', SUBSCRIPTION_ID, { subscriptionId: SUBSCRIPTION_ID, status: STATES.SUSPENDED, suspendedBy: 'admin' });
+
+    expect(await lifecycle.handlePaymentFailed(failedInvoice(1))).toEqual({ action: 'already_suspended' });
+    const record = await store.get('subscriptions', SUBSCRIPTION_ID);
+    expect(record).toMatchObject({ status: STATES.SUSPENDED, suspendedBy: 'admin' });
+    expect(panelCalls).toEqual([]);
+  });
+
+  it('ignores payment failures delivered after the cancellation', async () => {
+    const { store, lifecycle, panelCalls } = await setup({ cancellationGraceDays: 0 });
+    await lifecycle.handleSubscriptionDeleted({ id: SUBSCRIPTION_ID });
+
+    expect(await lifecycle.handlePaymentFailed(failedInvoice(1))).toMatchObject({ reason: 'subscription is pending_deletion' });
+    expect(await statusOf(store)).toBe(STATES.PENDING_DELETION);
+
+    await lifecycle.sweep();
+    expect(await lifecycle.handlePaymentFailed(failedInvoice(4))).toMatchObject({ reason: 'subscription is deleted' });
+    expect(await statusOf(store)).toBe(STATES.DELETED);
+    expect(panelCalls).toEqual(['POST /servers/12/suspend', 'DELETE /servers/12']);
+  });
+
+  it('suspends a cancelled subscription\'s server and deletes it after the grace period', async () => {
+    const { store, lifecycle, panelCalls } = await setup({ cancellationGraceDays: 0 });
+
+    const outcome = await lifecycle.handleSubscriptionDeleted({ id: SUBSCRIPTION_ID });
+    expect(outcome).toMatchObject({ action: 'scheduled_deletion', serverId: 12 });
+    expect(await lifecycle.handleSubscriptionDeleted({ id: SUBSCRIPTION_ID })).toEqual({ action: 'already_cancelled' });
+    expect(await lifecycle.handlePaymentSucceeded(paidInvoice)).toMatchObject({ reason: 'subscription is pending_deletion' });
+
+    expect(await lifecycle.sweep()).toBe(1);
+    expect(panelCalls).toEqual(['POST /servers/12/suspend', 'DELETE /servers/12']);
+    expect(await statusOf(store)).toBe(STATES.DELETED);
+    expect((await store.get('sessions', 'cs_life')).status).toBe('deleted');
+    expect(await lifecycle.sweep()).toBe(0);
+  });
+
+  it('does not delete before the grace period ends', async () => {
+    const { lifecycle, panelCalls } = await setup({ cancellationGraceDays: 7 });
+    await lifecycle.handleSubscriptionDeleted({ id: SUBSCRIPTION_ID });
+
+    expect(await lifecycle.sweep()).toBe(0);
+    expect(panelCalls).toEqual(['POST /servers/12/suspend']);
+  });
+
+  it('keeps the server when the final backup fails', async () => {
+    const { store, lifecycle, panelCalls } = await setup({ cancellationGraceDays: 0, finalBackupOnDelete: true });
+    await lifecycle.handleSubscriptionDeleted({ id: SUBSCRIPTION_ID });
+
+    await lifecycle.sweep();
+
+    expect(panelCalls).not.toContain('DELETE /servers/12');
+    const record = await store.get('subscriptions', SUBSCRIPTION_ID);
+    expect(record).toMatchObject({ status: STATES.PENDING_DELETION, lastError: 'daemon unreachable' });
+  });
+});
@@ -0,0 +1,82 @@
+const { createMetrics, normalizeEndpoint } = require('../lib/metrics');
+
+const value = async (metrics, name, labels) => {
+  const metric = (await metrics.registry.getMetricsAsJSON()).find((entry) => entry.name === name);
+  const match = metric?.values.find((entry) => Object.entries(labels).every(([key, label]) => entry.labels[key] === label));
+  return match ? match.value : undefined;
+};
+
+describe('normalizeEndpoint', () => {
+  it.each([
+    ['/servers/12/suspend', '/servers/:id/suspend'],
+    ['/servers/1a2b3c4d/power', '/servers/:id/power'],
+    ['/servers/external/cs_test_abc?include=allocations', '/servers/external/:id'],
+    ['/nodes?page=2', '/nodes']
+  ])('turns %s into %s', (endpoint, normalized) => {
+    expect(normalizeEndpoint(endpoint)).toBe(normalized);
+  });
+});
+
+describe('createMetrics', () => {
+  it('counts webhooks and checkouts by label', async () => {
+    const metrics = createMetrics({ collectDefaults: false });
+    metrics.webhookReceived('invoice.paid');
+    metrics.webhookReceived('invoice.paid');
+    metrics.webhookFailed('invalid_signature');
+    metrics.checkoutCreated({ plan: 'starter' });
+
+    expect(await value(metrics, 'goose_webhook_events_received_total', { type: 'invoice.paid' })).toBe(2);
+    expect(await value(metrics, 'goose_webhook_events_failed_total', { type: 'invalid_signature' })).toBe(1);
+    expect(await value(metrics, 'goose_checkout_sessions_created_total', { plan: 'starter', server_type: 'paper' })).toBe(1);
+  });
+
+  it('records provisioning outcomes and the step that failed', async () => {
+    const metrics = createMetrics({ collectDefaults: false });
+    metrics.provisioningFinished({ createdAt: new Date(Date.now() - 20 * 1000).toISOString() }, 'completed');
+    metrics.provisioningRetried({ lastError: { step: 'createServer' } });
+
+    const { body } = await metrics.render();
+    expect(body).toContain('goose_provisioning_duration_seconds_bucket{le="30",outcome="completed"} 1');
+    expect(body).toContain('goose_provisioning_duration_seconds_bucket{le="15",outcome="completed"} 0');
+    expect(body).toContain('goose_provisioning_retries_total{step="createServer"} 1');
+  });
+
+  it('times panel calls and labels them by status without swallowing errors', async () => {
+    const metrics = createMetrics({ collectDefaults: false });
+    await metrics.timePterodactyl('application', 'get', '/servers/12', async () => ({ status: 200 }));
+    const notFound = Object.assign(new Error('Not found'), { response: { status: 404 } });
+    await expect(metrics.timePterodactyl('application', 'get', '/servers/13', async () => { throw notFound; })).rejects.toBe(notFound);
+    await expect(metrics.timePterodactyl('client', 'post', '/servers/abcd1234/power', async () => { throw new Error('ECONNRESET'); })).rejects.toThrow('ECONNRESET');
+
+    const labels = { api: 'application', method: 'GET', endpoint: '/servers/:id' };
+    expect(await value(metrics, 'goose_pterodactyl_requests_total', { ...labels, status: '200' })).toBe(1);
+    expect(await value(metrics, 'goose_pterodactyl_requests_total', { ...labels, status: '404' })).toBe(1);
+    expect(await value(metrics, 'goose_pterodactyl_requests_total', { api: 'client', status: 'network_error' })).toBe(1);
+  });
+
+  it('fills the gauges at scrape time and caches the allocation walk', async () => {
+    const countFreeAllocations = jest.fn().mockResolvedValue([{ nodeId: 1, nodeName: 'node-1', free: 12 }]);
+    const metrics = createMetrics({
+      collectDefaults: false,
+      countServers: async () => ({ active: 3, suspended: 1 }),
+      countFreeAllocations,
+      capacityCacheMs: 60 * 1000
+    });
+
+    expect(await value(metrics, 'goose_servers', { state: 'active' })).toBe(3);
+    expect(await value(metrics, 'goose_node_free_allocations', { node_id: '1', node_name: 'node-1' })).toBe(12);
+    await metrics.render();
+    expect(countFreeAllocations).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the last allocation counts when the panel cannot be reached', async () => {
+    const countFreeAllocations = jest.fn()
+      .mockResolvedValueOnce([{ nodeId: 1, nodeName: 'node-1', free: 12 }])
+      .mockRejectedValue(new Error('Panel down'));
+    const metrics = createMetrics({ collectDefaults: false, countFreeAllocations, capacityCacheMs: 0 });
+
+    await metrics.render();
+    expect(await value(metrics, 'goose_node_free_allocations', { node_id: '1' })).toBe(12);
+    expect(countFreeAllocations).toHaveBeenCalledTimes(2);
+  });
+});
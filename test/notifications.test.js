@@ -0,0 +1,152 @@
+const { createNotifier, TEMPLATES } = require('../lib/notifications');
+const { createStore } = require('../lib/store');
+
+const APP_URL = 'https://app.example.test';
+const PANEL_URL = 'https://panel.example.test';
+const PASSWORD = 'Sup3r$ecretPass!';
+
+const createFakeMailer = () => {
+  const sent = [];
+  return {
+    sent,
+    send: async (message) => {
+      sent.push(message);
+      return { id: `msg-${sent.length}` };
+    }
+  };
+};
+
+const completedRecord = (overrides = {}) => ({
+  sessionId: 'cs_test_ready',
+  customerEmail: 'player@example.com',
+  serverAddress: 'node1.example.test:25565',
+  metadata: { serverName: 'Goose Land' },
+  server: { serverUsername: 'player1234', ftpHost: 'node1.example.test', ftpPort: 2022 },
+  secrets: { serverPassword: PASSWORD },
+  ...overrides
+});
+
+const setup = () => {
+  const store = createStore({ driver: 'memory', encryptionKey: 'test-key' });
+  const mailer = createFakeMailer();
+  const notifier = createNotifier({ store, mailer, appUrl: APP_URL, panelUrl: PANEL_URL });
+  return { store, mailer, notifier };
+};
+
+describe('serverReady email', () => {
+  it('links to the one-time reveal instead of including the password', async () => {
+    const { mailer, notifier } = setup();
+    await notifier.serverReady(completedRecord());
+
+    const [message] = mailer.sent;
+    expect(message.to).toBe('player@example.com');
+    expect(message.text).not.toContain(PASSWORD);
+    expect(message.html).not.toContain(PASSWORD);
+    expect(message.text).toContain(`${APP_URL}/success?session_id=cs_test_ready`);
+    expect(message.text).toContain('Username: player1234');
+  });
+
+  it('is sent once per order even when provisioning completes twice', async () => {
+    const { mailer, notifier } = setup();
+    await notifier.serverReady(completedRecord());
+    await notifier.serverReady(completedRecord());
+    expect(mailer.sent).toHaveLength(1);
+  });
+
+  it('explains how to reset the password when support resends it', async () => {
+    const { mailer, notifier } = setup();
+    await notifier.serverReady(completedRecord());
+    await notifier.serverReady(completedRecord(), { resend: true });
+
+    const resent = mailer.sent[1];
+    expect(resent.text).not.toContain(PASSWORD);
+    expect(resent.html).not.toContain(PASSWORD);
+    expect(resent.text).not.toContain('/success?session_id=');
+    expect(resent.text).toContain(`log in at ${APP_URL}/login`);
+    expect(resent.text).toContain('Reset password');
+  });
+
+  it('points existing panel users at their own account', () => {
+    const message = TEMPLATES.serverReady({
+      serverName: 'Goose Land',
+      serverAddress: 'node1.example.test:25565',
+      panelUrl: PANEL_URL,
+      appUrl: APP_URL
+    });
+    expect(message.text).toContain(`existing account: ${PANEL_URL}`);
+    expect(message.text).not.toContain('Username:');
+  });
+});
+
+describe('billing emails', () => {
+  const invoice = (overrides = {}) => ({
+    id: 'in_1',
+    subscription: 'sub_1',
+    attempt_count: 1,
+    amount_due: 999,
+    currency: 'usd',
+    next_payment_attempt: Date.UTC(2026, 2, 14) / 1000,
+    ...overrides
+  });
+
+  const withOrder = async (store) => store.put('sessions', 'cs_test_ready', {
+    ...completedRecord(),
+    metadata: { serverName: '<Goose> Land' },
+    subscriptionId: 'sub_1'
+  });
+
+  it('sends the payment failure to the order email with the amount and next attempt', async () => {
+    const { store, mailer, notifier } = setup();
+    await withOrder(store);
+
+    await notifier.paymentFailed(invoice(), { attemptsBeforeSuspension: 2 });
+
+    const [message] = mailer.sent;
+    expect(message).toMatchObject({ to: 'player@example.com', subject: 'Your payment did not go through' });
+    expect(message.text).toContain('We could not collect $9.99 for <Goose> Land. We will try again on Sat, 14 Mar 2026.');
+    expect(message.html).toContain('&lt;Goose&gt; Land');
+    expect(message.html).not.toContain('<Goose>');
+  });
+
+  it('warns before the attempt that would suspend the server', async () => {
+    const { store, mailer, notifier } = setup();
+    await withOrder(store);
+
+    await notifier.paymentFailed(invoice({ attempt_count: 2 }), { attemptsBeforeSuspension: 1 });
+
+    expect(mailer.sent[0].subject).toBe('Action needed: <Goose> Land will be suspended');
+  });
+
+  it('sends each event once but retries a send that failed', async () => {
+    const { store, mailer, notifier } = setup();
+    await withOrder(store);
+    const send = mailer.send;
+    mailer.send = async () => {
+      throw new Error('SMTP timeout');
+    };
+
+    expect(await notifier.suspended(invoice())).toBeNull();
+    expect(await store.get('notifications', 'suspended:sub_1:in_1')).toMatchObject({ status: 'failed', error: 'SMTP timeout' });
+
+    mailer.send = send;
+    await notifier.suspended(invoice());
+    await notifier.suspended(invoice());
+    expect(mailer.sent).toHaveLength(1);
+    expect(await store.get('notifications', 'suspended:sub_1:in_1')).toMatchObject({ status: 'sent', messageId: 'msg-1' });
+  });
+
+  it('tells the customer when a cancelled server will be deleted', async () => {
+    const { store, mailer, notifier } = setup();
+    await withOrder(store);
+
+    await notifier.cancelled({ id: 'sub_1' }, { deleteAfter: '2026-03-21T10:00:00.000Z' });
+
+    expect(mailer.sent[0].text).toContain('will be deleted on Sat, 21 Mar 2026');
+  });
+
+  it('skips events without a recipient', async () => {
+    const { mailer, notifier } = setup();
+    expect(await notifier.cancelled({ id: 'sub_unknown' })).toBeNull();
+    expect(mailer.sent).toEqual([]);
+  });
+});
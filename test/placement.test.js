@@ -0,0 +1,95 @@
+const { createPlacementScheduler, PlacementError } = require('../lib/placement');
+const { createStore } = require('../lib/store');
+
+const node = (id, { memory = 16384, disk = 200000, used = 0, maintenance = false, location = 1 } = {}) => ({
+  attributes: {
+    id,
+    name: `node-${id}`,
+    location_id: location,
+    maintenance_mode: maintenance,
+    memory,
+    disk,
+    allocated_resources: { memory: used, disk: used }
+  }
+});
+
+const ports = (...ids) => ids.map((id) => ({ attributes: { id, port: 25564 + id, assigned: false } }));
+
+const setup = ({ nodes, allocations, lockTtlMs }) => {
+  const store = createStore({ driver: 'memory', encryptionKey: 'test-key' });
+  const fetchAllPages = async (path) => {
+    const match = /^\/nodes\/(\d+)\/allocations/.exec(path);
+    return match ? allocations[match[1]] || [] : nodes;
+  };
+  return { store, placement: createPlacementScheduler({ store, fetchAllPages, lockTtlMs }) };
+};
+
+describe('placement', () => {
+  it('picks the node with the most room left and locks a port on it', async () => {
+    const { placement } = setup({
+      nodes: [node(1, { used: 12000 }), node(2, { used: 2000 })],
+      allocations: { 1: ports(1), 2: ports(11, 12) }
+    });
+
+    const first = await placement.placeServer({ totalRam: 2, owner: 'cs_a' });
+    const second = await placement.placeServer({ totalRam: 2, owner: 'cs_b' });
+
+    expect([first.node.id, first.allocation.id]).toEqual([2, 11]);
+    expect([second.node.id, second.allocation.id]).toEqual([2, 12]);
+  });
+
+  it('falls through to the next node when the best one has no free ports', async () => {
+    const { placement } = setup({ nodes: [node(1), node(2, { used: 4000 })], allocations: { 2: ports(21) } });
+
+    const { node: placedOn } = await placement.placeServer({ totalRam: 2, owner: 'cs_a' });
+
+    expect(placedOn.id).toBe(2);
+    await expect(placement.placeServer({ totalRam: 2, owner: 'cs_b' })).rejects.toThrow(PlacementError);
+  });
+
+  it('skips nodes in maintenance or without the memory', async () => {
+    const { placement } = setup({
+      nodes: [node(1, { maintenance: true }), node(2, { memory: 4096, used: 3000 })],
+      allocations: { 1: ports(1), 2: ports(2) }
+    });
+
+    await expect(placement.placeServer({ totalRam: 2, owner: 'cs_a' })).rejects.toThrow('No node has 2 GB');
+  });
+
+  it('releases a lock only for the session holding it', async () => {
+    const { store, placement } = setup({ nodes: [node(1)], allocations: { 1: ports(1) } });
+    await placement.placeServer({ totalRam: 2, owner: 'cs_a' });
+
+    expect(await placement.releaseAllocation(1, 'cs_b')).toBe(false);
+    expect(await store.get('allocationLocks', '1')).toMatchObject({ owner: 'cs_a' });
+
+    expect(await placement.releaseAllocation(1, 'cs_a')).toBe(true);
+    expect(await store.get('allocationLocks', '1')).toBeNull();
+  });
+
+  it('keeps a taken-over lock when the original owner releases late', async () => {
+    const { store, placement } = setup({ nodes: [node(1)], allocations: { 1: ports(1) } });
+    // Same store, but every lock it takes has already expired
+    const stale = createPlacementScheduler({
+      store,
+      fetchAllPages: async (path) => (path.includes('allocations') ? ports(1) : [node(1)]),
+      lockTtlMs: -1
+    });
+    await stale.placeServer({ totalRam: 2, owner: 'cs_slow' });
+
+    const { allocation } = await placement.placeServer({ totalRam: 2, owner: 'cs_next' });
+    expect(allocation.id).toBe(1);
+    expect(await stale.renewAllocation(1, 1, 'cs_slow')).toBeNull();
+
+    expect(await stale.releaseAllocation(1, 'cs_slow')).toBe(false);
+    expect(await store.get('allocationLocks', '1')).toMatchObject({ owner: 'cs_next' });
+  });
+
+  it('checks room on a running server\'s node for an upgrade', async () => {
+    const { placement } = setup({ nodes: [node(1, { memory: 8192, used: 6144 })], allocations: {} });
+
+    expect(await placement.hasRoomOnNode(1, { memory: 2048, disk: 2000 })).toBe(true);
+    expect(await placement.hasRoomOnNode(1, { memory: 4096, disk: 2000 })).toBe(false);
+    expect(await placement.hasRoomOnNode(99, { memory: 1, disk: 1 })).toBe(false);
+  });
+});
@@ -0,0 +1,161 @@
+const { createPlanChangeManager, PlanChangeError } = require('../lib/plan-changes');
+const { createPlacementScheduler } = require('../lib/placement');
+const { createStore } = require('../lib/store');
+
+const SERVER_ID = 42;
+const SESSION_ID = 'cs_test_plan';
+const OWNER = { serverId: SERVER_ID, customerEmail: 'Owner@Example.com' };
+
+// Just enough of the panel for one 2 GB starter server on node 1
+const createFakePanel = ({ nodeMemory = 8192, nodeDisk = 100000, failStartup = false } = {}) => {
+  const server = {
+    allocation: 7,
+    node: 1,
+    limits: { memory: 2048, swap: 0, disk: 2000, io: 500, cpu: 0 },
+    feature_limits: { databases: 1, allocations: 1, backups: 2 },
+    container: { startup_command: 'java -Xmx2048M -jar server.jar', image: 'java:17', environment: { SERVER_MEMORY: 2048 } },
+    egg: 5
+  };
+  const calls = [];
+
+  const request = async (method, path, body) => {
+    calls.push({ method, path, body });
+    if (method === 'GET' && path.startsWith(`/servers/${SERVER_ID}`)) {
+      return { data: { attributes: { ...server, relationships: { databases: { data: [] } } } } };
+    }
+    if (method === 'PATCH' && path === `/servers/${SERVER_ID}/build`) {
+      server.limits = { memory: body.memory, swap: body.swap, disk: body.disk, io: body.io, cpu: body.cpu };
+      server.feature_limits = body.feature_limits;
+      return { data: { attributes: server } };
+    }
+    if (method === 'PATCH' && path === `/servers/${SERVER_ID}/startup`) {
+      if (failStartup) {
+        throw new Error('panel said no');
+      }
+      server.container = { ...server.container, startup_command: body.startup, environment: body.environment };
+      return { data: { attributes: server } };
+    }
+    throw new Error(`Unexpected panel call ${method} ${path}`);
+  };
+
+  // The node already carries this server's 2 GB
+  const fetchAllPages = async (path) => {
+    if (path.startsWith('/nodes')) {
+      return [{ attributes: { id: 1, name: 'node-1', memory: nodeMemory, disk: nodeDisk, allocated_resources: { memory: 2048, disk: 2000 } } }];
+    }
+    throw new Error(`Unexpected page walk ${path}`);
+  };
+
+  return { server, calls, request, fetchAllPages };
+};
+
+const createFakeStripe = () => {
+  const updates = [];
+  return {
+    updates,
+    subscriptions: {
+      retrieve: async (id) => ({
+        id,
+        items: { data: [{ id: 'si_1', price: { id: 'price_old', product: 'prod_1' } }] }
+      }),
+      update: async (id, params) => {
+        updates.push({ id, ...params });
+        return { id };
+      }
+    }
+  };
+};
+
+const setup = async (panelOptions) => {
+  const store = createStore({ driver: 'memory', encryptionKey: 'test-key' });
+  const stripe = createFakeStripe();
+  const panel = createFakePanel(panelOptions);
+  const placement = createPlacementScheduler({ store, fetchAllPages: panel.fetchAllPages });
+  const manager = createPlanChangeManager({
+    store,
+    stripe,
+    pterodactylRequest: panel.request,
+    resolveStartup: (record, memoryMb) => ({ startup: `java -Xmx${memoryMb}M -jar server.jar`, image: 'java:17' }),
+    placement
+  });
+
+  await store.put('sessions', SESSION_ID, {
+    sessionId: SESSION_ID,
+    customerEmail: 'owner@example.com',
+    serverId: SERVER_ID,
+    subscriptionId: 'sub_1',
+    metadata: { plan: 'starter', totalRam: '2', billingCycle: 'monthly' }
+  });
+
+  return { store, stripe, panel, manager };
+};
+
+describe('changePlan', () => {
+  it('reprices in Stripe, resizes the server and records the change', async () => {
+    const { store, stripe, panel, manager } = await setup();
+
+    const { quote, change } = await manager.changePlan({ ...OWNER, planId: 'starter', totalRam: 4 });
+
+    expect(quote.totalRam).toBe(4);
+    expect(stripe.updates).toHaveLength(1);
+    expect(stripe.updates[0].items[0].price_data.unit_amount).toBe(quote.unitAmount);
+    expect(panel.server.limits.memory).toBe(4096);
+    expect(panel.server.container.environment.SERVER_MEMORY).toBe(4096);
+    expect(panel.server.container.startup_command).toBe('java -Xmx4096M -jar server.jar');
+    expect(change.from).toEqual({ plan: 'starter', totalRam: 2 });
+
+    const record = await store.get('sessions', SESSION_ID);
+    expect(record.metadata.totalRam).toBe('4');
+    expect(record.planChanges).toHaveLength(1);
+  });
+
+  it('puts Stripe and the build back when the panel update fails', async () => {
+    const { store, stripe, panel, manager } = await setup({ failStartup: true });
+
+    await expect(manager.changePlan({ ...OWNER, totalRam: 4 }))
+      .rejects.toMatchObject({ name: 'PlanChangeError', statusCode: 502 });
+
+    expect(stripe.updates).toHaveLength(2);
+    expect(stripe.updates[1].items[0]).toEqual({ id: 'si_1', price: 'price_old' });
+    expect(stripe.updates[1].metadata).toEqual({ plan: 'starter', totalRam: '2' });
+    expect(panel.server.limits.memory).toBe(2048);
+    expect((await store.get('sessions', SESSION_ID)).metadata.totalRam).toBe('2');
+  });
+
+  it('refuses an upgrade the node has no room for before touching Stripe', async () => {
+    const { stripe, panel, manager } = await setup({ nodeMemory: 3072 });
+
+    const attempt = manager.changePlan({ ...OWNER, totalRam: 4 });
+    await expect(attempt).rejects.toBeInstanceOf(PlanChangeError);
+    await expect(attempt).rejects.toMatchObject({ statusCode: 409 });
+
+    expect(stripe.updates).toHaveLength(0);
+    expect(panel.calls.filter((call) => call.method === 'PATCH')).toHaveLength(0);
+  });
+
+  it('allows a downgrade on a full node', async () => {
+    const { store, manager } = await setup({ nodeMemory: 2048 });
+    await store.update('sessions', SESSION_ID, { metadata: { plan: 'starter', totalRam: '3', billingCycle: 'monthly' } });
+
+    const { quote } = await manager.changePlan({ ...OWNER, totalRam: 1 });
+    expect(quote.totalRam).toBe(1);
+  });
+
+  it('treats another customer\'s server as not found', async () => {
+    const { stripe, panel, manager } = await setup();
+
+    await expect(manager.changePlan({ serverId: SERVER_ID, customerEmail: 'someone@example.com', totalRam: 4 }))
+      .rejects.toMatchObject({ name: 'PlanChangeError', statusCode: 404 });
+    await expect(manager.changePlan({ serverId: SERVER_ID, totalRam: 4 }))
+      .rejects.toMatchObject({ statusCode: 404 });
+
+    expect(stripe.updates).toHaveLength(0);
+    expect(panel.calls).toHaveLength(0);
+  });
+
+  it('rejects a change to the plan the server is already on', async () => {
+    const { manager } = await setup();
+    await expect(manager.changePlan({ ...OWNER, planId: 'starter', totalRam: 2 }))
+      .rejects.toThrow('already on this plan');
+  });
+});
@@ -0,0 +1,142 @@
+const express = require('express');
+const { createPluginInstaller, parsePluginList } = require('../lib/plugins');
+const { createStore } = require('../lib/store');
+
+const SESSION_ID = 'cs_test_plugins';
+
+let uploadServer;
+let uploadUrl;
+let uploads;
+
+// Stands in for the daemon's signed upload URL
+beforeAll(async () => {
+  const app = express();
+  app.post('/upload', (req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const fileName = /filename="([^"]+)"/.exec(Buffer.concat(chunks).toString())?.[1];
+      uploads.push({ directory: req.query.directory, fileName });
+      res.status(200).end();
+    });
+  });
+  await new Promise((resolve) => {
+    uploadServer = app.listen(0, '127.0.0.1', resolve);
+  });
+  uploadUrl = `http://127.0.0.1:${uploadServer.address().port}/upload?token=signed`;
+});
+
+afterAll(() => new Promise((resolve) => uploadServer.close(resolve)));
+
+const VERSIONS = {
+  'luckperms@5.4.120': { slug: 'luckperms', version: '5.4.120', file: 'LuckPerms-Bukkit-5.4.120.jar' },
+  'luckperms@5.4.131': { slug: 'luckperms', version: '5.4.131', file: 'LuckPerms-Bukkit-5.4.131.jar' },
+  'essentialsx@2.20.1': { slug: 'essentialsx', version: '2.20.1', file: 'EssentialsX.jar' }
+};
+
+const setup = async ({ latest = ['luckperms@5.4.131'], deleteStatus = null } = {}) => {
+  uploads = [];
+  const deletes = [];
+  const store = createStore({ driver: 'memory', encryptionKey: 'test-key' });
+
+  const clientRequest = async (method, path, body) => {
+    if (path.endsWith('/files/upload')) {
+      return { data: { attributes: { url: uploadUrl } } };
+    }
+    if (path.endsWith('/files/delete')) {
+      deletes.push(body);
+      if (deleteStatus) {
+        throw Object.assign(new Error('panel error'), { response: { status: deleteStatus } });
+      }
+    }
+    return {};
+  };
+  const catalog = {
+    resolvePlugins: async (slugs) => slugs.map((slug) => VERSIONS[latest.find((key) => key.startsWith(`${slug}@`))]),
+    downloadJar: async (entry) => Buffer.from(`jar for ${entry.slug} ${entry.version}`)
+  };
+
+  const installer = createPluginInstaller({ store, catalog, clientRequest, waitForInstall: async () => {} });
+  await store.put('sessions', SESSION_ID, {
+    sessionId: SESSION_ID,
+    serverId: 9,
+    serverUuid: 'uuid-9',
+    metadata: { serverType: 'paper', minecraftVersion: '1.21.1', plugins: 'luckperms' }
+  });
+  return { store, installer, deletes };
+};
+
+describe('plugin installer', () => {
+  it('uploads checkout plugins into plugins/ and records them', async () => {
+    const { store, installer, deletes } = await setup({ latest: ['luckperms@5.4.120'] });
+
+    await installer.installCheckoutPlugins(SESSION_ID);
+
+    expect(uploads).toEqual([{ directory: '/plugins', fileName: 'LuckPerms-Bukkit-5.4.120.jar' }]);
+    expect(deletes).toHaveLength(0);
+    const record = await store.get('sessions', SESSION_ID);
+    expect(record.pluginStatus).toBe('installed');
+    expect(record.plugins).toEqual([expect.objectContaining({ slug: 'luckperms', version: '5.4.120' })]);
+  });
+
+  it('deletes the old jar when a plugin is upgraded', async () => {
+    const { store, installer, deletes } = await setup({ latest: ['luckperms@5.4.131', 'essentialsx@2.20.1'] });
+    await store.update('sessions', SESSION_ID, {
+      plugins: [
+        { slug: 'luckperms', version: '5.4.120', file: 'LuckPerms-Bukkit-5.4.120.jar' },
+        { slug: 'essentialsx', version: '2.20.1', file: 'EssentialsX.jar' }
+      ]
+    });
+
+    await installer.addPlugin(await store.get('sessions', SESSION_ID), 'LuckPerms');
+
+    expect(uploads.map((upload) => upload.fileName)).toEqual(['LuckPerms-Bukkit-5.4.131.jar']);
+    expect(deletes).toEqual([{ root: '/plugins', files: ['LuckPerms-Bukkit-5.4.120.jar'] }]);
+    const { plugins } = await store.get('sessions', SESSION_ID);
+    expect(plugins.map((plugin) => `${plugin.slug}@${plugin.version}`).sort())
+      .toEqual(['essentialsx@2.20.1', 'luckperms@5.4.131']);
+  });
+
+  it('keeps the jar when a reinstall uploads over the same file name', async () => {
+    const { store, installer, deletes } = await setup({ latest: ['essentialsx@2.20.1'] });
+    await store.update('sessions', SESSION_ID, {
+      plugins: [{ slug: 'essentialsx', version: '2.20.0', file: 'EssentialsX.jar' }]
+    });
+
+    await installer.addPlugin(await store.get('sessions', SESSION_ID), 'essentialsx');
+
+    expect(deletes).toHaveLength(0);
+  });
+
+  it('tolerates an old jar that was already deleted by hand', async () => {
+    const { store, installer } = await setup({ deleteStatus: 404 });
+    await store.update('sessions', SESSION_ID, {
+      plugins: [{ slug: 'luckperms', version: '5.4.120', file: 'LuckPerms-Bukkit-5.4.120.jar' }]
+    });
+
+    await installer.addPlugin(await store.get('sessions', SESSION_ID), 'luckperms');
+
+    expect((await store.get('sessions', SESSION_ID)).plugins[0].version).toBe('5.4.131');
+  });
+
+  it('removes a plugin and its jar', async () => {
+    const { store, installer, deletes } = await setup();
+    await store.update('sessions', SESSION_ID, {
+      plugins: [{ slug: 'luckperms', version: '5.4.120', file: 'LuckPerms-Bukkit-5.4.120.jar' }]
+    });
+
+    await installer.removePlugin(await store.get('sessions', SESSION_ID), 'luckperms');
+    await expect(installer.removePlugin(await store.get('sessions', SESSION_ID), 'luckperms'))
+      .rejects.toMatchObject({ name: 'PluginError', statusCode: 404 });
+
+    expect(deletes).toEqual([{ root: '/plugins', files: ['LuckPerms-Bukkit-5.4.120.jar'] }]);
+    expect((await store.get('sessions', SESSION_ID)).plugins).toEqual([]);
+  });
+});
+
+describe('parsePluginList', () => {
+  it('normalises the checkout metadata field', () => {
+    expect(parsePluginList('none')).toEqual([]);
+    expect(parsePluginList(' LuckPerms, essentialsx,luckperms ')).toEqual(['luckperms', 'essentialsx']);
+  });
+});
@@ -0,0 +1,98 @@
+const { createPowerController, createKeyedRateLimiter, PowerError } = require('../lib/power');
+const { PterodactylUnavailableError } = require('../lib/pterodactyl');
+
+const server = { serverId: 7, serverUuid: 'uuid-7' };
+
+const panelError = (status, detail) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, data: detail ? { errors: [{ detail }] } : {} }
+});
+
+const rejection = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected a rejection');
+};
+
+describe('createKeyedRateLimiter', () => {
+  it('counts each key separately and reports when to retry', () => {
+    const limiter = createKeyedRateLimiter({ windowMs: 60000, max: 2 });
+    expect(limiter.check('a')).toEqual({ allowed: true, remaining: 1 });
+    expect(limiter.check('a')).toEqual({ allowed: true, remaining: 0 });
+    expect(limiter.check('b').allowed).toBe(true);
+
+    const blocked = limiter.check('a');
+    expect(blocked.allowed).toBe(false);
+    expect(blocked.retryAfterMs).toBeGreaterThan(59000);
+  });
+});
+
+describe('sendPowerSignal', () => {
+  it('posts the signal to the client API', async () => {
+    const clientRequest = jest.fn().mockResolvedValue({});
+    await createPowerController({ clientRequest }).sendPowerSignal(server, 'restart');
+    expect(clientRequest).toHaveBeenCalledWith('POST', '/servers/uuid-7/power', { signal: 'restart' });
+  });
+
+  it('rejects unknown signals and unprovisioned servers without calling the panel', async () => {
+    const clientRequest = jest.fn();
+    const power = createPowerController({ clientRequest });
+
+    expect(await rejection(power.sendPowerSignal(server, 'explode'))).toMatchObject({ statusCode: 400 });
+    expect(await rejection(power.sendPowerSignal({ serverId: 8 }, 'start'))).toMatchObject({ statusCode: 409 });
+    expect(clientRequest).not.toHaveBeenCalled();
+  });
+
+  it('limits power actions per server', async () => {
+    const clientRequest = jest.fn().mockResolvedValue({});
+    const power = createPowerController({ clientRequest, powerLimit: { windowMs: 60000, max: 1 } });
+
+    await power.sendPowerSignal(server, 'start');
+    const error = await rejection(power.sendPowerSignal(server, 'stop'));
+    expect(error).toBeInstanceOf(PowerError);
+    expect(error.statusCode).toBe(429);
+    expect(error.retryAfterMs).toBeGreaterThan(0);
+
+    await power.sendPowerSignal({ serverId: 8, serverUuid: 'uuid-8' }, 'start');
+    expect(clientRequest).toHaveBeenCalledTimes(2);
+  });
+
+  it.each([
+    ['a 409', panelError(409, 'Server is suspended'), 409, 'Server is suspended'],
+    ['a 404', panelError(404), 404, 'Server not found on the panel'],
+    ['an outage', new PterodactylUnavailableError('Panel down'), 503, 'The panel is not responding - try again in a minute'],
+    ['anything else', panelError(500), 502, 'The panel did not accept the request']
+  ])('translates %s from the panel', async (label, failure, statusCode, message) => {
+    const power = createPowerController({ clientRequest: jest.fn().mockRejectedValue(failure) });
+    expect(await rejection(power.sendPowerSignal(server, 'start'))).toMatchObject({ statusCode, message });
+  });
+});
+
+describe('sendCommand', () => {
+  it('trims and forwards a single-line command', async () => {
+    const clientRequest = jest.fn().mockResolvedValue({});
+    await createPowerController({ clientRequest }).sendCommand(server, '  say hello  ');
+    expect(clientRequest).toHaveBeenCalledWith('POST', '/servers/uuid-7/command', { command: 'say hello' });
+  });
+
+  it.each([
+    ['an empty command', '', 'Command is required'],
+    ['several lines', 'say hi\nop griefer', 'Command must be a single line of at most 255 characters'],
+    ['an overlong command', 'x'.repeat(256), 'Command must be a single line of at most 255 characters']
+  ])('rejects %s', async (label, command, message) => {
+    const clientRequest = jest.fn();
+    const error = await rejection(createPowerController({ clientRequest }).sendCommand(server, command));
+    expect(error).toMatchObject({ statusCode: 400, message });
+    expect(clientRequest).not.toHaveBeenCalled();
+  });
+
+  it('asks for the server to be started when it is offline', async () => {
+    const power = createPowerController({ clientRequest: jest.fn().mockRejectedValue(panelError(502)) });
+    expect(await rejection(power.sendCommand(server, 'list'))).toMatchObject({
+      statusCode: 409,
+      message: 'Server is offline - start it before sending commands'
+    });
+  });
+});
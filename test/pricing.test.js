@@ -0,0 +1,102 @@
+const request = require('supertest');
+const { calculatePrice, findPriceMismatches, getPublicCatalog, PricingError } = require('../lib/pricing');
+const { startSandboxService } = require('./helpers/service');
+
+describe('calculatePrice', () => {
+  it('charges extra RAM above what the plan includes', () => {
+    const quote = calculatePrice({ planId: 'standard', totalRam: 6 });
+    // 9.99 base + 2 GB at 2.25
+    expect(quote).toMatchObject({ totalRam: 6, monthlyCost: 1449, totalCost: 1449, unitAmount: 1449, interval: 'month' });
+  });
+
+  it('discounts longer billing cycles and adds add-ons monthly', () => {
+    const quote = calculatePrice({ planId: 'starter', billingCycle: 'quarterly', addons: 'dedicated-ip,extra-backups' });
+    // (4.99 + 2.99 + 1.99) x 3 months, 5% off
+    expect(quote).toMatchObject({
+      totalRam: 2,
+      addons: ['dedicated-ip', 'extra-backups'],
+      monthlyCost: 997,
+      totalCost: 2841,
+      savings: 150,
+      intervalCount: 3
+    });
+  });
+
+  it.each([
+    [{ planId: 'mega' }, 'planId'],
+    [{ planId: 'starter', totalRam: 5 }, 'totalRam'],
+    [{ planId: 'starter', totalRam: 2.5 }, 'totalRam'],
+    [{ planId: 'starter', billingCycle: 'weekly' }, 'billingCycle'],
+    [{ planId: 'starter', addons: ['free-money'] }, 'addons']
+  ])('rejects %j', (input, field) => {
+    let error;
+    try {
+      calculatePrice(input);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(PricingError);
+    expect(error.details.field).toBe(field);
+  });
+});
+
+describe('findPriceMismatches', () => {
+  const quote = calculatePrice({ planId: 'starter' });
+
+  it('accepts matching or missing client prices', () => {
+    expect(findPriceMismatches(quote, { monthlyCost: '4.99', totalCost: 4.99 })).toEqual([]);
+    expect(findPriceMismatches(quote, {})).toEqual([]);
+  });
+
+  it('names every field that differs', () => {
+    expect(findPriceMismatches(quote, { monthlyCost: '0.01', totalCost: '0.01' })).toEqual(['monthlyCost', 'totalCost']);
+  });
+});
+
+describe('getPublicCatalog', () => {
+  it('shows dollar amounts next to the cents', () => {
+    const starter = getPublicCatalog().plans.find((plan) => plan.id === 'starter');
+    expect(starter).toMatchObject({ basePrice: 499, basePriceDisplay: '4.99', pricePerGbDisplay: '2.50' });
+  });
+});
+
+describe('checkout pricing', () => {
+  jest.setTimeout(30000);
+
+  let service;
+  let api;
+
+  beforeAll(async () => {
+    service = await startSandboxService();
+    api = request(service.app);
+  });
+
+  afterAll(() => service.stop());
+
+  it('refuses a checkout whose client price was tampered with', async () => {
+    const { body } = await api.post('/create-checkout-session')
+      .send({ serverName: 'Bargain', planId: 'premium', totalRam: 16, monthlyCost: '1.00' })
+      .expect(400);
+
+    expect(body.error).toContain('Price mismatch for monthlyCost');
+    expect(body.quote.monthlyCost).toBe(3599);
+  });
+
+  it('charges Stripe the catalog price', async () => {
+    const { body } = await api.post('/create-checkout-session')
+      .send({ serverName: 'Full Price', planId: 'premium', totalRam: 16 })
+      .expect(200);
+
+    const session = await request(service.sandbox.app)
+      .get(`/v1/checkout/sessions/${body.sessionId}`)
+      .auth('sk_test_sandbox', '')
+      .expect(200);
+    expect(session.body).toMatchObject({ amount_total: 3599, currency: 'usd' });
+    expect(session.body.metadata).toMatchObject({ plan: 'premium', totalRam: '16', monthlyCost: '35.99' });
+  });
+
+  it('quotes without creating a checkout', async () => {
+    const { body } = await api.get('/plans/quote').query({ planId: 'standard', totalRam: 6 }).expect(200);
+    expect(body.quote.monthlyCost).toBe(1449);
+  });
+});
@@ -0,0 +1,168 @@
+const request = require('supertest');
+const { createPromotions, PromotionError, discountFor } = require('../lib/promotions');
+const { createStore } = require('../lib/store');
+const { startSandboxService, waitFor } = require('./helpers/service');
+
+const setup = () => {
+  const store = createStore({ driver: 'memory', encryptionKey: 'test-key' });
+  let coupons = 0;
+  const stripe = {
+    coupons: {
+      create: jest.fn(async () => ({ id: `coupon_${++coupons}` })),
+      del: jest.fn(async () => ({ deleted: true }))
+    }
+  };
+  const promotions = createPromotions({ store, stripe, planIds: ['starter', 'standard', 'premium'] });
+  return { store, stripe, promotions };
+};
+
+const failure = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected a rejection');
+};
+
+describe('createPromoCode', () => {
+  it('creates the Stripe coupon and keeps our own rules next to it', async () => {
+    const { stripe, promotions } = setup();
+    const promo = await promotions.createPromoCode({ code: 'launch-week', percentOff: 25, duration: 'repeating', durationInMonths: 3, plans: ['starter'] });
+
+    expect(stripe.coupons.create).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'LAUNCH-WEEK', duration: 'repeating', duration_in_months: 3, percent_off: 25
+    }));
+    expect(promo).toMatchObject({ code: 'LAUNCH-WEEK', stripeCouponId: 'coupon_1', plans: ['starter'], timesRedeemed: 0, active: true });
+  });
+
+  it.each([
+    ['a malformed code', { code: 'no spaces', percentOff: 10 }, 'code'],
+    ['both discounts', { code: 'BOTH', percentOff: 10, amountOff: 100 }, 'percentOff'],
+    ['more than 100% off', { code: 'GREEDY', percentOff: 150 }, 'percentOff'],
+    ['repeating without months', { code: 'REPEAT', percentOff: 10, duration: 'repeating' }, 'durationInMonths'],
+    ['an expiry in the past', { code: 'OLD', percentOff: 10, expiresAt: '2020-01-01' }, 'expiresAt'],
+    ['an unknown plan', { code: 'MEGA', percentOff: 10, plans: ['mega'] }, 'plans']
+  ])('rejects %s', async (label, definition, field) => {
+    const { stripe, promotions } = setup();
+    const error = await failure(promotions.createPromoCode(definition));
+    expect(error).toBeInstanceOf(PromotionError);
+    expect(error.field).toBe(field);
+    expect(stripe.coupons.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses a code that already exists', async () => {
+    const { promotions } = setup();
+    await promotions.createPromoCode({ code: 'TWICE', amountOff: 100 });
+    expect(await failure(promotions.createPromoCode({ code: 'twice', amountOff: 100 }))).toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('resolvePromoCode', () => {
+  it('accepts a live code case-insensitively', async () => {
+    const { promotions } = setup();
+    await promotions.createPromoCode({ code: 'HELLO', percentOff: 10 });
+    expect((await promotions.resolvePromoCode(' hello ', { planId: 'premium' })).code).toBe('HELLO');
+  });
+
+  it('rejects unknown, deactivated, expired, used-up and wrong-plan codes', async () => {
+    const { store, stripe, promotions } = setup();
+    await promotions.createPromoCode({ code: 'GONE', percentOff: 10 });
+    await promotions.deactivatePromoCode('gone');
+    await promotions.createPromoCode({ code: 'EXPIRED', percentOff: 10 });
+    await store.update('promoCodes', 'EXPIRED', { expiresAt: new Date(Date.now() - 1000).toISOString() });
+    await promotions.createPromoCode({ code: 'USED', percentOff: 10, maxRedemptions: 1 });
+    await store.update('promoCodes', 'USED', { timesRedeemed: 1 });
+    await promotions.createPromoCode({ code: 'STARTERONLY', percentOff: 10, plans: ['starter'] });
+
+    const messages = [];
+    for (const code of ['NOPE', 'GONE', 'EXPIRED', 'USED', 'STARTERONLY']) {
+      messages.push((await failure(promotions.resolvePromoCode(code, { planId: 'premium' }))).message);
+    }
+    expect(messages).toEqual([
+      'Promo code is not valid',
+      'Promo code is not valid',
+      'Promo code has expired',
+      'Promo code has been fully redeemed',
+      'Promo code is not valid for the premium plan'
+    ]);
+    expect(stripe.coupons.del).toHaveBeenCalledWith('coupon_1');
+  });
+});
+
+describe('recordRedemption', () => {
+  it('counts each checkout once', async () => {
+    const { promotions } = setup();
+    await promotions.createPromoCode({ code: 'COUNTED', percentOff: 10 });
+    const session = (id) => ({ id, metadata: { promoCode: 'COUNTED' }, customer_details: { email: 'a@example.com' } });
+
+    await promotions.recordRedemption(session('cs_1'));
+    await promotions.recordRedemption(session('cs_1'));
+    const promo = await promotions.recordRedemption(session('cs_2'));
+
+    expect(promo.timesRedeemed).toBe(2);
+    expect(await promotions.recordRedemption({ id: 'cs_3', metadata: {} })).toBeNull();
+  });
+});
+
+describe('discountFor', () => {
+  it('takes a percentage, or a fixed amount up to the price', () => {
+    const quote = { totalCost: 999 };
+    expect(discountFor(quote, { code: 'HALF', percentOff: 50, duration: 'once' }))
+      .toMatchObject({ discountAmount: 500, firstPaymentAmount: 499 });
+    expect(discountFor(quote, { code: 'BIG', amountOff: 5000, duration: 'once' }))
+      .toMatchObject({ discountAmount: 999, firstPaymentAmount: 0 });
+  });
+});
+
+describe('checkout with discounts', () => {
+  jest.setTimeout(30000);
+
+  const ADMIN_KEY = 'd'.repeat(32);
+  let service;
+  let api;
+
+  beforeAll(async () => {
+    service = await startSandboxService({ ADMIN_API_KEYS: `support:${ADMIN_KEY}` });
+    api = request(service.app);
+    await api.post('/admin/promo-codes')
+      .set('Authorization', `Bearer ${ADMIN_KEY}`)
+      .send({ code: 'HALFSTARTER', percentOff: 50, plans: ['starter'] })
+      .expect(201);
+  });
+
+  afterAll(() => service.stop());
+
+  it('charges the discounted price and counts the redemption once paid', async () => {
+    const { body } = await api.post('/create-checkout-session')
+      .send({ serverName: 'Discounted', planId: 'starter', promoCode: 'halfstarter' })
+      .expect(200);
+    expect(body.promotion).toMatchObject({ code: 'HALFSTARTER', discountAmount: 250, firstPaymentAmount: 249 });
+
+    const session = await request(service.sandbox.app)
+      .get(`/v1/checkout/sessions/${body.sessionId}`)
+      .auth('sk_test_sandbox', '')
+      .expect(200);
+    expect(session.body.amount_total).toBe(249);
+
+    await service.sandbox.stripe.completeCheckout(body.sessionId, { email: 'discount@example.com' });
+    await service.sandbox.stripe.settled();
+    const promoCodes = await waitFor(async () => {
+      const list = await api.get('/admin/promo-codes').set('Authorization', `Bearer ${ADMIN_KEY}`);
+      return list.body.promoCodes[0].timesRedeemed === 1 && list.body.promoCodes;
+    });
+    expect(promoCodes[0].code).toBe('HALFSTARTER');
+  });
+
+  it('names the promo or referral field it refuses', async () => {
+    const wrongPlan = await api.post('/create-checkout-session')
+      .send({ serverName: 'Discounted', planId: 'premium', totalRam: 8, promoCode: 'HALFSTARTER' })
+      .expect(400);
+    expect(wrongPlan.body.error).toBe('Promo code is not valid for the premium plan');
+
+    const badReferral = await api.post('/create-checkout-session')
+      .send({ serverName: 'Referred', planId: 'starter', referralCode: 'NOTACODE' })
+      .expect(400);
+    expect(badReferral.body.error).toBe('Referral code is not valid');
+  });
+});
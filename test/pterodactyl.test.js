@@ -0,0 +1,211 @@
+const net = require('net');
+const express = require('express');
+const { createPterodactylClient, PterodactylError, PterodactylUnavailableError } = require('../lib/pterodactyl');
+const { createMetrics } = require('../lib/metrics');
+const { runWithContext } = require('../lib/logger');
+
+const API_KEY = 'ptla_test_key';
+
+// A port nothing listens on, for the unreachable panel
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+let panel;
+let baseUrl;
+let hits;
+let replies;
+
+// Stands in for the panel: each request takes the next scripted reply, the last one repeats
+beforeAll(async () => {
+  const app = express();
+  app.use(express.json());
+  app.all('*', (req, res) => {
+    hits.push({ method: req.method, url: req.url, headers: req.headers, body: req.body });
+    const reply = replies.length > 1 ? replies.shift() : replies[0];
+    reply(req, res);
+  });
+  await new Promise((resolve) => {
+    panel = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${panel.address().port}/api/application`;
+});
+
+afterAll(() => new Promise((resolve) => panel.close(resolve)));
+
+beforeEach(() => {
+  hits = [];
+  replies = [(req, res) => res.json({ object: 'ok' })];
+});
+
+const ok = (body = { object: 'ok' }) => (req, res) => res.json(body);
+const status = (code, body = {}, headers = {}) => (req, res) => res.status(code).set(headers).json(body);
+
+const createClient = (options = {}) => createPterodactylClient({
+  api: 'application',
+  baseUrl,
+  apiKey: API_KEY,
+  metrics: createMetrics({ collectDefaults: false }),
+  retryBaseMs: 1,
+  retryMaxMs: 20,
+  timeoutMs: 1000,
+  ...options
+});
+
+const failure = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected a rejection');
+};
+
+describe('request', () => {
+  it('sends the API key and the current request ID', async () => {
+    await runWithContext({ requestId: 'req-abcdef12' }, () => createClient().request('GET', '/nodes'));
+
+    expect(hits[0].headers).toMatchObject({ 'authorization': `Bearer ${API_KEY}`, 'x-request-id': 'req-abcdef12' });
+  });
+
+  it('retries idempotent requests through a bare 5xx', async () => {
+    replies = [status(503), status(502), ok({ object: 'server' })];
+
+    const response = await createClient().request('GET', '/servers/1');
+
+    expect(response.data).toEqual({ object: 'server' });
+    expect(hits).toHaveLength(3);
+  });
+
+  it('does not repeat a POST the panel may have acted on', async () => {
+    replies = [status(500)];
+
+    const error = await failure(createClient().request('POST', '/servers', { name: 'Once' }));
+
+    expect(error).toBeInstanceOf(PterodactylUnavailableError);
+    expect(error.message).toBe('Pterodactyl application API failed with 500 on POST /servers');
+    expect(hits).toHaveLength(1);
+  });
+
+  it('repeats any method after a 429, waiting as long as Retry-After says', async () => {
+    replies = [status(429, {}, { 'Retry-After': '0' }), ok()];
+
+    await createClient().request('POST', '/servers', { name: 'Throttled' });
+
+    expect(hits.map((hit) => hit.body)).toEqual([{ name: 'Throttled' }, { name: 'Throttled' }]);
+  });
+
+  it('turns validation failures into readable messages', async () => {
+    replies = [status(422, { errors: [
+      { code: 'ValidationException', detail: 'The email has already been taken.', meta: { source_field: 'email', rule: 'unique' } },
+      { code: 'ValidationException', detail: 'The name field is required.', meta: { source_field: 'name', rule: 'required' } }
+    ] })];
+
+    const error = await failure(createClient().request('POST', '/users', {}));
+
+    expect(error).toBeInstanceOf(PterodactylError);
+    expect(error).toMatchObject({
+      message: 'A panel account already uses this email address; The name field is required.',
+      status: 422,
+      field: 'email',
+      statusCode: 502
+    });
+    expect(error.response.status).toBe(422);
+    expect(hits).toHaveLength(1);
+  });
+
+  it('keeps the panel\'s own detail for other answers', async () => {
+    replies = [status(404, { errors: [{ code: 'NotFoundHttpException', detail: 'The requested resource could not be found.' }] })];
+
+    const error = await failure(createClient().request('GET', '/servers/12'));
+
+    expect(error).not.toBeInstanceOf(PterodactylUnavailableError);
+    expect(error.message).toBe('Pterodactyl application API returned 404 on GET /servers/:id: The requested resource could not be found.');
+    expect(hits).toHaveLength(1);
+  });
+
+  it('reports timeouts and unreachable panels as unavailable', async () => {
+    replies = [(req, res) => setTimeout(() => res.json({}), 200)];
+    const timedOut = await failure(createClient({ timeoutMs: 50 }).request('GET', '/nodes', null, { retries: 0 }));
+    expect(timedOut).toBeInstanceOf(PterodactylUnavailableError);
+    expect(timedOut.message).toBe('Pterodactyl application API timed out after 50ms on GET /nodes');
+
+    const closed = createClient({ baseUrl: `http://127.0.0.1:${await freePort()}` });
+    const unreachable = await failure(closed.request('POST', '/servers', {}, { retries: 1 }));
+    expect(unreachable.message).toBe('Pterodactyl application API is unreachable (ECONNREFUSED) on POST /servers');
+  });
+
+  it('refuses to call the panel without a key', async () => {
+    const error = await failure(createClient({ apiKey: '' }).request('GET', '/nodes'));
+    expect(error).toMatchObject({ statusCode: 503, message: 'Pterodactyl application API key is not configured' });
+    expect(hits).toHaveLength(0);
+  });
+});
+
+describe('circuit breaker', () => {
+  it('fails fast after repeated outages and closes after a good probe', async () => {
+    replies = [status(503)];
+    const client = createClient({ maxRetries: 0, circuitThreshold: 2, circuitCooldownMs: 50 });
+
+    await failure(client.request('GET', '/nodes'));
+    expect(client.circuitState()).toBe('closed');
+    await failure(client.request('GET', '/nodes'));
+    expect(client.circuitState()).toBe('open');
+
+    const fastFailure = await failure(client.request('GET', '/nodes'));
+    expect(fastFailure).toBeInstanceOf(PterodactylUnavailableError);
+    expect(fastFailure.message).toContain('not retrying until');
+    expect(hits).toHaveLength(2);
+
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    expect(client.circuitState()).toBe('half_open');
+    replies = [ok()];
+    await client.request('GET', '/nodes');
+    expect(client.circuitState()).toBe('closed');
+  });
+
+  it('reopens when the probe fails', async () => {
+    replies = [status(503)];
+    const client = createClient({ maxRetries: 0, circuitThreshold: 1, circuitCooldownMs: 50 });
+
+    await failure(client.request('GET', '/nodes'));
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    await failure(client.request('GET', '/nodes'));
+
+    expect(client.circuitState()).toBe('open');
+    expect(hits).toHaveLength(2);
+  });
+
+  it('does not count answers the panel gave on purpose', async () => {
+    replies = [status(404), status(502, { errors: [{ code: 'HttpException', detail: 'Node daemon is offline' }] })];
+    const client = createClient({ maxRetries: 0, circuitThreshold: 1 });
+
+    await failure(client.request('GET', '/servers/1'));
+    await failure(client.request('POST', '/servers/1/power'));
+
+    expect(client.circuitState()).toBe('closed');
+  });
+});
+
+describe('fetchAllPages', () => {
+  it('walks every page of a list', async () => {
+    replies = [(req, res) => {
+      const page = Number(req.query.page);
+      res.json({ data: [{ attributes: { id: page } }], meta: { pagination: { total_pages: 3 } } });
+    }];
+
+    const items = await createClient().fetchAllPages('/nodes?include=location');
+
+    expect(items.map((item) => item.attributes.id)).toEqual([1, 2, 3]);
+    expect(hits.map((hit) => hit.url)).toEqual([
+      '/api/application/nodes?include=location&page=1&per_page=100',
+      '/api/application/nodes?include=location&page=2&per_page=100',
+      '/api/application/nodes?include=location&page=3&per_page=100'
+    ]);
+  });
+});
@@ -0,0 +1,130 @@
+const { createReconciler, DRIFT_TYPES } = require('../lib/reconciliation');
+const { createStore } = require('../lib/store');
+const { STATES } = require('../lib/lifecycle');
+
+const paidInvoice = { status: 'paid', amount_due: 999 };
+
+// Stripe with a fixed set of subscriptions and the checkout session each came from
+const createFakeStripe = ({ subscriptions, checkoutSessions = {} }) => ({
+  subscriptions: {
+    list: () => (async function* list() {
+      yield* subscriptions;
+    })()
+  },
+  checkout: {
+    sessions: {
+      list: async ({ subscription }) => ({ data: checkoutSessions[subscription] ? [checkoutSessions[subscription]] : [] }),
+      retrieve: async (id) => Object.values(checkoutSessions).find((session) => session.id === id)
+    }
+  }
+});
+
+const setup = async ({ subscriptions, checkoutSessions, servers = [], sessions = [] }) => {
+  const store = createStore({ driver: 'memory', encryptionKey: 'test-key' });
+  for (const record of sessions) {
+    await store.put('sessions', record.sessionId, record);
+  }
+  const calls = { provisionSession: [], handleSubscriptionDeleted: [], unsuspendServer: [] };
+  const reconciler = createReconciler({
+    store,
+    stripe: createFakeStripe({ subscriptions, checkoutSessions }),
+    fetchAllPages: async () => servers.map((attributes) => ({ attributes })),
+    lifecycle: {
+      handleSubscriptionDeleted: async (subscription) => {
+        calls.handleSubscriptionDeleted.push(subscription.id);
+        return { deleteAfter: '2026-11-01T00:00:00.000Z' };
+      },
+      unsuspendServer: async (serverId) => calls.unsuspendServer.push(serverId),
+      recordTransition: async () => {}
+    },
+    provisioning: { get: async () => null, requeue: async () => {} },
+    provisionSession: async (checkoutSession) => calls.provisionSession.push(checkoutSession.id),
+    auditLog: { audited: (entry, action) => action() },
+    intervalMs: 0
+  });
+  return { store, reconciler, calls };
+};
+
+describe('reconciliation', () => {
+  it('provisions a paid server order whose webhook was missed', async () => {
+    const { reconciler, calls } = await setup({
+      subscriptions: [{ id: 'sub_missed', status: 'active', latest_invoice: paidInvoice }],
+      checkoutSessions: { sub_missed: { id: 'cs_missed', metadata: { plan: 'starter', serverType: 'paper' } } }
+    });
+
+    const report = await reconciler.run({ autoFix: true });
+
+    expect(report.drift).toEqual([expect.objectContaining({
+      type: DRIFT_TYPES.MISSING_SERVER,
+      sessionId: 'cs_missed',
+      fix: expect.objectContaining({ action: 'retryProvisioning', status: 'done' })
+    })]);
+    expect(calls.provisionSession).toEqual(['cs_missed']);
+  });
+
+  it('reports subscriptions for other products as foreign and leaves them alone', async () => {
+    const { reconciler, calls } = await setup({
+      subscriptions: [{ id: 'sub_other', status: 'active', latest_invoice: paidInvoice }],
+      checkoutSessions: { sub_other: { id: 'cs_other', metadata: { product: 'newsletter' } } }
+    });
+
+    const report = await reconciler.run({ autoFix: true });
+
+    expect(report.drift).toEqual([expect.objectContaining({
+      type: DRIFT_TYPES.FOREIGN,
+      subscriptionId: 'sub_other',
+      sessionId: 'cs_other',
+      fix: null
+    })]);
+    expect(report.summary).toEqual({ foreign: 1 });
+    expect(calls.provisionSession).toHaveLength(0);
+  });
+
+  it('schedules deletion for a server whose subscription was canceled', async () => {
+    const { reconciler, calls } = await setup({
+      subscriptions: [{ id: 'sub_gone', status: 'canceled' }],
+      sessions: [{ sessionId: 'cs_gone', subscriptionId: 'sub_gone', status: 'completed' }],
+      servers: [{ id: 5, external_id: 'cs_gone', suspended: false }]
+    });
+
+    const report = await reconciler.run({ autoFix: true });
+
+    expect(report.drift[0]).toMatchObject({ type: DRIFT_TYPES.ORPHANED_SERVER, serverId: 5 });
+    expect(calls.handleSubscriptionDeleted).toEqual(['sub_gone']);
+  });
+
+  it('unsuspends a paid-up server unless an admin suspended it', async () => {
+    const { store, reconciler, calls } = await setup({
+      subscriptions: [
+        { id: 'sub_paid', status: 'active', latest_invoice: paidInvoice },
+        { id: 'sub_admin', status: 'active', latest_invoice: paidInvoice }
+      ],
+      sessions: [
+        { sessionId: 'cs_paid', subscriptionId: 'sub_paid', status: 'completed' },
+        { sessionId: 'cs_admin', subscriptionId: 'sub_admin', status: 'completed' }
+      ],
+      servers: [
+        { id: 6, external_id: 'cs_paid', suspended: true },
+        { id: 7, external_id: 'cs_admin', suspended: true }
+      ]
+    });
+    await store.put('subscriptions', 'sub_admin', { status: STATES.SUSPENDED, suspendedBy: 'admin' });
+
+    const report = await reconciler.run({ autoFix: true });
+
+    expect(report.drift.map((item) => [item.type, item.serverId])).toEqual([[DRIFT_TYPES.SUSPENDED_BUT_PAID, 6]]);
+    expect(calls.unsuspendServer).toEqual([6]);
+  });
+
+  it('only reports when auto-fix is off', async () => {
+    const { reconciler, calls } = await setup({
+      subscriptions: [{ id: 'sub_missed', status: 'active', latest_invoice: paidInvoice }],
+      checkoutSessions: { sub_missed: { id: 'cs_missed', metadata: { plan: 'starter' } } }
+    });
+
+    const report = await reconciler.run();
+
+    expect(report.drift[0].fix).toEqual({ action: 'retryProvisioning', status: 'pending' });
+    expect(calls.provisionSession).toHaveLength(0);
+  });
+});
@@ -0,0 +1,102 @@
+const { createReferrals, ReferralError } = require('../lib/referrals');
+const { createStore } = require('../lib/store');
+
+const setup = () => {
+  const store = createStore({ driver: 'memory', encryptionKey: 'test-key' });
+  const stripe = {
+    subscriptions: { retrieve: jest.fn(async () => ({ metadata: {} })) },
+    customers: { createBalanceTransaction: jest.fn(async () => ({ id: 'cbtxn_1' })) }
+  };
+  const referrals = createReferrals({ store, stripe, creditAmount: 500 });
+  return { store, stripe, referrals };
+};
+
+// The referrer needs a Stripe customer from an order of their own to be credited
+const withReferrer = async ({ store, referrals }) => {
+  await store.put('sessions', 'cs_referrer', { customerEmail: 'Referrer@example.com', stripeCustomerId: 'cus_referrer' });
+  return referrals.getCodeFor('Referrer@example.com');
+};
+
+const paidInvoice = (code, overrides = {}) => ({
+  id: 'in_1',
+  subscription: 'sub_friend',
+  customer: 'cus_friend',
+  customer_email: 'friend@example.com',
+  amount_paid: 499,
+  subscription_details: { metadata: { referralCode: code } },
+  ...overrides
+});
+
+describe('referral codes', () => {
+  it('issues one readable code per customer', async () => {
+    const { referrals } = setup();
+    const code = await referrals.getCodeFor('Someone@example.com');
+
+    expect(code).toMatch(/^[A-HJ-NP-Z2-9]{8}$/);
+    expect(await referrals.getCodeFor('someone@example.com')).toBe(code);
+    expect(await referrals.resolveCode(code.toLowerCase())).toMatchObject({ email: 'someone@example.com' });
+    await expect(referrals.resolveCode('NOTACODE')).rejects.toThrow(ReferralError);
+  });
+});
+
+describe('handleInvoicePaid', () => {
+  it('credits the referrer once, however often the invoice webhook arrives', async () => {
+    const context = setup();
+    const code = await withReferrer(context);
+
+    const referral = await context.referrals.handleInvoicePaid(paidInvoice(code));
+    await context.referrals.handleInvoicePaid(paidInvoice(code));
+    await context.referrals.handleInvoicePaid(paidInvoice(code, { id: 'in_2' }));
+
+    expect(referral).toMatchObject({ status: 'credited', referrerCustomerId: 'cus_referrer', amount: 500 });
+    expect(context.stripe.customers.createBalanceTransaction).toHaveBeenCalledTimes(1);
+    expect(context.stripe.customers.createBalanceTransaction).toHaveBeenCalledWith(
+      'cus_referrer',
+      expect.objectContaining({ amount: -500, currency: 'usd' }),
+      { idempotencyKey: 'referral-credit-sub_friend' }
+    );
+    expect(await context.referrals.summaryFor('referrer@example.com')).toMatchObject({
+      code, referred: 1, credited: 1, creditedAmount: 500
+    });
+  });
+
+  it('waits for the first invoice that actually takes money', async () => {
+    const context = setup();
+    const code = await withReferrer(context);
+
+    expect(await context.referrals.handleInvoicePaid(paidInvoice(code, { amount_paid: 0 }))).toBeNull();
+    expect(await context.store.get('referrals', 'sub_friend')).toBeNull();
+  });
+
+  it('reads the code from the subscription when the invoice does not carry it', async () => {
+    const context = setup();
+    const code = await withReferrer(context);
+    context.stripe.subscriptions.retrieve.mockResolvedValue({ metadata: { referralCode: code } });
+
+    const referral = await context.referrals.handleInvoicePaid(paidInvoice(code, { subscription_details: undefined }));
+
+    expect(context.stripe.subscriptions.retrieve).toHaveBeenCalledWith('sub_friend');
+    expect(referral.status).toBe('credited');
+  });
+
+  it('does not credit customers for referring themselves', async () => {
+    const context = setup();
+    const code = await withReferrer(context);
+
+    const byEmail = await context.referrals.handleInvoicePaid(paidInvoice(code, { customer_email: 'REFERRER@example.com' }));
+    const byCustomer = await context.referrals.handleInvoicePaid(paidInvoice(code, { subscription: 'sub_second', customer: 'cus_referrer', customer_email: 'alias@example.com' }));
+
+    expect(byEmail).toMatchObject({ status: 'rejected', reason: 'self_referral' });
+    expect(byCustomer).toMatchObject({ status: 'rejected', reason: 'self_referral' });
+    expect(context.stripe.customers.createBalanceTransaction).not.toHaveBeenCalled();
+  });
+
+  it('retries a failed credit on the next paid invoice', async () => {
+    const context = setup();
+    const code = await withReferrer(context);
+    context.stripe.customers.createBalanceTransaction.mockRejectedValueOnce(new Error('Stripe is down'));
+
+    expect(await context.referrals.handleInvoicePaid(paidInvoice(code))).toMatchObject({ status: 'failed', error: 'Stripe is down' });
+    expect(await context.referrals.handleInvoicePaid(paidInvoice(code, { id: 'in_2' }))).toMatchObject({ status: 'credited', error: null });
+  });
+});
@@ -0,0 +1,135 @@
+// Drives the whole purchase flow against the sandbox: checkout -> pay -> webhooks -> provisioning
+const request = require('supertest');
+const { startSandboxService, waitFor } = require('./helpers/service');
+
+jest.setTimeout(30000);
+
+let service;
+let api;
+let sandbox;
+
+beforeAll(async () => {
+  service = await startSandboxService({ PROVISIONING_MAX_ATTEMPTS: '1' });
+  api = request(service.app);
+  sandbox = request(service.sandbox.app);
+});
+
+afterAll(() => service.stop());
+
+const checkout = async (serverName) => {
+  const response = await api.post('/create-checkout-session').send({ serverName, planId: 'starter' }).expect(200);
+  return response.body.sessionId;
+};
+
+// Pays through the hosted checkout page, as a browser would
+const pay = async (sessionId, email) => {
+  const response = await sandbox.post(`/checkout/${sessionId}/pay`).type('form').send({ email }).expect(303);
+  await service.sandbox.stripe.settled();
+  return response;
+};
+
+const provisioningOf = async (sessionId) => (await api.get(`/provisioning/${sessionId}`)).body.provisioning;
+
+const finishedProvisioning = (sessionId) => waitFor(async () => {
+  const provisioning = await provisioningOf(sessionId);
+  return ['completed', 'dead'].includes(provisioning?.status) && provisioning;
+});
+
+const panelServer = async (sessionId) =>
+  (await service.sandbox.pterodactyl.summary()).servers.find((server) => server.externalId === sessionId);
+
+const subscriptionOf = async (sessionId) =>
+  (await sandbox.get('/v1/checkout/sessions/' + sessionId).auth('sk_test_sandbox', '')).body.subscription;
+
+describe('sandbox purchase flow', () => {
+  beforeEach(() => service.sandbox.pterodactyl.releaseAllocations());
+
+  it('serves the hosted checkout page for a new session', async () => {
+    const sessionId = await checkout('Page Check');
+    const page = await sandbox.get(`/checkout/${sessionId}`).expect(200);
+    expect(page.text).toContain('Page Check - STARTER Plan');
+    expect(page.text).toContain('Due today: <strong>4.99 USD</strong>');
+  });
+
+  it('provisions a server once the checkout webhook arrives', async () => {
+    const sessionId = await checkout('Happy Path');
+    const paid = await pay(sessionId, 'happy@example.com');
+    expect(paid.headers.location).toContain(`session_id=${sessionId}`);
+
+    const provisioning = await finishedProvisioning(sessionId);
+    expect(provisioning.status).toBe('completed');
+    expect(provisioning.steps.every((step) => step.status === 'completed')).toBe(true);
+
+    const server = await panelServer(sessionId);
+    expect(server).toMatchObject({ name: 'Happy Path', suspended: false });
+
+    const events = await service.sandbox.stripe.listEvents();
+    expect(events.map((event) => event.delivery.status)).toEqual(events.map(() => 'delivered'));
+    expect(events.map((event) => event.type)).toEqual(expect.arrayContaining([
+      'checkout.session.completed',
+      'customer.subscription.created',
+      'invoice.payment_succeeded'
+    ]));
+  });
+
+  it('does not provision twice when Stripe redelivers checkout.session.completed', async () => {
+    const sessionId = await checkout('Redelivered');
+    await pay(sessionId, 'redeliver@example.com');
+    await finishedProvisioning(sessionId);
+
+    const [completed] = await service.sandbox.stripe.listEvents({ type: 'checkout.session.completed' });
+    await service.sandbox.stripe.resendEvent(completed.id);
+
+    const servers = (await service.sandbox.pterodactyl.summary()).servers.filter((server) => server.externalId === sessionId);
+    expect(servers).toHaveLength(1);
+  });
+
+  it('suspends after repeated failed payments and lifts it when a payment goes through', async () => {
+    const sessionId = await checkout('Late Payer');
+    await pay(sessionId, 'late@example.com');
+    await finishedProvisioning(sessionId);
+    const subscriptionId = await subscriptionOf(sessionId);
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await sandbox.post(`/sandbox/stripe/subscriptions/${subscriptionId}/fail-payment`).expect(200);
+    }
+    await service.sandbox.stripe.settled();
+    expect(await panelServer(sessionId)).toMatchObject({ suspended: true });
+
+    await sandbox.post(`/sandbox/stripe/subscriptions/${subscriptionId}/renew`).expect(200);
+    await service.sandbox.stripe.settled();
+    expect(await panelServer(sessionId)).toMatchObject({ suspended: false });
+  });
+
+  it('refunds and cancels when no node has a free port', async () => {
+    await sandbox.post('/sandbox/pterodactyl/allocations/fill').expect(200);
+    const sessionId = await checkout('No Room');
+    await pay(sessionId, 'noroom@example.com');
+
+    const provisioning = await finishedProvisioning(sessionId);
+    expect(provisioning.status).toBe('dead');
+    expect(provisioning.lastError).toMatchObject({ step: 'placeServer' });
+    expect(await panelServer(sessionId)).toBeUndefined();
+
+    const compensation = await waitFor(async () => {
+      const { body } = await api.get(`/provisioning/${sessionId}`);
+      return body.compensation?.status === 'completed' && body.compensation;
+    });
+    expect(compensation.policy).toBe('refund');
+
+    await service.sandbox.stripe.settled();
+    const subscriptionId = await subscriptionOf(sessionId);
+    const subscription = await sandbox.get(`/v1/subscriptions/${subscriptionId}`).auth('sk_test_sandbox', '').expect(200);
+    expect(subscription.body.status).toBe('canceled');
+  });
+
+  it('reports the panel as down while the sandbox simulates an outage', async () => {
+    await sandbox.put('/sandbox/pterodactyl/faults').send({ outage: true }).expect(200);
+    try {
+      const health = await api.get('/health').expect(503);
+      expect(health.body.checks.pterodactyl.ok).toBe(false);
+    } finally {
+      await sandbox.put('/sandbox/pterodactyl/faults').send({ outage: false }).expect(200);
+    }
+  });
+});
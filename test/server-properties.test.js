@@ -0,0 +1,86 @@
+const {
+  createServerSettingsManager,
+  validateProperties,
+  mergeProperties,
+  checkoutSettingsToProperties,
+  PropertiesError
+} = require('../lib/server-properties');
+const { createStore } = require('../lib/store');
+
+describe('validateProperties', () => {
+  it('coerces allowed values to the strings server.properties expects', () => {
+    expect(validateProperties({ 'max-players': 20, 'pvp': false, 'difficulty': 'hard', 'motd': 'Welcome' }))
+      .toEqual({ 'max-players': '20', 'pvp': 'false', 'difficulty': 'hard', 'motd': 'Welcome' });
+  });
+
+  it('lists every key it refuses', () => {
+    let error;
+    try {
+      validateProperties({ 'server-port': 25566, 'view-distance': 64, 'motd': 'two\nlines' });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(PropertiesError);
+    expect(error.fields).toEqual([
+      { field: 'server-port', message: 'is not an editable property' },
+      { field: 'view-distance', message: 'must be a whole number from 2 to 32' },
+      { field: 'motd', message: 'must be a single line of at most 150 characters' }
+    ]);
+  });
+});
+
+describe('mergeProperties', () => {
+  it('rewrites existing keys in place, keeps comments and appends new keys', () => {
+    const content = '#Minecraft server properties\npvp=true\nserver-port=25565\n\n';
+    expect(mergeProperties(content, { 'pvp': 'false', 'white-list': 'true' }))
+      .toBe('#Minecraft server properties\npvp=false\nserver-port=25565\nwhite-list=true\n');
+  });
+});
+
+describe('checkoutSettingsToProperties', () => {
+  it('maps the checkout fields and drops invalid ones', () => {
+    expect(checkoutSettingsToProperties({ maxPlayers: '50', viewDistance: '99', whitelist: 'true', pvp: '', serverName: 'x' }))
+      .toEqual({ 'max-players': '50', 'white-list': 'true' });
+  });
+});
+
+describe('applyCheckoutSettings', () => {
+  const setup = (panelStatuses) => {
+    const store = createStore({ driver: 'memory', encryptionKey: 'test-key' });
+    const files = { 'uuid-1': 'motd=A Minecraft Server\nmax-players=20\n' };
+    const statuses = [...panelStatuses];
+    const pterodactylRequest = jest.fn(async () => ({ data: { attributes: statuses.length > 1 ? statuses.shift() : statuses[0] } }));
+    const clientRequest = jest.fn(async (method, url, body) => {
+      const uuid = url.split('/')[2];
+      if (method === 'GET') {
+        return { data: files[uuid] };
+      }
+      files[uuid] = body;
+      return { data: '' };
+    });
+    const settings = createServerSettingsManager({ store, pterodactylRequest, clientRequest, installPollIntervalMs: 1, installTimeoutMs: 1000 });
+    return { store, files, settings, clientRequest };
+  };
+
+  it('waits for the install, then writes the checkout settings', async () => {
+    const { store, files, settings } = setup([
+      { status: 'installing', container: { installed: false } },
+      { status: null, container: { installed: true } }
+    ]);
+    await store.put('sessions', 'cs_1', { serverId: 1, serverUuid: 'uuid-1', metadata: { maxPlayers: '8', pvp: 'false' } });
+
+    await settings.applyCheckoutSettings('cs_1');
+
+    expect(files['uuid-1']).toBe('motd=A Minecraft Server\nmax-players=8\npvp=false\n');
+    expect(await store.get('sessions', 'cs_1')).toMatchObject({ settingsStatus: 'applied', settingsError: null });
+  });
+
+  it('records a failed install and leaves the file alone', async () => {
+    const { store, settings, clientRequest } = setup([{ status: 'install_failed', container: { installed: false } }]);
+    await store.put('sessions', 'cs_2', { serverId: 2, serverUuid: 'uuid-1', metadata: { pvp: 'false' } });
+
+    await expect(settings.applyCheckoutSettings('cs_2')).rejects.toThrow('Server install failed on the panel');
+    expect(clientRequest).not.toHaveBeenCalled();
+    expect(await store.get('sessions', 'cs_2')).toMatchObject({ settingsStatus: 'failed', settingsError: 'Server install failed on the panel' });
+  });
+});
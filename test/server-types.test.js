@@ -0,0 +1,60 @@
+const { resolveServerType, listServerTypes, getLaunchArgs, ServerTypeError } = require('../lib/server-types');
+
+const eggIds = { paper: 1, fabric: 2, forge: 3 };
+
+const failure = (input) => {
+  try {
+    resolveServerType(input, eggIds);
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected resolveServerType to throw');
+};
+
+describe('resolveServerType', () => {
+  it('defaults to Paper with the latest build', () => {
+    expect(resolveServerType({ minecraftVersion: '1.20.4' }, eggIds)).toMatchObject({
+      serverType: 'paper',
+      eggId: 1,
+      launchArgs: '-jar {{SERVER_JARFILE}}',
+      supportsPlugins: true,
+      options: { buildNumber: 'latest' },
+      environment: { MINECRAFT_VERSION: '1.20.4', BUILD_NUMBER: 'latest', SERVER_JARFILE: 'server.jar' }
+    });
+  });
+
+  it('builds the egg environment for mod loaders', () => {
+    expect(resolveServerType({ serverType: 'fabric', minecraftVersion: '1.20.1', loaderVersion: '0.15.7' }, eggIds).environment)
+      .toEqual({ MC_VERSION: '1.20.1', FABRIC_VERSION: 'latest', LOADER_VERSION: '0.15.7', SERVER_JARFILE: 'server.jar' });
+
+    const forge = resolveServerType({ serverType: 'forge', minecraftVersion: '1.20.1', loaderVersion: 'recommended' }, eggIds);
+    expect(forge.environment).toMatchObject({ BUILD_TYPE: 'recommended', FORGE_VERSION: '' });
+    expect(forge.launchArgs).toContain('unix_args.txt');
+    expect(forge.supportsPlugins).toBe(false);
+  });
+
+  it.each([
+    ['an unknown type', { serverType: 'bukkit', minecraftVersion: '1.20.4' }, 'serverType', 'Unsupported server type: bukkit'],
+    ['a type without an egg', { serverType: 'purpur', minecraftVersion: '1.20.4' }, 'serverType', 'Purpur servers are not available right now'],
+    ['a snapshot', { minecraftVersion: '24w14a' }, 'minecraftVersion', 'Paper servers need a release Minecraft version'],
+    ['a version below the range', { serverType: 'fabric', minecraftVersion: '1.12.2' }, 'minecraftVersion', 'Fabric supports Minecraft 1.14 or newer'],
+    ['a malformed option', { serverType: 'fabric', minecraftVersion: '1.20.1', loaderVersion: '$(reboot)' }, 'loaderVersion', 'Invalid loaderVersion']
+  ])('rejects %s', (label, input, field, message) => {
+    const error = failure(input);
+    expect(error).toBeInstanceOf(ServerTypeError);
+    expect(error).toMatchObject({ field, message });
+  });
+});
+
+describe('listServerTypes', () => {
+  it('only offers types with an egg configured', () => {
+    expect(listServerTypes(eggIds).map((type) => type.id)).toEqual(['paper', 'fabric', 'forge']);
+  });
+});
+
+describe('getLaunchArgs', () => {
+  it('falls back to running the jar', () => {
+    expect(getLaunchArgs('neoforge')).toContain('unix_args.txt');
+    expect(getLaunchArgs('unknown')).toBe('-jar {{SERVER_JARFILE}}');
+  });
+});
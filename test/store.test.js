@@ -0,0 +1,140 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createStore, resolveEncryptionKey } = require('../lib/store');
+
+const KEY = crypto.randomBytes(32).toString('hex');
+
+let dir;
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'goose-store-'));
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const storePath = (name) => path.join(dir, `${name}.json`);
+
+describe.each([
+  ['memory', () => createStore({ driver: 'memory', encryptionKey: KEY })],
+  ['file', () => createStore({ driver: 'file', filePath: storePath(`each-${crypto.randomUUID()}`), encryptionKey: KEY })]
+])('%s store', (driver, makeStore) => {
+  it('merges updates shallowly but keeps other secrets', async () => {
+    const store = makeStore();
+    await store.put('sessions', 'cs_1', { status: 'provisioning', metadata: { plan: 'starter' }, secrets: { serverPassword: 'one' } });
+
+    const updated = await store.update('sessions', 'cs_1', { status: 'completed', secrets: { ftpPassword: 'two' } });
+
+    expect(updated).toMatchObject({ id: 'cs_1', status: 'completed', metadata: { plan: 'starter' } });
+    expect((await store.get('sessions', 'cs_1')).secrets).toEqual({ serverPassword: 'one', ftpPassword: 'two' });
+  });
+
+  it('lets only one of several concurrent claims win', async () => {
+    const store = makeStore();
+
+    const results = await Promise.all(['a', 'b', 'c'].map((owner) => store.claim('jobs', 'cs_2', { owner })));
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect((await store.get('jobs', 'cs_2')).owner).toBe(results.find(Boolean).owner);
+  });
+
+  it('replaces a claimed record only when allowed', async () => {
+    const store = makeStore();
+    await store.claim('locks', '1', { owner: 'a', expired: true });
+
+    expect(await store.claim('locks', '1', { owner: 'b' })).toBeNull();
+    expect(await store.claim('locks', '1', { owner: 'b' }, (existing) => existing.expired)).toMatchObject({ owner: 'b' });
+  });
+
+  it('removes a record only when allowed', async () => {
+    const store = makeStore();
+    await store.put('locks', '1', { owner: 'a' });
+
+    expect(await store.removeIf('locks', '1', (existing) => existing.owner === 'b')).toBe(false);
+    expect(await store.removeIf('locks', '1', (existing) => existing.owner === 'a')).toBe(true);
+    expect(await store.get('locks', '1')).toBeNull();
+    expect(await store.removeIf('locks', '1', () => true)).toBe(false);
+  });
+
+  it('lists, finds and removes records', async () => {
+    const store = makeStore();
+    await store.put('customers', 'a@example.com', { plan: 'starter' });
+    await store.put('customers', 'b@example.com', { plan: 'premium' });
+
+    expect((await store.list('customers')).map((record) => record.id).sort()).toEqual(['a@example.com', 'b@example.com']);
+    expect(await store.find('customers', (record) => record.plan === 'premium')).toMatchObject({ id: 'b@example.com' });
+
+    await store.remove('customers', 'a@example.com');
+    expect(await store.get('customers', 'a@example.com')).toBeNull();
+  });
+});
+
+describe('file driver', () => {
+  it('keeps records across restarts and never writes secrets in the clear', async () => {
+    const filePath = storePath('durable');
+    const store = createStore({ driver: 'file', filePath, encryptionKey: KEY });
+    await store.put('sessions', 'cs_3', { serverId: 7, secrets: { serverPassword: 'hunter2-but-longer' } });
+
+    const onDisk = fs.readFileSync(filePath, 'utf8');
+    expect(onDisk).not.toContain('hunter2-but-longer');
+    expect(JSON.parse(onDisk).sessions.cs_3.encryptedSecrets).toMatch(/^v1:/);
+
+    const reopened = createStore({ driver: 'file', filePath, encryptionKey: KEY });
+    expect(await reopened.get('sessions', 'cs_3')).toMatchObject({ serverId: 7, secrets: { serverPassword: 'hunter2-but-longer' } });
+  });
+
+  it('cannot read secrets with another key', async () => {
+    const filePath = storePath('rekeyed');
+    await createStore({ driver: 'file', filePath, encryptionKey: KEY }).put('sessions', 'cs_4', { secrets: { serverPassword: 'x' } });
+
+    const wrongKey = createStore({ driver: 'file', filePath, encryptionKey: crypto.randomBytes(32).toString('hex') });
+    await expect(wrongKey.get('sessions', 'cs_4')).rejects.toThrow();
+  });
+
+  it('lets two instances share the file without losing each other\'s writes', async () => {
+    const filePath = storePath('shared');
+    const first = createStore({ driver: 'file', filePath, encryptionKey: KEY });
+    const second = createStore({ driver: 'file', filePath, encryptionKey: KEY });
+
+    const ids = Array.from({ length: 10 }, (_, index) => `cs_${index}`);
+    await Promise.all(ids.map((id, index) => (index % 2 ? first : second).put('sessions', id, { status: 'pending' })));
+    await first.update('sessions', 'cs_1', { status: 'completed' });
+
+    expect((await second.list('sessions')).map((record) => record.id).sort()).toEqual(ids.sort());
+    expect(await second.get('sessions', 'cs_1')).toMatchObject({ status: 'completed' });
+
+    const claims = await Promise.all([first, second].map((store, index) => store.claim('locks', 'node-1', { owner: index })));
+    expect(claims.filter(Boolean)).toHaveLength(1);
+    expect(fs.existsSync(`${filePath}.lock`)).toBe(false);
+  });
+
+  it('takes over a stale lock but waits for a live one', async () => {
+    const filePath = storePath('locked');
+    const lockPath = `${filePath}.lock`;
+    fs.writeFileSync(lockPath, '12345');
+    const store = createStore({ driver: 'file', filePath, encryptionKey: KEY, lockTimeoutMs: 100, staleLockMs: 60000 });
+
+    await expect(store.put('sessions', 'cs_5', { status: 'pending' })).rejects.toThrow('Timed out waiting for the store lock');
+
+    const stale = new Date(Date.now() - 120000);
+    fs.utimesSync(lockPath, stale, stale);
+    await store.put('sessions', 'cs_5', { status: 'pending' });
+    expect(await store.get('sessions', 'cs_5')).toMatchObject({ status: 'pending' });
+  });
+
+  it('rejects unknown drivers', () => {
+    expect(() => createStore({ driver: 'redis', encryptionKey: KEY })).toThrow('Unknown store driver: redis');
+  });
+});
+
+describe('resolveEncryptionKey', () => {
+  it('accepts hex and base64 keys and hashes anything else to 32 bytes', () => {
+    const raw = crypto.randomBytes(32);
+    expect(resolveEncryptionKey(raw.toString('hex')).equals(raw)).toBe(true);
+    expect(resolveEncryptionKey(raw.toString('base64')).equals(raw)).toBe(true);
+    expect(resolveEncryptionKey('a passphrase')).toHaveLength(32);
+  });
+});
@@ -0,0 +1,76 @@
+const express = require('express');
+const request = require('supertest');
+const { validate, schemas } = require('../lib/validation');
+
+// Echoes what the handler sees after validation
+const appFor = (routeSchemas) => {
+  const app = express();
+  app.use(express.json());
+  app.all('/check', validate(routeSchemas), (req, res) => res.json({ body: req.body, query: req.query }));
+  app.all('/check/:serverId', validate(routeSchemas), (req, res) => res.json({ params: req.params }));
+  return app;
+};
+
+describe('validate', () => {
+  it('flattens the old serverConfig checkout shape and fills in defaults', async () => {
+    const { body } = await request(appFor({ body: schemas.body.checkout }))
+      .post('/check')
+      .send({ plan: 'starter', serverConfig: { serverName: '  Goose Land ', totalRam: '3', pvp: 'false', loaderVersion: '' } })
+      .expect(200);
+
+    expect(body.body).toEqual({
+      serverName: 'Goose Land',
+      planId: 'starter',
+      billingCycle: 'monthly',
+      serverType: 'paper',
+      minecraftVersion: '1.21.4',
+      totalRam: 3,
+      pvp: false
+    });
+  });
+
+  it('lists every invalid field in one 400', async () => {
+    const { body } = await request(appFor({ body: schemas.body.checkout }))
+      .post('/check')
+      .send({ planId: 'starter', maxPlayers: 5000, whitelist: 'maybe' })
+      .expect(400);
+
+    expect(body).toEqual({
+      success: false,
+      error: 'serverName is required; maxPlayers must be at most 1000; whitelist must be a boolean',
+      field: 'serverName',
+      fields: [
+        { field: 'serverName', message: 'is required' },
+        { field: 'maxPlayers', message: 'must be at most 1000' },
+        { field: 'whitelist', message: 'must be a boolean' }
+      ]
+    });
+  });
+
+  it('checks route params', async () => {
+    const app = appFor({ params: schemas.params.server });
+    expect((await request(app).get('/check/42').expect(200)).body.params).toEqual({ serverId: '42' });
+    expect((await request(app).get('/check/abc').expect(400)).body.error).toBe('serverId must be a server ID');
+  });
+
+  it('clamps page sizes instead of rejecting them', async () => {
+    const { body } = await request(appFor({ query: schemas.query.reports })).get('/check').query({ limit: '5000' }).expect(200);
+    expect(body.query).toEqual({ limit: 100 });
+  });
+
+  it('accepts server properties with or without the wrapper', async () => {
+    const app = appFor({ body: schemas.body.properties });
+    expect((await request(app).put('/check').send({ pvp: false }).expect(200)).body.body).toEqual({ properties: { pvp: false } });
+    expect((await request(app).put('/check').send({ properties: { motd: 'Hi' } }).expect(200)).body.body).toEqual({ properties: { motd: 'Hi' } });
+  });
+
+  it('needs at least one runtime setting', async () => {
+    const { body } = await request(appFor({ body: schemas.body.runtime })).put('/check').send({}).expect(400);
+    expect(body.error).toBe('javaVersion or jvmProfile is required');
+  });
+
+  it('only takes known power signals', async () => {
+    const { body } = await request(appFor({ body: schemas.body.power })).post('/check').send({ signal: 'explode' }).expect(400);
+    expect(body.error).toBe('signal must be one of start, stop, restart, kill');
+  });
+});
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { createVersionCatalog, VersionError } = require('../lib/version-catalog');
+
+let dir;
+let fallbackPath;
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'goose-versions-'));
+  fallbackPath = path.join(dir, 'minecraft-versions.json');
+  fs.writeFileSync(fallbackPath, JSON.stringify({
+    minecraft: {
+      latest: { release: '1.21', snapshot: '24w33a' },
+      releases: ['1.21', '1.20.6', '1.20.4', '1.16.5', '1.12.2'],
+      snapshots: ['24w33a']
+    },
+    serverTypes: { paper: ['1.20.4', '1.21', '1.16.5', '1.20.5'] }
+  }));
+});
+
+afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('bundled catalog', () => {
+  it('lists the releases a type publishes builds for, newest first', async () => {
+    const catalog = createVersionCatalog({ source: 'bundled', fallbackPath });
+    expect(await catalog.listVersions('paper')).toEqual({
+      serverType: 'paper',
+      latest: '1.21',
+      versions: ['1.21', '1.20.4', '1.16.5'],
+      latestSnapshot: '24w33a'
+    });
+  });
+
+  it('falls back to the Mojang releases inside the type\'s range without a build list', async () => {
+    const catalog = createVersionCatalog({ source: 'bundled', fallbackPath });
+    expect((await catalog.listVersions('fabric')).versions).toEqual(['1.21', '1.20.6', '1.20.4', '1.16.5']);
+    expect((await catalog.listVersions('spigot')).versions).toEqual(['1.21', '1.20.6', '1.20.4', '1.16.5', '1.12.2']);
+  });
+
+  it('rejects unknown types and versions without a build', async () => {
+    const catalog = createVersionCatalog({ source: 'bundled', fallbackPath });
+    await expect(catalog.listVersions('bukkit')).rejects.toMatchObject({ field: 'serverType' });
+    await expect(catalog.assertSupported({ serverType: 'paper', minecraftVersion: '1.20.6' }))
+      .rejects.toThrow(new VersionError('Minecraft 1.20.6 is not available for Paper'));
+    await expect(catalog.assertSupported({ serverType: 'paper', minecraftVersion: '1.20.4' })).resolves.toBeUndefined();
+  });
+});
+
+describe('live catalog', () => {
+  const manifest = {
+    latest: { release: '1.21.1', snapshot: '24w35a' },
+    versions: [{ id: '24w35a', type: 'snapshot' }, { id: '1.21.1', type: 'release' }, { id: '1.21', type: 'release' }]
+  };
+
+  it('caches what the sources return', async () => {
+    const get = jest.spyOn(axios, 'get').mockImplementation(async (url) => ({
+      data: url.includes('papermc') ? { versions: ['1.21', '1.21.1'] } : manifest
+    }));
+    const catalog = createVersionCatalog({ fallbackPath, manifestUrl: 'https://manifest.test' });
+
+    expect((await catalog.listVersions('paper')).versions).toEqual(['1.21.1', '1.21']);
+    await catalog.listVersions('paper');
+    expect(get).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps the last good list when a refresh fails, and the bundled one before that', async () => {
+    const get = jest.spyOn(axios, 'get').mockRejectedValue(new Error('ECONNREFUSED'));
+    const catalog = createVersionCatalog({ fallbackPath, cacheMs: 0 });
+    expect((await catalog.listVersions('paper')).versions).toEqual(['1.21', '1.20.4', '1.16.5']);
+
+    get.mockImplementation(async (url) => ({ data: url.includes('papermc') ? { versions: ['1.21.1'] } : manifest }));
+    expect((await catalog.listVersions('paper')).versions).toEqual(['1.21.1']);
+
+    get.mockRejectedValue(new Error('ECONNREFUSED'));
+    expect((await catalog.listVersions('paper')).versions).toEqual(['1.21.1']);
+  });
+});
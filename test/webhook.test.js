@@ -0,0 +1,124 @@
+// checkout.session.completed is the only thing that provisions, once per checkout
+const request = require('supertest');
+const Stripe = require('stripe');
+const { startSandboxService, waitFor } = require('./helpers/service');
+
+jest.setTimeout(30000);
+
+const stripe = Stripe('sk_test_sandbox');
+const ADMIN_KEY = 'w'.repeat(32);
+
+let service;
+let api;
+
+beforeAll(async () => {
+  service = await startSandboxService({ ADMIN_API_KEYS: `support:${ADMIN_KEY}` });
+  api = request(service.app);
+  await api.post('/admin/promo-codes')
+    .set('Authorization', `Bearer ${ADMIN_KEY}`)
+    .send({ code: 'FREEMONTH', percentOff: 100 })
+    .expect(201);
+});
+
+afterAll(() => service.stop());
+
+const checkout = async (serverName) => {
+  const { body } = await api.post('/create-checkout-session').send({ serverName, planId: 'starter' }).expect(200);
+  const session = await request(service.sandbox.app)
+    .get(`/v1/checkout/sessions/${body.sessionId}`)
+    .auth('sk_test_sandbox', '')
+    .expect(200);
+  return session.body;
+};
+
+// A delivery signed the way Stripe signs it
+const deliver = (event) => {
+  const payload = JSON.stringify(event);
+  const signature = stripe.webhooks.generateTestHeaderString({ payload, secret: service.config.stripe.webhookSecret });
+  return api.post('/webhook').set('Content-Type', 'application/json').set('Stripe-Signature', signature).send(payload);
+};
+
+const completedEvent = (session, overrides = {}) => ({
+  id: `evt_${session.id}`,
+  object: 'event',
+  type: 'checkout.session.completed',
+  created: Math.floor(Date.now() / 1000),
+  data: {
+    object: {
+      ...session,
+      status: 'complete',
+      payment_status: 'paid',
+      customer_details: { email: 'webhook@example.com' },
+      ...overrides
+    }
+  }
+});
+
+const serversFor = async (sessionId) =>
+  (await service.sandbox.pterodactyl.summary()).servers.filter((server) => server.externalId === sessionId);
+
+describe('Stripe webhook', () => {
+  it('rejects deliveries without a valid signature', async () => {
+    const payload = JSON.stringify({ id: 'evt_forged', type: 'checkout.session.completed', data: { object: {} } });
+    await api.post('/webhook').set('Content-Type', 'application/json').send(payload).expect(400);
+    await api.post('/webhook')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', 't=1,v1=deadbeef')
+      .send(payload)
+      .expect(400);
+  });
+
+  it('leaves provisioning alone when the customer polls the success page before paying', async () => {
+    const session = await checkout('Early Poll');
+
+    const { body } = await api.get(`/session-details/${session.id}`).expect(200);
+    expect(body.provisioning.status).toBe('awaiting_payment');
+
+    await api.get(`/provisioning/${session.id}`).expect(404);
+    expect(await serversFor(session.id)).toHaveLength(0);
+  });
+
+  it('does not provision a checkout whose payment is still processing', async () => {
+    const session = await checkout('Bank Debit');
+
+    await deliver(completedEvent(session, { payment_status: 'unpaid' })).expect(200);
+
+    await api.get(`/provisioning/${session.id}`).expect(404);
+    expect(await serversFor(session.id)).toHaveLength(0);
+  });
+
+  it('treats a checkout with nothing to pay as paid while the webhook is on its way', async () => {
+    const { body } = await api.post('/create-checkout-session')
+      .send({ serverName: 'Free Month', planId: 'starter', promoCode: 'FREEMONTH' })
+      .expect(200);
+
+    // Deliveries signed with the wrong secret are refused, so nothing provisions yet
+    const { webhookSecret } = service.config.stripe;
+    service.config.stripe.webhookSecret = 'whsec_someone_else';
+    try {
+      await service.sandbox.stripe.completeCheckout(body.sessionId, { email: 'free@example.com' });
+      await service.sandbox.stripe.settled();
+    } finally {
+      service.config.stripe.webhookSecret = webhookSecret;
+    }
+
+    const details = await api.get(`/session-details/${body.sessionId}`).expect(200);
+    expect(details.body.session.status).toBe('no_payment_required');
+    expect(details.body.provisioning.status).toBe('pending');
+  });
+
+  it('provisions exactly one server when deliveries arrive at the same time', async () => {
+    const session = await checkout('Parallel Deliveries');
+    const event = completedEvent(session);
+
+    const responses = await Promise.all([deliver(event), deliver(event), deliver(event)]);
+    expect(responses.map((response) => response.status)).toEqual([200, 200, 200]);
+
+    await waitFor(async () => (await api.get(`/provisioning/${session.id}`)).body.provisioning?.status === 'completed');
+    await deliver(event).expect(200);
+
+    expect(await serversFor(session.id)).toHaveLength(1);
+    const { body } = await api.get(`/session-details/${session.id}`).expect(200);
+    expect(body.provisioning.status).toBe('completed');
+  });
+});